@@ -15,7 +15,32 @@ const config = {
 
   // JWT
   jwtSecret: process.env.JWT_SECRET_KEY || 'your-secret-key-change-in-production',
-  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  refreshTokenExpiresDays: parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS || '30', 10),
+
+  // Login brute-force protection
+  loginProtection: {
+    maxAccountFailures: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES || '5', 10),
+    maxIpFailures: parseInt(process.env.LOGIN_MAX_IP_FAILURES || '20', 10),
+    failureWindowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '15', 10),
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10),
+    delayAfterFailures: 2,     // Start slowing responses down after this many failures
+    baseDelayMs: 500,          // Doubles with every further failure
+    maxDelayMs: 8000
+  },
+
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'HRMS',
+    challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+    recoveryCodeCount: 10
+  },
+
+  // Admin impersonation ("view as employee")
+  impersonation: {
+    defaultMinutes: parseInt(process.env.IMPERSONATION_DEFAULT_MINUTES || '30', 10),
+    maxMinutes: parseInt(process.env.IMPERSONATION_MAX_MINUTES || '120', 10)
+  },
 
   // CORS
   corsOrigins: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : ['*'],
@@ -9,8 +9,88 @@
 
 const cron = require('node-cron');
 const { creditMonthlyLeaves, LEAVE_CREDIT_RULES } = require('./monthlyLeaveCredit');
+const { processDueExits } = require('../services/offboardingService');
+const { processDueJobChanges } = require('../services/employmentHistoryService');
+const { processProbationReminders } = require('../services/probationService');
+const { processApprovalEscalations } = require('../services/escalationService');
 
 let dbInstance = null;
+let dailyJobs = null;
+
+/**
+ * Daily HR jobs (started by the server on boot; safe to call more than once)
+ *   - 00:05 AM: apply job changes whose effective date has arrived
+ *   - 09:00 AM: remind managers and HR of probation reviews coming up
+ *   - 10:00 AM: remind approvers of stale requests, escalate or auto-approve overdue ones
+ *   - 11:55 PM: deactivate employees whose last working day is today (or was missed)
+ * @param {Db} db - MongoDB database instance
+ */
+function setupDailyJobs(db) {
+  dbInstance = db;
+
+  if (dailyJobs) {
+    return;
+  }
+
+  dailyJobs = [
+    cron.schedule('5 0 * * *', async () => {
+      console.log('\n🔄 Running scheduled job change processing...');
+      try {
+        const results = await processDueJobChanges(dbInstance);
+        console.log(`✅ Job change processing completed: ${results.applied.length} applied, ${results.failed.length} failed`);
+      } catch (error) {
+        console.error('❌ Job change processing failed:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: "Asia/Kolkata"  // Adjust to your timezone
+    }),
+
+    cron.schedule('0 9 * * *', async () => {
+      console.log('\n🔄 Running probation review reminders...');
+      try {
+        const results = await processProbationReminders(dbInstance);
+        console.log(`✅ Probation reminders completed: ${results.reminded.length} sent, ${results.errors.length} failed`);
+      } catch (error) {
+        console.error('❌ Probation reminders failed:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: "Asia/Kolkata"  // Adjust to your timezone
+    }),
+
+    cron.schedule('0 10 * * *', async () => {
+      console.log('\n🔄 Running approval reminders and escalations...');
+      try {
+        const results = await processApprovalEscalations(dbInstance);
+        console.log(`✅ Approval escalations completed: ${results.reminded.length} reminded, ${results.escalated.length} escalated, ${results.auto_approved.length} auto-approved, ${results.errors.length} failed`);
+      } catch (error) {
+        console.error('❌ Approval escalations failed:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: "Asia/Kolkata"  // Adjust to your timezone
+    }),
+
+    cron.schedule('55 23 * * *', async () => {
+      console.log('\n🔄 Running employee exit processing...');
+      try {
+        const results = await processDueExits(dbInstance);
+        console.log(`✅ Exit processing completed: ${results.deactivated.length} deactivated, ${results.errors.length} failed`);
+      } catch (error) {
+        console.error('❌ Exit processing failed:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: "Asia/Kolkata"  // Adjust to your timezone
+    })
+  ];
+
+  console.log('  ✅ Scheduled job changes: every day at 00:05 AM');
+  console.log('  ✅ Probation review reminders: every day at 09:00 AM');
+  console.log('  ✅ Approval reminders and escalations: every day at 10:00 AM');
+  console.log('  ✅ Employee exit processing: every day at 11:55 PM');
+}
 
 /**
  * Setup all cron jobs
@@ -50,6 +130,8 @@ function setupCronJobs(db) {
   console.log('     - January: Reset all leaves + credit CL=6, SL=0.5, EL=0');
   console.log('     - Other months: Credit SL+0.5, EL+1');
 
+  setupDailyJobs(db);
+
   console.log('📅 Cron jobs setup complete!\n');
 }
 
@@ -64,6 +146,7 @@ async function triggerMonthlyCredit(db, forDate = new Date()) {
 
 module.exports = {
   setupCronJobs,
+  setupDailyJobs,
   triggerMonthlyCredit,
   LEAVE_CREDIT_RULES
 };
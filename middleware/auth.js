@@ -1,12 +1,133 @@
 const jwt = require('jsonwebtoken');
 const { config } = require('../config/config');
 const { getDB } = require('../config/database');
+const { getSecuritySettings } = require('../services/securitySettingsService');
+const { PASSWORD_CHANGE_REASONS, getPasswordChangeReason } = require('../services/passwordService');
+const { getRolePermissions } = require('../services/roleService');
+const { authenticateApiKey } = require('../services/apiKeyService');
+const { IMPERSONATION_TOKEN_TYPE, resolveImpersonation, logImpersonatedRequest } = require('../services/impersonationService');
+const { Permission } = require('../models/permissions');
+const { EmployeeStatus } = require('../models/schemas');
+
+// Endpoints still reachable while a password change is pending
+const PASSWORD_CHANGE_ALLOWED_PATHS = [
+  '/api/auth/change-password',
+  '/api/auth/password-policy',
+  '/api/auth/logout',
+  '/api/auth/logout-all',
+  '/api/auth/me'
+];
+
+// Account endpoints (sessions, passwords, 2FA, security settings) need a human user
+const API_KEY_BLOCKED_PREFIX = '/api/auth';
+
+// Account endpoints reachable with an impersonation token (everything else under /api/auth is blocked)
+const IMPERSONATION_ALLOWED_AUTH_PATHS = [
+  '/api/auth/me',
+  '/api/auth/impersonation/end'
+];
+
+// Methods a read-only impersonation may use
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 /**
- * Middleware to verify JWT token and attach user to request
+ * Authenticate a request made with an impersonation token
+ * req.user is the target user, with the admin attached as req.user.impersonator
+ */
+const authenticateImpersonation = async (req, res, next, payload) => {
+  const db = getDB();
+  const requestPath = `${req.baseUrl}${req.path}`.replace(/\/$/, '');
+
+  const resolved = await resolveImpersonation(db, payload);
+  if (resolved.error) {
+    return res.status(401).json({
+      detail: resolved.error,
+      error_code: 'IMPERSONATION_ENDED'
+    });
+  }
+
+  const { impersonation, userDoc, impersonatorDoc } = resolved;
+
+  // The admin must still be allowed to impersonate
+  const impersonatorPermissions = await getRolePermissions(db, impersonatorDoc.role);
+  if (!impersonatorPermissions.includes(Permission.USER_IMPERSONATE)) {
+    return res.status(401).json({
+      detail: 'Impersonation is no longer permitted',
+      error_code: 'IMPERSONATION_ENDED'
+    });
+  }
+
+  // Log every impersonated request once the response is known (blocked attempts included)
+  res.on('finish', () => {
+    logImpersonatedRequest(db, impersonation, {
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ip: req.ip
+    }).catch(error => console.error('Impersonation log error:', error));
+  });
+
+  if (requestPath.startsWith('/api/auth') && !IMPERSONATION_ALLOWED_AUTH_PATHS.includes(requestPath)) {
+    return res.status(403).json({
+      detail: 'This endpoint cannot be used while impersonating',
+      error_code: 'IMPERSONATION_NOT_ALLOWED'
+    });
+  }
+
+  if (impersonation.read_only && !READ_ONLY_METHODS.includes(req.method)) {
+    return res.status(403).json({
+      detail: 'Impersonation session is read-only',
+      error_code: 'IMPERSONATION_READ_ONLY'
+    });
+  }
+
+  req.user = {
+    id: userDoc.id,
+    employee_id: userDoc.employee_id,
+    full_name: userDoc.full_name || userDoc.name,
+    email: userDoc.email,
+    role: userDoc.role,
+    permissions: await getRolePermissions(db, userDoc.role),
+    session_id: null,
+    password_change_required: false,
+    impersonation_id: impersonation.id,
+    impersonation_read_only: impersonation.read_only,
+    impersonator: {
+      id: impersonatorDoc.id,
+      email: impersonatorDoc.email,
+      full_name: impersonatorDoc.full_name || impersonatorDoc.name
+    }
+  };
+
+  next();
+};
+
+/**
+ * Middleware to verify JWT token (or X-API-Key header) and attach user to request
  */
 const authenticate = async (req, res, next) => {
   try {
+    // Service-to-service integrations authenticate with an API key instead of a JWT
+    const apiKeyHeader = req.headers['x-api-key'];
+    if (apiKeyHeader) {
+      if (`${req.baseUrl}${req.path}`.startsWith(API_KEY_BLOCKED_PREFIX)) {
+        return res.status(403).json({
+          detail: 'This endpoint cannot be used with an API key',
+          error_code: 'API_KEY_NOT_ALLOWED'
+        });
+      }
+
+      const result = await authenticateApiKey(getDB(), apiKeyHeader, req.ip);
+      if (result.error) {
+        return res.status(401).json({
+          detail: result.error,
+          error_code: 'INVALID_API_KEY'
+        });
+      }
+      req.user = result.user;
+      return next();
+    }
+
     const authHeader = req.headers.authorization;
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -28,14 +149,33 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // "View as employee" tokens minted by an admin
+    if (payload.type === IMPERSONATION_TOKEN_TYPE) {
+      return authenticateImpersonation(req, res, next, payload);
+    }
+
     const email = payload.sub;
-    if (!email) {
+    if (!email || !payload.sid) {
       return res.status(401).json({
         detail: 'Could not validate credentials'
       });
     }
 
     const db = getDB();
+
+    // Reject tokens whose session was revoked (logout, password change, role change...)
+    const session = await db.collection('sessions').findOne(
+      { id: payload.sid },
+      { projection: { _id: 0, user_email: 1, revoked_at: 1, auth_method: 1 } }
+    );
+
+    if (!session || session.revoked_at || session.user_email !== email) {
+      return res.status(401).json({
+        detail: 'Session has been revoked',
+        error_code: 'SESSION_REVOKED'
+      });
+    }
+
     const userDoc = await db.collection('users').findOne(
       { email },
       { projection: { _id: 0 } }
@@ -47,6 +187,43 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Former employees keep their records but not their access
+    if (userDoc.status === EmployeeStatus.INACTIVE) {
+      return res.status(401).json({
+        detail: 'Account is inactive',
+        error_code: 'ACCOUNT_INACTIVE'
+      });
+    }
+
+    // Reject tokens issued before the user's last password change
+    if (userDoc.password_updated_at) {
+      const passwordChangedAt = Math.floor(new Date(userDoc.password_updated_at).getTime() / 1000);
+      if (passwordChangedAt > payload.iat) {
+        return res.status(401).json({
+          detail: 'Password was changed. Please log in again.',
+          error_code: 'SESSION_REVOKED'
+        });
+      }
+    }
+
+    // Temporary or expired passwords must be changed before anything else
+    // (not for SSO sessions - the identity provider owns those credentials)
+    const { password_policy: passwordPolicy } = await getSecuritySettings(db);
+    const passwordChangeReason = session.auth_method === 'sso'
+      ? null
+      : getPasswordChangeReason(userDoc, passwordPolicy);
+    const requestPath = `${req.baseUrl}${req.path}`.replace(/\/$/, '');
+
+    if (passwordChangeReason && !PASSWORD_CHANGE_ALLOWED_PATHS.includes(requestPath)) {
+      return res.status(403).json({
+        detail: passwordChangeReason === PASSWORD_CHANGE_REASONS.EXPIRED
+          ? 'Your password has expired. Please change it to continue.'
+          : 'You must change your password before continuing.',
+        error_code: 'PASSWORD_CHANGE_REQUIRED',
+        reason: passwordChangeReason
+      });
+    }
+
     // Normalize datetime fields
     if (typeof userDoc.created_at === 'string') {
       userDoc.created_at = new Date(userDoc.created_at);
@@ -61,7 +238,10 @@ const authenticate = async (req, res, next) => {
       employee_id: userDoc.employee_id,
       full_name: userDoc.full_name || userDoc.name,
       email: userDoc.email,
-      role: userDoc.role
+      role: userDoc.role,
+      permissions: await getRolePermissions(db, userDoc.role),
+      session_id: payload.sid,
+      password_change_required: passwordChangeReason !== null
     };
 
     next();
@@ -126,10 +306,13 @@ const getCurrentEmployee = async (req, res, next) => {
 
 /**
  * Create JWT access token
+ * @param {string} email - User email (subject)
+ * @param {string} sessionId - Server-side session the token belongs to
  */
-const createAccessToken = (email) => {
+const createAccessToken = (email, sessionId) => {
   const payload = {
     sub: email,
+    sid: sessionId,
     iat: Math.floor(Date.now() / 1000)
   };
   
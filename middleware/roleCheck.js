@@ -32,6 +32,39 @@ const requireAdmin = requireRole([UserRole.ADMIN]);
  */
 const requireAdminOrManager = requireRole([UserRole.ADMIN, UserRole.MANAGER]);
 
+/**
+ * Check whether a user holds a permission
+ * @param {Object} user - req.user (permissions attached by authenticate)
+ * @param {string|string[]} permissions - Permission or list of permissions (any of them is enough)
+ */
+const hasPermission = (user, permissions) => {
+  const required = Array.isArray(permissions) ? permissions : [permissions];
+  const granted = (user && user.permissions) || [];
+  return required.some(permission => granted.includes(permission));
+};
+
+/**
+ * Middleware to check if user has a required permission
+ * @param {string|string[]} permissions - Permission or list of permissions (any of them is enough)
+ */
+const requirePermission = (permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        detail: 'Not authenticated'
+      });
+    }
+
+    if (!hasPermission(req.user, permissions)) {
+      return res.status(403).json({
+        detail: 'Not enough permissions'
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * Middleware to validate request body against Joi schema
  * @param {object} schema - Joi validation schema
@@ -64,5 +97,7 @@ module.exports = {
   requireRole,
   requireAdmin,
   requireAdminOrManager,
+  hasPermission,
+  requirePermission,
   validate
 };
@@ -0,0 +1,148 @@
+const { UserRole } = require('./schemas');
+
+// Permission keys (resource.action)
+const Permission = {
+  // Employees
+  EMPLOYEE_VIEW_ALL: 'employee.view_all',
+  EMPLOYEE_VIEW_TEAM: 'employee.view_team',
+  EMPLOYEE_CREATE: 'employee.create',
+  EMPLOYEE_UPDATE: 'employee.update',
+  EMPLOYEE_OFFBOARD: 'employee.offboard',
+  EMPLOYEE_ASSIGN_ROLE: 'employee.assign_role',
+  EMPLOYEE_INVITE: 'employee.invite',
+
+  // Leaves
+  LEAVE_VIEW_ALL: 'leave.view_all',
+  LEAVE_VIEW_TEAM: 'leave.view_team',
+  LEAVE_APPROVE: 'leave.approve',
+  LEAVE_FINAL_APPROVE: 'leave.final_approve',
+  LEAVE_MANAGE: 'leave.manage',
+  LEAVE_BALANCE_MANAGE: 'leave.balance_manage',
+  LEAVE_POLICY_MANAGE: 'leave.policy_manage',
+
+  // Attendance
+  ATTENDANCE_VIEW: 'attendance.view',
+  ATTENDANCE_MANAGE: 'attendance.manage',
+
+  // Comp-off
+  COMPOFF_REQUEST: 'compoff.request',
+  COMPOFF_APPROVE: 'compoff.approve',
+  COMPOFF_VIEW_ALL: 'compoff.view_all',
+  COMPOFF_GRANT: 'compoff.grant',
+
+  // Reimbursements
+  REIMBURSEMENT_APPLY: 'reimbursement.apply',
+  REIMBURSEMENT_VIEW_ALL: 'reimbursement.view_all',
+  REIMBURSEMENT_CLEAR: 'reimbursement.clear',
+
+  // Payroll
+  PAYROLL_VIEW: 'payroll.view',
+  PAYROLL_MANAGE: 'payroll.manage',
+
+  // Organization & settings
+  HOLIDAY_MANAGE: 'holiday.manage',
+  ORGANIZATION_MANAGE: 'organization.manage',
+  MASTER_DATA_MANAGE: 'master_data.manage',
+  CUSTOM_FIELD_MANAGE: 'custom_field.manage',
+  NOTIFICATION_SETTINGS_VIEW: 'notification.settings_view',
+  NOTIFICATION_SETTINGS_MANAGE: 'notification.settings_manage',
+  SETTINGS_MANAGE: 'settings.manage',
+
+  // Security
+  SECURITY_MANAGE: 'security.manage',
+  ROLE_MANAGE: 'role.manage',
+  API_KEY_MANAGE: 'api_key.manage',
+  USER_IMPERSONATE: 'user.impersonate'
+};
+
+// Human readable catalog returned by GET /api/roles/permissions
+const PERMISSION_CATALOG = {
+  [Permission.EMPLOYEE_VIEW_ALL]: 'View all employees',
+  [Permission.EMPLOYEE_VIEW_TEAM]: 'View own team (direct reports)',
+  [Permission.EMPLOYEE_CREATE]: 'Create employees',
+  [Permission.EMPLOYEE_UPDATE]: 'Edit any employee profile and documents',
+  [Permission.EMPLOYEE_OFFBOARD]: 'Offboard (deactivate) and rehire employees',
+  [Permission.EMPLOYEE_ASSIGN_ROLE]: 'Change the role of an employee',
+  [Permission.EMPLOYEE_INVITE]: 'Invite new users',
+
+  [Permission.LEAVE_VIEW_ALL]: 'View all leaves',
+  [Permission.LEAVE_VIEW_TEAM]: 'View leaves of own team',
+  [Permission.LEAVE_APPROVE]: 'Approve / reject leaves of direct reports (first level)',
+  [Permission.LEAVE_FINAL_APPROVE]: 'Give final approval / rejection on any leave',
+  [Permission.LEAVE_MANAGE]: 'Edit and delete any leave',
+  [Permission.LEAVE_BALANCE_MANAGE]: 'Adjust and recalculate leave balances, run leave credits',
+  [Permission.LEAVE_POLICY_MANAGE]: 'Configure the leave policy',
+
+  [Permission.ATTENDANCE_VIEW]: 'View attendance',
+  [Permission.ATTENDANCE_MANAGE]: 'Mark and clear attendance',
+
+  [Permission.COMPOFF_REQUEST]: 'Request comp-off',
+  [Permission.COMPOFF_APPROVE]: 'Approve / reject comp-off requests of own team',
+  [Permission.COMPOFF_VIEW_ALL]: 'View and act on all comp-off requests',
+  [Permission.COMPOFF_GRANT]: 'Grant comp-off directly',
+
+  [Permission.REIMBURSEMENT_APPLY]: 'Apply for reimbursements',
+  [Permission.REIMBURSEMENT_VIEW_ALL]: 'View all reimbursements',
+  [Permission.REIMBURSEMENT_CLEAR]: 'Approve, reject and clear reimbursements',
+
+  [Permission.PAYROLL_VIEW]: 'View salary structures and payroll reports',
+  [Permission.PAYROLL_MANAGE]: 'Manage salary templates, structures and salary slips',
+
+  [Permission.HOLIDAY_MANAGE]: 'Manage holidays',
+  [Permission.ORGANIZATION_MANAGE]: 'Manage organizations',
+  [Permission.MASTER_DATA_MANAGE]: 'Manage departments and designations',
+  [Permission.CUSTOM_FIELD_MANAGE]: 'Define custom employee profile fields',
+  [Permission.NOTIFICATION_SETTINGS_VIEW]: 'View notification settings',
+  [Permission.NOTIFICATION_SETTINGS_MANAGE]: 'Manage notification settings',
+  [Permission.SETTINGS_MANAGE]: 'Manage system settings (employee ID format...)',
+
+  [Permission.SECURITY_MANAGE]: 'Manage security settings, lockouts and 2FA resets',
+  [Permission.ROLE_MANAGE]: 'Create and edit roles',
+  [Permission.API_KEY_MANAGE]: 'Create and revoke API keys',
+  [Permission.USER_IMPERSONATE]: 'View the system as another user (audited)'
+};
+
+const ALL_PERMISSIONS = Object.values(Permission);
+
+// Built-in roles - the original fixed roles, kept as read-only role definitions
+const BUILT_IN_ROLES = {
+  [UserRole.ADMIN]: {
+    key: UserRole.ADMIN,
+    name: 'Admin',
+    description: 'Full access to everything',
+    permissions: ALL_PERMISSIONS
+  },
+  [UserRole.MANAGER]: {
+    key: UserRole.MANAGER,
+    name: 'Manager',
+    description: 'Manages a team: approves leaves and comp-off of direct reports',
+    permissions: [
+      Permission.EMPLOYEE_VIEW_TEAM,
+      Permission.LEAVE_VIEW_TEAM,
+      Permission.LEAVE_APPROVE,
+      Permission.ATTENDANCE_VIEW,
+      Permission.COMPOFF_REQUEST,
+      Permission.COMPOFF_APPROVE,
+      Permission.COMPOFF_GRANT,
+      Permission.REIMBURSEMENT_APPLY,
+      Permission.PAYROLL_VIEW,
+      Permission.NOTIFICATION_SETTINGS_VIEW
+    ]
+  },
+  [UserRole.EMPLOYEE]: {
+    key: UserRole.EMPLOYEE,
+    name: 'Employee',
+    description: 'Self-service access',
+    permissions: [
+      Permission.COMPOFF_REQUEST,
+      Permission.REIMBURSEMENT_APPLY
+    ]
+  }
+};
+
+module.exports = {
+  Permission,
+  PERMISSION_CATALOG,
+  ALL_PERMISSIONS,
+  BUILT_IN_ROLES
+};
@@ -7,11 +7,122 @@ const UserRole = {
   EMPLOYEE: 'employee'
 };
 
+// Employment status of an employee / user account (missing = active)
+const EmployeeStatus = {
+  ACTIVE: 'active',
+  INACTIVE: 'inactive'
+};
+
+const ExitStatus = {
+  INITIATED: 'initiated',   // Serving notice
+  COMPLETED: 'completed',   // Last working day passed - account inactive
+  CANCELLED: 'cancelled'    // Resignation withdrawn
+};
+
+const ExitType = {
+  RESIGNATION: 'resignation',
+  TERMINATION: 'termination',
+  RETIREMENT: 'retirement',
+  CONTRACT_END: 'contract_end',
+  OTHER: 'other'
+};
+
+// Employment history (job and compensation changes)
+const JobChangeType = {
+  PROMOTION: 'promotion',
+  TRANSFER: 'transfer',
+  PAY_REVISION: 'pay_revision',
+  MANAGER_CHANGE: 'manager_change',
+  REORGANIZATION: 'reorganization',
+  CORRECTION: 'correction',
+  UPDATE: 'update',         // Edited directly on the employee record
+  OTHER: 'other'
+};
+
+const JobChangeStatus = {
+  SCHEDULED: 'scheduled',   // Future effective date
+  APPLIED: 'applied',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'          // Could not be applied on the effective date (e.g. manager left)
+};
+
+const CustomFieldType = {
+  TEXT: 'text',
+  NUMBER: 'number',
+  DATE: 'date',
+  ENUM: 'enum',
+  FILE: 'file'              // Uploaded through /api/uploads
+};
+
+// Who can see / edit a custom field - each level includes the ones above it
+const CustomFieldAccess = {
+  SELF: 'self',             // The employee, their managers and HR
+  MANAGER: 'manager',       // Managers above the employee and HR
+  ADMIN: 'admin'            // HR only (employee.update)
+};
+
+// Probation after joining - confirmed, extended or ended by the review
+const ProbationStatus = {
+  ON_PROBATION: 'on_probation',
+  EXTENDED: 'extended',     // Review extended the period
+  CONFIRMED: 'confirmed',
+  TERMINATED: 'terminated'  // Not confirmed - an exit was started
+};
+
+const ProbationAction = {
+  CONFIRM: 'confirm',
+  EXTEND: 'extend',
+  TERMINATE: 'terminate'
+};
+
 const LeaveStatus = {
   PENDING: 'pending',
   MANAGER_APPROVED: 'manager_approved',
   APPROVED: 'approved',
-  REJECTED: 'rejected'
+  REJECTED: 'rejected',
+  WITHDRAWN: 'withdrawn',   // Taken back by the employee before final approval
+  CANCELLED: 'cancelled'    // Every date cancelled after approval
+};
+
+// Employee requests to cancel (some dates of) an approved leave
+const LeaveCancellationStatus = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  RETRACTED: 'retracted'
+};
+
+// Who approves a step of a leave approval chain
+const LeaveApproverType = {
+  REPORTING_MANAGER: 'reporting_manager',
+  DEPARTMENT_HEAD: 'department_head',
+  ROLE: 'role',                       // Every active employee with the role
+  USERS: 'users',                     // Named employees
+  FINAL_APPROVER: 'final_approver'    // Anyone with leave.final_approve (HR)
+};
+
+// Whether one approver finishes a step or every approver must approve
+const ApprovalMode = {
+  ANY: 'any',
+  ALL: 'all'
+};
+
+const ApprovalStepStatus = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  SKIPPED: 'skipped'      // Nobody to ask, e.g. no department head
+};
+
+// Which queues an approval delegation covers
+const DelegationScope = {
+  LEAVE: 'leave',
+  COMP_OFF: 'comp_off'
+};
+
+const DelegationSource = {
+  MANUAL: 'manual',
+  LEAVE: 'leave'          // Created when the delegator's own leave was approved
 };
 
 const LeaveType = {
@@ -55,6 +166,58 @@ const ReimbursementCategory = {
   OTHER: 'Other'
 };
 
+const ProfileChangeStatus = {
+  PENDING: 'pending',
+  APPROVED: 'approved',     // Written to the employee record
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled'    // Withdrawn by the employee
+};
+
+// Personal details (shared by HR edits and self-service change requests)
+const addressSchema = Joi.object({
+  line1: Joi.string().trim().max(200).required(),
+  line2: Joi.string().trim().max(200).allow(null, ''),
+  city: Joi.string().trim().max(100).required(),
+  state: Joi.string().trim().max(100).allow(null, ''),
+  postal_code: Joi.string().trim().max(20).required(),
+  country: Joi.string().trim().max(100).required()
+});
+
+const bankDetailsSchema = Joi.object({
+  account_holder_name: Joi.string().trim().max(100).required(),
+  bank_name: Joi.string().trim().max(100).required(),
+  account_number: Joi.string().trim().pattern(/^[0-9A-Za-z]{6,34}$/).required(),
+  ifsc_code: Joi.string().trim().uppercase().max(20).allow(null, ''),
+  branch: Joi.string().trim().max(100).allow(null, '')
+});
+
+const emergencyContactsSchema = Joi.array().items(Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  relationship: Joi.string().trim().max(50).required(),
+  phone: Joi.string().trim().max(20).required(),
+  email: Joi.string().email().allow(null, '')
+})).max(3);
+
+// One step of a leave approval chain
+const leaveApprovalStepSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  approver_type: Joi.string().valid(...Object.values(LeaveApproverType)).required(),
+  role: Joi.string().trim()
+    .when('approver_type', { is: LeaveApproverType.ROLE, then: Joi.required(), otherwise: Joi.forbidden() }),
+  emails: Joi.array().items(Joi.string().email().lowercase()).min(1).unique()
+    .when('approver_type', { is: LeaveApproverType.USERS, then: Joi.required(), otherwise: Joi.forbidden() }),
+  mode: Joi.string().valid(...Object.values(ApprovalMode)).default(ApprovalMode.ANY)
+    .when('approver_type', { is: LeaveApproverType.FINAL_APPROVER, then: Joi.invalid(ApprovalMode.ALL) })
+});
+
+// Reminder / escalation thresholds for one request type (days pending at the current approver)
+const approvalEscalationRuleSchema = Joi.object({
+  enabled: Joi.boolean(),
+  reminder_days: Joi.number().integer().min(1).max(90).allow(null),      // null = no reminders
+  escalation_days: Joi.number().integer().min(1).max(180).allow(null),   // null = never escalate
+  escalate_to_email: Joi.string().email().allow(null)                    // Top of the line (default: admin)
+});
+
 // Validation Schemas
 const schemas = {
   // Auth
@@ -62,7 +225,7 @@ const schemas = {
     email: Joi.string().email().required(),
     password: Joi.string().min(6).required(),
     full_name: Joi.string().required(),
-    role: Joi.string().valid(...Object.values(UserRole)).required(),
+    role: Joi.string().valid(...Object.values(UserRole)),  // Ignored - self-registered accounts are always employees
     department: Joi.string().required(),
     designation: Joi.string().required(),
     phone: Joi.string().allow(null, ''),
@@ -75,18 +238,127 @@ const schemas = {
     password: Joi.string().required()
   }),
 
+  refreshToken: Joi.object({
+    refresh_token: Joi.string().required()
+  }),
+
+  loginUnlock: Joi.object({
+    email: Joi.string().email(),
+    ip_address: Joi.string()
+  }).or('email', 'ip_address'),
+
+  // Two-factor authentication
+  twoFactorChallenge: Joi.object({
+    challenge_token: Joi.string().required()
+  }),
+
+  twoFactorLogin: Joi.object({
+    challenge_token: Joi.string().required(),
+    code: Joi.string().trim(),
+    recovery_code: Joi.string().trim()
+  }).xor('code', 'recovery_code'),
+
+  twoFactorCode: Joi.object({
+    code: Joi.string().trim().required()
+  }),
+
+  twoFactorDisable: Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string().trim(),
+    recovery_code: Joi.string().trim()
+  }).xor('code', 'recovery_code'),
+
+  changePassword: Joi.object({
+    current_password: Joi.string().required(),
+    new_password: Joi.string().max(128).required()
+  }),
+
+  securitySettingsUpdate: Joi.object({
+    self_registration_enabled: Joi.boolean(),
+    two_factor_required_roles: Joi.array().items(Joi.string().trim()).unique(),
+    new_device_login_alerts: Joi.boolean(),
+    password_policy: Joi.object({
+      min_length: Joi.number().integer().min(6).max(128),
+      require_uppercase: Joi.boolean(),
+      require_lowercase: Joi.boolean(),
+      require_number: Joi.boolean(),
+      require_symbol: Joi.boolean(),
+      disallow_personal_info: Joi.boolean(),
+      banned_passwords: Joi.array().items(Joi.string().trim().min(1)).unique(),
+      history_count: Joi.number().integer().min(0).max(24),
+      max_age_days: Joi.number().integer().min(0)
+    }).min(1)
+  }).min(1),
+
+  // Single sign-on (OIDC)
+  ssoSettingsUpdate: Joi.object({
+    enabled: Joi.boolean(),
+    provider_name: Joi.string().trim().max(50),
+    issuer: Joi.string().uri({ scheme: ['http', 'https'] }).allow(''),
+    client_id: Joi.string().trim().allow(''),
+    client_secret: Joi.string().allow(''),
+    redirect_uri: Joi.string().uri({ scheme: ['http', 'https'] }).allow(''),
+    scopes: Joi.string().trim().pattern(/(^|\s)openid(\s|$)/).message('scopes must include openid'),
+    allowed_domains: Joi.array().items(Joi.string().trim().lowercase().domain()).unique(),
+    trust_missing_email_verified: Joi.boolean(),
+    password_login_enabled: Joi.boolean()
+  }).min(1),
+
+  ssoCallback: Joi.object({
+    code: Joi.string().required(),
+    state: Joi.string().required()
+  }),
+
+  // Impersonation (duration is capped by config.impersonation.maxMinutes in the route)
+  impersonationStart: Joi.object({
+    user_id: Joi.string().required(),  // User id, employee ID or email
+    reason: Joi.string().trim().min(5).max(500).required(),
+    duration_minutes: Joi.number().integer().min(1),
+    read_only: Joi.boolean().default(true)
+  }),
+
+  // API keys (permission keys and allowlist entries are checked in routes/apiKeys.js)
+  apiKeyCreate: Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    description: Joi.string().allow(null, ''),
+    permissions: Joi.array().items(Joi.string()).unique().min(1).required(),
+    expires_at: Joi.date().greater('now').required(),
+    ip_allowlist: Joi.array().items(Joi.string().trim()).unique().default([])
+  }),
+
+  // Invitations
+  invitationCreate: Joi.object({
+    email: Joi.string().email().lowercase().required(),
+    full_name: Joi.string().required(),
+    role: Joi.string().trim().required(),  // Built-in or custom role key
+    department: Joi.string().required(),
+    designation: Joi.string().required(),
+    phone: Joi.string().allow(null, ''),
+    organization_id: Joi.string().allow(null, ''),
+    manager_email: Joi.string().email().allow(null, ''),
+    joining_date: Joi.date().allow(null)
+  }),
+
+  invitationAccept: Joi.object({
+    token: Joi.string().required(),
+    password: Joi.string().max(128).required(),
+    phone: Joi.string().allow(null, '')
+  }),
+
   // Employee
   employeeCreate: Joi.object({
     email: Joi.string().email().required(),
     password: Joi.string().min(6).required(),
     full_name: Joi.string().required(),
-    role: Joi.string().valid(...Object.values(UserRole)).required(),
+    role: Joi.string().trim().required(),  // Built-in or custom role key
     department: Joi.string().required(),
     designation: Joi.string().required(),
     phone: Joi.string().allow(null, ''),
     organization_id: Joi.string().allow(null, ''),
     joining_date: Joi.date().default(() => new Date()),
     manager_email: Joi.string().email().allow(null, ''),
+    probation_months: Joi.number().integer().min(0).max(24).allow(null),  // Defaults to the designation / company setting, 0 = none
+    custom_fields: Joi.object().pattern(Joi.string(), Joi.any()),  // Checked against the field definitions
     leave_balance: Joi.object({
       sick_leave: Joi.number().default(0),
       casual_leave: Joi.number().default(6),
@@ -104,13 +376,86 @@ const schemas = {
     monthly_salary: Joi.number().allow(null, ''),
     organization_id: Joi.string().allow(null, ''),
     manager_email: Joi.string().email().allow(null, ''),
-    joining_date: Joi.date().allow(null)  // Added joining_date to update schema
+    joining_date: Joi.date().allow(null),  // Added joining_date to update schema
+    custom_fields: Joi.object().pattern(Joi.string(), Joi.any()),  // Checked against the field definitions
+    address: addressSchema.allow(null),                  // Personal details - employees use change requests
+    bank_details: bankDetailsSchema.allow(null),
+    emergency_contacts: emergencyContactsSchema,
+    change_reason: Joi.string().max(500).allow(null, '')  // Recorded in the employment history
+  }),
+
+  // Employment history
+  jobChange: Joi.object({
+    change_type: Joi.string().valid(...Object.values(JobChangeType)).required(),
+    effective_date: Joi.date().required(),  // Today or earlier applies now, later is scheduled
+    reason: Joi.string().max(500).required(),
+    department: Joi.string(),
+    designation: Joi.string(),
+    manager_email: Joi.string().email().allow(null, ''),
+    organization_id: Joi.string().allow(null, ''),
+    monthly_salary: Joi.number().min(0).allow(null)
+  }).or('department', 'designation', 'manager_email', 'organization_id', 'monthly_salary'),
+
+  // Offboarding
+  exitInitiate: Joi.object({
+    exit_type: Joi.string().valid(...Object.values(ExitType)).default(ExitType.RESIGNATION),
+    resignation_date: Joi.date().required(),
+    notice_period_days: Joi.number().integer().min(0).max(365).default(30),
+    last_working_day: Joi.date().min(Joi.ref('resignation_date')),  // Defaults to resignation date + notice period
+    reason: Joi.string().allow(null, ''),
+    checklist: Joi.array().items(Joi.string().trim().min(1)).unique()  // Defaults to the standard checklist
+  }),
+
+  exitUpdate: Joi.object({
+    exit_type: Joi.string().valid(...Object.values(ExitType)),
+    resignation_date: Joi.date(),
+    notice_period_days: Joi.number().integer().min(0).max(365),
+    last_working_day: Joi.date(),
+    reason: Joi.string().allow(null, '')
+  }).min(1),
+
+  exitChecklistItemAdd: Joi.object({
+    item: Joi.string().trim().min(1).required()
+  }),
+
+  exitChecklistItemUpdate: Joi.object({
+    completed: Joi.boolean().required(),
+    notes: Joi.string().allow(null, '')
+  }),
+
+  exitComplete: Joi.object({
+    reason: Joi.string().allow(null, '')
+  }),
+
+  employeeRehire: Joi.object({
+    joining_date: Joi.date().required(),
+    department: Joi.string(),
+    designation: Joi.string(),
+    role: Joi.string().trim(),
+    manager_email: Joi.string().email().allow(null, ''),
+    organization_id: Joi.string().allow(null, ''),
+    probation_months: Joi.number().integer().min(0).max(24).allow(null),  // Defaults to the designation / company setting
+    password: Joi.string().max(128)  // Temporary password - changed at first login
   }),
 
   roleUpdate: Joi.object({
-    role: Joi.string().valid(...Object.values(UserRole)).required()
+    role: Joi.string().trim().required()  // Built-in or custom role key
   }),
 
+  // Custom roles (permission keys are checked against the catalog in routes/roles.js)
+  roleDefinitionCreate: Joi.object({
+    name: Joi.string().trim().max(50).required(),
+    key: Joi.string().trim().lowercase().pattern(/^[a-z0-9_]+$/).max(50),
+    description: Joi.string().allow(null, ''),
+    permissions: Joi.array().items(Joi.string()).unique().min(1).required()
+  }),
+
+  roleDefinitionUpdate: Joi.object({
+    name: Joi.string().trim().max(50),
+    description: Joi.string().allow(null, ''),
+    permissions: Joi.array().items(Joi.string()).unique().min(1)
+  }).min(1),
+
   leaveBalanceUpdate: Joi.object({
     leave_type: Joi.string().required(),
     reason: Joi.string().required(),
@@ -132,6 +477,75 @@ const schemas = {
     comments: Joi.string().allow(null, '')
   }),
 
+  leaveWithdraw: Joi.object({
+    reason: Joi.string().allow(null, '')
+  }),
+
+  // Omitting dates cancels the whole leave
+  leaveCancellationRequest: Joi.object({
+    dates: Joi.array().items(Joi.date()).min(1).unique(),
+    reason: Joi.string().required()
+  }),
+
+  // Approval chains - the first active chain (lowest priority) matching the leave is used
+  leaveApprovalChainCreate: Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    description: Joi.string().allow(null, ''),
+    priority: Joi.number().integer().min(0).default(100),
+    leave_types: Joi.array().items(Joi.string().trim()).unique().default([]),        // Empty = any
+    organization_ids: Joi.array().items(Joi.string()).unique().default([]),          // Empty = any
+    min_days: Joi.number().min(0).allow(null).default(null),                         // Inclusive
+    max_days: Joi.number().min(0).allow(null).default(null),                         // Inclusive
+    steps: Joi.array().items(leaveApprovalStepSchema).min(1).max(10).required(),
+    is_active: Joi.boolean().default(true)
+  }),
+
+  leaveApprovalChainUpdate: Joi.object({
+    name: Joi.string().trim().max(100),
+    description: Joi.string().allow(null, ''),
+    priority: Joi.number().integer().min(0),
+    leave_types: Joi.array().items(Joi.string().trim()).unique(),
+    organization_ids: Joi.array().items(Joi.string()).unique(),
+    min_days: Joi.number().min(0).allow(null),
+    max_days: Joi.number().min(0).allow(null),
+    steps: Joi.array().items(leaveApprovalStepSchema).min(1).max(10),
+    is_active: Joi.boolean()
+  }).min(1),
+
+  // Approval delegation - the delegate acts on the delegator's queue between the dates (inclusive)
+  approvalDelegationCreate: Joi.object({
+    delegator_email: Joi.string().email(),                // Admins only - defaults to the current user
+    delegate_email: Joi.string().email().required(),
+    start_date: Joi.date().required(),
+    end_date: Joi.date().min(Joi.ref('start_date')).required(),
+    scopes: Joi.array().items(Joi.string().valid(...Object.values(DelegationScope))).min(1).unique(),  // Default: all the delegator approves
+    reason: Joi.string().allow(null, '')
+  }),
+
+  // Delegate used automatically while the user is on approved leave (null = their manager)
+  approvalDefaultDelegate: Joi.object({
+    delegate_email: Joi.string().email().allow(null).required()
+  }),
+
+  approvalReassign: Joi.object({
+    from_email: Joi.string().email().required(),
+    to_email: Joi.string().email().required()
+  }),
+
+  // Self-service profile change requests (reviewed by HR)
+  profileChangeRequest: Joi.object({
+    phone: Joi.string().trim().max(20),
+    address: addressSchema,
+    bank_details: bankDetailsSchema,
+    emergency_contacts: emergencyContactsSchema,
+    reason: Joi.string().max(500).allow(null, '')
+  }).or('phone', 'address', 'bank_details', 'emergency_contacts'),
+
+  profileChangeReview: Joi.object({
+    action: Joi.string().valid('approve', 'reject').required(),
+    comments: Joi.string().max(500).allow(null, '')
+  }),
+
   leaveEdit: Joi.object({
     leave_type: Joi.string(),
     dates: Joi.array().items(Joi.date()).min(1).unique(),
@@ -154,6 +568,116 @@ const schemas = {
     description: Joi.string().allow(null, '')
   }),
 
+  // Departments & designations (master data)
+  departmentCreate: Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    code: Joi.string().trim().uppercase().max(20).allow(null, ''),
+    organization_id: Joi.string().allow(null, ''),  // Empty = shared by all organizations
+    parent_id: Joi.string().allow(null, ''),
+    head_email: Joi.string().email().allow(null, ''),
+    description: Joi.string().allow(null, '')
+  }),
+
+  departmentUpdate: Joi.object({
+    name: Joi.string().trim().max(100),
+    code: Joi.string().trim().uppercase().max(20).allow(null, ''),
+    parent_id: Joi.string().allow(null, ''),
+    head_email: Joi.string().email().allow(null, ''),
+    description: Joi.string().allow(null, ''),
+    is_active: Joi.boolean()
+  }).min(1),
+
+  designationCreate: Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    code: Joi.string().trim().uppercase().max(20).allow(null, ''),
+    organization_id: Joi.string().allow(null, ''),  // Empty = shared by all organizations
+    grade: Joi.string().trim().max(20).allow(null, ''),
+    level: Joi.number().integer().min(0).max(100).allow(null),
+    probation_months: Joi.number().integer().min(0).max(24).allow(null),  // Overrides the company default
+    description: Joi.string().allow(null, '')
+  }),
+
+  designationUpdate: Joi.object({
+    name: Joi.string().trim().max(100),
+    code: Joi.string().trim().uppercase().max(20).allow(null, ''),
+    grade: Joi.string().trim().max(20).allow(null, ''),
+    level: Joi.number().integer().min(0).max(100).allow(null),
+    probation_months: Joi.number().integer().min(0).max(24).allow(null),  // Overrides the company default
+    description: Joi.string().allow(null, ''),
+    is_active: Joi.boolean()
+  }).min(1),
+
+  // Probation
+  // Reminders and escalation of stale requests, per request type
+  approvalEscalationSettings: Joi.object({
+    leave: approvalEscalationRuleSchema.keys({
+      auto_approve_days: Joi.number().integer().min(1).max(365).allow(null),        // Days after applying
+      auto_approve_leave_types: Joi.array().items(Joi.string().trim()).unique()
+    }),
+    comp_off: approvalEscalationRuleSchema,
+    reimbursement: approvalEscalationRuleSchema
+  }).min(1),
+
+  probationSettings: Joi.object({
+    default_months: Joi.number().integer().min(0).max(24).required(),
+    reminder_days: Joi.array().items(Joi.number().integer().min(1).max(90)).unique().default([14, 7, 1])
+  }),
+
+  probationUpdate: Joi.object({
+    months: Joi.number().integer().min(0).max(24).required(),  // 0 = no probation
+    start_date: Joi.date()                                     // Defaults to the joining date
+  }),
+
+  probationReview: Joi.object({
+    action: Joi.string().valid(...Object.values(ProbationAction)).required(),
+    rating: Joi.number().integer().min(1).max(5).required(),
+    strengths: Joi.string().allow(null, ''),
+    improvement_areas: Joi.string().allow(null, ''),
+    comments: Joi.string().trim().min(1).required(),
+    extension_months: Joi.number().integer().min(1).max(12).when('action', {
+      is: ProbationAction.EXTEND,
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    last_working_day: Joi.date().when('action', {  // Termination only, defaults to today
+      is: ProbationAction.TERMINATE,
+      otherwise: Joi.forbidden()
+    })
+  }),
+
+  // Custom profile fields
+  customFieldCreate: Joi.object({
+    key: Joi.string().trim().lowercase().pattern(/^[a-z][a-z0-9_]*$/).max(50).required(),
+    label: Joi.string().trim().max(100).required(),
+    type: Joi.string().valid(...Object.values(CustomFieldType)).required(),
+    options: Joi.array().items(Joi.string().trim().min(1)).unique().min(1)
+      .when('type', { is: CustomFieldType.ENUM, then: Joi.required(), otherwise: Joi.forbidden() }),
+    required: Joi.boolean().default(false),
+    visibility: Joi.string().valid(...Object.values(CustomFieldAccess)).default(CustomFieldAccess.SELF),
+    editable_by: Joi.string().valid(...Object.values(CustomFieldAccess)).default(CustomFieldAccess.ADMIN),
+    description: Joi.string().allow(null, ''),
+    order: Joi.number().integer().min(0).default(0)
+  }),
+
+  customFieldUpdate: Joi.object({
+    label: Joi.string().trim().max(100),
+    options: Joi.array().items(Joi.string().trim().min(1)).unique().min(1),
+    required: Joi.boolean(),
+    visibility: Joi.string().valid(...Object.values(CustomFieldAccess)),
+    editable_by: Joi.string().valid(...Object.values(CustomFieldAccess)),
+    description: Joi.string().allow(null, ''),
+    order: Joi.number().integer().min(0),
+    is_active: Joi.boolean()
+  }).min(1),
+
+  // Maps are { "existing free text": "department / designation id, name or code" }
+  masterDataMigrate: Joi.object({
+    dry_run: Joi.boolean().default(true),
+    create_missing: Joi.boolean().default(true),
+    department_map: Joi.object().pattern(Joi.string(), Joi.string()).default({}),
+    designation_map: Joi.object().pattern(Joi.string(), Joi.string()).default({})
+  }),
+
   // Leave Policy - Updated with new fields
   leavePolicyItem: Joi.object({
     leave_type: Joi.string().required(),
@@ -166,7 +690,9 @@ const schemas = {
     carry_forward_allowed: Joi.boolean().default(false),
     max_carry_forward_days: Joi.number().min(0).default(0),
     clubbing_allowed_with: Joi.array().items(Joi.string()).default([]), // Leave types allowed to club with
-    clubbing_not_allowed_with: Joi.array().items(Joi.string()).default([]) // Leave types NOT allowed to club with
+    clubbing_not_allowed_with: Joi.array().items(Joi.string()).default([]), // Leave types NOT allowed to club with
+    allowed_during_probation: Joi.boolean().default(true), // false = cannot be taken before confirmation
+    sandwich_rule: Joi.boolean().default(false) // true = offs/holidays between leave days are charged
   }),
 
   leavePolicy: Joi.object({
@@ -181,8 +707,11 @@ const schemas = {
       carry_forward_allowed: Joi.boolean().default(false),
       max_carry_forward_days: Joi.number().min(0).default(0),
       clubbing_allowed_with: Joi.array().items(Joi.string()).default([]),
-      clubbing_not_allowed_with: Joi.array().items(Joi.string()).default([])
+      clubbing_not_allowed_with: Joi.array().items(Joi.string()).default([]),
+      allowed_during_probation: Joi.boolean().default(true),
+      sandwich_rule: Joi.boolean().default(false)
     })).required(),
+    weekly_offs: Joi.array().items(Joi.number().integer().min(0).max(6)).max(6).unique().default([0]), // 0 = Sunday
     // Global clubbing rules
     clubbing_rules: Joi.array().items(Joi.object({
       leave_type_1: Joi.string().required(),
@@ -259,9 +788,14 @@ const schemas = {
 
   // Employee ID Settings
   employeeIdSettings: Joi.object({
-    prefix: Joi.string().default('EMP'),
-    counter: Joi.number().default(1000)
-  }),
+    prefix: Joi.string().trim().pattern(/^[A-Za-z0-9\-_/.]+$/).max(20),
+    format: Joi.string().trim().max(50),  // e.g. {PREFIX}{SEQ:4} or {ORG}-{YYYY}-{SEQ:5}
+    organization_prefixes: Joi.object().pattern(
+      Joi.string(),
+      Joi.string().trim().pattern(/^[A-Za-z0-9\-_/.]+$/).max(20).allow(null, '')  // Empty removes the organization's prefix
+    ),
+    counter: Joi.number().integer().min(0)  // Last issued number of the company-wide sequence
+  }).min(1),
 
   // Payroll
   sendSalarySlip: Joi.object({
@@ -411,7 +945,9 @@ const defaultLeavePolicy = {
       carry_forward_allowed: true,
       max_carry_forward_days: 30,
       clubbing_allowed_with: ['Sick Leave', 'Earned Leave'],
-      clubbing_not_allowed_with: []
+      clubbing_not_allowed_with: [],
+      allowed_during_probation: true,
+      sandwich_rule: false
     },
     {
       leave_type: 'Sick Leave',
@@ -424,7 +960,9 @@ const defaultLeavePolicy = {
       carry_forward_allowed: false,
       max_carry_forward_days: 0,
       clubbing_allowed_with: ['Earned Leave', 'Sick Leave'],
-      clubbing_not_allowed_with: ['Casual Leave']
+      clubbing_not_allowed_with: ['Casual Leave'],
+      allowed_during_probation: true,
+      sandwich_rule: false
     },
     {
       leave_type: 'Casual Leave',
@@ -437,7 +975,9 @@ const defaultLeavePolicy = {
       carry_forward_allowed: false,
       max_carry_forward_days: 0,
       clubbing_allowed_with: ['Casual Leave', 'Earned Leave'],
-      clubbing_not_allowed_with: ['Sick Leave']
+      clubbing_not_allowed_with: ['Sick Leave'],
+      allowed_during_probation: true,
+      sandwich_rule: false
     },
     {
       leave_type: 'Unpaid Leave',
@@ -450,9 +990,13 @@ const defaultLeavePolicy = {
       carry_forward_allowed: false,
       max_carry_forward_days: 0,
       clubbing_allowed_with: [],
-      clubbing_not_allowed_with: []
+      clubbing_not_allowed_with: [],
+      allowed_during_probation: true,
+      sandwich_rule: false
     }
   ],
+  // Days of the week not charged as leave (0 = Sunday)
+  weekly_offs: [0],
   // Global clubbing rules for easy reference
   clubbing_rules: [
     { leave_type_1: 'Sick Leave', leave_type_2: 'Earned Leave', allowed: true },
@@ -466,7 +1010,23 @@ const defaultLeavePolicy = {
 module.exports = {
   schemas,
   UserRole,
+  EmployeeStatus,
+  ExitStatus,
+  ExitType,
+  JobChangeType,
+  JobChangeStatus,
+  CustomFieldType,
+  CustomFieldAccess,
+  ProfileChangeStatus,
+  ProbationStatus,
+  ProbationAction,
   LeaveStatus,
+  LeaveCancellationStatus,
+  LeaveApproverType,
+  ApprovalMode,
+  ApprovalStepStatus,
+  DelegationScope,
+  DelegationSource,
   LeaveType,
   CreditType,
   AttendanceStatus,
@@ -3,8 +3,8 @@ const router = express.Router();
 const multer = require('multer');
 const { getDB } = require('../config/database');
 const { authenticate } = require('../middleware/auth');
-const { requireRole } = require('../middleware/roleCheck');
-const { UserRole } = require('../models/schemas');
+const { hasPermission, requirePermission } = require('../middleware/roleCheck');
+const { Permission } = require('../models/permissions');
 const { generateUUID, toISOString } = require('../utils/helpers');
 const { sendEmailNotification } = require('../services/emailService');
 const { uploadFile, deleteFile, extractKeyFromUrl } = require('../services/s3Service');
@@ -29,7 +29,7 @@ const upload = multer({
  * POST /api/reimbursements/apply
  * Apply for reimbursement (employee/manager)
  */
-router.post('/apply', authenticate, requireRole([UserRole.EMPLOYEE, UserRole.MANAGER]), upload.single('bill_image'), async (req, res) => {
+router.post('/apply', authenticate, requirePermission(Permission.REIMBURSEMENT_APPLY), upload.single('bill_image'), async (req, res) => {
   try {
     const db = getDB();
     const { title, category, amount, description, expense_date } = req.body;
@@ -133,13 +133,13 @@ router.put('/:id', authenticate, upload.single('bill_image'), async (req, res) =
       return res.status(404).json({ detail: 'Reimbursement not found' });
     }
 
-    // Check permission - only owner can edit, admin can edit any
-    if (req.user.role !== UserRole.ADMIN && reimbursement.employee_email !== req.user.email) {
+    // Check permission - only owner can edit, reimbursement clearers can edit any
+    if (!hasPermission(req.user, Permission.REIMBURSEMENT_CLEAR) && reimbursement.employee_email !== req.user.email) {
       return res.status(403).json({ detail: 'Not authorized to edit this reimbursement' });
     }
 
-    // Can only edit pending reimbursements (unless admin)
-    if (req.user.role !== UserRole.ADMIN && reimbursement.status !== 'pending') {
+    // Can only edit pending reimbursements (unless reimbursement clearer)
+    if (!hasPermission(req.user, Permission.REIMBURSEMENT_CLEAR) && reimbursement.status !== 'pending') {
       return res.status(400).json({ detail: 'Can only edit pending reimbursements' });
     }
 
@@ -260,7 +260,7 @@ router.put('/:id', authenticate, upload.single('bill_image'), async (req, res) =
  * GET /api/reimbursements/my
  * Get my reimbursements (employee/manager)
  */
-router.get('/my', authenticate, requireRole([UserRole.EMPLOYEE, UserRole.MANAGER]), async (req, res) => {
+router.get('/my', authenticate, requirePermission(Permission.REIMBURSEMENT_APPLY), async (req, res) => {
   try {
     const db = getDB();
 
@@ -283,7 +283,7 @@ router.get('/my', authenticate, requireRole([UserRole.EMPLOYEE, UserRole.MANAGER
  * GET /api/reimbursements/all
  * Get all reimbursements (admin only)
  */
-router.get('/all', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.get('/all', authenticate, requirePermission(Permission.REIMBURSEMENT_VIEW_ALL), async (req, res) => {
   try {
     const db = getDB();
 
@@ -303,7 +303,7 @@ router.get('/all', authenticate, requireRole([UserRole.ADMIN]), async (req, res)
  * GET /api/reimbursements/stats
  * Get reimbursement statistics (admin only)
  */
-router.get('/stats', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.get('/stats', authenticate, requirePermission(Permission.REIMBURSEMENT_VIEW_ALL), async (req, res) => {
   try {
     const db = getDB();
 
@@ -360,7 +360,7 @@ router.get('/stats', authenticate, requireRole([UserRole.ADMIN]), async (req, re
  * Process reimbursement action (admin only)
  * Actions: approve, reject, clear
  */
-router.post('/:id/action', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.post('/:id/action', authenticate, requirePermission(Permission.REIMBURSEMENT_CLEAR), async (req, res) => {
   try {
     const db = getDB();
     const { id } = req.params;
@@ -495,7 +495,7 @@ router.get('/:id', authenticate, async (req, res) => {
     }
 
     // Check permission
-    if (req.user.role !== UserRole.ADMIN && reimbursement.employee_email !== req.user.email) {
+    if (!hasPermission(req.user, Permission.REIMBURSEMENT_VIEW_ALL) && reimbursement.employee_email !== req.user.email) {
       return res.status(403).json({ detail: 'Not authorized' });
     }
 
@@ -524,8 +524,8 @@ router.delete('/:id', authenticate, async (req, res) => {
       return res.status(404).json({ detail: 'Reimbursement not found' });
     }
 
-    // Check permission - only owner can delete pending, admin can delete any
-    if (req.user.role !== UserRole.ADMIN) {
+    // Check permission - only owner can delete pending, reimbursement clearers can delete any
+    if (!hasPermission(req.user, Permission.REIMBURSEMENT_CLEAR)) {
       if (reimbursement.employee_email !== req.user.email) {
         return res.status(403).json({ detail: 'Not authorized' });
       }
@@ -0,0 +1,162 @@
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission, validate } = require('../middleware/roleCheck');
+const { schemas } = require('../models/schemas');
+const { Permission, ALL_PERMISSIONS } = require('../models/permissions');
+const { generateUUID } = require('../utils/helpers');
+const { getMissingPermissions } = require('../services/roleService');
+const { hashApiKey, generateApiKey, isValidAllowlistEntry, formatApiKey } = require('../services/apiKeyService');
+
+// Permissions that only a human user may hold - keys cannot mint keys or roles
+const NON_DELEGABLE_PERMISSIONS = [
+  Permission.API_KEY_MANAGE,
+  Permission.ROLE_MANAGE,
+  Permission.SECURITY_MANAGE,
+  Permission.USER_IMPERSONATE
+];
+
+/**
+ * POST /api/api-keys
+ * Create an API key - the raw key is returned only once
+ */
+router.post('/', authenticate, requirePermission(Permission.API_KEY_MANAGE), validate(schemas.apiKeyCreate), async (req, res) => {
+  try {
+    const db = getDB();
+    const { name, description, permissions, expires_at, ip_allowlist } = req.validatedBody;
+
+    const unknownPermissions = permissions.filter(permission => !ALL_PERMISSIONS.includes(permission));
+    if (unknownPermissions.length > 0) {
+      return res.status(400).json({ detail: `Unknown permission(s): ${unknownPermissions.join(', ')}` });
+    }
+
+    const nonDelegable = permissions.filter(permission => NON_DELEGABLE_PERMISSIONS.includes(permission));
+    if (nonDelegable.length > 0) {
+      return res.status(400).json({ detail: `Permission(s) cannot be granted to an API key: ${nonDelegable.join(', ')}` });
+    }
+
+    const missingPermissions = getMissingPermissions(req.user, permissions);
+    if (missingPermissions.length > 0) {
+      return res.status(403).json({
+        detail: `Cannot grant permission(s) you do not have: ${missingPermissions.join(', ')}`
+      });
+    }
+
+    const invalidEntries = ip_allowlist.filter(entry => !isValidAllowlistEntry(entry));
+    if (invalidEntries.length > 0) {
+      return res.status(400).json({ detail: `Invalid IP address or range: ${invalidEntries.join(', ')}` });
+    }
+
+    const { key, keyPrefix } = generateApiKey();
+
+    const apiKey = {
+      id: generateUUID(),
+      name,
+      description: description || null,
+      key_prefix: keyPrefix,
+      key_hash: hashApiKey(key),
+      permissions,
+      ip_allowlist,
+      expires_at: new Date(expires_at),
+      created_by: req.user.email,
+      created_at: new Date(),
+      last_used_at: null,
+      last_used_ip: null,
+      revoked_at: null,
+      revoked_by: null
+    };
+
+    await db.collection('api_keys').insertOne(apiKey);
+    delete apiKey._id;
+
+    res.status(201).json({
+      ...formatApiKey(apiKey),
+      key,
+      message: 'Copy the key now - it will not be shown again'
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/api-keys
+ * List API keys (without secrets)
+ * Query: ?status=active|expired|revoked
+ */
+router.get('/', authenticate, requirePermission(Permission.API_KEY_MANAGE), async (req, res) => {
+  try {
+    const db = getDB();
+    const { status } = req.query;
+
+    const apiKeys = await db.collection('api_keys')
+      .find({}, { projection: { _id: 0, key_hash: 0 } })
+      .sort({ created_at: -1 })
+      .toArray();
+
+    const formatted = apiKeys.map(formatApiKey);
+
+    res.json(status ? formatted.filter(apiKey => apiKey.status === status) : formatted);
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/api-keys/:keyId
+ * Get a single API key (without secret)
+ */
+router.get('/:keyId', authenticate, requirePermission(Permission.API_KEY_MANAGE), async (req, res) => {
+  try {
+    const db = getDB();
+
+    const apiKey = await db.collection('api_keys').findOne(
+      { id: req.params.keyId },
+      { projection: { _id: 0, key_hash: 0 } }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({ detail: 'API key not found' });
+    }
+
+    res.json(formatApiKey(apiKey));
+  } catch (error) {
+    console.error('Get API key error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/api-keys/:keyId
+ * Revoke an API key (the record is kept for auditing)
+ */
+router.delete('/:keyId', authenticate, requirePermission(Permission.API_KEY_MANAGE), async (req, res) => {
+  try {
+    const db = getDB();
+
+    const result = await db.collection('api_keys').updateOne(
+      { id: req.params.keyId, revoked_at: null },
+      { $set: { revoked_at: new Date(), revoked_by: req.user.email } }
+    );
+
+    if (result.matchedCount === 0) {
+      const exists = await db.collection('api_keys').findOne({ id: req.params.keyId });
+      return exists
+        ? res.status(400).json({ detail: 'API key is already revoked' })
+        : res.status(404).json({ detail: 'API key not found' });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+module.exports = router;
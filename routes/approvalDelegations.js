@@ -0,0 +1,277 @@
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { hasPermission, requirePermission, validate } = require('../middleware/roleCheck');
+const { schemas, DelegationScope, DelegationSource } = require('../models/schemas');
+const { Permission } = require('../models/permissions');
+const { ACTIVE_EMPLOYEE_FILTER, toDateString } = require('../services/offboardingService');
+const { toLocalDateKey } = require('../services/leaveDayService');
+const { reassignLeaveApprovals } = require('../services/leaveApprovalService');
+const {
+  describeScopes,
+  getDelegableScopes,
+  findOverlappingDelegation,
+  createDelegation,
+  reassignCompOffRequests
+} = require('../services/delegationService');
+
+const EMPLOYEE_PROJECTION = { _id: 0, email: 1, full_name: 1, role: 1, approval_delegate_email: 1 };
+
+/**
+ * Helper: Load an active employee by email
+ */
+async function findActiveEmployee(db, email) {
+  return db.collection('employees').findOne({ ...ACTIVE_EMPLOYEE_FILTER, email }, { projection: EMPLOYEE_PROJECTION });
+}
+
+/**
+ * GET /api/approval-delegations
+ * All delegations, newest first
+ * Query: ?status=active (in force today)|upcoming|all (default: not revoked)
+ */
+router.get('/', authenticate, requirePermission(Permission.LEAVE_MANAGE), async (req, res) => {
+  try {
+    const db = getDB();
+    const today = toLocalDateKey(new Date());
+    const status = req.query.status;
+
+    const query = status === 'all' ? {} : { revoked_at: null };
+    if (status === 'active') Object.assign(query, { start_date: { $lte: today }, end_date: { $gte: today } });
+    if (status === 'upcoming') query.start_date = { $gt: today };
+
+    const delegations = await db.collection('approval_delegations')
+      .find(query, { projection: { _id: 0 } })
+      .sort({ created_at: -1 })
+      .toArray();
+
+    res.json(delegations);
+  } catch (error) {
+    console.error('Get approval delegations error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/approval-delegations/me
+ * My current and upcoming delegations - given by me and to me - and my default delegate
+ */
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const email = req.user.email;
+    const query = { revoked_at: null, end_date: { $gte: toLocalDateKey(new Date()) } };
+
+    const [given, received, employee] = await Promise.all([
+      db.collection('approval_delegations').find({ ...query, delegator_email: email }, { projection: { _id: 0 } }).sort({ start_date: 1 }).toArray(),
+      db.collection('approval_delegations').find({ ...query, delegate_email: email }, { projection: { _id: 0 } }).sort({ start_date: 1 }).toArray(),
+      db.collection('employees').findOne({ email }, { projection: EMPLOYEE_PROJECTION })
+    ]);
+
+    res.json({
+      given,
+      received,
+      default_delegate_email: (employee && employee.approval_delegate_email) || null
+    });
+  } catch (error) {
+    console.error('Get my approval delegations error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /api/approval-delegations/me/default-delegate
+ * Who covers my approvals while my leave is approved (null = my manager)
+ */
+router.put('/me/default-delegate', authenticate, validate(schemas.approvalDefaultDelegate), async (req, res) => {
+  try {
+    const db = getDB();
+    const { delegate_email: delegateEmail } = req.validatedBody;
+
+    if (delegateEmail) {
+      if (delegateEmail === req.user.email) {
+        return res.status(400).json({ detail: 'You cannot delegate to yourself' });
+      }
+      if (!await findActiveEmployee(db, delegateEmail)) {
+        return res.status(400).json({ detail: 'Delegate must be an active employee' });
+      }
+    }
+
+    const result = await db.collection('employees').updateOne(
+      { email: req.user.email },
+      { $set: { approval_delegate_email: delegateEmail, updated_at: new Date() } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ detail: 'Employee not found' });
+    }
+
+    res.json({
+      status: 'success',
+      message: delegateEmail
+        ? `Your approvals will be delegated to ${delegateEmail} while you are on leave`
+        : 'Your approvals will be delegated to your manager while you are on leave',
+      default_delegate_email: delegateEmail
+    });
+  } catch (error) {
+    console.error('Set default delegate error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/approval-delegations
+ * Delegate my approvals for a date range (admins may set delegator_email to delegate for someone else)
+ */
+router.post('/', authenticate, validate(schemas.approvalDelegationCreate), async (req, res) => {
+  try {
+    const db = getDB();
+    const data = req.validatedBody;
+    const delegatorEmail = data.delegator_email || req.user.email;
+
+    if (delegatorEmail !== req.user.email && !hasPermission(req.user, Permission.LEAVE_MANAGE)) {
+      return res.status(403).json({ detail: 'You can only delegate your own approvals' });
+    }
+    if (data.delegate_email === delegatorEmail) {
+      return res.status(400).json({ detail: 'Approvals cannot be delegated to the same person' });
+    }
+
+    const startDate = toDateString(data.start_date);
+    const endDate = toDateString(data.end_date);
+    if (endDate < toLocalDateKey(new Date())) {
+      return res.status(400).json({ detail: 'end_date cannot be in the past' });
+    }
+
+    const [delegator, delegate] = await Promise.all([
+      findActiveEmployee(db, delegatorEmail),
+      findActiveEmployee(db, data.delegate_email)
+    ]);
+    if (!delegator) {
+      return res.status(404).json({ detail: 'Delegator not found' });
+    }
+    if (!delegate) {
+      return res.status(400).json({ detail: 'Delegate must be an active employee' });
+    }
+
+    // Only approvals the delegator's role can give may be handed on
+    const delegable = await getDelegableScopes(db, delegator);
+    const scopes = data.scopes || delegable;
+    if (scopes.length === 0) {
+      return res.status(403).json({ detail: `${delegator.full_name} has no approvals to delegate` });
+    }
+    const notAllowed = scopes.filter(scope => !delegable.includes(scope));
+    if (notAllowed.length > 0) {
+      return res.status(403).json({ detail: `${delegator.full_name} cannot give ${describeScopes(notAllowed)}, so they cannot be delegated` });
+    }
+
+    const overlapping = await findOverlappingDelegation(db, delegatorEmail, startDate, endDate, scopes);
+    if (overlapping) {
+      return res.status(400).json({
+        detail: `Approvals are already delegated to ${overlapping.delegate_name || overlapping.delegate_email} from ${overlapping.start_date} to ${overlapping.end_date} - revoke that delegation first`
+      });
+    }
+
+    const delegation = await createDelegation(db, {
+      delegator,
+      delegate,
+      start_date: startDate,
+      end_date: endDate,
+      scopes,
+      reason: data.reason,
+      source: DelegationSource.MANUAL
+    }, req.user.email);
+
+    res.status(201).json(delegation);
+  } catch (error) {
+    console.error('Create approval delegation error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/approval-delegations/reassign
+ * Hand everything waiting on one approver (e.g. a manager who left) to another:
+ * their open leave approval steps and their team's pending comp-off requests
+ * (only when the new approver can approve comp-off).
+ * Delegations to or from someone no longer active are revoked.
+ */
+router.post('/reassign', authenticate, requirePermission(Permission.LEAVE_MANAGE), validate(schemas.approvalReassign), async (req, res) => {
+  try {
+    const db = getDB();
+    const { from_email: fromEmail, to_email: toEmail } = req.validatedBody;
+
+    if (fromEmail === toEmail) {
+      return res.status(400).json({ detail: 'from_email and to_email must be different' });
+    }
+
+    const from = await db.collection('employees').findOne({ email: fromEmail }, { projection: { _id: 0, email: 1 } });
+    if (!from) {
+      return res.status(404).json({ detail: 'Employee not found' });
+    }
+    const to = await findActiveEmployee(db, toEmail);
+    if (!to) {
+      return res.status(400).json({ detail: 'New approver must be an active employee' });
+    }
+
+    const leavesReassigned = await reassignLeaveApprovals(db, fromEmail, { email: to.email, name: to.full_name });
+    // Comp-off requests assigned to someone who cannot approve them would be stuck
+    const compOffReassigned = (await getDelegableScopes(db, to)).includes(DelegationScope.COMP_OFF)
+      ? await reassignCompOffRequests(db, fromEmail, to.email)
+      : 0;
+
+    let delegationsRevoked = 0;
+    if (!await findActiveEmployee(db, fromEmail)) {
+      const result = await db.collection('approval_delegations').updateMany(
+        { revoked_at: null, $or: [{ delegator_email: fromEmail }, { delegate_email: fromEmail }] },
+        { $set: { revoked_at: new Date(), revoked_by: req.user.email } }
+      );
+      delegationsRevoked = result.modifiedCount;
+    }
+
+    res.json({
+      status: 'success',
+      message: `Reassigned ${leavesReassigned} leave(s) and ${compOffReassigned} comp-off request(s) to ${to.full_name}`,
+      leaves_reassigned: leavesReassigned,
+      comp_off_reassigned: compOffReassigned,
+      delegations_revoked: delegationsRevoked
+    });
+  } catch (error) {
+    console.error('Reassign approvals error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/approval-delegations/:delegationId
+ * Revoke a delegation (the delegator, or admins)
+ */
+router.delete('/:delegationId', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const delegation = await db.collection('approval_delegations').findOne(
+      { id: req.params.delegationId },
+      { projection: { _id: 0 } }
+    );
+
+    if (!delegation) {
+      return res.status(404).json({ detail: 'Delegation not found' });
+    }
+    if (delegation.delegator_email !== req.user.email && !hasPermission(req.user, Permission.LEAVE_MANAGE)) {
+      return res.status(403).json({ detail: 'Not enough permissions' });
+    }
+    if (delegation.revoked_at) {
+      return res.status(400).json({ detail: 'Delegation is already revoked' });
+    }
+
+    await db.collection('approval_delegations').updateOne(
+      { id: delegation.id },
+      { $set: { revoked_at: new Date(), revoked_by: req.user.email } }
+    );
+
+    res.json({ status: 'success', message: 'Delegation revoked' });
+  } catch (error) {
+    console.error('Revoke approval delegation error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+module.exports = router;
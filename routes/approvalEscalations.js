@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission, validate } = require('../middleware/roleCheck');
+const { schemas, defaultLeavePolicy } = require('../models/schemas');
+const { Permission } = require('../models/permissions');
+const { ACTIVE_EMPLOYEE_FILTER } = require('../services/offboardingService');
+const {
+  getEscalationSettings,
+  validateEscalationSettings,
+  processApprovalEscalations
+} = require('../services/escalationService');
+
+/**
+ * GET /api/approval-escalation/settings
+ * Reminder, escalation and auto-approval thresholds per request type
+ */
+router.get('/settings', authenticate, requirePermission(Permission.SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const db = getDB();
+    res.json(await getEscalationSettings(db));
+  } catch (error) {
+    console.error('Get escalation settings error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /api/approval-escalation/settings
+ * Update the thresholds of one or more request types (unset fields keep their value)
+ */
+router.put('/settings', authenticate, requirePermission(Permission.SETTINGS_MANAGE), validate(schemas.approvalEscalationSettings), async (req, res) => {
+  try {
+    const db = getDB();
+    const current = await getEscalationSettings(db);
+
+    const settings = { ...current };
+    for (const [type, rule] of Object.entries(req.validatedBody)) {
+      settings[type] = { ...current[type], ...rule };
+    }
+
+    const error = validateEscalationSettings(settings);
+    if (error) {
+      return res.status(400).json({ detail: error });
+    }
+
+    const emails = [...new Set(Object.values(settings).map(rule => rule.escalate_to_email).filter(Boolean))];
+    if (emails.length > 0) {
+      const found = await db.collection('employees').countDocuments({ ...ACTIVE_EMPLOYEE_FILTER, email: { $in: emails } });
+      if (found !== emails.length) {
+        return res.status(400).json({ detail: 'escalate_to_email must be an active employee' });
+      }
+    }
+
+    if (settings.leave.auto_approve_leave_types.length > 0) {
+      const policy = await db.collection('leave_policies').findOne({}, { projection: { _id: 0, policies: 1 } });
+      const known = ((policy && policy.policies) || defaultLeavePolicy.policies).map(p => p.leave_type.toLowerCase());
+      const unknown = settings.leave.auto_approve_leave_types.filter(type => !known.includes(type.toLowerCase()));
+      if (unknown.length > 0) {
+        return res.status(400).json({ detail: `Unknown leave type(s): ${unknown.join(', ')}` });
+      }
+    }
+
+    await db.collection('settings').updateOne(
+      {},
+      { $set: { approval_escalation: settings, updated_at: new Date(), updated_by: req.user.email } },
+      { upsert: true }
+    );
+
+    res.json({
+      message: 'Escalation settings updated successfully',
+      settings
+    });
+  } catch (error) {
+    console.error('Update escalation settings error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/approval-escalation/process
+ * Send due reminders and escalations now (normally run by the daily cron)
+ */
+router.post('/process', authenticate, requirePermission(Permission.SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const db = getDB();
+    const results = await processApprovalEscalations(db);
+
+    res.json({
+      status: 'success',
+      message: `Sent ${results.reminded.length} reminder(s), ${results.escalated.length} escalation(s) and auto-approved ${results.auto_approved.length} leave(s)`,
+      ...results
+    });
+  } catch (error) {
+    console.error('Process approval escalations error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+module.exports = router;
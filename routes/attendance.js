@@ -3,15 +3,33 @@ const router = express.Router();
 const ExcelJS = require('exceljs');
 const { getDB } = require('../config/database');
 const { authenticate } = require('../middleware/auth');
-const { requireRole, validate } = require('../middleware/roleCheck');
+const { hasPermission, requirePermission, validate } = require('../middleware/roleCheck');
 const { schemas, AttendanceStatus } = require('../models/schemas');
+const { Permission } = require('../models/permissions');
+const { ACTIVE_EMPLOYEE_FILTER, employedSinceFilter } = require('../services/offboardingService');
+const { getTeamEmails } = require('../services/hierarchyService');
+
+/**
+ * Helper: Employees whose attendance the user may see during a month
+ * Attendance managers and company-wide viewers see everyone, others their reporting tree (and themselves)
+ */
+async function getAttendanceEmployeeFilter(db, user, targetYear, targetMonth) {
+  const employedFilter = employedSinceFilter(`${targetYear}-${String(targetMonth).padStart(2, '0')}-01`);
+
+  if (hasPermission(user, [Permission.ATTENDANCE_MANAGE, Permission.EMPLOYEE_VIEW_ALL])) {
+    return employedFilter;
+  }
+
+  const teamEmails = await getTeamEmails(db, user.email);
+  return { $and: [employedFilter, { email: { $in: [user.email, ...teamEmails] } }] };
+}
 
 /**
  * GET /api/attendance
  * Get attendance data for a specific month/year
  * Query params: month (1-12), year (YYYY)
  */
-router.get('/', authenticate, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/', authenticate, requirePermission([Permission.ATTENDANCE_VIEW, Permission.ATTENDANCE_MANAGE]), async (req, res) => {
   try {
     const db = getDB();
     const { month, year } = req.query;
@@ -21,9 +39,9 @@ router.get('/', authenticate, requireRole(['admin', 'manager']), async (req, res
     const targetMonth = month ? parseInt(month) : now.getMonth() + 1;
     const targetYear = year ? parseInt(year) : now.getFullYear();
 
-    // Fetch all employees
+    // Fetch employees employed during the month (leavers stay in the months they worked)
     const employees = await db.collection('employees')
-      .find({}, {
+      .find(await getAttendanceEmployeeFilter(db, req.user, targetYear, targetMonth), {
         projection: {
           employee_id: 1,
           full_name: 1,
@@ -105,7 +123,7 @@ router.get('/', authenticate, requireRole(['admin', 'manager']), async (req, res
  * Mark attendance for an employee on a specific date
  * Body: { employee_id, date (YYYY-MM-DD), status (present/absent/half-day/leave/holiday) }
  */
-router.post('/mark', authenticate, requireRole(['admin']), validate(schemas.attendanceMark), async (req, res) => {
+router.post('/mark', authenticate, requirePermission(Permission.ATTENDANCE_MANAGE), validate(schemas.attendanceMark), async (req, res) => {
   try {
     const db = getDB();
     const { employee_id, date, status } = req.validatedBody;
@@ -177,7 +195,7 @@ router.post('/mark', authenticate, requireRole(['admin']), validate(schemas.atte
  * Mark attendance for multiple employees/dates at once
  * Body: { records: [{ employee_id, date, status }] }
  */
-router.post('/bulk-mark', authenticate, requireRole(['admin']), validate(schemas.attendanceBulkMark), async (req, res) => {
+router.post('/bulk-mark', authenticate, requirePermission(Permission.ATTENDANCE_MANAGE), validate(schemas.attendanceBulkMark), async (req, res) => {
   try {
     const db = getDB();
     const { records } = req.validatedBody;
@@ -261,7 +279,7 @@ router.post('/bulk-mark', authenticate, requireRole(['admin']), validate(schemas
  * Mark attendance for all employees on a specific date
  * Body: { date (YYYY-MM-DD), status }
  */
-router.post('/mark-column', authenticate, requireRole(['admin']), validate(schemas.attendanceMarkColumn), async (req, res) => {
+router.post('/mark-column', authenticate, requirePermission(Permission.ATTENDANCE_MANAGE), validate(schemas.attendanceMarkColumn), async (req, res) => {
   try {
     const db = getDB();
     const { date, status } = req.validatedBody;
@@ -286,9 +304,9 @@ router.post('/mark-column', authenticate, requireRole(['admin']), validate(schem
       });
     }
 
-    // Get all employees
+    // Get all active employees
     const employees = await db.collection('employees')
-      .find({}, { projection: { employee_id: 1 } })
+      .find(ACTIVE_EMPLOYEE_FILTER, { projection: { employee_id: 1 } })
       .toArray();
 
     const updateField = `attendance.${day}`;
@@ -327,7 +345,7 @@ router.post('/mark-column', authenticate, requireRole(['admin']), validate(schem
  * GET /api/attendance/summary
  * Get attendance summary for a month
  */
-router.get('/summary', authenticate, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/summary', authenticate, requirePermission([Permission.ATTENDANCE_VIEW, Permission.ATTENDANCE_MANAGE]), async (req, res) => {
   try {
     const db = getDB();
     const { month, year } = req.query;
@@ -336,9 +354,12 @@ router.get('/summary', authenticate, requireRole(['admin', 'manager']), async (r
     const targetMonth = month ? parseInt(month) : now.getMonth() + 1;
     const targetYear = year ? parseInt(year) : now.getFullYear();
 
-    // Get all attendance records for the month
+    // Get attendance records for the month (limited to the user's team without company-wide access)
+    const visibleEmployees = await db.collection('employees')
+      .find(await getAttendanceEmployeeFilter(db, req.user, targetYear, targetMonth), { projection: { _id: 0, employee_id: 1 } })
+      .toArray();
     const records = await db.collection('attendance')
-      .find({ month: targetMonth, year: targetYear })
+      .find({ month: targetMonth, year: targetYear, employee_id: { $in: visibleEmployees.map(emp => emp.employee_id) } })
       .toArray();
 
     // Fetch ALL holidays and filter by month/year
@@ -396,7 +417,7 @@ router.get('/summary', authenticate, requireRole(['admin', 'manager']), async (r
  * DELETE /api/attendance/clear
  * Clear all attendance for a month (admin only)
  */
-router.delete('/clear', authenticate, requireRole(['admin']), async (req, res) => {
+router.delete('/clear', authenticate, requirePermission(Permission.ATTENDANCE_MANAGE), async (req, res) => {
   try {
     const db = getDB();
     const { month, year } = req.query;
@@ -425,7 +446,7 @@ router.delete('/clear', authenticate, requireRole(['admin']), async (req, res) =
  * Download attendance as XLSX file
  * Body: { month, year }
  */
-router.post('/download', authenticate, requireRole(['admin', 'manager']), async (req, res) => {
+router.post('/download', authenticate, requirePermission([Permission.ATTENDANCE_VIEW, Permission.ATTENDANCE_MANAGE]), async (req, res) => {
   try {
     const db = getDB();
     const { month, year } = req.body;
@@ -465,9 +486,9 @@ router.post('/download', authenticate, requireRole(['admin', 'manager']), async
       };
     });
 
-    // Fetch all employees
+    // Fetch employees employed during the month (leavers stay in the months they worked)
     const employees = await db.collection('employees')
-      .find({}, {
+      .find(await getAttendanceEmployeeFilter(db, req.user, targetYear, targetMonth), {
         projection: {
           employee_id: 1,
           full_name: 1,
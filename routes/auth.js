@@ -1,12 +1,185 @@
 const express = require('express');
 const router = express.Router();
 const { getDB } = require('../config/database');
-const { authenticate, getCurrentEmployee, createAccessToken } = require('../middleware/auth');
-const { validate } = require('../middleware/roleCheck');
-const { schemas, defaultLeaveBalance } = require('../models/schemas');
-const { hashPassword, verifyPassword, generateUUID, generateEmployeeId, normalizeLeaveType } = require('../utils/helpers');
+const { authenticate, getCurrentEmployee } = require('../middleware/auth');
+const { requirePermission, validate } = require('../middleware/roleCheck');
+const { schemas, UserRole, EmployeeStatus, defaultLeaveBalance } = require('../models/schemas');
+const { Permission } = require('../models/permissions');
+const { hashPassword, verifyPassword, generateUUID, normalizeLeaveType } = require('../utils/helpers');
 const { sendEmailNotification } = require('../services/emailService');
 const { generateWelcomeEmail, generateNewEmployeeNotificationEmail } = require('../utils/emailTemplates');
+const { issueAuthTokens, rotateSession, buildTokenResponse, revokeSession, revokeUserSessions } = require('../services/sessionService');
+const { sleep, checkLoginLock, recordLoginFailure, recordLoginSuccess, unlockLogin } = require('../services/loginProtectionService');
+const { getSecuritySettings, updateSecuritySettings } = require('../services/securitySettingsService');
+const {
+  CHALLENGE_MODES,
+  isTwoFactorRequired,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  startEnrollment,
+  completeEnrollment,
+  verifyTwoFactorCode
+} = require('../services/twoFactorService');
+const { checkNewPassword, formatPasswordErrors, setUserPassword, getPasswordChangeReason } = require('../services/passwordService');
+const { findUnknownRoles, getRolePermissions } = require('../services/roleService');
+const { getSsoSettings, isPasswordLoginEnabled } = require('../services/oidcService');
+const { resolveDepartmentAndDesignation } = require('../services/masterDataService');
+const { getFieldDefinitions, getAccessLevel, applyCustomFieldVisibility } = require('../services/customFieldService');
+const { createProbation } = require('../services/probationService');
+const { generateEmployeeId } = require('../services/employeeIdService');
+const {
+  SecurityEventType,
+  recordSecurityEvent,
+  recordLoginEvent,
+  buildSecurityEventQuery,
+  listSecurityEvents
+} = require('../services/securityEventService');
+
+// Hash compared against when the account does not exist, so response
+// timing does not reveal whether an email is registered
+let dummyPasswordHash = null;
+
+/**
+ * Helper: Generic login failure (same response for unknown email and wrong password)
+ */
+async function respondLoginFailure(db, email, req, res) {
+  const failure = await recordLoginFailure(db, email, req);
+  await recordSecurityEvent(db, { type: SecurityEventType.LOGIN_FAILED, email, metadata: { reason: 'invalid_credentials' } }, req);
+
+  if (failure.delay_ms > 0) {
+    await sleep(failure.delay_ms);
+  }
+
+  return res.status(401).json({
+    detail: 'Invalid email or password',
+    error_code: 'INVALID_CREDENTIALS'
+  });
+}
+
+/**
+ * Helper: Wrong 2FA code - counts towards the same lockout as wrong passwords
+ */
+async function respondTwoFactorFailure(db, email, req, res) {
+  const failure = await recordLoginFailure(db, email, req);
+  await recordSecurityEvent(db, { type: SecurityEventType.TWO_FACTOR_FAILED, email }, req);
+
+  if (failure.delay_ms > 0) {
+    await sleep(failure.delay_ms);
+  }
+
+  return res.status(401).json({
+    detail: 'Invalid two-factor code',
+    error_code: 'INVALID_2FA_CODE'
+  });
+}
+
+/**
+ * Helper: Respond 429 while the account or IP is locked out
+ */
+async function respondLoginLocked(db, email, lock, req, res) {
+  await recordSecurityEvent(db, { type: SecurityEventType.LOGIN_BLOCKED, email, metadata: { retry_after_seconds: lock.retry_after_seconds } }, req);
+
+  res.set('Retry-After', String(lock.retry_after_seconds));
+  return res.status(429).json({
+    detail: 'Too many failed login attempts. Please try again later.',
+    error_code: 'LOGIN_LOCKED',
+    retry_after_seconds: lock.retry_after_seconds
+  });
+}
+
+/**
+ * Helper: User summary returned with login tokens
+ */
+function formatLoginUser(userDoc, permissions) {
+  return {
+    id: userDoc.id,
+    employee_id: userDoc.employee_id,
+    email: userDoc.email,
+    full_name: userDoc.full_name || userDoc.name,
+    role: userDoc.role,
+    permissions
+  };
+}
+
+/**
+ * Helper: Finish a successful login - clear failures, create the session and
+ * tell the client whether a password change is pending
+ * @param {string} authMethod - 'password' or 'sso' (SSO logins never need a password change)
+ */
+async function completeLogin(db, userDoc, req, authMethod = 'password') {
+  await recordLoginSuccess(db, userDoc.email);
+  await recordLoginEvent(db, userDoc, req, { auth_method: authMethod });
+
+  // Create session + tokens
+  const tokens = await issueAuthTokens(db, userDoc, req, { authMethod });
+
+  const { password_policy: passwordPolicy } = await getSecuritySettings(db);
+  const passwordChangeReason = authMethod === 'sso' ? null : getPasswordChangeReason(userDoc, passwordPolicy);
+
+  return {
+    ...tokens,
+    password_change_required: passwordChangeReason !== null,
+    password_change_reason: passwordChangeReason,
+    user: formatLoginUser(userDoc, await getRolePermissions(db, userDoc.role))
+  };
+}
+
+/**
+ * Helper: Resolve the user behind a 2FA challenge token
+ * Sends the 401 response itself and returns null when the challenge is invalid
+ */
+async function resolveTwoFactorChallenge(db, challengeToken, res) {
+  const challenge = verifyTwoFactorChallenge(challengeToken);
+
+  const userDoc = challenge && await db.collection('users').findOne(
+    { email: challenge.sub },
+    { projection: { _id: 0 } }
+  );
+
+  if (!userDoc) {
+    res.status(401).json({
+      detail: 'Invalid or expired two-factor challenge. Please log in again.',
+      error_code: 'INVALID_2FA_CHALLENGE'
+    });
+    return null;
+  }
+
+  return { challenge, userDoc };
+}
+
+/**
+ * Helper: Refuse a password login for an inactive account, or while password login is disabled
+ * Checked at the password step and again at the 2FA step, as either may change in between.
+ * Sends the 403 response itself and returns true when the login is refused
+ */
+async function rejectBlockedLogin(db, userDoc, req, res) {
+  const { email } = userDoc;
+
+  if (userDoc.status === EmployeeStatus.INACTIVE) {
+    await recordSecurityEvent(db, { type: SecurityEventType.LOGIN_FAILED, email, userId: userDoc.id, metadata: { reason: 'account_inactive' } }, req);
+    res.status(403).json({
+      detail: 'Account is inactive. Please contact HR.',
+      error_code: 'ACCOUNT_INACTIVE'
+    });
+    return true;
+  }
+
+  // Password login can be switched off in favour of SSO - security admins keep it as a break-glass path
+  const ssoSettings = await getSsoSettings(db);
+  if (!isPasswordLoginEnabled(ssoSettings)) {
+    const permissions = await getRolePermissions(db, userDoc.role);
+    if (!permissions.includes(Permission.SECURITY_MANAGE)) {
+      await recordSecurityEvent(db, { type: SecurityEventType.LOGIN_FAILED, email, userId: userDoc.id, metadata: { reason: 'password_login_disabled' } }, req);
+      res.status(403).json({
+        detail: `Password login is disabled. Please sign in with ${ssoSettings.provider_name}.`,
+        error_code: 'PASSWORD_LOGIN_DISABLED'
+      });
+      return true;
+    }
+  }
+
+  return false;
+}
 
 /**
  * Helper: Get leave balance from configured policy
@@ -37,12 +210,21 @@ async function getLeaveBalanceFromPolicy(db) {
 
 /**
  * POST /api/auth/register
- * Register a new user
+ * Self-registration (disabled unless security settings allow it)
+ * Self-registered accounts always get the employee role - other roles come via invitations
  */
 router.post('/register', validate(schemas.userRegister), async (req, res) => {
   try {
     const db = getDB();
-    const userData = req.validatedBody;
+    const userData = { ...req.validatedBody, role: UserRole.EMPLOYEE };
+
+    const securitySettings = await getSecuritySettings(db);
+    if (!securitySettings.self_registration_enabled) {
+      return res.status(403).json({
+        detail: 'Self-registration is disabled. Please ask an administrator for an invitation.',
+        error_code: 'REGISTRATION_DISABLED'
+      });
+    }
 
     // Check if user exists
     const existingUser = await db.collection('users').findOne({ email: userData.email });
@@ -50,8 +232,23 @@ router.post('/register', validate(schemas.userRegister), async (req, res) => {
       return res.status(400).json({ detail: 'Email already registered' });
     }
 
+    const passwordErrors = await checkNewPassword(db, userData.password, {
+      email: userData.email,
+      full_name: userData.full_name
+    });
+    if (passwordErrors.length > 0) {
+      return res.status(422).json(formatPasswordErrors(passwordErrors));
+    }
+
+    // Department and designation must come from the organization's catalog
+    const jobTitle = await resolveDepartmentAndDesignation(db, userData.organization_id || null, userData);
+    if (jobTitle.error) {
+      return res.status(400).json({ detail: jobTitle.error });
+    }
+    Object.assign(userData, jobTitle);
+
     // Generate employee ID
-    const employeeId = await generateEmployeeId();
+    const employeeId = await generateEmployeeId(db, { organizationId: userData.organization_id || null });
     const hashedPassword = await hashPassword(userData.password);
     const now = new Date();
     const userId = generateUUID();
@@ -64,6 +261,9 @@ router.post('/register', validate(schemas.userRegister), async (req, res) => {
       full_name: userData.full_name,
       role: userData.role,
       hashed_password: hashedPassword,
+      password_history: [],
+      password_updated_at: now,
+      must_change_password: false,
       created_at: now
     };
 
@@ -94,7 +294,9 @@ router.post('/register', validate(schemas.userRegister), async (req, res) => {
       full_name: userData.full_name,
       role: userData.role,
       department: userData.department,
+      department_id: userData.department_id,
       designation: userData.designation,
+      designation_id: userData.designation_id,
       phone: userData.phone || null,
       organization_id: userData.organization_id || null,
       organization_name: null,
@@ -102,6 +304,7 @@ router.post('/register', validate(schemas.userRegister), async (req, res) => {
       manager_email: userData.manager_email || null,
       manager_name: managerName,
       leave_balance: leaveBalance,  // Uses policy-based balance
+      probation: await createProbation(db, { designation_id: userData.designation_id }, now),
       created_at: now
     };
 
@@ -148,12 +351,11 @@ router.post('/register', validate(schemas.userRegister), async (req, res) => {
       console.error('Failed to send welcome email:', emailError.message);
     }
 
-    // Create token
-    const accessToken = createAccessToken(userData.email);
+    // Create session + tokens
+    const tokens = await issueAuthTokens(db, userDoc, req);
 
     res.status(201).json({
-      access_token: accessToken,
-      token_type: 'bearer',
+      ...tokens,
       user: {
         id: userId,
         employee_id: employeeId,
@@ -177,52 +379,507 @@ router.post('/login', validate(schemas.userLogin), async (req, res) => {
     const db = getDB();
     const { email, password } = req.validatedBody;
 
+    // Refuse early while the account or IP is locked out
+    const lock = await checkLoginLock(db, email, req.ip);
+    if (lock.locked) {
+      return respondLoginLocked(db, email, lock, req, res);
+    }
+
     // Find user
     const userDoc = await db.collection('users').findOne(
       { email },
       { projection: { _id: 0 } }
     );
 
-    // User not found - return specific error code
-    if (!userDoc) {
-      return res.status(401).json({
-        detail: 'No account found with this email',
-        error_code: 'USER_NOT_FOUND'
+    if (!userDoc || !userDoc.hashed_password) {
+      dummyPasswordHash = dummyPasswordHash || await hashPassword('dummy-password-for-timing');
+      await verifyPassword(password, dummyPasswordHash);
+      return respondLoginFailure(db, email, req, res);
+    }
+
+    const isValid = await verifyPassword(password, userDoc.hashed_password);
+    if (!isValid) {
+      return respondLoginFailure(db, email, req, res);
+    }
+
+    if (await rejectBlockedLogin(db, userDoc, req, res)) return;
+
+    // ============================================
+    // SECOND FACTOR
+    // ============================================
+    const securitySettings = await getSecuritySettings(db);
+    const twoFactorEnabled = userDoc.two_factor && userDoc.two_factor.enabled === true;
+
+    if (twoFactorEnabled || isTwoFactorRequired(securitySettings, userDoc.role)) {
+      const mode = twoFactorEnabled ? CHALLENGE_MODES.VERIFY : CHALLENGE_MODES.ENROLL;
+
+      return res.json({
+        two_factor_required: true,
+        two_factor_enrollment_required: mode === CHALLENGE_MODES.ENROLL,
+        challenge_token: createTwoFactorChallenge(userDoc.email, mode),
+        message: mode === CHALLENGE_MODES.ENROLL
+          ? 'Two-factor authentication is mandatory for your role. Set it up to continue.'
+          : 'Enter the code from your authenticator app'
       });
     }
 
-    // Verify password
-    const hashedPassword = userDoc.hashed_password;
-    if (!hashedPassword) {
-      return res.status(500).json({ detail: 'Password not set' });
+    res.json(await completeLogin(db, userDoc, req));
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/auth/login/2fa/setup
+ * Start mandatory 2FA enrollment during login (returns the otpauth URI)
+ */
+router.post('/login/2fa/setup', validate(schemas.twoFactorChallenge), async (req, res) => {
+  try {
+    const db = getDB();
+    const resolved = await resolveTwoFactorChallenge(db, req.validatedBody.challenge_token, res);
+    if (!resolved) return;
+    if (await rejectBlockedLogin(db, resolved.userDoc, req, res)) return;
+
+    if (resolved.challenge.mode !== CHALLENGE_MODES.ENROLL) {
+      return res.status(400).json({ detail: 'Two-factor authentication is already set up' });
+    }
+
+    const enrollment = await startEnrollment(db, resolved.userDoc);
+
+    res.json({
+      secret: enrollment.secret,
+      otpauth_uri: enrollment.otpauth_uri,
+      message: 'Scan the URI with an authenticator app, then confirm with a code'
+    });
+  } catch (error) {
+    console.error('Login 2FA setup error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/auth/login/2fa
+ * Second login step: verify the TOTP / recovery code and issue tokens
+ * For enrollment challenges the code confirms the new authenticator
+ */
+router.post('/login/2fa', validate(schemas.twoFactorLogin), async (req, res) => {
+  try {
+    const db = getDB();
+    const { challenge_token, code, recovery_code } = req.validatedBody;
+
+    const resolved = await resolveTwoFactorChallenge(db, challenge_token, res);
+    if (!resolved) return;
+
+    const { challenge, userDoc } = resolved;
+    if (await rejectBlockedLogin(db, userDoc, req, res)) return;
+
+    const lock = await checkLoginLock(db, userDoc.email, req.ip);
+    if (lock.locked) {
+      return respondLoginLocked(db, userDoc.email, lock, req, res);
+    }
+
+    let recoveryCodes = null;
+
+    if (challenge.mode === CHALLENGE_MODES.ENROLL) {
+      if (!code) {
+        return res.status(400).json({ detail: 'Enter a code from your authenticator app to finish setup' });
+      }
+      if (!userDoc.two_factor || !userDoc.two_factor.pending_secret) {
+        return res.status(400).json({ detail: 'Two-factor setup has not been started' });
+      }
+
+      recoveryCodes = await completeEnrollment(db, userDoc, code);
+      if (!recoveryCodes) {
+        return respondTwoFactorFailure(db, userDoc.email, req, res);
+      }
+    } else {
+      const result = await verifyTwoFactorCode(db, userDoc, { code, recovery_code });
+      if (!result.valid) {
+        return respondTwoFactorFailure(db, userDoc.email, req, res);
+      }
     }
 
-    const isValid = await verifyPassword(password, hashedPassword);
+    const response = await completeLogin(db, userDoc, req);
 
-    // Invalid password - return specific error code
-    if (!isValid) {
+    // Recovery codes are only ever shown once
+    if (recoveryCodes) {
+      response.recovery_codes = recoveryCodes;
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Login 2FA error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token (rotates the refresh token)
+ */
+router.post('/refresh', validate(schemas.refreshToken), async (req, res) => {
+  try {
+    const db = getDB();
+    const { refresh_token } = req.validatedBody;
+
+    const result = await rotateSession(db, refresh_token, req);
+
+    if (result.error === 'reused') {
+      await recordSecurityEvent(db, {
+        type: SecurityEventType.REFRESH_TOKEN_REUSED,
+        email: result.email,
+        metadata: { session_id: result.sessionId }
+      }, req);
+    }
+
+    if (result.error) {
       return res.status(401).json({
-        detail: 'Incorrect password',
-        error_code: 'INVALID_PASSWORD'
+        detail: 'Invalid or expired refresh token',
+        error_code: 'INVALID_REFRESH_TOKEN'
       });
     }
 
-    // Create token
-    const accessToken = createAccessToken(email);
+    const { session, refreshToken } = result;
+
+    // Make sure the account still exists
+    const userDoc = await db.collection('users').findOne(
+      { email: session.user_email },
+      { projection: { _id: 0, email: 1, status: 1 } }
+    );
+
+    if (!userDoc || userDoc.status === EmployeeStatus.INACTIVE) {
+      await revokeSession(db, session.id, userDoc ? 'account_deactivated' : 'account_deleted');
+      return res.status(401).json({
+        detail: 'Invalid or expired refresh token',
+        error_code: 'INVALID_REFRESH_TOKEN'
+      });
+    }
+
+    await recordSecurityEvent(db, {
+      type: SecurityEventType.TOKEN_REFRESHED,
+      email: session.user_email,
+      userId: session.user_id,
+      metadata: { session_id: session.id }
+    }, req);
+
+    res.json(buildTokenResponse(session.user_email, session.id, refreshToken));
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/auth/password-policy
+ * Current password rules (public, so signup / reset forms can show them)
+ */
+router.get('/password-policy', async (req, res) => {
+  try {
+    const db = getDB();
+    const { password_policy: policy } = await getSecuritySettings(db);
+
+    // The banned list itself is not published
+    const { banned_passwords, ...publicPolicy } = policy;
+
+    res.json(publicPolicy);
+  } catch (error) {
+    console.error('Get password policy error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/auth/change-password
+ * Change own password (also clears a forced / expired password state)
+ * Signs out every other device and returns fresh tokens for this one
+ */
+router.post('/change-password', authenticate, validate(schemas.changePassword), async (req, res) => {
+  try {
+    const db = getDB();
+    const { current_password, new_password } = req.validatedBody;
+
+    const userDoc = await db.collection('users').findOne(
+      { email: req.user.email },
+      { projection: { _id: 0 } }
+    );
+
+    const isValid = await verifyPassword(current_password, userDoc.hashed_password);
+    if (!isValid) {
+      return res.status(400).json({ detail: 'Current password is incorrect' });
+    }
+
+    const passwordErrors = await checkNewPassword(db, new_password, {
+      email: userDoc.email,
+      full_name: userDoc.full_name,
+      userDoc
+    });
+    if (passwordErrors.length > 0) {
+      return res.status(422).json(formatPasswordErrors(passwordErrors, 'new_password'));
+    }
+
+    await setUserPassword(db, userDoc, new_password);
+
+    // Old access tokens die with password_updated_at; revoke the sessions too
+    await revokeUserSessions(db, userDoc.email, 'password_changed');
+    const tokens = await issueAuthTokens(db, userDoc, req);
+
+    await recordSecurityEvent(db, { type: SecurityEventType.PASSWORD_CHANGED, email: userDoc.email, userId: userDoc.id }, req);
 
     res.json({
-      access_token: accessToken,
-      token_type: 'bearer',
-      user: {
-        id: userDoc.id,
-        employee_id: userDoc.employee_id,
-        email: userDoc.email,
-        full_name: userDoc.full_name || userDoc.name,
-        role: userDoc.role
+      status: 'success',
+      message: 'Password changed successfully',
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session
+ */
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    await revokeSession(db, req.user.session_id, 'logout');
+    await recordSecurityEvent(db, { type: SecurityEventType.LOGOUT, email: req.user.email, userId: req.user.id }, req);
+
+    res.json({ status: 'success', message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/auth/logout-all
+ * Revoke every session of the current user (all devices)
+ */
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const revokedCount = await revokeUserSessions(db, req.user.email, 'logout_all');
+    await recordSecurityEvent(db, {
+      type: SecurityEventType.LOGOUT,
+      email: req.user.email,
+      userId: req.user.id,
+      metadata: { all_devices: true, revoked_sessions: revokedCount }
+    }, req);
+
+    res.json({
+      status: 'success',
+      message: 'Logged out from all devices',
+      revoked_sessions: revokedCount
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List active sessions (devices) of the current user
+ */
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+
+    const sessions = await db.collection('sessions')
+      .find(
+        {
+          user_email: req.user.email,
+          revoked_at: null,
+          expires_at: { $gt: new Date() }
+        },
+        { projection: { _id: 0, refresh_token_hash: 0, previous_token_hashes: 0 } }
+      )
+      .sort({ last_used_at: -1 })
+      .toArray();
+
+    res.json(sessions.map(session => ({
+      ...session,
+      is_current: session.id === req.user.session_id
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Revoke one of the current user's sessions
+ */
+router.delete('/sessions/:sessionId', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const { sessionId } = req.params;
+
+    const session = await db.collection('sessions').findOne(
+      { id: sessionId, user_email: req.user.email },
+      { projection: { _id: 0, id: 1, revoked_at: 1 } }
+    );
+
+    if (!session) {
+      return res.status(404).json({ detail: 'Session not found' });
+    }
+
+    if (session.revoked_at) {
+      return res.status(400).json({ detail: 'Session already revoked' });
+    }
+
+    await revokeSession(db, sessionId, 'revoked_by_user');
+
+    res.json({
+      status: 'success',
+      message: 'Session revoked',
+      session_id: sessionId
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/auth/lockouts
+ * Review login lockout events (admin only)
+ * Query params: ?active=true&email=&ip_address=
+ */
+router.get('/lockouts', authenticate, requirePermission(Permission.SECURITY_MANAGE), async (req, res) => {
+  try {
+    const db = getDB();
+    const { active, email, ip_address } = req.query;
+
+    const query = {};
+    if (email) query.email = email;
+    if (ip_address) query.ip_address = ip_address;
+    if (active === 'true') {
+      query.unlocked_at = null;
+      query.locked_until = { $gt: new Date() };
+    }
+
+    const lockouts = await db.collection('login_lockouts')
+      .find(query, { projection: { _id: 0 } })
+      .sort({ locked_at: -1 })
+      .limit(200)
+      .toArray();
+
+    res.json(lockouts);
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/auth/lockouts/unlock
+ * Lift an account or IP lockout (admin only)
+ */
+router.post('/lockouts/unlock', authenticate, requirePermission(Permission.SECURITY_MANAGE), validate(schemas.loginUnlock), async (req, res) => {
+  try {
+    const db = getDB();
+    const { email, ip_address } = req.validatedBody;
+
+    const unlockedCount = await unlockLogin(db, { email, ip_address }, req.user.email);
+
+    res.json({
+      status: 'success',
+      message: 'Login lockout cleared',
+      lockouts_lifted: unlockedCount
+    });
+  } catch (error) {
+    console.error('Unlock login error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/auth/security-settings
+ * Get authentication security settings (admin only)
+ */
+router.get('/security-settings', authenticate, requirePermission(Permission.SECURITY_MANAGE), async (req, res) => {
+  try {
+    const db = getDB();
+    const settings = await getSecuritySettings(db);
+
+    res.json(settings);
+  } catch (error) {
+    console.error('Get security settings error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /api/auth/security-settings
+ * Update authentication security settings (admin only)
+ * e.g. { "two_factor_required_roles": ["admin", "manager"] }
+ */
+router.put('/security-settings', authenticate, requirePermission(Permission.SECURITY_MANAGE), validate(schemas.securitySettingsUpdate), async (req, res) => {
+  try {
+    const db = getDB();
+
+    if (req.validatedBody.two_factor_required_roles) {
+      const unknownRoles = await findUnknownRoles(db, req.validatedBody.two_factor_required_roles);
+      if (unknownRoles.length > 0) {
+        return res.status(400).json({ detail: `Unknown role(s): ${unknownRoles.join(', ')}` });
       }
+    }
+
+    const settings = await updateSecuritySettings(db, req.validatedBody, req.user.email);
+
+    res.json({
+      status: 'success',
+      message: 'Security settings updated',
+      settings
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Update security settings error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/auth/me/security-events
+ * My login and security history
+ * Query: ?type=login_success,login_failed&from=&to=&page=1&limit=50
+ */
+router.get('/me/security-events', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const query = {
+      ...buildSecurityEventQuery(req.query),
+      user_email: req.user.email
+    };
+
+    res.json(await listSecurityEvents(db, query, req.query));
+  } catch (error) {
+    console.error('Get my security events error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/auth/security-events
+ * Security events of all users (admin only)
+ * Query: ?email=&type=&ip=&from=&to=&page=1&limit=50
+ */
+router.get('/security-events', authenticate, requirePermission(Permission.SECURITY_MANAGE), async (req, res) => {
+  try {
+    const db = getDB();
+    const query = buildSecurityEventQuery(req.query);
+
+    if (req.query.email) {
+      query.user_email = String(req.query.email).toLowerCase();
+    }
+
+    res.json(await listSecurityEvents(db, query, req.query));
+  } catch (error) {
+    console.error('Get security events error:', error);
     res.status(500).json({ detail: 'Internal server error' });
   }
 });
@@ -233,7 +890,15 @@ router.post('/login', validate(schemas.userLogin), async (req, res) => {
  */
 router.get('/me', authenticate, getCurrentEmployee, async (req, res) => {
   try {
-    res.json(req.employee);
+    const db = getDB();
+    const fieldDefinitions = await getFieldDefinitions(db);
+
+    res.json({
+      ...applyCustomFieldVisibility(req.employee, fieldDefinitions, getAccessLevel(req.user, req.employee)),
+      permissions: req.user.permissions,
+      // Present only while an admin is viewing as this user
+      impersonator: req.user.impersonator || null
+    });
   } catch (error) {
     console.error('Get me error:', error);
     res.status(500).json({ detail: 'Internal server error' });
@@ -241,3 +906,4 @@ router.get('/me', authenticate, getCurrentEmployee, async (req, res) => {
 });
 
 module.exports = router;
+module.exports.completeLogin = completeLogin;
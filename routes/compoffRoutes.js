@@ -2,10 +2,13 @@ const express = require('express');
 const router = express.Router();
 const { getDB } = require('../config/database');
 const { authenticate } = require('../middleware/auth');
-const { requireRole } = require('../middleware/roleCheck');
-const { UserRole } = require('../models/schemas');
+const { hasPermission, requirePermission } = require('../middleware/roleCheck');
+const { UserRole, DelegationScope } = require('../models/schemas');
+const { Permission } = require('../models/permissions');
 const { generateUUID, toISOString } = require('../utils/helpers');
 const { sendEmailNotification } = require('../services/emailService');
+const { getTeamEmails, isInTeam } = require('../services/hierarchyService');
+const { describeDecision, getDelegators, findDelegatorForTeamMember } = require('../services/delegationService');
 
 /**
  * Helper function to update employee's comp_off balance
@@ -71,7 +74,7 @@ const deductEmployeeCompOffBalance = async (db, employeeEmail, daysToDeduct) =>
  * POST /api/comp-off/request
  * Request comp-off (employee/manager)
  */
-router.post('/request', authenticate, requireRole([UserRole.EMPLOYEE, UserRole.MANAGER]), async (req, res) => {
+router.post('/request', authenticate, requirePermission(Permission.COMPOFF_REQUEST), async (req, res) => {
   try {
     const db = getDB();
     const { work_date, days, reason } = req.body;
@@ -184,7 +187,7 @@ router.post('/request', authenticate, requireRole([UserRole.EMPLOYEE, UserRole.M
  * GET /api/comp-off/my-requests
  * Get my comp-off requests (employee/manager)
  */
-router.get('/my-requests', authenticate, requireRole([UserRole.EMPLOYEE, UserRole.MANAGER]), async (req, res) => {
+router.get('/my-requests', authenticate, requirePermission(Permission.COMPOFF_REQUEST), async (req, res) => {
   try {
     const db = getDB();
 
@@ -203,21 +206,51 @@ router.get('/my-requests', authenticate, requireRole([UserRole.EMPLOYEE, UserRol
   }
 });
 
+/**
+ * Helper: requirePermission that also lets in active comp-off delegates of an approver
+ * (what a delegate may act on is checked per request)
+ */
+const requirePermissionOrDelegation = (permissions) => async (req, res, next) => {
+  try {
+    if (hasPermission(req.user, permissions)) return next();
+
+    const delegators = await getDelegators(getDB(), req.user.email, DelegationScope.COMP_OFF);
+    if (delegators.length > 0) return next();
+
+    res.status(403).json({ detail: 'Not enough permissions' });
+  } catch (error) {
+    console.error('Comp-off delegation check error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+};
+
 /**
  * GET /api/comp-off/team-requests
- * Get team comp-off requests (manager)
+ * Get team comp-off requests (manager), including the teams of managers I am a
+ * delegate for and requests reassigned to me
  */
-router.get('/team-requests', authenticate, requireRole([UserRole.MANAGER]), async (req, res) => {
+router.get('/team-requests', authenticate, requirePermissionOrDelegation(Permission.COMPOFF_APPROVE), async (req, res) => {
   try {
     const db = getDB();
 
-    // Get requests from employees who report to this manager
+    const delegators = await getDelegators(db, req.user.email, DelegationScope.COMP_OFF);
+    const managers = delegators.map(delegator => delegator.email);
+    if (hasPermission(req.user, Permission.COMPOFF_APPROVE)) managers.push(req.user.email);
+
+    const conditions = [{ assigned_approver_email: { $in: managers } }];
+
+    // Requests from employees in each manager's reporting tree
+    for (const manager of managers) {
+      conditions.push({
+        assigned_approver_email: null,
+        employee_email: { $in: await getTeamEmails(db, manager) },
+        employee_role: UserRole.EMPLOYEE  // Only employee requests, not other managers
+      });
+    }
+
     const requests = await db.collection('comp_off_requests')
       .find(
-        {
-          manager_email: req.user.email,
-          employee_role: UserRole.EMPLOYEE  // Only employee requests, not other managers
-        },
+        { employee_email: { $ne: req.user.email }, $or: conditions },
         { projection: { _id: 0 } }
       )
       .sort({ created_at: -1 })
@@ -234,7 +267,7 @@ router.get('/team-requests', authenticate, requireRole([UserRole.MANAGER]), asyn
  * GET /api/comp-off/all-requests
  * Get all comp-off requests (admin)
  */
-router.get('/all-requests', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.get('/all-requests', authenticate, requirePermission(Permission.COMPOFF_VIEW_ALL), async (req, res) => {
   try {
     const db = getDB();
 
@@ -252,9 +285,9 @@ router.get('/all-requests', authenticate, requireRole([UserRole.ADMIN]), async (
 
 /**
  * POST /api/comp-off/:id/action
- * Approve or reject comp-off request (manager/admin)
+ * Approve or reject comp-off request (manager/admin, or a delegate on the manager's behalf)
  */
-router.post('/:id/action', authenticate, requireRole([UserRole.MANAGER, UserRole.ADMIN]), async (req, res) => {
+router.post('/:id/action', authenticate, requirePermissionOrDelegation([Permission.COMPOFF_APPROVE, Permission.COMPOFF_VIEW_ALL]), async (req, res) => {
   try {
     const db = getDB();
     const { id } = req.params;
@@ -278,18 +311,40 @@ router.post('/:id/action', authenticate, requireRole([UserRole.MANAGER, UserRole
       return res.status(400).json({ detail: 'Request has already been processed' });
     }
 
-    // Authorization check
-    if (req.user.role === UserRole.MANAGER) {
-      // Manager can only approve employee requests (not other managers)
-      if (compOffRequest.employee_role !== UserRole.EMPLOYEE) {
-        return res.status(403).json({ detail: 'Managers can only approve employee requests' });
-      }
-      // Manager can only approve requests from their team
-      if (compOffRequest.manager_email !== req.user.email) {
-        return res.status(403).json({ detail: 'You can only approve requests from your team members' });
+    if (compOffRequest.employee_email === req.user.email) {
+      return res.status(403).json({ detail: 'You cannot approve your own comp-off request' });
+    }
+
+    // Authorization check - without company-wide access only own team's requests,
+    // requests reassigned to me, or those of a manager I am a delegate for
+    let onBehalfOf = null;
+    if (!hasPermission(req.user, Permission.COMPOFF_VIEW_ALL)) {
+      const assignedTo = compOffRequest.assigned_approver_email;
+      if (assignedTo) {
+        if (assignedTo !== req.user.email || !hasPermission(req.user, Permission.COMPOFF_APPROVE)) {
+          const delegators = await getDelegators(db, req.user.email, DelegationScope.COMP_OFF);
+          onBehalfOf = delegators.find(delegator => delegator.email === assignedTo) || null;
+          if (!onBehalfOf) {
+            return res.status(403).json({ detail: 'This request is assigned to another approver' });
+          }
+        }
+      } else {
+        // Manager can only approve employee requests (not other managers)
+        if (compOffRequest.employee_role !== UserRole.EMPLOYEE) {
+          return res.status(403).json({ detail: 'Managers can only approve employee requests' });
+        }
+        // Manager can only approve requests from their team
+        const isManager = hasPermission(req.user, Permission.COMPOFF_APPROVE) &&
+          await isInTeam(db, req.user.email, compOffRequest.employee_email);
+        if (!isManager) {
+          onBehalfOf = await findDelegatorForTeamMember(db, req.user.email, compOffRequest.employee_email, DelegationScope.COMP_OFF);
+          if (!onBehalfOf) {
+            return res.status(403).json({ detail: 'You can only approve requests from your team members' });
+          }
+        }
       }
     }
-    // Admin can approve any request
+    // Company-wide approvers (admin) can approve any request
 
     // Require remarks for rejection
     if (action === 'reject' && !remarks?.trim()) {
@@ -305,6 +360,8 @@ router.post('/:id/action', authenticate, requireRole([UserRole.MANAGER, UserRole
       status: action === 'approve' ? 'approved' : 'rejected',
       remarks: remarks || null,
       approved_by: req.user.email,
+      approved_on_behalf_of: onBehalfOf ? onBehalfOf.email : null,
+      approval_note: describeDecision(action, req.user.full_name || req.user.email, onBehalfOf),
       approved_at: toISOString(new Date()),
       updated_at: toISOString(new Date())
     };
@@ -357,6 +414,7 @@ router.post('/:id/action', authenticate, requireRole([UserRole.MANAGER, UserRole
     res.json({
       status: 'success',
       message: `Comp-off request ${action}d successfully${action === 'approve' ? '. Days added to leave balance.' : ''}`,
+      approval_note: updateData.approval_note,
       request_id: id
     });
   } catch (error) {
@@ -414,15 +472,15 @@ router.get('/balance', authenticate, async (req, res) => {
  * Get comp-off records for all employees (manager/admin)
  * Used in the Comp-Off Management page
  */
-router.get('/records', authenticate, requireRole([UserRole.MANAGER, UserRole.ADMIN]), async (req, res) => {
+router.get('/records', authenticate, requirePermission([Permission.COMPOFF_APPROVE, Permission.COMPOFF_VIEW_ALL]), async (req, res) => {
   try {
     const db = getDB();
 
     let query = {};
 
-    // If manager, only get records for their team members
-    if (req.user.role === UserRole.MANAGER) {
-      query.manager_email = req.user.email;
+    // Without company-wide access, only get records for their team members
+    if (!hasPermission(req.user, Permission.COMPOFF_VIEW_ALL)) {
+      query.employee_email = { $in: await getTeamEmails(db, req.user.email) };
     }
 
     const records = await db.collection('comp_off_requests')
@@ -460,7 +518,7 @@ router.get('/records', authenticate, requireRole([UserRole.MANAGER, UserRole.ADM
  * Directly grant comp-off to an employee (manager/admin)
  * This creates an already-approved comp-off record
  */
-router.post('/grant', authenticate, requireRole([UserRole.MANAGER, UserRole.ADMIN]), async (req, res) => {
+router.post('/grant', authenticate, requirePermission(Permission.COMPOFF_GRANT), async (req, res) => {
   try {
     const db = getDB();
     const { user_id, days, work_date, reason } = req.body;
@@ -494,9 +552,9 @@ router.post('/grant', authenticate, requireRole([UserRole.MANAGER, UserRole.ADMI
       return res.status(404).json({ detail: 'Employee not found' });
     }
 
-    // Authorization check for managers
-    if (req.user.role === UserRole.MANAGER) {
-      if (employee.manager_email !== req.user.email) {
+    // Authorization check for managers (team-only access)
+    if (!hasPermission(req.user, Permission.COMPOFF_VIEW_ALL)) {
+      if (!await isInTeam(db, req.user.email, employee.email)) {
         return res.status(403).json({ detail: 'You can only grant comp-off to your team members' });
       }
     }
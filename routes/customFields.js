@@ -0,0 +1,158 @@
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { hasPermission, requirePermission, validate } = require('../middleware/roleCheck');
+const { schemas, CustomFieldType } = require('../models/schemas');
+const { Permission } = require('../models/permissions');
+const { generateUUID } = require('../utils/helpers');
+const { deleteFile } = require('../services/s3Service');
+const { getFieldDefinitions, isValidAccessPair } = require('../services/customFieldService');
+
+/**
+ * GET /api/custom-fields
+ * Field definitions in display order (for rendering profile forms)
+ * Query: ?include_inactive=true (custom field managers only)
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const includeInactive = req.query.include_inactive === 'true' &&
+      hasPermission(req.user, Permission.CUSTOM_FIELD_MANAGE);
+
+    res.json(await getFieldDefinitions(db, { includeInactive }));
+  } catch (error) {
+    console.error('Get custom fields error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/custom-fields
+ * Define a field - the key and type cannot change afterwards
+ */
+router.post('/', authenticate, requirePermission(Permission.CUSTOM_FIELD_MANAGE), validate(schemas.customFieldCreate), async (req, res) => {
+  try {
+    const db = getDB();
+    const data = req.validatedBody;
+
+    if (!isValidAccessPair(data.visibility, data.editable_by)) {
+      return res.status(400).json({ detail: 'editable_by cannot be wider than visibility' });
+    }
+
+    const existing = await db.collection('custom_fields').findOne({ key: data.key });
+    if (existing) {
+      return res.status(400).json({ detail: `A custom field with key "${data.key}" already exists` });
+    }
+
+    const now = new Date();
+    const field = {
+      id: generateUUID(),
+      key: data.key,
+      label: data.label,
+      type: data.type,
+      options: data.type === CustomFieldType.ENUM ? data.options : null,
+      required: data.required,
+      visibility: data.visibility,
+      editable_by: data.editable_by,
+      description: data.description || null,
+      order: data.order,
+      is_active: true,
+      created_at: now,
+      created_by: req.user.email,
+      updated_at: now
+    };
+
+    await db.collection('custom_fields').insertOne(field);
+
+    delete field._id;
+
+    res.status(201).json(field);
+  } catch (error) {
+    console.error('Create custom field error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /api/custom-fields/:fieldId
+ * Update label, options, required flag, access levels or order
+ * Inactive fields keep their values but are hidden and cannot be edited
+ */
+router.put('/:fieldId', authenticate, requirePermission(Permission.CUSTOM_FIELD_MANAGE), validate(schemas.customFieldUpdate), async (req, res) => {
+  try {
+    const db = getDB();
+    const data = req.validatedBody;
+
+    const field = await db.collection('custom_fields').findOne({ id: req.params.fieldId }, { projection: { _id: 0 } });
+    if (!field) {
+      return res.status(404).json({ detail: 'Custom field not found' });
+    }
+
+    if (data.options && field.type !== CustomFieldType.ENUM) {
+      return res.status(400).json({ detail: 'Only enum fields have options' });
+    }
+    if (!isValidAccessPair(data.visibility || field.visibility, data.editable_by || field.editable_by)) {
+      return res.status(400).json({ detail: 'editable_by cannot be wider than visibility' });
+    }
+
+    const updates = { ...data, updated_at: new Date(), updated_by: req.user.email };
+    if (data.description !== undefined) updates.description = data.description || null;
+
+    await db.collection('custom_fields').updateOne({ id: field.id }, { $set: updates });
+
+    const updated = await db.collection('custom_fields').findOne({ id: field.id }, { projection: { _id: 0 } });
+    res.json(updated);
+  } catch (error) {
+    console.error('Update custom field error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/custom-fields/:fieldId
+ * Delete a field together with every employee's value (uploaded files included)
+ * Deactivate it instead to keep the values
+ */
+router.delete('/:fieldId', authenticate, requirePermission(Permission.CUSTOM_FIELD_MANAGE), async (req, res) => {
+  try {
+    const db = getDB();
+
+    const field = await db.collection('custom_fields').findOne({ id: req.params.fieldId }, { projection: { _id: 0 } });
+    if (!field) {
+      return res.status(404).json({ detail: 'Custom field not found' });
+    }
+
+    const valuePath = `custom_fields.${field.key}`;
+
+    if (field.type === CustomFieldType.FILE) {
+      const employees = await db.collection('employees')
+        .find({ [valuePath]: { $ne: null } }, { projection: { _id: 0, [valuePath]: 1 } })
+        .toArray();
+      for (const employee of employees) {
+        const file = employee.custom_fields[field.key];
+        try {
+          if (file && file.key) await deleteFile(file.key);
+        } catch (err) {
+          console.error('[CustomFields] Failed to delete file:', err.message);
+        }
+      }
+    }
+
+    const result = await db.collection('employees').updateMany(
+      { [valuePath]: { $exists: true } },
+      { $unset: { [valuePath]: '' } }
+    );
+    await db.collection('custom_fields').deleteOne({ id: field.id });
+
+    res.json({
+      status: 'success',
+      message: `Custom field deleted (values removed from ${result.modifiedCount} employees)`
+    });
+  } catch (error) {
+    console.error('Delete custom field error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,12 @@ const express = require('express');
 const router = express.Router();
 const { getDB } = require('../config/database');
 const { authenticate, getCurrentEmployee } = require('../middleware/auth');
-const { UserRole, LeaveStatus } = require('../models/schemas');
+const { hasPermission } = require('../middleware/roleCheck');
+const { LeaveStatus } = require('../models/schemas');
+const { Permission } = require('../models/permissions');
+const { ACTIVE_EMPLOYEE_FILTER } = require('../services/offboardingService');
+const { getTeamEmails } = require('../services/hierarchyService');
+const { getAwaitingApprovalQuery } = require('../services/leaveApprovalService');
 
 /**
  * GET /api/dashboard/stats
@@ -17,14 +22,15 @@ router.get('/stats', authenticate, getCurrentEmployee, async (req, res) => {
     const stats = {
       total_employees: 0,
       pending_leaves: 0,
+      awaiting_my_approval: 0,
       approved_leaves_this_month: 0,
       my_leave_balance: null,
       recent_leaves: []
     };
 
-    if (user.role === UserRole.ADMIN) {
-      // Admin stats
-      stats.total_employees = await db.collection('employees').countDocuments({});
+    if (hasPermission(user, Permission.LEAVE_VIEW_ALL)) {
+      // Admin stats (company-wide)
+      stats.total_employees = await db.collection('employees').countDocuments(ACTIVE_EMPLOYEE_FILTER);
       stats.pending_leaves = await db.collection('leaves').countDocuments({
         status: { $in: [LeaveStatus.PENDING, LeaveStatus.MANAGER_APPROVED] }
       });
@@ -37,26 +43,30 @@ router.get('/stats', authenticate, getCurrentEmployee, async (req, res) => {
         status: LeaveStatus.APPROVED,
         created_at: { $gte: startOfMonth.toISOString() }
       });
-    } else if (user.role === UserRole.MANAGER) {
-      // Manager stats
-      stats.total_employees = await db.collection('employees').countDocuments({
-        manager_email: employee.email
-      });
+    } else if (hasPermission(user, Permission.LEAVE_VIEW_TEAM)) {
+      // Manager stats (own team)
+      const teamEmails = await getTeamEmails(db, employee.email);
+      stats.total_employees = teamEmails.length;
       stats.pending_leaves = await db.collection('leaves').countDocuments({
-        manager_email: employee.email,
+        employee_email: { $in: teamEmails },
         status: LeaveStatus.PENDING
       });
     }
 
+    // Leaves waiting on this user at their current approval step
+    stats.awaiting_my_approval = await db.collection('leaves').countDocuments(
+      await getAwaitingApprovalQuery(db, user)
+    );
+
     // Employee's own leave balance
     stats.my_leave_balance = employee.leave_balance;
 
     // Recent leaves query
     let query = {};
-    if (user.role === UserRole.ADMIN) {
+    if (hasPermission(user, Permission.LEAVE_VIEW_ALL)) {
       query = {};
-    } else if (user.role === UserRole.MANAGER) {
-      query = { manager_email: employee.email };
+    } else if (hasPermission(user, Permission.LEAVE_VIEW_TEAM)) {
+      query = { employee_email: { $in: await getTeamEmails(db, employee.email) } };
     } else {
       query = { employee_email: employee.email };
     }
@@ -0,0 +1,265 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { getDB } = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleCheck');
+const { Permission } = require('../models/permissions');
+const { EmployeeStatus } = require('../models/schemas');
+const { hashPassword, generateUUID } = require('../utils/helpers');
+const { sendEmailNotification } = require('../services/emailService');
+const { generateWelcomeEmail } = require('../utils/emailTemplates');
+const { listRoles } = require('../services/roleService');
+const {
+  MAX_IMPORT_ROWS,
+  IMPORT_COLUMNS,
+  RowStatus,
+  parseImportFile,
+  validateImportRows,
+  buildImportTemplate
+} = require('../services/employeeImportService');
+const { getProbationSettings, createProbation } = require('../services/probationService');
+const { reserveEmployeeIds } = require('../services/employeeIdService');
+const { getLeaveBalanceFromPolicy } = require('./employees');
+
+// Configure multer for memory storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB max
+  }
+});
+
+/**
+ * Helper: Accept a single `file` field, turning multer errors into 400s
+ */
+const uploadImportFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ detail: error.code === 'LIMIT_FILE_SIZE' ? 'File is too large (max 5MB)' : error.message });
+    }
+    next();
+  });
+};
+
+/**
+ * Helper: Read a boolean multipart field ("true"/"false")
+ */
+const parseFlag = (value, defaultValue) => {
+  if (value === undefined || value === '') return defaultValue;
+  return value === true || String(value).toLowerCase() === 'true';
+};
+
+/**
+ * GET /api/employees/import/template
+ * Download the XLSX import template (same columns the import accepts)
+ */
+router.get('/import/template', authenticate, requirePermission(Permission.EMPLOYEE_CREATE), async (req, res) => {
+  try {
+    const db = getDB();
+    const roles = await listRoles(db);
+
+    const workbook = buildImportTemplate(roles.map(role => role.key));
+    const buffer = await workbook.xlsx.writeBuffer();
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename=Employee_Import_Template.xlsx');
+    res.setHeader('Content-Length', buffer.length);
+
+    res.send(buffer);
+  } catch (error) {
+    console.error('Download import template error:', error);
+    res.status(500).json({ detail: 'Failed to generate import template' });
+  }
+});
+
+/**
+ * POST /api/employees/import
+ * Bulk-create employees from an XLSX or CSV file (multipart field `file`)
+ * Fields:
+ *   dry_run (default true) - only validate and return the per-row report
+ *   skip_invalid (default false) - import the valid rows even if some rows fail
+ *   send_welcome_emails (default false)
+ */
+router.post('/import', authenticate, requirePermission(Permission.EMPLOYEE_CREATE), uploadImportFile, async (req, res) => {
+  try {
+    const db = getDB();
+    const dryRun = parseFlag(req.body.dry_run, true);
+    const skipInvalid = parseFlag(req.body.skip_invalid, false);
+    const sendWelcomeEmails = parseFlag(req.body.send_welcome_emails, false);
+
+    if (!req.file) {
+      return res.status(400).json({ detail: 'No file uploaded' });
+    }
+
+    let parsed;
+    try {
+      parsed = await parseImportFile(req.file);
+    } catch (parseError) {
+      return res.status(400).json({ detail: parseError.statusCode ? parseError.message : 'Could not read the file' });
+    }
+
+    const { rows, unknownHeaders, missingHeaders } = parsed;
+
+    if (missingHeaders.length > 0) {
+      return res.status(400).json({
+        detail: `Missing required column(s): ${missingHeaders.join(', ')}`,
+        expected_columns: IMPORT_COLUMNS.map(column => column.header)
+      });
+    }
+    if (rows.length === 0) {
+      return res.status(400).json({ detail: 'The file has no employee rows' });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ detail: `Too many rows (${rows.length}). Import at most ${MAX_IMPORT_ROWS} at a time.` });
+    }
+
+    const report = await validateImportRows(db, rows, req.user);
+    const validRows = report.filter(entry => entry.status === RowStatus.VALID);
+
+    const summary = {
+      total_rows: report.length,
+      valid_rows: validRows.length,
+      invalid_rows: report.length - validRows.length,
+      unknown_columns: unknownHeaders
+    };
+    // Never echo passwords back
+    const rowReport = report.map(({ employee, ...entry }) => entry);
+
+    if (dryRun) {
+      return res.json({ dry_run: true, summary, rows: rowReport });
+    }
+
+    if (summary.invalid_rows > 0 && !skipInvalid) {
+      return res.status(422).json({
+        detail: 'Some rows are invalid. Fix them or set skip_invalid to import the valid rows only.',
+        summary,
+        rows: rowReport
+      });
+    }
+    if (validRows.length === 0) {
+      return res.status(422).json({ detail: 'No valid rows to import', summary, rows: rowReport });
+    }
+
+    // ============================================
+    // COMMIT - one ID block per organization, one insert per collection
+    // ============================================
+    const now = new Date();
+    const rowsByOrganization = new Map();
+    for (const entry of validRows) {
+      const organizationId = entry.employee.organization_id || null;
+      rowsByOrganization.set(organizationId, [...(rowsByOrganization.get(organizationId) || []), entry]);
+    }
+    const employeeIds = new Map();
+    for (const [organizationId, entries] of rowsByOrganization) {
+      const ids = await reserveEmployeeIds(db, entries.length, { organizationId });
+      entries.forEach((entry, index) => employeeIds.set(entry, ids[index]));
+    }
+    const probationSettings = await getProbationSettings(db);
+    const userDocs = [];
+    const employeeDocs = [];
+
+    // Hashed together rather than one row at a time (bcrypt is slow by design)
+    const hashedPasswords = await Promise.all(validRows.map(entry => hashPassword(entry.employee.password)));
+
+    for (const [index, entry] of validRows.entries()) {
+      const data = entry.employee;
+      const employeeUuid = generateUUID();
+      const employeeId = employeeIds.get(entry);
+      const joiningDate = data.joining_date || now;
+
+      userDocs.push({
+        id: employeeUuid,
+        employee_id: employeeId,
+        full_name: data.full_name,
+        email: data.email,
+        hashed_password: hashedPasswords[index],
+        password_history: [],
+        password_updated_at: now,
+        must_change_password: true,  // Temporary password from the sheet
+        role: data.role,
+        department: data.department,
+        designation: data.designation,
+        phone: data.phone || null,
+        organization_id: data.organization_id || null,
+        status: EmployeeStatus.ACTIVE,
+        created_at: now
+      });
+
+      employeeDocs.push({
+        id: employeeUuid,
+        employee_id: employeeId,
+        email: data.email,
+        full_name: data.full_name,
+        role: data.role,
+        department: data.department,
+        department_id: data.department_id || null,
+        designation: data.designation,
+        designation_id: data.designation_id || null,
+        phone: data.phone || null,
+        organization_id: data.organization_id || null,
+        organization_name: data.organization_name,
+        joining_date: joiningDate,
+        manager_email: data.manager_email || null,
+        manager_name: data.manager_name || null,
+        leave_balance: await getLeaveBalanceFromPolicy(db, joiningDate),
+        probation: await createProbation(db, data, joiningDate, probationSettings),
+        status: EmployeeStatus.ACTIVE,
+        imported_by: req.user.email,
+        created_at: now
+      });
+
+      entry.employee_id = employeeId;
+    }
+
+    // Employees before users, so no account can log in without an employee record;
+    // a failed insert removes whatever this import already wrote
+    try {
+      await db.collection('employees').insertMany(employeeDocs);
+      await db.collection('users').insertMany(userDocs);
+    } catch (insertError) {
+      const ids = userDocs.map(doc => doc.id);
+      await db.collection('users').deleteMany({ id: { $in: ids } });
+      await db.collection('employees').deleteMany({ id: { $in: ids } });
+
+      if (insertError.code === 11000) {
+        return res.status(409).json({ detail: 'Some of these employees were added while importing - nothing was imported, run the import again' });
+      }
+      throw insertError;
+    }
+
+    let emailsSent = 0;
+    if (sendWelcomeEmails) {
+      for (const employee of employeeDocs) {
+        try {
+          const welcomeHtml = generateWelcomeEmail(
+            employee.full_name,
+            employee.employee_id,
+            employee.email,
+            employee.role,
+            employee.department,
+            employee.designation
+          );
+          await sendEmailNotification(employee.email, `Welcome to HRMS - ${employee.full_name}`, welcomeHtml);
+          emailsSent++;
+        } catch (emailError) {
+          console.error(`Failed to send welcome email to ${employee.email}:`, emailError.message);
+        }
+      }
+    }
+
+    console.log(`📥 ${req.user.email} imported ${employeeDocs.length} employee(s)`);
+
+    res.status(201).json({
+      dry_run: false,
+      message: `Imported ${employeeDocs.length} employee(s)`,
+      summary: { ...summary, imported: employeeDocs.length, welcome_emails_sent: emailsSent },
+      rows: report.map(({ employee, ...entry }) => entry)
+    });
+  } catch (error) {
+    console.error('Import employees error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+module.exports = router;
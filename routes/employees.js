@@ -2,11 +2,48 @@ const express = require('express');
 const router = express.Router();
 const { getDB } = require('../config/database');
 const { authenticate, getCurrentEmployee } = require('../middleware/auth');
-const { requireRole, validate } = require('../middleware/roleCheck');
-const { schemas, UserRole, defaultLeaveBalance } = require('../models/schemas');
+const { hasPermission, requirePermission, validate } = require('../middleware/roleCheck');
+const { schemas, UserRole, defaultLeaveBalance, EmployeeStatus, ExitStatus, ExitType, JobChangeType, CustomFieldAccess } = require('../models/schemas');
+const { Permission } = require('../models/permissions');
 const { hashPassword, generateUUID, normalizeLeaveType } = require('../utils/helpers');
 const { sendEmailNotification } = require('../services/emailService');
 const { generateWelcomeEmail, generateNewEmployeeNotificationEmail } = require('../utils/emailTemplates');
+const { revokeUserSessions } = require('../services/sessionService');
+const { checkNewPassword, formatPasswordErrors } = require('../services/passwordService');
+const { getRole, getRolePermissions, getMissingPermissions, getAdminRoleKeys } = require('../services/roleService');
+const { SecurityEventType, recordSecurityEvent } = require('../services/securityEventService');
+const { ACTIVE_EMPLOYEE_FILTER, toDateString, buildExitRecord, deactivateEmployee } = require('../services/offboardingService');
+const {
+  MAX_EXPORT_ROWS,
+  buildDirectoryQuery,
+  buildDirectorySort,
+  getPagination,
+  normalizeEmployee,
+  buildDirectoryWorkbook
+} = require('../services/employeeDirectoryService');
+const { getTeamEmails, validateManagerAssignment } = require('../services/hierarchyService');
+const { resolveJobChanges, recordJobChange } = require('../services/employmentHistoryService');
+const { resolveDepartmentAndDesignation } = require('../services/masterDataService');
+const { buildProfileDiff, canEditPersonalDetails, canViewBankDetails } = require('../services/profileChangeService');
+const { createProbation, isOnProbation, addMonths } = require('../services/probationService');
+const {
+  COUNTER_PREFIX,
+  validateIdFormat,
+  getEmployeeIdConfig,
+  generateEmployeeId,
+  previewEmployeeId,
+  peekCounter,
+  setCompanyCounter
+} = require('../services/employeeIdService');
+const {
+  getFieldDefinitions,
+  getAccessLevel,
+  resolveAccessLevel,
+  canAccess,
+  applyCustomFieldVisibility,
+  validateCustomFieldValues,
+  toCustomFieldUpdate
+} = require('../services/customFieldService');
 
 /**
  * Default monthly credit rates for leave types
@@ -155,53 +192,129 @@ async function getLeaveBalanceFromPolicy(db, joiningDate = null) {
   }
 }
 
+/**
+ * Helper: Team scope for users without company-wide access (null = everyone)
+ * The team is everyone below the manager in the reporting hierarchy, plus the manager themselves
+ */
+async function getDirectoryScope(db, user) {
+  if (hasPermission(user, Permission.EMPLOYEE_VIEW_ALL)) {
+    return null;
+  }
+  const teamEmails = await getTeamEmails(db, user.email);
+  return { email: { $in: [user.email, ...teamEmails] } };
+}
+
+/**
+ * Helper: Directory rows with custom fields reduced to what the caller may see, bank details hidden
+ * (rows are already limited to the caller's scope, so everyone but the caller counts as team)
+ */
+function presentDirectoryRows(employees, fieldDefinitions, user) {
+  return employees.map(emp => {
+    const row = normalizeEmployee(
+      applyCustomFieldVisibility(emp, fieldDefinitions, getAccessLevel(user, emp, { inTeam: true }))
+    );
+    if (!canViewBankDetails(user, emp)) delete row.bank_details;
+    return row;
+  });
+}
+
 /**
  * GET /api/employees
  * Get all employees (admin) or team members (manager)
+ * Query:
+ *   search (name, email, employee ID), department, designation, organization_id,
+ *   manager_email, role (comma separated for several values), status=active (default)|inactive|all,
+ *   joined_from, joined_to, sort (e.g. full_name, -joining_date)
+ *   page, limit - when given, returns { employees, total, page, limit, total_pages }
+ *   Without page/limit the full filtered array is returned
  */
-router.get('/', authenticate, requireRole([UserRole.ADMIN, UserRole.MANAGER]), async (req, res) => {
+router.get('/', authenticate, requirePermission([Permission.EMPLOYEE_VIEW_ALL, Permission.EMPLOYEE_VIEW_TEAM]), async (req, res) => {
   try {
     const db = getDB();
-    const user = req.user;
+    const query = buildDirectoryQuery(req.query, await getDirectoryScope(db, req.user));
+    const sort = buildDirectorySort(req.query.sort);
+    const paginate = req.query.page !== undefined || req.query.limit !== undefined;
+    const fieldDefinitions = await getFieldDefinitions(db);
+
+    if (!paginate) {
+      const employees = await db.collection('employees')
+        .find(query, { projection: { _id: 0 } })
+        .sort(sort)
+        .toArray();
+
+      return res.json(presentDirectoryRows(employees, fieldDefinitions, req.user));
+    }
 
-    let query = {};
+    const { page, limit, skip } = getPagination(req.query);
+    const [employees, total] = await Promise.all([
+      db.collection('employees')
+        .find(query, { projection: { _id: 0 } })
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      db.collection('employees').countDocuments(query)
+    ]);
 
-    // If user is a manager, only return employees in their team
-    if (user.role === UserRole.MANAGER) {
-      query = {
-        $or: [
-          { manager_email: user.email },  // Employees reporting to this manager
-          { email: user.email }            // Include the manager themselves
-        ]
-      };
+    res.json({
+      employees: presentDirectoryRows(employees, fieldDefinitions, req.user),
+      total,
+      page,
+      limit,
+      total_pages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Get employees error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/employees/export
+ * Download the filtered directory as XLSX (default) or CSV
+ * Query: same filters and sort as GET /api/employees, plus format=xlsx|csv
+ */
+router.get('/export', authenticate, requirePermission([Permission.EMPLOYEE_VIEW_ALL, Permission.EMPLOYEE_VIEW_TEAM]), async (req, res) => {
+  try {
+    const db = getDB();
+    const format = req.query.format === 'csv' ? 'csv' : 'xlsx';
+    const query = buildDirectoryQuery(req.query, await getDirectoryScope(db, req.user));
+
+    const total = await db.collection('employees').countDocuments(query);
+    if (total > MAX_EXPORT_ROWS) {
+      return res.status(400).json({ detail: `Export is limited to ${MAX_EXPORT_ROWS} employees (${total} match). Narrow the filters.` });
     }
-    // If admin, query remains empty = fetch all employees
 
     const employees = await db.collection('employees')
-      .find(query, { projection: { _id: 0 } })
+      .find(query, { projection: { _id: 0, leave_balance: 0 } })
+      .sort(buildDirectorySort(req.query.sort))
       .toArray();
 
-    // Normalize dates and set id to employee_id for frontend
-    // Also ensure comp_off exists in leave_balance
-    for (const emp of employees) {
-      if (typeof emp.joining_date === 'string') {
-        emp.joining_date = new Date(emp.joining_date);
-      }
-      if (typeof emp.created_at === 'string') {
-        emp.created_at = new Date(emp.created_at);
-      }
-      emp.id = emp.employee_id;
+    // Custom field columns the caller may see on other employees' records
+    const fieldDefinitions = await getFieldDefinitions(db);
+    const otherLevel = getAccessLevel(req.user, {}, { inTeam: true });
+    const customColumns = fieldDefinitions.filter(def => canAccess(otherLevel, def.visibility));
+    const rows = employees.map(emp =>
+      applyCustomFieldVisibility(emp, fieldDefinitions, getAccessLevel(req.user, emp, { inTeam: true }))
+    );
 
-      // Ensure comp_off exists in leave_balance
-      if (emp.leave_balance && !('comp_off' in emp.leave_balance)) {
-        emp.leave_balance.comp_off = 0;
-      }
-    }
+    const workbook = buildDirectoryWorkbook(rows, customColumns);
+    const dateStamp = new Date().toISOString().slice(0, 10);
 
-    res.json(employees);
+    const buffer = format === 'csv'
+      ? await workbook.csv.writeBuffer()
+      : await workbook.xlsx.writeBuffer();
+
+    res.setHeader('Content-Type', format === 'csv'
+      ? 'text/csv; charset=utf-8'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=Employees_${dateStamp}.${format}`);
+    res.setHeader('Content-Length', buffer.length);
+
+    res.send(buffer);
   } catch (error) {
-    console.error('Get employees error:', error);
-    res.status(500).json({ detail: 'Internal server error' });
+    console.error('Export employees error:', error);
+    res.status(500).json({ detail: 'Failed to export employees' });
   }
 });
 
@@ -209,7 +322,7 @@ router.get('/', authenticate, requireRole([UserRole.ADMIN, UserRole.MANAGER]), a
  * POST /api/employees
  * Create new employee (admin only)
  */
-router.post('/', authenticate, requireRole([UserRole.ADMIN]), validate(schemas.employeeCreate), async (req, res) => {
+router.post('/', authenticate, requirePermission(Permission.EMPLOYEE_CREATE), validate(schemas.employeeCreate), async (req, res) => {
   try {
     const db = getDB();
     const employeeData = req.validatedBody;
@@ -221,43 +334,31 @@ router.post('/', authenticate, requireRole([UserRole.ADMIN]), validate(schemas.e
       return res.status(400).json({ detail: 'User with this email already exists' });
     }
 
-    // ============================================
-    // FIX: ATOMIC COUNTER INCREMENT
-    // This prevents duplicate employee IDs
-    // ============================================
-    const settingsUpdate = await db.collection('settings').findOneAndUpdate(
-      {},
-      { $inc: { employee_id_counter: 1 } },
-      { returnDocument: 'after' }
-    );
+    const targetRole = await getRole(db, employeeData.role);
+    if (!targetRole) {
+      return res.status(400).json({ detail: 'Invalid role' });
+    }
+    if (getMissingPermissions(req.user, targetRole.permissions).length > 0) {
+      return res.status(403).json({ detail: 'Cannot assign a role with permissions you do not have' });
+    }
 
-    if (!settingsUpdate || !settingsUpdate.value) {
-      // Try to get settings without update (maybe first time)
-      const settings = await db.collection('settings').findOne({});
-      if (!settings) {
-        return res.status(500).json({ detail: 'System settings not initialized' });
-      }
-      // Initialize counter if not exists
-      await db.collection('settings').updateOne(
-        {},
-        { $set: { employee_id_counter: (settings.employee_id_counter || 1000) + 1 } }
-      );
-      var employeeId = `${settings.employee_id_prefix || 'EMP'}${String((settings.employee_id_counter || 1000) + 1).padStart(4, '0')}`;
-    } else {
-      const settings = settingsUpdate.value;
-      var employeeId = `${settings.employee_id_prefix || 'EMP'}${String(settings.employee_id_counter).padStart(4, '0')}`;
+    // Admin-chosen passwords still have to satisfy the password policy
+    const passwordErrors = await checkNewPassword(db, employeeData.password, {
+      email: employeeData.email,
+      full_name: employeeData.full_name
+    });
+    if (passwordErrors.length > 0) {
+      return res.status(422).json(formatPasswordErrors(passwordErrors));
     }
 
-    // Double-check this employee_id doesn't already exist (safety check)
-    const existingEmployee = await db.collection('employees').findOne({ employee_id: employeeId });
-    if (existingEmployee) {
-      // If somehow duplicate, increment again and retry
-      const retrySettings = await db.collection('settings').findOneAndUpdate(
-        {},
-        { $inc: { employee_id_counter: 1 } },
-        { returnDocument: 'after' }
-      );
-      employeeId = `${retrySettings.value.employee_id_prefix || 'EMP'}${String(retrySettings.value.employee_id_counter).padStart(4, '0')}`;
+    // Custom profile fields - whoever creates the employee fills them in as HR
+    const fieldDefinitions = await getFieldDefinitions(db);
+    const customFields = validateCustomFieldValues(fieldDefinitions, employeeData.custom_fields, {
+      level: CustomFieldAccess.ADMIN,
+      isNew: true
+    });
+    if (customFields.errors.length > 0) {
+      return res.status(422).json({ detail: 'Validation failed', errors: customFields.errors });
     }
 
     const employeeUuid = generateUUID();
@@ -275,19 +376,26 @@ router.post('/', authenticate, requireRole([UserRole.ADMIN]), validate(schemas.e
       organizationName = org.name;
     }
 
+    // Department and designation must come from the organization's catalog
+    const jobTitle = await resolveDepartmentAndDesignation(db, employeeData.organization_id || null, employeeData);
+    if (jobTitle.error) {
+      return res.status(400).json({ detail: jobTitle.error });
+    }
+    Object.assign(employeeData, jobTitle);
+
     // Resolve manager name
     let managerName = null;
     if (employeeData.manager_email) {
-      const manager = await db.collection('employees').findOne(
-        { email: employeeData.manager_email },
-        { projection: { full_name: 1 } }
-      );
-      if (!manager) {
-        return res.status(400).json({ detail: 'Invalid manager_email' });
+      const { manager, error } = await validateManagerAssignment(db, employeeData.email, employeeData.manager_email);
+      if (error) {
+        return res.status(400).json({ detail: error });
       }
       managerName = manager.full_name;
     }
 
+    // Reserved only once the request is valid, so failed creates do not use up numbers
+    const employeeId = await generateEmployeeId(db, { organizationId: employeeData.organization_id || null });
+
     // ============================================
     // GET LEAVE BALANCE FROM CONFIGURED POLICY
     // Now properly calculates monthly credits based on joining date
@@ -313,6 +421,9 @@ router.post('/', authenticate, requireRole([UserRole.ADMIN]), validate(schemas.e
       full_name: employeeData.full_name,
       email: employeeData.email,
       hashed_password: await hashPassword(employeeData.password),
+      password_history: [],
+      password_updated_at: now,
+      must_change_password: true,  // Admin-chosen password - user sets their own on first login
       role: employeeData.role,
       department: employeeData.department,
       designation: employeeData.designation,
@@ -331,7 +442,9 @@ router.post('/', authenticate, requireRole([UserRole.ADMIN]), validate(schemas.e
       full_name: employeeData.full_name,
       role: employeeData.role,
       department: employeeData.department,
+      department_id: employeeData.department_id,
       designation: employeeData.designation,
+      designation_id: employeeData.designation_id,
       phone: employeeData.phone || null,
       organization_id: employeeData.organization_id || null,
       organization_name: organizationName,
@@ -339,6 +452,8 @@ router.post('/', authenticate, requireRole([UserRole.ADMIN]), validate(schemas.e
       manager_email: employeeData.manager_email || null,
       manager_name: managerName,
       leave_balance: leaveBalance,  // Includes comp_off and proper monthly credit calculation
+      probation: await createProbation(db, employeeData, joiningDate),
+      custom_fields: customFields.values,
       created_at: now
     };
 
@@ -444,13 +559,25 @@ router.put('/:userId', authenticate, validate(schemas.employeeUpdate), async (re
       return res.status(404).json({ detail: 'User not found' });
     }
 
-    // Permission check
-    if (req.user.role !== UserRole.ADMIN && user.email !== req.user.email) {
+    // Permission check - managers may only fill in custom fields of their team
+    const accessLevel = await resolveAccessLevel(db, req.user, employee);
+    const onlyCustomFields = Object.keys(updateData).every(key => key === 'custom_fields');
+    if (!hasPermission(req.user, Permission.EMPLOYEE_UPDATE) && user.email !== req.user.email &&
+      !(accessLevel === CustomFieldAccess.MANAGER && onlyCustomFields)) {
       return res.status(403).json({ detail: 'Not enough permissions' });
     }
 
+    // Employees change their personal details through a profile change request
+    if (!canEditPersonalDetails(req.user) && buildProfileDiff(employee, updateData).length > 0) {
+      return res.status(403).json({
+        detail: 'Changes to phone, address, bank details or emergency contacts need HR approval - submit a profile change request',
+        error_code: 'APPROVAL_REQUIRED'
+      });
+    }
+
     // Allowed fields only - NOW INCLUDES joining_date
-    const allowedFields = ['full_name', 'department', 'designation', 'phone', 'organization_id', 'manager_email', 'monthly_salary', 'joining_date'];
+    // Job fields (department, designation, manager, organization, salary) go through the employment history
+    const allowedFields = ['full_name', 'phone', 'joining_date', 'address', 'bank_details', 'emergency_contacts'];
     const updateDict = {};
 
     for (const key of Object.keys(updateData)) {
@@ -459,36 +586,29 @@ router.put('/:userId', authenticate, validate(schemas.employeeUpdate), async (re
       }
     }
 
-    // Resolve manager
-    if ('manager_email' in updateDict) {
-      if (updateDict.manager_email) {
-        const manager = await db.collection('employees').findOne(
-          { email: updateDict.manager_email },
-          { projection: { full_name: 1 } }
-        );
-        if (!manager) {
-          return res.status(400).json({ detail: 'Invalid manager_email' });
-        }
-        updateDict.manager_name = manager.full_name;
-      } else {
-        updateDict.manager_name = null;
+    const { changes: jobChanges, error: jobChangeError } = await resolveJobChanges(db, employee, updateData);
+    if (jobChangeError) {
+      return res.status(400).json({ detail: jobChangeError });
+    }
+    // Employees editing their own profile cannot change their job or pay
+    if (Object.keys(jobChanges).length > 0 && !hasPermission(req.user, Permission.EMPLOYEE_UPDATE)) {
+      return res.status(403).json({ detail: 'Not enough permissions to change job details' });
+    }
+    // ...nor their joining date, which drives probation and leave accrual
+    if (updateDict.joining_date && !hasPermission(req.user, Permission.EMPLOYEE_UPDATE)) {
+      if (!employee.joining_date || toDateString(updateDict.joining_date) !== toDateString(employee.joining_date)) {
+        return res.status(403).json({ detail: 'Not enough permissions to change the joining date' });
       }
+      delete updateDict.joining_date;
     }
 
-    // Resolve organization
-    if ('organization_id' in updateDict) {
-      if (updateDict.organization_id) {
-        const org = await db.collection('organizations').findOne(
-          { id: updateDict.organization_id },
-          { projection: { name: 1 } }
-        );
-        if (!org) {
-          return res.status(400).json({ detail: 'Invalid organization_id' });
-        }
-        updateDict.organization_name = org.name;
-      } else {
-        updateDict.organization_name = null;
-      }
+    const fieldDefinitions = await getFieldDefinitions(db);
+    const customFields = validateCustomFieldValues(fieldDefinitions, updateData.custom_fields, { level: accessLevel });
+    if (customFields.forbidden.length > 0) {
+      return res.status(403).json({ detail: `Not enough permissions to edit: ${customFields.forbidden.join(', ')}` });
+    }
+    if (customFields.errors.length > 0) {
+      return res.status(422).json({ detail: 'Validation failed', errors: customFields.errors });
     }
 
     // ============================================
@@ -496,8 +616,19 @@ router.put('/:userId', authenticate, validate(schemas.employeeUpdate), async (re
     // ============================================
     if ('joining_date' in updateDict && updateDict.joining_date) {
       updateDict.joining_date = new Date(updateDict.joining_date);
+
+      // An undecided probation that started on the old joining date moves with it
+      const probation = employee.probation;
+      if (isOnProbation(employee) && employee.joining_date && probation.start_date === toDateString(employee.joining_date)) {
+        const start = toDateString(updateDict.joining_date);
+        updateDict['probation.start_date'] = start;
+        updateDict['probation.original_due_date'] = addMonths(start, probation.months);
+        updateDict['probation.due_date'] = addMonths(start, probation.months + (probation.extended_months || 0));
+      }
     }
 
+    Object.assign(updateDict, toCustomFieldUpdate(customFields.values));
+
     // ============================================
     // FIX: Update by EMAIL, not employee_id
     // This ensures we update the correct record
@@ -510,7 +641,7 @@ router.put('/:userId', authenticate, validate(schemas.employeeUpdate), async (re
 
       // Sync user fields - also by email
       const userSyncFields = {};
-      for (const key of ['full_name', 'department', 'designation', 'phone', 'organization_id', 'monthly_salary']) {
+      for (const key of ['full_name', 'phone']) {
         if (key in updateDict) {
           userSyncFields[key] = updateDict[key];
         }
@@ -524,13 +655,26 @@ router.put('/:userId', authenticate, validate(schemas.employeeUpdate), async (re
       }
     }
 
+    // Edits apply today and are kept in the employment history
+    if (Object.keys(jobChanges).length > 0) {
+      await recordJobChange(db, employee, jobChanges, {
+        changeType: JobChangeType.UPDATE,
+        effectiveDate: new Date(),
+        reason: updateData.change_reason,
+        approvedBy: req.user.email,
+        createdBy: req.user.email
+      });
+    }
+
     // Get updated employee
     const updatedEmployee = await db.collection('employees').findOne(
       { email: employee.email },  // Use email
       { projection: { _id: 0 } }
     );
 
-    res.json(updatedEmployee);
+    const response = applyCustomFieldVisibility(updatedEmployee, fieldDefinitions, accessLevel);
+    if (!canViewBankDetails(req.user, updatedEmployee)) delete response.bank_details;
+    res.json(response);
   } catch (error) {
     console.error('Update employee error:', error);
     res.status(500).json({ detail: 'Internal server error' });
@@ -543,7 +687,7 @@ router.put('/:userId', authenticate, validate(schemas.employeeUpdate), async (re
  * 
  * FIX: Better handling of duplicate employee_ids
  */
-router.put('/:userId/role', authenticate, requireRole([UserRole.ADMIN]), validate(schemas.roleUpdate), async (req, res) => {
+router.put('/:userId/role', authenticate, requirePermission(Permission.EMPLOYEE_ASSIGN_ROLE), validate(schemas.roleUpdate), async (req, res) => {
   try {
     const db = getDB();
     const { userId } = req.params;
@@ -579,11 +723,35 @@ router.put('/:userId/role', authenticate, requireRole([UserRole.ADMIN]), validat
       return res.status(404).json({ detail: 'User not found' });
     }
 
-    // Validate role
-    if (!Object.values(UserRole).includes(role)) {
+    // Validate role (built-in or custom)
+    const targetRole = await getRole(db, role);
+    if (!targetRole) {
       return res.status(400).json({ detail: 'Invalid role' });
     }
 
+    // Nobody can hand out permissions they do not hold themselves
+    if (getMissingPermissions(req.user, targetRole.permissions).length > 0) {
+      return res.status(403).json({ detail: 'Cannot assign a role with permissions you do not have' });
+    }
+
+    // ...nor change the role of someone who holds permissions they do not
+    if (getMissingPermissions(req.user, await getRolePermissions(db, user.role)).length > 0) {
+      return res.status(403).json({ detail: 'Cannot change the role of a user with permissions you do not have' });
+    }
+
+    // Keep at least one active user with full admin access
+    const adminRoles = await getAdminRoleKeys(db);
+    if (adminRoles.includes(user.role) && !adminRoles.includes(role)) {
+      const otherAdmins = await db.collection('users').countDocuments({
+        email: { $ne: user.email },
+        role: { $in: adminRoles },
+        status: { $ne: EmployeeStatus.INACTIVE }
+      });
+      if (otherAdmins === 0) {
+        return res.status(400).json({ detail: 'Cannot change the role of the last admin' });
+      }
+    }
+
     // Prevent admin self-demotion (check by email, not employee_id)
     if (user.role === UserRole.ADMIN && role !== UserRole.ADMIN && req.user.email === user.email) {
       return res.status(400).json({ detail: 'Admin cannot change their own role' });
@@ -602,6 +770,18 @@ router.put('/:userId/role', authenticate, requireRole([UserRole.ADMIN]), validat
       { $set: { role } }
     );
 
+    // Existing tokens carry the old privileges - force a fresh login
+    if (user.role !== role) {
+      await revokeUserSessions(db, employee.email, 'role_changed');
+      await recordSecurityEvent(db, {
+        type: SecurityEventType.ROLE_CHANGED,
+        email: employee.email,
+        userId: user.id,
+        actorEmail: req.user.email,
+        metadata: { old_role: user.role, new_role: role }
+      }, req);
+    }
+
     res.json({
       message: 'Role updated successfully',
       employee_id: userId,
@@ -619,7 +799,7 @@ router.put('/:userId/role', authenticate, requireRole([UserRole.ADMIN]), validat
  * Update employee leave balance (admin only)
  * Now supports comp_off even if it doesn't exist yet
  */
-router.put('/:userId/leave-balance', authenticate, requireRole([UserRole.ADMIN]), validate(schemas.leaveBalanceUpdate), async (req, res) => {
+router.put('/:userId/leave-balance', authenticate, requirePermission(Permission.LEAVE_BALANCE_MANAGE), validate(schemas.leaveBalanceUpdate), async (req, res) => {
   try {
     const db = getDB();
     const { userId } = req.params;
@@ -715,9 +895,10 @@ router.put('/:userId/leave-balance', authenticate, requireRole([UserRole.ADMIN])
 
 /**
  * DELETE /api/employees/:employeeId
- * Delete employee (admin only)
+ * Deactivate employee immediately (admin only)
+ * Records are kept - use the exit workflow for a planned last working day
  */
-router.delete('/:employeeId', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.delete('/:employeeId', authenticate, requirePermission(Permission.EMPLOYEE_OFFBOARD), async (req, res) => {
   try {
     const db = getDB();
     const { employeeId } = req.params;
@@ -725,22 +906,40 @@ router.delete('/:employeeId', authenticate, requireRole([UserRole.ADMIN]), async
     // Find employee
     const employee = await db.collection('employees').findOne(
       { employee_id: employeeId },
-      { projection: { _id: 0, email: 1 } }
+      { projection: { _id: 0, email: 1, status: 1, exit: 1 } }
     );
     if (!employee) {
       return res.status(404).json({ detail: 'Employee not found' });
     }
 
-    // Prevent deleting yourself
+    // Prevent deactivating yourself
     if (employee.email === req.user.email) {
-      return res.status(400).json({ detail: 'Cannot delete your own account' });
+      return res.status(400).json({ detail: 'Cannot deactivate your own account' });
+    }
+
+    if (employee.status === EmployeeStatus.INACTIVE) {
+      return res.status(400).json({ detail: 'Employee is already inactive' });
     }
 
-    // Delete by email (more reliable)
-    await db.collection('users').deleteOne({ email: employee.email });
-    await db.collection('employees').deleteOne({ email: employee.email });
+    // Immediate exit: record one ending today unless an exit is already in progress
+    if (!employee.exit || employee.exit.status !== ExitStatus.INITIATED) {
+      const today = new Date();
+      const exit = buildExitRecord({
+        exit_type: ExitType.OTHER,
+        resignation_date: today,
+        last_working_day: today,
+        checklist: []
+      }, req.user.email);
 
-    res.json({ message: 'Employee deleted successfully' });
+      await db.collection('employees').updateOne(
+        { email: employee.email },
+        { $set: { exit } }
+      );
+    }
+
+    await deactivateEmployee(db, employee, req.user.email);
+
+    res.json({ message: 'Employee deactivated successfully' });
   } catch (error) {
     console.error('Delete employee error:', error);
     res.status(500).json({ detail: 'Internal server error' });
@@ -751,18 +950,16 @@ router.delete('/:employeeId', authenticate, requireRole([UserRole.ADMIN]), async
  * GET /api/employees/employee-id-settings
  * Get employee ID settings (admin only)
  */
-router.get('/employee-id-settings', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.get('/employee-id-settings', authenticate, requirePermission(Permission.SETTINGS_MANAGE), async (req, res) => {
   try {
     const db = getDB();
-    const settings = await db.collection('settings').findOne({}, { projection: { _id: 0, employee_id_prefix: 1, employee_id_counter: 1 } });
-
-    if (!settings) {
-      return res.json({ prefix: 'EMP', counter: 1000 });
-    }
+    const config = await getEmployeeIdConfig(db);
 
     res.json({
-      prefix: settings.employee_id_prefix || 'EMP',
-      counter: settings.employee_id_counter || 1000
+      prefix: config.prefix,
+      format: config.format,
+      organization_prefixes: config.organization_prefixes,
+      counter: await peekCounter(db, COUNTER_PREFIX, config)
     });
   } catch (error) {
     console.error('Get employee ID settings error:', error);
@@ -773,29 +970,56 @@ router.get('/employee-id-settings', authenticate, requireRole([UserRole.ADMIN]),
 /**
  * POST /api/employees/employee-id-settings
  * Update employee ID settings (admin only)
+ * Body: any of prefix, format, organization_prefixes ({ organization_id: prefix }), counter
+ * Existing IDs are never changed
  */
-router.post('/employee-id-settings', authenticate, requireRole([UserRole.ADMIN]), validate(schemas.employeeIdSettings), async (req, res) => {
+router.post('/employee-id-settings', authenticate, requirePermission(Permission.SETTINGS_MANAGE), validate(schemas.employeeIdSettings), async (req, res) => {
   try {
     const db = getDB();
-    const { prefix, counter } = req.validatedBody;
+    const { prefix, format, organization_prefixes: organizationPrefixes, counter } = req.validatedBody;
+
+    if (format) {
+      const formatError = validateIdFormat(format);
+      if (formatError) {
+        return res.status(400).json({ detail: formatError });
+      }
+    }
+
+    const updates = { updated_at: new Date(), updated_by: req.user.email };
+    if (prefix) updates.employee_id_prefix = prefix;
+    if (format) updates.employee_id_format = format;
+
+    if (organizationPrefixes) {
+      const organizationIds = Object.keys(organizationPrefixes);
+      const known = await db.collection('organizations').countDocuments({ id: { $in: organizationIds } });
+      if (known !== organizationIds.length) {
+        return res.status(400).json({ detail: 'Unknown organization_id in organization_prefixes' });
+      }
+      const { organization_prefixes: current } = await getEmployeeIdConfig(db);
+      const merged = { ...current, ...organizationPrefixes };
+      updates.employee_id_org_prefixes = Object.fromEntries(Object.entries(merged).filter(([, value]) => value));
+    }
 
     // Update in settings collection
     await db.collection('settings').updateOne(
       {},
-      {
-        $set: {
-          employee_id_prefix: prefix || 'EMP',
-          employee_id_counter: counter || 1000,
-          updated_at: new Date(),
-          updated_by: req.user.email
-        }
-      },
+      { $set: updates },
       { upsert: true }
     );
 
+    if (counter !== undefined) {
+      await setCompanyCounter(db, counter);
+    }
+
+    const config = await getEmployeeIdConfig(db);
     res.json({
       message: 'Employee ID settings updated successfully',
-      settings: { prefix, counter }
+      settings: {
+        prefix: config.prefix,
+        format: config.format,
+        organization_prefixes: config.organization_prefixes,
+        counter: await peekCounter(db, COUNTER_PREFIX, config)
+      }
     });
   } catch (error) {
     console.error('Update employee ID settings error:', error);
@@ -803,11 +1027,35 @@ router.post('/employee-id-settings', authenticate, requireRole([UserRole.ADMIN])
   }
 });
 
+/**
+ * GET /api/employees/employee-id-settings/preview
+ * The ID the next employee would get - nothing is reserved
+ * Query: ?organization_id=, ?format= (try a format before saving it)
+ */
+router.get('/employee-id-settings/preview', authenticate, requirePermission([Permission.SETTINGS_MANAGE, Permission.EMPLOYEE_CREATE]), async (req, res) => {
+  try {
+    const db = getDB();
+    const { organization_id: organizationId, format } = req.query;
+
+    if (format) {
+      const formatError = validateIdFormat(format);
+      if (formatError) {
+        return res.status(400).json({ detail: formatError });
+      }
+    }
+
+    res.json(await previewEmployeeId(db, { organizationId: organizationId || null, format }));
+  } catch (error) {
+    console.error('Preview employee ID error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
 /**
  * GET /api/employees/check-duplicates
  * Check for duplicate employee IDs (admin only) - utility endpoint
  */
-router.get('/check-duplicates', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.get('/check-duplicates', authenticate, requirePermission(Permission.EMPLOYEE_UPDATE), async (req, res) => {
   try {
     const db = getDB();
 
@@ -839,7 +1087,7 @@ router.get('/check-duplicates', authenticate, requireRole([UserRole.ADMIN]), asy
  * POST /api/employees/fix-duplicate/:employeeId
  * Fix a duplicate employee ID by assigning a new one (admin only)
  */
-router.post('/fix-duplicate/:employeeId', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.post('/fix-duplicate/:employeeId', authenticate, requirePermission(Permission.EMPLOYEE_UPDATE), async (req, res) => {
   try {
     const db = getDB();
     const { employeeId } = req.params;
@@ -856,19 +1104,12 @@ router.post('/fix-duplicate/:employeeId', authenticate, requireRole([UserRole.AD
     }
 
     // Generate new employee ID
-    const settingsUpdate = await db.collection('settings').findOneAndUpdate(
-      {},
-      { $inc: { employee_id_counter: 1 } },
-      { returnDocument: 'after' }
-    );
-
-    const settings = settingsUpdate.value;
-    const newEmployeeId = `${settings.employee_id_prefix || 'EMP'}${String(settings.employee_id_counter).padStart(4, '0')}`;
+    const newEmployeeId = await generateEmployeeId(db, { organizationId: employee.organization_id });
 
     // Update employee
     await db.collection('employees').updateOne(
       { email },
-      { $set: { employee_id: newEmployeeId, id: newEmployeeId } }
+      { $set: { employee_id: newEmployeeId } }
     );
 
     // Update user
@@ -894,7 +1135,7 @@ router.post('/fix-duplicate/:employeeId', authenticate, requireRole([UserRole.AD
  * Recalculate leave balance for an employee based on current policy and joining date
  * (admin only)
  */
-router.post('/recalculate-leave-balance/:employeeId', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.post('/recalculate-leave-balance/:employeeId', authenticate, requirePermission(Permission.LEAVE_BALANCE_MANAGE), async (req, res) => {
   try {
     const db = getDB();
     const { employeeId } = req.params;
@@ -941,7 +1182,7 @@ router.post('/recalculate-leave-balance/:employeeId', authenticate, requireRole(
  * 
  * This is useful for testing future joining dates
  */
-router.get('/simulate-balance/:employeeId', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.get('/simulate-balance/:employeeId', authenticate, requirePermission(Permission.LEAVE_BALANCE_MANAGE), async (req, res) => {
   try {
     const db = getDB();
     const { employeeId } = req.params;
@@ -1011,10 +1252,10 @@ router.get('/simulate-balance/:employeeId', authenticate, requireRole([UserRole.
  * Recalculate leave balances for all employees based on their joining dates
  * Useful after policy changes or for periodic recalculation
  */
-router.post('/recalculate-all-balances', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.post('/recalculate-all-balances', authenticate, requirePermission(Permission.LEAVE_BALANCE_MANAGE), async (req, res) => {
   try {
     const db = getDB();
-    const employees = await db.collection('employees').find({}).toArray();
+    const employees = await db.collection('employees').find(ACTIVE_EMPLOYEE_FILTER).toArray();
 
     const results = [];
 
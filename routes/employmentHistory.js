@@ -0,0 +1,234 @@
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { hasPermission, requirePermission, validate } = require('../middleware/roleCheck');
+const { schemas, JobChangeStatus } = require('../models/schemas');
+const { Permission } = require('../models/permissions');
+const { toDateString } = require('../services/offboardingService');
+const { canViewEmployee } = require('../services/hierarchyService');
+const {
+  TRACKED_FIELDS,
+  COMPENSATION_FIELDS,
+  resolveJobChanges,
+  checkBackdatedJobChange,
+  recordJobChange,
+  processDueJobChanges,
+  getTimeline,
+  getEmployeeAsOf,
+  redactCompensation
+} = require('../services/employmentHistoryService');
+
+/**
+ * Helper: Load an employee the caller may see
+ * @returns {Object|null} - Employee, or null after sending the error response
+ */
+async function loadVisibleEmployee(db, req, res) {
+  const employee = await db.collection('employees').findOne(
+    { employee_id: req.params.employeeId },
+    { projection: { _id: 0, hashed_password: 0 } }
+  );
+
+  if (!employee) {
+    res.status(404).json({ detail: 'Employee not found' });
+    return null;
+  }
+
+  if (!await canViewEmployee(db, req.user, employee)) {
+    res.status(403).json({ detail: 'Not enough permissions' });
+    return null;
+  }
+
+  return employee;
+}
+
+/**
+ * Helper: Pay figures are for HR, payroll and the employee themselves
+ */
+const canViewCompensation = (user, employee) => {
+  return employee.email === user.email ||
+    hasPermission(user, [Permission.EMPLOYEE_UPDATE, Permission.PAYROLL_MANAGE]);
+};
+
+/**
+ * POST /api/employees/job-changes/process
+ * Apply scheduled changes whose effective date has arrived (normally run by the daily cron)
+ */
+router.post('/job-changes/process', authenticate, requirePermission(Permission.EMPLOYEE_UPDATE), async (req, res) => {
+  try {
+    const db = getDB();
+    const results = await processDueJobChanges(db);
+
+    res.json({
+      status: 'success',
+      message: `Applied ${results.applied.length} change(s)`,
+      ...results
+    });
+  } catch (error) {
+    console.error('Process job changes error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/employees/:employeeId/job-changes
+ * Record a promotion, transfer, pay revision or manager change
+ * Effective today or earlier = applied now, later = scheduled for the effective date
+ */
+router.post('/:employeeId/job-changes', authenticate, requirePermission(Permission.EMPLOYEE_UPDATE), validate(schemas.jobChange), async (req, res) => {
+  try {
+    const db = getDB();
+    const data = req.validatedBody;
+
+    const employee = await db.collection('employees').findOne(
+      { employee_id: req.params.employeeId },
+      { projection: { _id: 0 } }
+    );
+    if (!employee) {
+      return res.status(404).json({ detail: 'Employee not found' });
+    }
+
+    const { changes, error } = await resolveJobChanges(db, employee, data);
+    if (error) {
+      return res.status(400).json({ detail: error });
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ detail: 'Nothing changes - the values match the current record' });
+    }
+
+    const supersededError = await checkBackdatedJobChange(db, employee.email, changes, data.effective_date);
+    if (supersededError) {
+      return res.status(400).json({ detail: supersededError });
+    }
+
+    const entry = await recordJobChange(db, employee, changes, {
+      changeType: data.change_type,
+      effectiveDate: data.effective_date,
+      reason: data.reason,
+      approvedBy: req.user.email,
+      createdBy: req.user.email
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: entry.status === JobChangeStatus.APPLIED
+        ? 'Change applied'
+        : `Change scheduled for ${entry.effective_date}`,
+      change: entry
+    });
+  } catch (error) {
+    console.error('Create job change error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/employees/:employeeId/job-changes/:changeId
+ * Cancel a scheduled (future-dated) change
+ */
+router.delete('/:employeeId/job-changes/:changeId', authenticate, requirePermission(Permission.EMPLOYEE_UPDATE), async (req, res) => {
+  try {
+    const db = getDB();
+    const { employeeId, changeId } = req.params;
+
+    const result = await db.collection('employment_history').updateOne(
+      { id: changeId, employee_id: employeeId, status: JobChangeStatus.SCHEDULED },
+      { $set: { status: JobChangeStatus.CANCELLED, cancelled_by: req.user.email, cancelled_at: new Date() } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ detail: 'No scheduled change found' });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Scheduled change cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel job change error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/employees/:employeeId/timeline
+ * Employment history, newest first (scheduled changes included)
+ * Query: ?status=scheduled|applied|cancelled|failed
+ */
+router.get('/:employeeId/timeline', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const employee = await loadVisibleEmployee(db, req, res);
+    if (!employee) return;
+
+    let timeline = await getTimeline(db, employee.email);
+
+    if (req.query.status) {
+      timeline = timeline.filter(entry => entry.status === req.query.status);
+    }
+    if (!canViewCompensation(req.user, employee)) {
+      timeline = timeline
+        .map(redactCompensation)
+        .filter(entry => Object.keys(entry.changes).length > 0);
+    }
+
+    res.json({
+      employee_id: employee.employee_id,
+      full_name: employee.full_name,
+      joining_date: employee.joining_date,
+      status: employee.status || 'active',
+      timeline
+    });
+  } catch (error) {
+    console.error('Get employment timeline error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/employees/:employeeId/as-of?date=YYYY-MM-DD
+ * The employee's job details as they were (or are scheduled to be) on a date
+ */
+router.get('/:employeeId/as-of', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const date = new Date(req.query.date);
+
+    if (!req.query.date || isNaN(date)) {
+      return res.status(400).json({ detail: 'A valid date query parameter is required (YYYY-MM-DD)' });
+    }
+
+    const employee = await loadVisibleEmployee(db, req, res);
+    if (!employee) return;
+
+    const dateString = toDateString(date);
+    if (employee.joining_date && dateString < toDateString(employee.joining_date)) {
+      return res.status(404).json({ detail: `${employee.full_name} had not joined yet on ${dateString}` });
+    }
+
+    const timeline = await getTimeline(db, employee.email);
+    const record = getEmployeeAsOf(employee, timeline, dateString);
+
+    const fields = [...TRACKED_FIELDS, 'manager_name', 'organization_name']
+      .filter(field => canViewCompensation(req.user, employee) || !COMPENSATION_FIELDS.includes(field));
+    const jobDetails = {};
+    for (const field of fields) {
+      jobDetails[field] = record[field] ?? null;
+    }
+
+    const lastWorkingDay = employee.exit && employee.exit.status === 'completed' ? employee.exit.last_working_day : null;
+
+    res.json({
+      employee_id: employee.employee_id,
+      full_name: employee.full_name,
+      as_of: dateString,
+      employment_status: lastWorkingDay && dateString > lastWorkingDay ? 'inactive' : 'active',
+      ...jobDetails
+    });
+  } catch (error) {
+    console.error('Get employee as-of error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+module.exports = router;
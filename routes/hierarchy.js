@@ -0,0 +1,148 @@
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { hasPermission } = require('../middleware/roleCheck');
+const { Permission } = require('../models/permissions');
+const { ACTIVE_EMPLOYEE_FILTER } = require('../services/offboardingService');
+const {
+  HIERARCHY_PROJECTION,
+  getChainOfCommand,
+  getDirectReports,
+  getSubtree,
+  canViewEmployee,
+  buildOrgTree
+} = require('../services/hierarchyService');
+
+/**
+ * Helper: Load the target employee and check the caller may see their reporting lines
+ * (company-wide viewers, the employee themselves, or anyone above them)
+ * @returns {Object|null} - Employee, or null after sending the error response
+ */
+async function loadVisibleEmployee(db, req, res) {
+  const employee = await db.collection('employees').findOne(
+    { employee_id: req.params.employeeId },
+    { projection: HIERARCHY_PROJECTION }
+  );
+
+  if (!employee) {
+    res.status(404).json({ detail: 'Employee not found' });
+    return null;
+  }
+
+  if (!await canViewEmployee(db, req.user, employee)) {
+    res.status(403).json({ detail: 'Not enough permissions' });
+    return null;
+  }
+
+  return employee;
+}
+
+/**
+ * GET /api/employees/org-chart
+ * Org chart as nested trees (each node has `reports` and `total_reports`)
+ * Query: ?organization_id=, ?department=
+ * Without company-wide access the chart is the caller's own team
+ */
+router.get('/org-chart', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const { organization_id, department } = req.query;
+
+    if (!hasPermission(req.user, Permission.EMPLOYEE_VIEW_ALL)) {
+      const self = await db.collection('employees').findOne(
+        { email: req.user.email },
+        { projection: HIERARCHY_PROJECTION }
+      );
+      if (!self) {
+        return res.status(404).json({ detail: 'Employee not found' });
+      }
+
+      const reports = hasPermission(req.user, Permission.EMPLOYEE_VIEW_TEAM)
+        ? await getSubtree(db, self.email)
+        : [];
+
+      return res.json({ roots: buildOrgTree([{ ...self, manager_email: null }, ...reports]) });
+    }
+
+    const query = { ...ACTIVE_EMPLOYEE_FILTER };
+    if (organization_id) query.organization_id = organization_id;
+    if (department) query.department = department;
+
+    const employees = await db.collection('employees')
+      .find(query, { projection: HIERARCHY_PROJECTION })
+      .toArray();
+
+    res.json({
+      total_employees: employees.length,
+      roots: buildOrgTree(employees)
+    });
+  } catch (error) {
+    console.error('Get org chart error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/employees/:employeeId/direct-reports
+ * Employees reporting directly to this employee
+ */
+router.get('/:employeeId/direct-reports', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const employee = await loadVisibleEmployee(db, req, res);
+    if (!employee) return;
+
+    res.json(await getDirectReports(db, employee.email));
+  } catch (error) {
+    console.error('Get direct reports error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/employees/:employeeId/reports
+ * Everyone below this employee (depth 0 = direct report)
+ * Query: ?max_depth= (0 = direct reports only)
+ */
+router.get('/:employeeId/reports', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const employee = await loadVisibleEmployee(db, req, res);
+    if (!employee) return;
+
+    const maxDepth = req.query.max_depth !== undefined ? Math.max(parseInt(req.query.max_depth, 10) || 0, 0) : undefined;
+    const reports = await getSubtree(db, employee.email, maxDepth);
+
+    res.json({
+      employee,
+      total: reports.length,
+      reports
+    });
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/employees/:employeeId/chain
+ * Chain of command: direct manager first, top of the organization last
+ */
+router.get('/:employeeId/chain', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const employee = await loadVisibleEmployee(db, req, res);
+    if (!employee) return;
+
+    res.json({
+      employee,
+      chain: await getChainOfCommand(db, employee.email)
+    });
+  } catch (error) {
+    console.error('Get chain of command error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+module.exports = router;
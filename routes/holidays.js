@@ -2,8 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { getDB } = require('../config/database');
 const { authenticate } = require('../middleware/auth');
-const { requireRole, validate } = require('../middleware/roleCheck');
-const { schemas, UserRole } = require('../models/schemas');
+const { requirePermission, validate } = require('../middleware/roleCheck');
+const { schemas } = require('../models/schemas');
+const { Permission } = require('../models/permissions');
 const { generateUUID, toISOString } = require('../utils/helpers');
 
 /**
@@ -76,7 +77,7 @@ router.get('/:id', authenticate, async (req, res) => {
  * POST /api/holidays
  * Create a new holiday (admin only)
  */
-router.post('/', authenticate, requireRole([UserRole.ADMIN]), validate(schemas.holidayCreate), async (req, res) => {
+router.post('/', authenticate, requirePermission(Permission.HOLIDAY_MANAGE), validate(schemas.holidayCreate), async (req, res) => {
   try {
     const db = getDB();
     const holidayData = req.validatedBody;
@@ -118,7 +119,7 @@ router.post('/', authenticate, requireRole([UserRole.ADMIN]), validate(schemas.h
  * PUT /api/holidays/:id
  * Update a holiday (admin only)
  */
-router.put('/:id', authenticate, requireRole([UserRole.ADMIN]), validate(schemas.holidayUpdate), async (req, res) => {
+router.put('/:id', authenticate, requirePermission(Permission.HOLIDAY_MANAGE), validate(schemas.holidayUpdate), async (req, res) => {
   try {
     const db = getDB();
     const { id } = req.params;
@@ -160,7 +161,7 @@ router.put('/:id', authenticate, requireRole([UserRole.ADMIN]), validate(schemas
  * DELETE /api/holidays/:id
  * Delete a holiday (admin only)
  */
-router.delete('/:id', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.delete('/:id', authenticate, requirePermission(Permission.HOLIDAY_MANAGE), async (req, res) => {
   try {
     const db = getDB();
     const { id } = req.params;
@@ -183,7 +184,7 @@ router.delete('/:id', authenticate, requireRole([UserRole.ADMIN]), async (req, r
  * POST /api/holidays/recurring
  * Create recurring holidays (e.g., all Saturdays of a month/year) (admin only)
  */
-router.post('/recurring', authenticate, requireRole([UserRole.ADMIN]), validate(schemas.recurringHoliday), async (req, res) => {
+router.post('/recurring', authenticate, requirePermission(Permission.HOLIDAY_MANAGE), validate(schemas.recurringHoliday), async (req, res) => {
   try {
     const db = getDB();
     const { name, day_of_week, scope, year, month, type } = req.validatedBody;
@@ -258,7 +259,7 @@ router.post('/recurring', authenticate, requireRole([UserRole.ADMIN]), validate(
  * DELETE /api/holidays/recurring
  * Delete all recurring holidays for a specific day of week (admin only)
  */
-router.delete('/recurring', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.delete('/recurring', authenticate, requirePermission(Permission.HOLIDAY_MANAGE), async (req, res) => {
   try {
     const db = getDB();
     const { day_of_week, scope, year, month } = req.body;
@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router();
+const { config } = require('../config/config');
+const { getDB } = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission, validate } = require('../middleware/roleCheck');
+const { schemas } = require('../models/schemas');
+const { Permission } = require('../models/permissions');
+const { getRolePermissions, getMissingPermissions } = require('../services/roleService');
+const { createImpersonation, endImpersonation } = require('../services/impersonationService');
+const { SecurityEventType, recordSecurityEvent } = require('../services/securityEventService');
+
+const AUDIT_PERMISSIONS = [Permission.USER_IMPERSONATE, Permission.SECURITY_MANAGE];
+
+/**
+ * POST /api/auth/impersonation
+ * Start viewing the system as another user - returns a short-lived impersonation token
+ * The token is read-only unless read_only: false is requested
+ */
+router.post('/', authenticate, requirePermission(Permission.USER_IMPERSONATE), validate(schemas.impersonationStart), async (req, res) => {
+  try {
+    const db = getDB();
+    const { user_id, reason, read_only } = req.validatedBody;
+    const durationMinutes = Math.min(
+      req.validatedBody.duration_minutes || config.impersonation.defaultMinutes,
+      config.impersonation.maxMinutes
+    );
+
+    const targetUser = await db.collection('users').findOne(
+      { $or: [{ id: user_id }, { employee_id: user_id }, { email: user_id.toLowerCase() }] },
+      { projection: { _id: 0, hashed_password: 0, password_history: 0, two_factor: 0 } }
+    );
+
+    if (!targetUser) {
+      return res.status(404).json({ detail: 'User not found' });
+    }
+    if (targetUser.email === req.user.email) {
+      return res.status(400).json({ detail: 'Cannot impersonate yourself' });
+    }
+
+    // No viewing as someone with more access than you
+    const targetPermissions = await getRolePermissions(db, targetUser.role);
+    if (getMissingPermissions(req.user, targetPermissions).length > 0) {
+      return res.status(403).json({ detail: 'Cannot impersonate a user with permissions you do not have' });
+    }
+
+    const { impersonation, token } = await createImpersonation(db, req.user, targetUser, {
+      reason,
+      durationMinutes,
+      readOnly: read_only
+    });
+
+    await recordSecurityEvent(db, {
+      type: SecurityEventType.IMPERSONATION_STARTED,
+      email: targetUser.email,
+      userId: targetUser.id,
+      actorEmail: req.user.email,
+      metadata: { impersonation_id: impersonation.id, reason, read_only, duration_minutes: durationMinutes }
+    }, req);
+
+    console.log(`🕵️ ${req.user.email} started impersonating ${targetUser.email} (${read_only ? 'read-only' : 'read-write'}, ${durationMinutes} min)`);
+
+    res.status(201).json({
+      impersonation_token: token,
+      token_type: 'bearer',
+      expires_in: durationMinutes * 60,
+      impersonation
+    });
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/auth/impersonation/end
+ * End the current impersonation (called with the impersonation token)
+ */
+router.post('/end', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+
+    if (!req.user.impersonation_id) {
+      return res.status(400).json({ detail: 'Not impersonating' });
+    }
+
+    await endImpersonation(db, req.user.impersonation_id, req.user.impersonator.email);
+
+    res.json({
+      status: 'success',
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/auth/impersonation
+ * List impersonation sessions (audit)
+ * Query: ?active=true, ?impersonator_email=, ?target_email=
+ */
+router.get('/', authenticate, requirePermission(AUDIT_PERMISSIONS), async (req, res) => {
+  try {
+    const db = getDB();
+    const { active, impersonator_email, target_email } = req.query;
+
+    const query = {};
+    if (active === 'true') {
+      query.ended_at = null;
+      query.expires_at = { $gt: new Date() };
+    }
+    if (impersonator_email) query.impersonator_email = impersonator_email.toLowerCase();
+    if (target_email) query.target_email = target_email.toLowerCase();
+
+    const sessions = await db.collection('impersonation_sessions')
+      .find(query, { projection: { _id: 0 } })
+      .sort({ created_at: -1 })
+      .limit(200)
+      .toArray();
+
+    res.json(sessions);
+  } catch (error) {
+    console.error('Get impersonation sessions error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/auth/impersonation/:impersonationId/logs
+ * Every request made during an impersonation session
+ */
+router.get('/:impersonationId/logs', authenticate, requirePermission(AUDIT_PERMISSIONS), async (req, res) => {
+  try {
+    const db = getDB();
+    const { impersonationId } = req.params;
+
+    const impersonation = await db.collection('impersonation_sessions').findOne(
+      { id: impersonationId },
+      { projection: { _id: 0 } }
+    );
+
+    if (!impersonation) {
+      return res.status(404).json({ detail: 'Impersonation session not found' });
+    }
+
+    const logs = await db.collection('impersonation_logs')
+      .find({ impersonation_id: impersonationId }, { projection: { _id: 0 } })
+      .sort({ timestamp: 1 })
+      .toArray();
+
+    res.json({ impersonation, logs });
+  } catch (error) {
+    console.error('Get impersonation logs error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/auth/impersonation/:impersonationId
+ * Force-end an impersonation session
+ */
+router.delete('/:impersonationId', authenticate, requirePermission(AUDIT_PERMISSIONS), async (req, res) => {
+  try {
+    const db = getDB();
+    const ended = await endImpersonation(db, req.params.impersonationId, req.user.email);
+
+    if (!ended) {
+      return res.status(404).json({ detail: 'No active impersonation session found' });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    console.error('Force end impersonation error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+module.exports = router;
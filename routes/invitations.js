@@ -0,0 +1,454 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { getDB } = require('../config/database');
+const { config } = require('../config/config');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission, validate } = require('../middleware/roleCheck');
+const { schemas } = require('../models/schemas');
+const { Permission } = require('../models/permissions');
+const { hashPassword, generateUUID } = require('../utils/helpers');
+const { sendEmailNotification } = require('../services/emailService');
+const { generateInvitationEmail, generateWelcomeEmail } = require('../utils/emailTemplates');
+const { hashToken, issueAuthTokens } = require('../services/sessionService');
+const { checkNewPassword, formatPasswordErrors } = require('../services/passwordService');
+const { getRole, getMissingPermissions } = require('../services/roleService');
+const { validateManagerAssignment } = require('../services/hierarchyService');
+const { resolveDepartmentAndDesignation } = require('../services/masterDataService');
+const { createProbation } = require('../services/probationService');
+const { generateEmployeeId } = require('../services/employeeIdService');
+const { getLeaveBalanceFromPolicy } = require('./employees');
+
+// Invitation link expiry (72 hours)
+const INVITATION_EXPIRY_HOURS = 72;
+
+const InvitationStatus = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REVOKED: 'revoked'
+};
+
+/**
+ * Generate a secure random invitation token
+ */
+function generateInvitationToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Helper: Public view of an invitation (never exposes the token hash)
+ */
+function formatInvitation(invitation) {
+  const { _id, token_hash, ...rest } = invitation;
+  const expired = rest.status === InvitationStatus.PENDING && new Date() > new Date(rest.expires_at);
+
+  return {
+    ...rest,
+    status: expired ? 'expired' : rest.status
+  };
+}
+
+/**
+ * Helper: Email the invitation link
+ */
+async function sendInvitationEmail(invitation, token, invitedByName) {
+  const inviteUrl = `${config.frontendUrl}/accept-invite?token=${token}`;
+  const emailHtml = generateInvitationEmail(
+    invitation.full_name,
+    inviteUrl,
+    invitation.role,
+    invitation.department,
+    invitedByName,
+    INVITATION_EXPIRY_HOURS
+  );
+
+  return sendEmailNotification(invitation.email, 'You are invited to HRMS', emailHtml);
+}
+
+/**
+ * Helper: Find a usable invitation by its raw token
+ * @returns {{ invitation?: Object, error?: Object }}
+ */
+async function findValidInvitation(db, token) {
+  const invitation = await db.collection('invitations').findOne(
+    { token_hash: hashToken(token), status: InvitationStatus.PENDING },
+    { projection: { _id: 0 } }
+  );
+
+  if (!invitation) {
+    return { error: { detail: 'Invalid or already used invitation link', code: 'INVALID_TOKEN' } };
+  }
+
+  if (new Date() > new Date(invitation.expires_at)) {
+    return { error: { detail: 'This invitation has expired. Please ask an administrator to resend it.', code: 'TOKEN_EXPIRED' } };
+  }
+
+  return { invitation };
+}
+
+/**
+ * POST /api/invitations
+ * Invite a new user (admin only)
+ */
+router.post('/', authenticate, requirePermission(Permission.EMPLOYEE_INVITE), validate(schemas.invitationCreate), async (req, res) => {
+  try {
+    const db = getDB();
+    const inviteData = req.validatedBody;
+
+    const existingUser = await db.collection('users').findOne({ email: inviteData.email });
+    if (existingUser) {
+      return res.status(400).json({ detail: 'User with this email already exists' });
+    }
+
+    const targetRole = await getRole(db, inviteData.role);
+    if (!targetRole) {
+      return res.status(400).json({ detail: 'Invalid role' });
+    }
+    if (getMissingPermissions(req.user, targetRole.permissions).length > 0) {
+      return res.status(403).json({ detail: 'Cannot assign a role with permissions you do not have' });
+    }
+
+    // Resolve organization name
+    let organizationName = null;
+    if (inviteData.organization_id) {
+      const org = await db.collection('organizations').findOne(
+        { id: inviteData.organization_id },
+        { projection: { name: 1 } }
+      );
+      if (!org) {
+        return res.status(400).json({ detail: 'Invalid organization_id' });
+      }
+      organizationName = org.name;
+    }
+
+    // Department and designation must come from the organization's catalog
+    const jobTitle = await resolveDepartmentAndDesignation(db, inviteData.organization_id || null, inviteData);
+    if (jobTitle.error) {
+      return res.status(400).json({ detail: jobTitle.error });
+    }
+
+    // Resolve manager name
+    let managerName = null;
+    if (inviteData.manager_email) {
+      const { manager, error } = await validateManagerAssignment(db, inviteData.email, inviteData.manager_email);
+      if (error) {
+        return res.status(400).json({ detail: error });
+      }
+      managerName = manager.full_name;
+    }
+
+    // Only one open invitation per email
+    await db.collection('invitations').updateMany(
+      { email: inviteData.email, status: InvitationStatus.PENDING },
+      { $set: { status: InvitationStatus.REVOKED, revoked_at: new Date(), revoked_by: req.user.email } }
+    );
+
+    const token = generateInvitationToken();
+    const now = new Date();
+
+    const invitation = {
+      id: generateUUID(),
+      email: inviteData.email,
+      full_name: inviteData.full_name,
+      role: inviteData.role,
+      department: jobTitle.department,
+      department_id: jobTitle.department_id,
+      designation: jobTitle.designation,
+      designation_id: jobTitle.designation_id,
+      phone: inviteData.phone || null,
+      organization_id: inviteData.organization_id || null,
+      organization_name: organizationName,
+      manager_email: inviteData.manager_email || null,
+      manager_name: managerName,
+      joining_date: inviteData.joining_date || null,
+      token_hash: hashToken(token),
+      status: InvitationStatus.PENDING,
+      expires_at: new Date(now.getTime() + INVITATION_EXPIRY_HOURS * 60 * 60 * 1000),
+      invited_by: req.user.email,
+      invited_by_name: req.user.full_name,
+      resend_count: 0,
+      created_at: now,
+      accepted_at: null
+    };
+
+    await db.collection('invitations').insertOne(invitation);
+
+    const emailSent = await sendInvitationEmail(invitation, token, req.user.full_name || 'HR');
+    if (!emailSent) {
+      console.error(`Failed to send invitation email to ${invitation.email}`);
+    }
+
+    res.status(201).json({
+      ...formatInvitation(invitation),
+      email_sent: !!emailSent
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/invitations
+ * List invitations (admin only)
+ * Query params: ?status=pending|accepted|revoked|expired
+ */
+router.get('/', authenticate, requirePermission(Permission.EMPLOYEE_INVITE), async (req, res) => {
+  try {
+    const db = getDB();
+    const { status } = req.query;
+    const now = new Date();
+
+    const query = {};
+    if (status === 'expired') {
+      query.status = InvitationStatus.PENDING;
+      query.expires_at = { $lte: now };
+    } else if (status === InvitationStatus.PENDING) {
+      query.status = InvitationStatus.PENDING;
+      query.expires_at = { $gt: now };
+    } else if (status) {
+      query.status = status;
+    }
+
+    const invitations = await db.collection('invitations')
+      .find(query, { projection: { _id: 0, token_hash: 0 } })
+      .sort({ created_at: -1 })
+      .toArray();
+
+    res.json(invitations.map(formatInvitation));
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/invitations/validate/:token
+ * Validate an invitation link and return what the invitee is signing up for
+ */
+router.get('/validate/:token', async (req, res) => {
+  try {
+    const db = getDB();
+    const { invitation, error } = await findValidInvitation(db, req.params.token);
+
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    res.json({
+      status: 'valid',
+      email: invitation.email,
+      full_name: invitation.full_name,
+      role: invitation.role,
+      department: invitation.department,
+      designation: invitation.designation,
+      expires_at: invitation.expires_at
+    });
+  } catch (error) {
+    console.error('Invitation validation error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/invitations/accept
+ * Accept an invitation: the invitee sets their password and the account is created
+ */
+router.post('/accept', validate(schemas.invitationAccept), async (req, res) => {
+  try {
+    const db = getDB();
+    const { token, password, phone } = req.validatedBody;
+
+    const { invitation, error } = await findValidInvitation(db, token);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const existingUser = await db.collection('users').findOne({ email: invitation.email });
+    if (existingUser) {
+      return res.status(400).json({ detail: 'User with this email already exists' });
+    }
+
+    const passwordErrors = await checkNewPassword(db, password, {
+      email: invitation.email,
+      full_name: invitation.full_name
+    });
+    if (passwordErrors.length > 0) {
+      return res.status(422).json(formatPasswordErrors(passwordErrors));
+    }
+
+    // Claim the invitation first so a link cannot be used twice
+    const now = new Date();
+    const claim = await db.collection('invitations').updateOne(
+      { id: invitation.id, status: InvitationStatus.PENDING },
+      { $set: { status: InvitationStatus.ACCEPTED, accepted_at: now, accepted_ip: req.ip } }
+    );
+    if (claim.modifiedCount === 0) {
+      return res.status(400).json({ detail: 'Invalid or already used invitation link', code: 'INVALID_TOKEN' });
+    }
+
+    const employeeId = await generateEmployeeId(db, { organizationId: invitation.organization_id || null });
+    const userId = generateUUID();
+    const joiningDate = invitation.joining_date || now;
+    const leaveBalance = await getLeaveBalanceFromPolicy(db, joiningDate);
+
+    const userDoc = {
+      id: userId,
+      employee_id: employeeId,
+      full_name: invitation.full_name,
+      email: invitation.email,
+      hashed_password: await hashPassword(password),
+      password_history: [],
+      password_updated_at: now,
+      must_change_password: false,
+      role: invitation.role,
+      department: invitation.department,
+      designation: invitation.designation,
+      phone: phone || invitation.phone || null,
+      organization_id: invitation.organization_id,
+      created_at: now
+    };
+
+    await db.collection('users').insertOne(userDoc);
+
+    const employeeDoc = {
+      id: userId,
+      employee_id: employeeId,
+      email: invitation.email,
+      full_name: invitation.full_name,
+      role: invitation.role,
+      department: invitation.department,
+      department_id: invitation.department_id || null,
+      designation: invitation.designation,
+      designation_id: invitation.designation_id || null,
+      phone: phone || invitation.phone || null,
+      organization_id: invitation.organization_id,
+      organization_name: invitation.organization_name,
+      joining_date: joiningDate,
+      manager_email: invitation.manager_email,
+      manager_name: invitation.manager_name,
+      leave_balance: leaveBalance,
+      probation: await createProbation(db, { designation_id: invitation.designation_id }, joiningDate),
+      invitation_id: invitation.id,
+      created_at: now
+    };
+
+    await db.collection('employees').insertOne(employeeDoc);
+
+    await db.collection('invitations').updateOne(
+      { id: invitation.id },
+      { $set: { user_id: userId, employee_id: employeeId } }
+    );
+
+    // Send welcome email
+    try {
+      const welcomeHtml = generateWelcomeEmail(
+        invitation.full_name,
+        employeeId,
+        invitation.email,
+        invitation.role,
+        invitation.department,
+        invitation.designation
+      );
+      await sendEmailNotification(
+        invitation.email,
+        `Welcome to HRMS - ${invitation.full_name}`,
+        welcomeHtml
+      );
+    } catch (emailError) {
+      console.error('Failed to send welcome email:', emailError.message);
+    }
+
+    // Log the new user straight in
+    const tokens = await issueAuthTokens(db, userDoc, req);
+
+    res.status(201).json({
+      ...tokens,
+      user: {
+        id: userId,
+        employee_id: employeeId,
+        email: invitation.email,
+        full_name: invitation.full_name,
+        role: invitation.role
+      }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/invitations/:inviteId/resend
+ * Send a fresh link for a pending or expired invitation (admin only)
+ * The previous link stops working
+ */
+router.post('/:inviteId/resend', authenticate, requirePermission(Permission.EMPLOYEE_INVITE), async (req, res) => {
+  try {
+    const db = getDB();
+    const { inviteId } = req.params;
+
+    const invitation = await db.collection('invitations').findOne(
+      { id: inviteId },
+      { projection: { _id: 0 } }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({ detail: 'Invitation not found' });
+    }
+
+    if (invitation.status !== InvitationStatus.PENDING) {
+      return res.status(400).json({ detail: `Cannot resend an invitation that is ${invitation.status}` });
+    }
+
+    const token = generateInvitationToken();
+    const expiresAt = new Date(Date.now() + INVITATION_EXPIRY_HOURS * 60 * 60 * 1000);
+
+    await db.collection('invitations').updateOne(
+      { id: inviteId },
+      {
+        $set: { token_hash: hashToken(token), expires_at: expiresAt, last_sent_at: new Date() },
+        $inc: { resend_count: 1 }
+      }
+    );
+
+    const emailSent = await sendInvitationEmail(invitation, token, req.user.full_name || 'HR');
+
+    res.json({
+      status: 'success',
+      message: emailSent ? 'Invitation resent' : 'Invitation renewed but the email could not be sent',
+      expires_at: expiresAt,
+      email_sent: !!emailSent
+    });
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/invitations/:inviteId
+ * Revoke a pending invitation (admin only)
+ */
+router.delete('/:inviteId', authenticate, requirePermission(Permission.EMPLOYEE_INVITE), async (req, res) => {
+  try {
+    const db = getDB();
+    const { inviteId } = req.params;
+
+    const result = await db.collection('invitations').updateOne(
+      { id: inviteId, status: InvitationStatus.PENDING },
+      { $set: { status: InvitationStatus.REVOKED, revoked_at: new Date(), revoked_by: req.user.email } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ detail: 'Pending invitation not found' });
+    }
+
+    res.json({ status: 'success', message: 'Invitation revoked' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,197 @@
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission, validate } = require('../middleware/roleCheck');
+const { schemas, LeaveApproverType, defaultLeavePolicy } = require('../models/schemas');
+const { Permission } = require('../models/permissions');
+const { generateUUID } = require('../utils/helpers');
+const { ACTIVE_EMPLOYEE_FILTER } = require('../services/offboardingService');
+const { findUnknownRoles } = require('../services/roleService');
+const { DEFAULT_APPROVAL_CHAIN, buildApprovalChain } = require('../services/leaveApprovalService');
+
+/**
+ * Helper: Check the references in a chain (leave types, organizations, roles, approvers)
+ * @returns {string|null} - Error message, or null when valid
+ */
+async function validateChain(db, chain) {
+  if (chain.min_days !== null && chain.max_days !== null && chain.min_days > chain.max_days) {
+    return 'min_days cannot be greater than max_days';
+  }
+
+  if (chain.leave_types.length > 0) {
+    const policy = await db.collection('leave_policies').findOne({}, { projection: { _id: 0, policies: 1 } });
+    const known = ((policy && policy.policies) || defaultLeavePolicy.policies).map(p => p.leave_type.toLowerCase());
+    const unknown = chain.leave_types.filter(type => !known.includes(type.toLowerCase()));
+    if (unknown.length > 0) {
+      return `Unknown leave type(s): ${unknown.join(', ')}`;
+    }
+  }
+
+  if (chain.organization_ids.length > 0) {
+    const found = await db.collection('organizations').countDocuments({ id: { $in: chain.organization_ids } });
+    if (found !== chain.organization_ids.length) {
+      return 'Invalid organization_ids';
+    }
+  }
+
+  const roles = chain.steps.filter(step => step.approver_type === LeaveApproverType.ROLE).map(step => step.role);
+  const unknownRoles = await findUnknownRoles(db, [...new Set(roles)]);
+  if (unknownRoles.length > 0) {
+    return `Unknown role(s): ${unknownRoles.join(', ')}`;
+  }
+
+  const emails = [...new Set(chain.steps.flatMap(step => step.emails || []))];
+  if (emails.length > 0) {
+    const active = await db.collection('employees')
+      .find({ ...ACTIVE_EMPLOYEE_FILTER, email: { $in: emails } }, { projection: { _id: 0, email: 1 } })
+      .toArray();
+    const missing = emails.filter(email => !active.some(employee => employee.email === email));
+    if (missing.length > 0) {
+      return `Approvers must be active employees: ${missing.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * GET /api/leaves/approval-chains
+ * Approval chains in the order they are matched (lowest priority first)
+ */
+router.get('/', authenticate, requirePermission(Permission.LEAVE_POLICY_MANAGE), async (req, res) => {
+  try {
+    const db = getDB();
+    const chains = await db.collection('leave_approval_chains')
+      .find({}, { projection: { _id: 0 } })
+      .sort({ priority: 1, created_at: 1 })
+      .toArray();
+
+    res.json({
+      chains,
+      default_chain: DEFAULT_APPROVAL_CHAIN
+    });
+  } catch (error) {
+    console.error('Get leave approval chains error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/leaves/approval-chains/preview
+ * The chain and approvers a leave would get
+ * Query: ?employee_id=&leave_type=&days=
+ */
+router.get('/preview', authenticate, requirePermission(Permission.LEAVE_POLICY_MANAGE), async (req, res) => {
+  try {
+    const db = getDB();
+    const { employee_id: employeeId, leave_type: leaveType } = req.query;
+    const daysCount = Number(req.query.days);
+
+    if (!employeeId || !leaveType || !(daysCount > 0)) {
+      return res.status(400).json({ detail: 'employee_id, leave_type and days are required' });
+    }
+
+    const employee = await db.collection('employees').findOne(
+      { employee_id: employeeId },
+      { projection: { _id: 0, hashed_password: 0 } }
+    );
+    if (!employee) {
+      return res.status(404).json({ detail: 'Employee not found' });
+    }
+
+    res.json(await buildApprovalChain(db, employee, { leaveType, daysCount }));
+  } catch (error) {
+    console.error('Preview leave approval chain error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/leaves/approval-chains
+ * Define a chain - applies to leaves applied for from now on
+ */
+router.post('/', authenticate, requirePermission(Permission.LEAVE_POLICY_MANAGE), validate(schemas.leaveApprovalChainCreate), async (req, res) => {
+  try {
+    const db = getDB();
+    const data = req.validatedBody;
+
+    const error = await validateChain(db, data);
+    if (error) {
+      return res.status(400).json({ detail: error });
+    }
+
+    const now = new Date();
+    const chain = {
+      id: generateUUID(),
+      ...data,
+      description: data.description || null,
+      created_at: now,
+      created_by: req.user.email,
+      updated_at: now
+    };
+
+    await db.collection('leave_approval_chains').insertOne(chain);
+
+    delete chain._id;
+
+    res.status(201).json(chain);
+  } catch (error) {
+    console.error('Create leave approval chain error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /api/leaves/approval-chains/:chainId
+ * Update a chain - leaves already applied for keep the chain they started with
+ */
+router.put('/:chainId', authenticate, requirePermission(Permission.LEAVE_POLICY_MANAGE), validate(schemas.leaveApprovalChainUpdate), async (req, res) => {
+  try {
+    const db = getDB();
+    const data = req.validatedBody;
+
+    const chain = await db.collection('leave_approval_chains').findOne({ id: req.params.chainId }, { projection: { _id: 0 } });
+    if (!chain) {
+      return res.status(404).json({ detail: 'Approval chain not found' });
+    }
+
+    const error = await validateChain(db, { ...chain, ...data });
+    if (error) {
+      return res.status(400).json({ detail: error });
+    }
+
+    const updates = { ...data, updated_at: new Date(), updated_by: req.user.email };
+    if (data.description !== undefined) updates.description = data.description || null;
+
+    await db.collection('leave_approval_chains').updateOne({ id: chain.id }, { $set: updates });
+
+    const updated = await db.collection('leave_approval_chains').findOne({ id: chain.id }, { projection: { _id: 0 } });
+    res.json(updated);
+  } catch (error) {
+    console.error('Update leave approval chain error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/leaves/approval-chains/:chainId
+ * Delete a chain (open leaves that use it finish with their own copy)
+ */
+router.delete('/:chainId', authenticate, requirePermission(Permission.LEAVE_POLICY_MANAGE), async (req, res) => {
+  try {
+    const db = getDB();
+    const result = await db.collection('leave_approval_chains').deleteOne({ id: req.params.chainId });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ detail: 'Approval chain not found' });
+    }
+
+    res.json({ status: 'success', message: 'Approval chain deleted' });
+  } catch (error) {
+    console.error('Delete leave approval chain error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -10,16 +10,17 @@ const express = require('express');
 const router = express.Router();
 const { getDB } = require('../config/database');
 const { authenticate } = require('../middleware/auth');
-const { requireRole } = require('../middleware/roleCheck');
-const { UserRole } = require('../models/schemas');
+const { requirePermission } = require('../middleware/roleCheck');
+const { Permission } = require('../models/permissions');
 const { creditMonthlyLeaves, LEAVE_CREDIT_RULES, initializeLeaveBalance } = require('../cron/monthlyLeaveCredit');
+const { ACTIVE_EMPLOYEE_FILTER } = require('../services/offboardingService');
 const { normalizeLeaveType } = require('../utils/helpers');
 
 /**
  * GET /api/admin/leave-credit/rules
  * Get current leave credit rules
  */
-router.get('/rules', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.get('/rules', authenticate, requirePermission(Permission.LEAVE_BALANCE_MANAGE), async (req, res) => {
   res.json({
     rules: LEAVE_CREDIT_RULES,
     description: {
@@ -49,7 +50,7 @@ router.get('/rules', authenticate, requireRole([UserRole.ADMIN]), async (req, re
  *   reason: string
  * }
  */
-router.post('/leave-balance/bulk-update', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.post('/leave-balance/bulk-update', authenticate, requirePermission(Permission.LEAVE_BALANCE_MANAGE), async (req, res) => {
   try {
     const db = getDB();
     const { action_type, leave_type, days, reason } = req.body;
@@ -71,7 +72,7 @@ router.post('/leave-balance/bulk-update', authenticate, requireRole([UserRole.AD
     }
 
     // Get all employees
-    const employees = await db.collection('employees').find({}).toArray();
+    const employees = await db.collection('employees').find(ACTIVE_EMPLOYEE_FILTER).toArray();
     const results = [];
     let updatedCount = 0;
     let errorCount = 0;
@@ -157,7 +158,7 @@ router.post('/leave-balance/bulk-update', authenticate, requireRole([UserRole.AD
  *   reason: string
  * }
  */
-router.post('/leave-balance/update/:employeeId', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.post('/leave-balance/update/:employeeId', authenticate, requirePermission(Permission.LEAVE_BALANCE_MANAGE), async (req, res) => {
   try {
     const db = getDB();
     const { employeeId } = req.params;
@@ -260,7 +261,7 @@ router.post('/leave-balance/update/:employeeId', authenticate, requireRole([User
  * 
  * Body: { "simulate_date": "2026-02-01" } (optional)
  */
-router.post('/run-monthly', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.post('/run-monthly', authenticate, requirePermission(Permission.LEAVE_BALANCE_MANAGE), async (req, res) => {
   try {
     const db = getDB();
     const { simulate_date } = req.body;
@@ -294,7 +295,7 @@ router.post('/run-monthly', authenticate, requireRole([UserRole.ADMIN]), async (
  * 
  * Body: { "as_of_date": "2026-01-07" } (optional)
  */
-router.post('/initialize-all', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.post('/initialize-all', authenticate, requirePermission(Permission.LEAVE_BALANCE_MANAGE), async (req, res) => {
   try {
     const db = getDB();
     const { as_of_date } = req.body;
@@ -303,7 +304,7 @@ router.post('/initialize-all', authenticate, requireRole([UserRole.ADMIN]), asyn
     const currentMonth = effectiveDate.getMonth() + 1; // 1-12
     const currentYear = effectiveDate.getFullYear();
 
-    const employees = await db.collection('employees').find({}).toArray();
+    const employees = await db.collection('employees').find(ACTIVE_EMPLOYEE_FILTER).toArray();
     const results = [];
 
     for (const employee of employees) {
@@ -465,7 +466,7 @@ function calculateBalanceForDate(joiningDate, effectiveDate) {
  * 
  * Query: ?employee_id=EMP1001&month=1&year=2026&limit=50
  */
-router.get('/logs', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.get('/logs', authenticate, requirePermission(Permission.LEAVE_BALANCE_MANAGE), async (req, res) => {
   try {
     const db = getDB();
     const { employee_id, month, year, limit = 50 } = req.query;
@@ -501,7 +502,7 @@ router.get('/logs', authenticate, requireRole([UserRole.ADMIN]), async (req, res
  * 
  * Body: { "employee_id": "EMP1001", "simulate_date": "2026-06-01" }
  */
-router.post('/simulate', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.post('/simulate', authenticate, requirePermission(Permission.LEAVE_BALANCE_MANAGE), async (req, res) => {
   try {
     const db = getDB();
     const { employee_id, simulate_date } = req.body;
@@ -608,7 +609,7 @@ function calculateMonthsDiff(fromDate, toDate) {
  * 
  * Query: ?employee_id=EMP1001&type=bulk_update&limit=50
  */
-router.get('/adjustment-logs', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.get('/adjustment-logs', authenticate, requirePermission(Permission.LEAVE_BALANCE_MANAGE), async (req, res) => {
   try {
     const db = getDB();
     const { employee_id, type, limit = 50 } = req.query;
@@ -644,7 +645,7 @@ router.get('/adjustment-logs', authenticate, requireRole([UserRole.ADMIN]), asyn
  *   reason: string
  * }
  */
-router.post('/leave-balance/set-all', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.post('/leave-balance/set-all', authenticate, requirePermission(Permission.LEAVE_BALANCE_MANAGE), async (req, res) => {
   try {
     const db = getDB();
     const { casual_leave, sick_leave, earned_leave, comp_off, reason } = req.body;
@@ -659,9 +660,9 @@ router.post('/leave-balance/set-all', authenticate, requireRole([UserRole.ADMIN]
       return res.status(400).json({ detail: 'No leave types specified' });
     }
 
-    // Update all employees
+    // Update all active employees
     const result = await db.collection('employees').updateMany(
-      {},
+      ACTIVE_EMPLOYEE_FILTER,
       { $set: updateFields }
     );
 
@@ -691,11 +692,11 @@ router.post('/leave-balance/set-all', authenticate, requireRole([UserRole.ADMIN]
  * GET /api/admin/leave-balance/summary
  * Get summary statistics of all employee leave balances
  */
-router.get('/leave-balance/summary', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.get('/leave-balance/summary', authenticate, requirePermission(Permission.LEAVE_BALANCE_MANAGE), async (req, res) => {
   try {
     const db = getDB();
 
-    const employees = await db.collection('employees').find({}).toArray();
+    const employees = await db.collection('employees').find(ACTIVE_EMPLOYEE_FILTER).toArray();
 
     const summary = {
       total_employees: employees.length,
@@ -2,12 +2,43 @@ const express = require('express');
 const router = express.Router();
 const { getDB } = require('../config/database');
 const { authenticate, getCurrentEmployee } = require('../middleware/auth');
-const { requireRole, validate } = require('../middleware/roleCheck');
-const { schemas, UserRole, LeaveStatus, LeaveType, defaultLeavePolicy } = require('../models/schemas');
+const { hasPermission, requirePermission, validate } = require('../middleware/roleCheck');
+const {
+  schemas,
+  LeaveStatus,
+  LeaveCancellationStatus,
+  LeaveApproverType,
+  LeaveType,
+  AttendanceStatus,
+  defaultLeavePolicy
+} = require('../models/schemas');
+const { Permission } = require('../models/permissions');
 const { generateUUID, normalizeLeaveType, toISOString } = require('../utils/helpers');
+const { ACTIVE_EMPLOYEE_FILTER } = require('../services/offboardingService');
+const { getTeamEmails, isInTeam, getReportingManager } = require('../services/hierarchyService');
+const { checkProbationLeave } = require('../services/probationService');
+const { calculateLeaveDays, getRemainingCharges, toLocalDateKey } = require('../services/leaveDayService');
+const {
+  OPEN_LEAVE_STATUSES,
+  buildApprovalChain,
+  rebuildApprovalChain,
+  legacyApprovalChain,
+  getPendingApprovers,
+  isCurrentApprover,
+  recordStepDecision,
+  findLeaveDelegator,
+  getAwaitingApprovalQuery
+} = require('../services/leaveApprovalService');
+const { describeDecision, syncLeaveDelegation, revokeLeaveDelegation } = require('../services/delegationService');
 const { sendEmailNotification } = require('../services/emailService');
 const { sendWhatsAppNotification } = require('../services/whatsappService');
-const { generateLeaveApplicationEmail, generateLeaveApprovalEmail, generateLeaveEditEmail } = require('../utils/emailTemplates');
+const {
+  generateLeaveApplicationEmail,
+  generateLeaveApprovalEmail,
+  generateLeaveEditEmail,
+  generateLeaveCancellationRequestEmail,
+  generateLeaveCancellationDecisionEmail
+} = require('../utils/emailTemplates');
 
 /**
  * Default monthly credit rates for leave types
@@ -19,17 +50,6 @@ const DEFAULT_MONTHLY_CREDITS = {
   'earned_leave': 1
 };
 
-/**
- * Helper: Calculate days from dates array
- */
-function calculateDaysFromDates(dates, isHalfDay = false) {
-  if (!dates || dates.length === 0) return 0;
-  if (isHalfDay && dates.length === 1) {
-    return 0.5;
-  }
-  return dates.length;
-}
-
 /**
  * Helper: Format dates array for display
  */
@@ -82,6 +102,122 @@ function datesToISOStrings(dates) {
   return dates.map(d => toISOString(d));
 }
 
+/**
+ * Helper: Work out the effect of cancelling some dates of a leave
+ * Cancelling every date cancels the leave but keeps its dates for the record.
+ * The refund is what the leave was charged for those dates (its `breakdown`);
+ * leaves counted before the breakdown was kept are recounted.
+ * @param {string[]} dateKeys - YYYY-MM-DD dates to cancel
+ * @returns {{ cancelledDates: string[], remainingDates: string[], remainingBreakdown: Object[], cancelledDays: number, isWholeLeave: boolean }}
+ */
+async function planLeaveCancellation(db, leaveDoc, dateKeys) {
+  const keys = new Set(dateKeys);
+  const dates = datesToISOStrings(leaveDoc.dates);
+  const cancelledDates = dates.filter(d => keys.has(toLocalDateKey(d)));
+  const remainingDates = dates.filter(d => !keys.has(toLocalDateKey(d)));
+  const isWholeLeave = remainingDates.length === 0;
+
+  // Only a single-date leave counts as half a day, and it can only be cancelled whole
+  let remaining = { days_count: 0, breakdown: [] };
+  if (!isWholeLeave) {
+    remaining = leaveDoc.breakdown
+      ? getRemainingCharges(leaveDoc.breakdown, new Set(remainingDates.map(toLocalDateKey)))
+      : await calculateLeaveDays(db, remainingDates, { leaveType: leaveDoc.leave_type });
+  }
+
+  return {
+    cancelledDates,
+    remainingDates,
+    remainingBreakdown: remaining.breakdown,
+    cancelledDays: Math.max(0, leaveDoc.days_count - remaining.days_count),
+    isWholeLeave
+  };
+}
+
+/**
+ * Helper: Give back balance deducted for days a leave no longer covers
+ * Balance is taken once a leave is manager approved, never for unpaid leave
+ * @param {string} status - Leave status before the change
+ * @returns {number} - Days refunded
+ */
+async function refundLeaveDays(db, leaveDoc, status, days, note) {
+  const wasBalanceDeducted = [LeaveStatus.MANAGER_APPROVED, LeaveStatus.APPROVED].includes(status);
+  if (!wasBalanceDeducted || days <= 0 || leaveDoc.leave_type === LeaveType.UNPAID_LEAVE) {
+    return 0;
+  }
+
+  const leaveTypeKey = normalizeLeaveType(leaveDoc.leave_type);
+  await db.collection('employees').updateOne(
+    { email: leaveDoc.employee_email },
+    { $inc: { [`leave_balance.${leaveTypeKey}`]: days } }
+  );
+  console.log(`Refunded ${days} ${leaveTypeKey} to ${leaveDoc.employee_email} (${note})`);
+  return days;
+}
+
+/**
+ * Helper: Clear attendance marked as leave on dates no longer on leave
+ * Days marked anything else (e.g. present) are left as they are
+ * @returns {number} - Days cleared
+ */
+async function clearLeaveAttendance(db, leaveDoc, dates) {
+  const employee = await db.collection('employees').findOne(
+    { email: leaveDoc.employee_email },
+    { projection: { employee_id: 1 } }
+  );
+  if (!employee) return 0;
+
+  const leaveMarks = leaveDoc.is_half_day
+    ? [AttendanceStatus.LEAVE, AttendanceStatus.HALF_DAY]
+    : [AttendanceStatus.LEAVE];
+  let cleared = 0;
+
+  for (const date of dates) {
+    const dateObj = new Date(date);
+    const updateField = `attendance.${dateObj.getDate()}`;
+
+    const result = await db.collection('attendance').updateOne(
+      {
+        employee_id: employee.employee_id,
+        month: dateObj.getMonth() + 1,
+        year: dateObj.getFullYear(),
+        [updateField]: { $in: leaveMarks }
+      },
+      {
+        $unset: { [updateField]: '' },
+        $set: { updated_at: new Date() }
+      }
+    );
+    cleared += result.modifiedCount;
+  }
+
+  return cleared;
+}
+
+/**
+ * Helper: Email (and WhatsApp) whoever the leave is waiting on
+ * Steps open to every final approver go to the admin
+ * @returns {string[]} - Emails notified
+ */
+async function notifyPendingApprovers(db, leaveDoc, subject, emailHtml, whatsappMsg) {
+  const { pending_approvers: emails, pending_final_approval: finalApproval } = getPendingApprovers(leaveDoc.approval_chain);
+  const query = finalApproval ? { role: 'admin' } : { ...ACTIVE_EMPLOYEE_FILTER, email: { $in: emails } };
+
+  const approvers = await db.collection('employees')
+    .find(query, { projection: { email: 1, phone: 1 } })
+    .limit(finalApproval ? 1 : emails.length)
+    .toArray();
+
+  for (const approver of approvers) {
+    await sendEmailNotification(approver.email, subject, emailHtml);
+    if (approver.phone && whatsappMsg) {
+      await sendWhatsAppNotification(approver.phone, whatsappMsg);
+    }
+  }
+
+  return approvers.map(approver => approver.email);
+}
+
 /**
  * Helper: Get leave policy for a specific leave type
  */
@@ -354,15 +490,26 @@ router.get('/leave-policy', authenticate, async (req, res) => {
  * POST /api/leaves/leave-policy
  * Save leave policy (admin only)
  */
-router.post('/leave-policy', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.post('/leave-policy', authenticate, requirePermission(Permission.LEAVE_POLICY_MANAGE), async (req, res) => {
   try {
     const db = getDB();
     const policyData = req.body;
 
+    // Saving without weekly_offs keeps the current ones
+    let weeklyOffs = policyData.weekly_offs;
+    if (!weeklyOffs) {
+      const current = await db.collection('leave_policies').findOne({}, { projection: { _id: 0, weekly_offs: 1 } });
+      weeklyOffs = (current && current.weekly_offs) || defaultLeavePolicy.weekly_offs;
+    }
+    if (!Array.isArray(weeklyOffs) || weeklyOffs.length > 6 || !weeklyOffs.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      return res.status(400).json({ detail: 'weekly_offs must list up to 6 days of the week (0 = Sunday ... 6 = Saturday)' });
+    }
+
     const policy = {
       id: 'default_policy',
       policies: policyData.policies || [],
       clubbing_rules: policyData.clubbing_rules || [],
+      weekly_offs: [...new Set(weeklyOffs)].sort((a, b) => a - b),
       updated_at: toISOString(new Date()),
       updated_by: req.user.email
     };
@@ -391,7 +538,7 @@ router.post('/leave-policy', authenticate, requireRole([UserRole.ADMIN]), async
  * Apply policy to specific employee (admin only)
  * Calculates leave balance based on employee's joining date
  */
-router.post('/leave-policy/apply-to-employee/:employeeId', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.post('/leave-policy/apply-to-employee/:employeeId', authenticate, requirePermission(Permission.LEAVE_POLICY_MANAGE), async (req, res) => {
   try {
     const db = getDB();
     const { employeeId } = req.params;
@@ -451,7 +598,7 @@ router.post('/leave-policy/apply-to-employee/:employeeId', authenticate, require
  * Apply policy to all employees (admin only)
  * Calculates leave balance based on each employee's joining date
  */
-router.post('/leave-policy/apply-to-all', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.post('/leave-policy/apply-to-all', authenticate, requirePermission(Permission.LEAVE_POLICY_MANAGE), async (req, res) => {
   try {
     const db = getDB();
 
@@ -460,8 +607,8 @@ router.post('/leave-policy/apply-to-all', authenticate, requireRole([UserRole.AD
       return res.status(404).json({ detail: 'Leave policy not configured' });
     }
 
-    // Get all employees
-    const employees = await db.collection('employees').find({}).toArray();
+    // Get all active employees
+    const employees = await db.collection('employees').find(ACTIVE_EMPLOYEE_FILTER).toArray();
     let updatedCount = 0;
     const results = [];
 
@@ -514,16 +661,36 @@ router.post('/leave-policy/apply-to-all', authenticate, requireRole([UserRole.AD
 /**
  * GET /api/leaves/validate-application
  * Validate leave application before submission (pre-check)
+ * `days` shows what each date will cost after weekly offs, holidays and the sandwich rule
  */
 router.post('/validate-application', authenticate, getCurrentEmployee, async (req, res) => {
   try {
     const db = getDB();
-    const { leave_type, dates } = req.body;
+    const { leave_type, dates = [], is_half_day: isHalfDay = false } = req.body;
     const employee = req.employee;
 
     const warnings = [];
     const errors = [];
 
+    const days = await calculateLeaveDays(db, dates, { leaveType: leave_type, isHalfDay });
+    if (dates.length > 0 && days.days_count === 0) {
+      errors.push({
+        type: 'no_working_days',
+        message: 'The selected dates are all weekly offs or holidays - no leave is needed',
+        severity: 'error'
+      });
+    }
+
+    const sandwiched = days.breakdown.filter(day => day.sandwiched);
+    if (sandwiched.length > 0) {
+      warnings.push({
+        type: 'sandwich',
+        message: `${sandwiched.length} weekly off/holiday day(s) between your leave days are charged as ${leave_type}`,
+        severity: 'warning',
+        dates: sandwiched.map(day => day.date)
+      });
+    }
+
     // Get leave policy for this type
     const policyItem = await getLeavePolicyForType(db, leave_type);
 
@@ -538,6 +705,16 @@ router.post('/validate-application', authenticate, getCurrentEmployee, async (re
         });
       }
 
+      // Leave types closed until confirmation
+      const probationCheck = checkProbationLeave(employee, policyItem);
+      if (!probationCheck.valid) {
+        errors.push({
+          type: 'probation',
+          message: probationCheck.message,
+          severity: 'error'
+        });
+      }
+
       // Check clubbing rules
       const clubbingCheck = await validateLeaveClubbing(db, employee.email, leave_type, dates);
       if (!clubbingCheck.valid) {
@@ -561,7 +738,7 @@ router.post('/validate-application', authenticate, getCurrentEmployee, async (re
           maxBalance
         );
 
-        const daysRequested = dates.length;
+        const daysRequested = days.days_count;
 
         // Show accrued vs actual balance
         if (accruedBalance < daysRequested) {
@@ -587,13 +764,17 @@ router.post('/validate-application', authenticate, getCurrentEmployee, async (re
           advance_days_required: policyItem.advance_days_required,
           encashment_allowed: policyItem.encashment_allowed,
           carry_forward_allowed: policyItem.carry_forward_allowed,
-          clubbing_not_allowed_with: policyItem.clubbing_not_allowed_with || []
+          clubbing_not_allowed_with: policyItem.clubbing_not_allowed_with || [],
+          allowed_during_probation: policyItem.allowed_during_probation !== false,
+          sandwich_rule: !!policyItem.sandwich_rule
         }
       });
     }
 
     res.json({
       valid: errors.length === 0,
+      days_count: days.days_count,
+      breakdown: days.breakdown,
       warnings,
       errors
     });
@@ -617,7 +798,13 @@ router.post('/', authenticate, getCurrentEmployee, validate(schemas.leaveApplica
     const leaveData = req.validatedBody;
     const employee = req.employee;
 
-    const daysCount = calculateDaysFromDates(leaveData.dates, leaveData.is_half_day);
+    const { days_count: daysCount, breakdown } = await calculateLeaveDays(db, leaveData.dates, {
+      leaveType: leaveData.leave_type,
+      isHalfDay: leaveData.is_half_day
+    });
+    if (daysCount === 0) {
+      return res.status(400).json({ detail: 'The selected dates are all weekly offs or holidays - no leave is needed' });
+    }
 
     // Get leave policy for validation
     const policyItem = await getLeavePolicyForType(db, leaveData.leave_type);
@@ -634,6 +821,16 @@ router.post('/', authenticate, getCurrentEmployee, validate(schemas.leaveApplica
       }
     }
 
+    // Leave types closed during probation (hard error - cannot override)
+    const probationCheck = checkProbationLeave(employee, policyItem);
+    if (!probationCheck.valid) {
+      return res.status(400).json({
+        detail: probationCheck.message,
+        warning_type: 'probation',
+        can_override: false
+      });
+    }
+
     // Validate clubbing rules (hard error - cannot override)
     const clubbingCheck = await validateLeaveClubbing(db, employee.email, leaveData.leave_type, leaveData.dates);
     if (!clubbingCheck.valid) {
@@ -657,6 +854,7 @@ router.post('/', authenticate, getCurrentEmployee, validate(schemas.leaveApplica
     // Create leave application
     const now = new Date();
     const monthlyCredit = policyItem ? getMonthlyCredit(policyItem, leaveTypeKey) : 0;
+    const approvalChain = await buildApprovalChain(db, employee, { leaveType: leaveData.leave_type, daysCount });
 
     const leaveDoc = {
       id: generateUUID(),
@@ -667,11 +865,14 @@ router.post('/', authenticate, getCurrentEmployee, validate(schemas.leaveApplica
       leave_type: leaveData.leave_type,
       dates: datesToISOStrings(leaveData.dates),
       days_count: daysCount,
+      breakdown,  // Charge for each date, refunded from on cancellation
       reason: leaveData.reason,
       is_half_day: leaveData.is_half_day || false,
       half_day_period: leaveData.half_day_period || null,
       status: LeaveStatus.PENDING,
       approvals: [],
+      approval_chain: approvalChain,
+      ...getPendingApprovers(approvalChain),
       policy_snapshot: policyItem ? {
         credit_type: policyItem.credit_type,
         monthly_credit: monthlyCredit,
@@ -699,29 +900,21 @@ router.post('/', authenticate, getCurrentEmployee, validate(schemas.leaveApplica
 
       const whatsappMsg = `New leave application from ${employee.full_name}\nType: ${leaveData.leave_type}\nDates: ${datesDisplay}\nDays: ${daysCount}\nReason: ${leaveData.reason}`;
 
-      const manager = await db.collection('employees').findOne(
-        { department: employee.department, role: 'manager' },
-        { projection: { email: 1, phone: 1 } }
+      // The approvers of the first step of the chain
+      const notified = await notifyPendingApprovers(
+        db,
+        leaveDoc,
+        `Leave Application from ${employee.full_name}`,
+        emailHtml,
+        whatsappMsg
       );
 
-      if (manager) {
-        await sendEmailNotification(
-          manager.email,
-          `Leave Application from ${employee.full_name}`,
-          emailHtml
-        );
-
-        if (manager.phone) {
-          await sendWhatsAppNotification(manager.phone, whatsappMsg);
-        }
-      }
-
       const admin = await db.collection('employees').findOne(
         { role: 'admin' },
         { projection: { email: 1, phone: 1 } }
       );
 
-      if (admin && admin.email !== manager?.email) {
+      if (admin && !notified.includes(admin.email)) {
         await sendEmailNotification(
           admin.email,
           `Leave Application from ${employee.full_name}`,
@@ -771,28 +964,17 @@ router.get('/my-leaves', authenticate, getCurrentEmployee, async (req, res) => {
 
 /**
  * GET /api/leaves/pending
- * Get pending leaves for approval
+ * Leaves waiting on my approval at their current step
+ * Query: ?scope=all - every open leave (final approvers only)
  */
 router.get('/pending', authenticate, getCurrentEmployee, async (req, res) => {
   try {
     const db = getDB();
     const user = req.user;
-    const employee = req.employee;
 
-    let query = {};
-
-    if (user.role === UserRole.MANAGER) {
-      query = {
-        manager_email: employee.email,
-        status: LeaveStatus.PENDING
-      };
-    } else if (user.role === UserRole.ADMIN) {
-      query = {
-        status: { $in: [LeaveStatus.PENDING, LeaveStatus.MANAGER_APPROVED] }
-      };
-    } else {
-      return res.status(403).json({ detail: 'Not enough permissions' });
-    }
+    const query = req.query.scope === 'all' && hasPermission(user, Permission.LEAVE_FINAL_APPROVE)
+      ? { status: { $in: OPEN_LEAVE_STATUSES } }
+      : await getAwaitingApprovalQuery(db, user);
 
     const leaves = await db.collection('leaves')
       .find(query, { projection: { _id: 0 } })
@@ -808,11 +990,46 @@ router.get('/pending', authenticate, getCurrentEmployee, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/leaves/cancellations/pending
+ * Approved leaves with a cancellation request awaiting a decision (managers see their team)
+ */
+router.get('/cancellations/pending', authenticate, getCurrentEmployee, async (req, res) => {
+  try {
+    const db = getDB();
+    const user = req.user;
+
+    const query = {
+      status: LeaveStatus.APPROVED,
+      cancellations: { $elemMatch: { status: LeaveCancellationStatus.PENDING } }
+    };
+
+    if (!hasPermission(user, Permission.LEAVE_FINAL_APPROVE)) {
+      if (!hasPermission(user, Permission.LEAVE_APPROVE)) {
+        return res.status(403).json({ detail: 'Not enough permissions' });
+      }
+      query.employee_email = { $in: await getTeamEmails(db, req.employee.email) };
+    }
+
+    const leaves = await db.collection('leaves')
+      .find(query, { projection: { _id: 0 } })
+      .sort({ updated_at: 1 })
+      .toArray();
+
+    leaves.forEach(normalizeLeaveDates);
+
+    res.json(leaves);
+  } catch (error) {
+    console.error('Get pending leave cancellations error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
 /**
  * GET /api/leaves/all
  * Get all leaves (admin only)
  */
-router.get('/all', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.get('/all', authenticate, requirePermission(Permission.LEAVE_VIEW_ALL), async (req, res) => {
   try {
     const db = getDB();
 
@@ -868,7 +1085,9 @@ router.get('/calendar/me', authenticate, async (req, res) => {
       pending: { opacity: '0.6', pattern: 'striped' },
       manager_approved: { opacity: '0.8', pattern: 'dotted' },
       approved: { opacity: '1', pattern: 'solid' },
-      rejected: { opacity: '0.4', pattern: 'crossed' }
+      rejected: { opacity: '0.4', pattern: 'crossed' },
+      withdrawn: { opacity: '0.3', pattern: 'crossed' },
+      cancelled: { opacity: '0.3', pattern: 'crossed' }
     };
 
     const { year, month } = req.query;
@@ -960,8 +1179,9 @@ router.get('/calendar/:employeeId', authenticate, async (req, res) => {
       return res.status(404).json({ detail: 'Employee not found' });
     }
 
-    if (![UserRole.ADMIN, UserRole.MANAGER].includes(user.role)) {
-      if (employee.email !== user.email) {
+    if (!hasPermission(user, Permission.LEAVE_VIEW_ALL) && employee.email !== user.email) {
+      const inTeam = hasPermission(user, Permission.LEAVE_VIEW_TEAM) && await isInTeam(db, user.email, employee.email);
+      if (!inTeam) {
         return res.status(403).json({ detail: "Not authorized to view this employee's leaves" });
       }
     }
@@ -984,7 +1204,9 @@ router.get('/calendar/:employeeId', authenticate, async (req, res) => {
       pending: { opacity: '0.6', pattern: 'striped' },
       manager_approved: { opacity: '0.8', pattern: 'dotted' },
       approved: { opacity: '1', pattern: 'solid' },
-      rejected: { opacity: '0.4', pattern: 'crossed' }
+      rejected: { opacity: '0.4', pattern: 'crossed' },
+      withdrawn: { opacity: '0.3', pattern: 'crossed' },
+      cancelled: { opacity: '0.3', pattern: 'crossed' }
     };
 
     const calendarEvents = [];
@@ -1061,7 +1283,8 @@ router.get('/calendar/:employeeId', authenticate, async (req, res) => {
 
 /**
  * PUT /api/leaves/:leaveId/action
- * Approve or reject leave
+ * Approve or reject the current step of the leave's approval chain
+ * Final approvers may act on any step - their approval completes the chain
  */
 router.put('/:leaveId/action', authenticate, getCurrentEmployee, validate(schemas.leaveAction), async (req, res) => {
   try {
@@ -1080,30 +1303,49 @@ router.put('/:leaveId/action', authenticate, getCurrentEmployee, validate(schema
       return res.status(404).json({ detail: 'Leave not found' });
     }
 
-    normalizeLeaveDates(leaveDoc);
-
     const originalStatus = leaveDoc.status;
+    const originalUpdatedAt = leaveDoc.updated_at;
 
-    let newStatus = leaveDoc.status;
+    if (!OPEN_LEAVE_STATUSES.includes(originalStatus)) {
+      return res.status(400).json({ detail: 'Leave already processed' });
+    }
+    if (leaveDoc.employee_email === employee.email) {
+      return res.status(403).json({ detail: 'You cannot approve your own leave' });
+    }
 
-    if (user.role === UserRole.MANAGER) {
-      if (leaveDoc.status !== LeaveStatus.PENDING) {
-        return res.status(400).json({ detail: 'Leave is not pending' });
-      }
-      if (leaveDoc.manager_email !== employee.email) {
-        return res.status(403).json({ detail: 'Not your team member' });
-      }
+    normalizeLeaveDates(leaveDoc);
 
-      newStatus = action === 'approve' ? LeaveStatus.MANAGER_APPROVED : LeaveStatus.REJECTED;
-    } else if (user.role === UserRole.ADMIN) {
-      if (![LeaveStatus.PENDING, LeaveStatus.MANAGER_APPROVED].includes(leaveDoc.status)) {
-        return res.status(400).json({ detail: 'Leave already processed' });
-      }
+    const approvalChain = leaveDoc.approval_chain || legacyApprovalChain(leaveDoc);
+    const stepIndex = approvalChain.current_step;
+    const step = approvalChain.steps[stepIndex];
 
-      newStatus = action === 'approve' ? LeaveStatus.APPROVED : LeaveStatus.REJECTED;
-    } else {
-      return res.status(403).json({ detail: 'Not enough permissions' });
+    // Leaves from before approval chains: any manager above the employee may act
+    let isApprover = isCurrentApprover(approvalChain, user);
+    if (!leaveDoc.approval_chain && step.approver_type === LeaveApproverType.REPORTING_MANAGER) {
+      isApprover = hasPermission(user, Permission.LEAVE_APPROVE) &&
+        await isInTeam(db, employee.email, leaveDoc.employee_email);
     }
+    // A delegate stands in for the approver and takes their place on the step
+    const onBehalfOf = isApprover ? null : await findLeaveDelegator(db, leaveDoc, approvalChain, user);
+    const isOverride = !isApprover && !onBehalfOf && hasPermission(user, Permission.LEAVE_FINAL_APPROVE);
+
+    if (!isApprover && !onBehalfOf && !isOverride) {
+      return res.status(403).json({ detail: `This leave is waiting on ${step.name} approval` });
+    }
+
+    const outcome = recordStepDecision(
+      approvalChain,
+      onBehalfOf
+        ? { email: onBehalfOf.email, name: onBehalfOf.name, delegate_email: employee.email, delegate_name: employee.full_name }
+        : { email: employee.email, name: employee.full_name },
+      action,
+      { override: isOverride }
+    );
+
+    let newStatus = originalStatus;
+    if (outcome === 'rejected') newStatus = LeaveStatus.REJECTED;
+    else if (outcome === 'approved') newStatus = LeaveStatus.APPROVED;
+    else if (outcome === 'advanced') newStatus = LeaveStatus.MANAGER_APPROVED;
 
     const approvalRecord = {
       approver_email: employee.email,
@@ -1111,13 +1353,43 @@ router.put('/:leaveId/action', authenticate, getCurrentEmployee, validate(schema
       approver_role: user.role,
       action,
       comments: comments || null,
+      step: stepIndex,
+      step_name: step.name,
+      override: isOverride,
+      on_behalf_of_email: onBehalfOf ? onBehalfOf.email : null,
+      on_behalf_of_name: onBehalfOf ? onBehalfOf.name : null,
+      summary: describeDecision(action, employee.full_name, onBehalfOf),
       timestamp: toISOString(new Date())
     };
 
     leaveDoc.approvals.push(approvalRecord);
     leaveDoc.status = newStatus;
+    leaveDoc.approval_chain = approvalChain;
+    Object.assign(leaveDoc, getPendingApprovers(approvalChain));
     leaveDoc.updated_at = toISOString(new Date());
 
+    const updateDoc = {
+      ...leaveDoc,
+      dates: datesToISOStrings(leaveDoc.dates),
+      created_at: toISOString(leaveDoc.created_at),
+      updated_at: leaveDoc.updated_at
+    };
+
+    for (const approval of updateDoc.approvals) {
+      if (approval.timestamp instanceof Date) {
+        approval.timestamp = toISOString(approval.timestamp);
+      }
+    }
+
+    // Only save if nobody else acted on the leave in the meantime
+    const result = await db.collection('leaves').updateOne(
+      { id: leaveId, status: originalStatus, updated_at: originalUpdatedAt },
+      { $set: updateDoc }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(409).json({ detail: 'Leave was updated by someone else - refresh and try again' });
+    }
+
     const wasBalanceNotYetDeducted = originalStatus === LeaveStatus.PENDING;
     const isNowApproved = newStatus === LeaveStatus.MANAGER_APPROVED || newStatus === LeaveStatus.APPROVED;
 
@@ -1139,27 +1411,18 @@ router.put('/:leaveId/action', authenticate, getCurrentEmployee, validate(schema
         { email: leaveDoc.employee_email },
         { $inc: { [`leave_balance.${leaveTypeKey}`]: leaveDoc.days_count } }
       );
-      console.log(`Refunded ${leaveDoc.days_count} ${leaveTypeKey} to ${leaveDoc.employee_email} (rejected after manager approval)`);
+      console.log(`Refunded ${leaveDoc.days_count} ${leaveTypeKey} to ${leaveDoc.employee_email} (rejected after an earlier approval)`);
     }
 
-    const updateDoc = {
-      ...leaveDoc,
-      dates: datesToISOStrings(leaveDoc.dates),
-      created_at: toISOString(leaveDoc.created_at),
-      updated_at: leaveDoc.updated_at
-    };
-
-    for (const approval of updateDoc.approvals) {
-      if (approval.timestamp instanceof Date) {
-        approval.timestamp = toISOString(approval.timestamp);
+    // A manager going on leave hands their approvals over for the dates
+    if (newStatus === LeaveStatus.APPROVED) {
+      try {
+        await syncLeaveDelegation(db, leaveDoc, employee.email);
+      } catch (delegationError) {
+        console.error('Failed to delegate approvals for leave:', delegationError.message);
       }
     }
 
-    await db.collection('leaves').updateOne(
-      { id: leaveId },
-      { $set: updateDoc }
-    );
-
     try {
       const employeeRecord = await db.collection('employees').findOne(
         { email: leaveDoc.employee_email },
@@ -1188,41 +1451,36 @@ router.put('/:leaveId/action', authenticate, getCurrentEmployee, validate(schema
           const whatsappMsg = `Your leave application has been ${statusText.toUpperCase()}!\n\nType: ${leaveDoc.leave_type}\nDates: ${datesDisplay}`;
           await sendWhatsAppNotification(employeeRecord.phone, whatsappMsg);
         }
-      } else if (newStatus === LeaveStatus.MANAGER_APPROVED) {
+      } else if (outcome === 'advanced') {
+        const nextStep = approvalChain.steps[approvalChain.current_step];
         const emailHtml = generateLeaveApprovalEmail(
           leaveDoc.employee_name,
           leaveDoc.leave_type,
           datesDisplay,
           null,
-          'approved by manager (pending admin approval)'
+          `approved by ${step.name} (pending ${nextStep.name} approval)`
         );
 
         await sendEmailNotification(
           leaveDoc.employee_email,
-          'Leave Approved by Manager - Pending Admin Approval',
+          `Leave Approved by ${step.name} - Pending ${nextStep.name} Approval`,
           emailHtml
         );
 
-        const admin = await db.collection('employees').findOne(
-          { role: 'admin' },
-          { projection: { email: 1 } }
+        const approverHtml = generateLeaveApplicationEmail(
+          leaveDoc.employee_name,
+          leaveDoc.leave_type,
+          datesDisplay,
+          null,
+          leaveDoc.reason
         );
 
-        if (admin) {
-          const adminHtml = generateLeaveApplicationEmail(
-            leaveDoc.employee_name,
-            leaveDoc.leave_type,
-            datesDisplay,
-            null,
-            leaveDoc.reason
-          );
-
-          await sendEmailNotification(
-            admin.email,
-            `Leave Approved by Manager - ${leaveDoc.employee_name}`,
-            adminHtml
-          );
-        }
+        await notifyPendingApprovers(
+          db,
+          leaveDoc,
+          `Leave Approved by ${step.name} - ${leaveDoc.employee_name}`,
+          approverHtml
+        );
       }
     } catch (notifyError) {
       console.error('Failed to send notification:', notifyError.message);
@@ -1237,11 +1495,366 @@ router.put('/:leaveId/action', authenticate, getCurrentEmployee, validate(schema
   }
 });
 
+/**
+ * POST /api/leaves/:leaveId/withdraw
+ * Withdraw my leave before it is fully approved (balance taken at manager approval is refunded)
+ */
+router.post('/:leaveId/withdraw', authenticate, getCurrentEmployee, validate(schemas.leaveWithdraw), async (req, res) => {
+  try {
+    const db = getDB();
+    const { leaveId } = req.params;
+    const { reason } = req.validatedBody;
+    const employee = req.employee;
+
+    const leaveDoc = await db.collection('leaves').findOne(
+      { id: leaveId, employee_email: employee.email },
+      { projection: { _id: 0 } }
+    );
+
+    if (!leaveDoc) {
+      return res.status(404).json({ detail: 'Leave not found' });
+    }
+    if (leaveDoc.status === LeaveStatus.APPROVED) {
+      return res.status(400).json({ detail: 'Leave is already approved - request a cancellation instead' });
+    }
+    if (![LeaveStatus.PENDING, LeaveStatus.MANAGER_APPROVED].includes(leaveDoc.status)) {
+      return res.status(400).json({ detail: `Leave is already ${leaveDoc.status}` });
+    }
+
+    const now = toISOString(new Date());
+    const approvalRecord = {
+      approver_email: employee.email,
+      approver_name: employee.full_name,
+      approver_role: req.user.role,
+      action: 'withdrawn',
+      comments: reason || null,
+      timestamp: now
+    };
+
+    // Only withdraw if no approver acted in the meantime
+    const result = await db.collection('leaves').updateOne(
+      { id: leaveId, status: leaveDoc.status },
+      {
+        $set: {
+          status: LeaveStatus.WITHDRAWN,
+          pending_approvers: [],
+          pending_final_approval: false,
+          withdrawn_at: now,
+          updated_at: now
+        },
+        $push: { approvals: approvalRecord }
+      }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({ detail: 'Leave was updated by an approver - refresh and try again' });
+    }
+
+    const refundedDays = await refundLeaveDays(db, leaveDoc, leaveDoc.status, leaveDoc.days_count, 'withdrawn by employee');
+    await clearLeaveAttendance(db, leaveDoc, leaveDoc.dates);
+
+    const updatedLeave = await db.collection('leaves').findOne(
+      { id: leaveId },
+      { projection: { _id: 0 } }
+    );
+
+    normalizeLeaveDates(updatedLeave);
+
+    res.json({
+      status: 'success',
+      message: 'Leave withdrawn',
+      refunded_days: refundedDays,
+      leave: updatedLeave
+    });
+  } catch (error) {
+    console.error('Withdraw leave error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/leaves/:leaveId/cancellation
+ * Ask to cancel my approved leave, whole or for some of its dates
+ * The cancellation takes effect once a manager or admin approves it
+ */
+router.post('/:leaveId/cancellation', authenticate, getCurrentEmployee, validate(schemas.leaveCancellationRequest), async (req, res) => {
+  try {
+    const db = getDB();
+    const { leaveId } = req.params;
+    const { dates, reason } = req.validatedBody;
+    const employee = req.employee;
+
+    const leaveDoc = await db.collection('leaves').findOne(
+      { id: leaveId, employee_email: employee.email },
+      { projection: { _id: 0 } }
+    );
+
+    if (!leaveDoc) {
+      return res.status(404).json({ detail: 'Leave not found' });
+    }
+    if ([LeaveStatus.PENDING, LeaveStatus.MANAGER_APPROVED].includes(leaveDoc.status)) {
+      return res.status(400).json({ detail: 'Leave is not approved yet - withdraw it instead' });
+    }
+    if (leaveDoc.status !== LeaveStatus.APPROVED) {
+      return res.status(400).json({ detail: `Leave is already ${leaveDoc.status}` });
+    }
+    if ((leaveDoc.cancellations || []).some(c => c.status === LeaveCancellationStatus.PENDING)) {
+      return res.status(400).json({ detail: 'A cancellation request for this leave is already pending' });
+    }
+
+    const leaveDateKeys = leaveDoc.dates.map(toLocalDateKey);
+    const dateKeys = dates ? dates.map(toLocalDateKey) : leaveDateKeys;
+
+    const notOnLeave = dateKeys.filter(key => !leaveDateKeys.includes(key));
+    if (notOnLeave.length > 0) {
+      return res.status(400).json({ detail: `These dates are not part of the leave: ${notOnLeave.join(', ')}` });
+    }
+
+    const plan = await planLeaveCancellation(db, leaveDoc, dateKeys);
+    const now = toISOString(new Date());
+
+    const cancellation = {
+      id: generateUUID(),
+      dates: plan.cancelledDates,
+      days_count: plan.cancelledDays,
+      whole_leave: plan.isWholeLeave,
+      reason,
+      status: LeaveCancellationStatus.PENDING,
+      requested_at: now,
+      reviewed_by: null,
+      reviewed_by_name: null,
+      reviewed_at: null,
+      review_comments: null
+    };
+
+    const result = await db.collection('leaves').updateOne(
+      { id: leaveId, status: LeaveStatus.APPROVED, 'cancellations.status': { $ne: LeaveCancellationStatus.PENDING } },
+      { $push: { cancellations: cancellation }, $set: { updated_at: now } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({ detail: 'Leave was updated in the meantime - refresh and try again' });
+    }
+
+    // Notify the reporting manager and HR
+    try {
+      const emailHtml = generateLeaveCancellationRequestEmail(
+        employee.full_name,
+        leaveDoc.leave_type,
+        formatDatesForDisplay(plan.cancelledDates),
+        plan.cancelledDays,
+        plan.isWholeLeave,
+        reason
+      );
+      const subject = `Leave Cancellation Request from ${employee.full_name}`;
+
+      const manager = await getReportingManager(db, employee);
+      if (manager) {
+        await sendEmailNotification(manager.email, subject, emailHtml);
+      }
+
+      const admin = await db.collection('employees').findOne(
+        { role: 'admin' },
+        { projection: { email: 1 } }
+      );
+      if (admin && admin.email !== manager?.email) {
+        await sendEmailNotification(admin.email, subject, emailHtml);
+      }
+    } catch (notifyError) {
+      console.error('Failed to send leave cancellation notification:', notifyError.message);
+    }
+
+    res.status(201).json(cancellation);
+  } catch (error) {
+    console.error('Request leave cancellation error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/leaves/:leaveId/cancellation
+ * Take back my pending cancellation request (the leave stays approved)
+ */
+router.delete('/:leaveId/cancellation', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const now = toISOString(new Date());
+
+    const result = await db.collection('leaves').updateOne(
+      {
+        id: req.params.leaveId,
+        employee_email: req.user.email,
+        cancellations: { $elemMatch: { status: LeaveCancellationStatus.PENDING } }
+      },
+      {
+        $set: {
+          'cancellations.$.status': LeaveCancellationStatus.RETRACTED,
+          'cancellations.$.retracted_at': now,
+          updated_at: now
+        }
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ detail: 'No pending cancellation request found' });
+    }
+
+    res.json({ status: 'success', message: 'Cancellation request withdrawn' });
+  } catch (error) {
+    console.error('Retract leave cancellation error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /api/leaves/:leaveId/cancellation/action
+ * Approve or reject a cancellation request (admin, or a manager of the employee)
+ * Approval removes the dates, refunds their balance and clears their leave attendance
+ */
+router.put('/:leaveId/cancellation/action', authenticate, getCurrentEmployee, validate(schemas.leaveAction), async (req, res) => {
+  try {
+    const db = getDB();
+    const { leaveId } = req.params;
+    const { action, comments } = req.validatedBody;
+    const user = req.user;
+    const employee = req.employee;
+
+    const leaveDoc = await db.collection('leaves').findOne(
+      { id: leaveId },
+      { projection: { _id: 0 } }
+    );
+
+    if (!leaveDoc) {
+      return res.status(404).json({ detail: 'Leave not found' });
+    }
+
+    const cancellation = (leaveDoc.cancellations || []).find(c => c.status === LeaveCancellationStatus.PENDING);
+    if (!cancellation) {
+      return res.status(404).json({ detail: 'No pending cancellation request found' });
+    }
+    if (leaveDoc.employee_email === employee.email) {
+      return res.status(403).json({ detail: 'You cannot approve your own cancellation' });
+    }
+
+    if (!hasPermission(user, Permission.LEAVE_FINAL_APPROVE)) {
+      if (!hasPermission(user, Permission.LEAVE_APPROVE)) {
+        return res.status(403).json({ detail: 'Not enough permissions' });
+      }
+      if (!await isInTeam(db, employee.email, leaveDoc.employee_email)) {
+        return res.status(403).json({ detail: 'Not your team member' });
+      }
+    }
+
+    const now = toISOString(new Date());
+    const approved = action === 'approve';
+    const review = {
+      'cancellations.$.status': approved ? LeaveCancellationStatus.APPROVED : LeaveCancellationStatus.REJECTED,
+      'cancellations.$.reviewed_by': employee.email,
+      'cancellations.$.reviewed_by_name': employee.full_name,
+      'cancellations.$.reviewed_at': now,
+      'cancellations.$.review_comments': comments || null,
+      updated_at: now
+    };
+
+    let plan = null;
+    let refundableDays = 0;
+    if (approved) {
+      if (leaveDoc.status !== LeaveStatus.APPROVED) {
+        return res.status(400).json({ detail: `Leave is already ${leaveDoc.status}` });
+      }
+
+      // The leave may have been edited since the request - only dates still on it are cancelled
+      plan = await planLeaveCancellation(db, leaveDoc, cancellation.dates.map(toLocalDateKey));
+      if (plan.cancelledDates.length === 0) {
+        return res.status(400).json({ detail: 'None of the requested dates are part of the leave any more' });
+      }
+
+      refundableDays = leaveDoc.leave_type === LeaveType.UNPAID_LEAVE ? 0 : plan.cancelledDays;
+
+      Object.assign(review, {
+        'cancellations.$.cancelled_dates': plan.cancelledDates,
+        'cancellations.$.refunded_days': refundableDays
+      });
+
+      if (plan.isWholeLeave) {
+        Object.assign(review, { status: LeaveStatus.CANCELLED, cancelled_at: now });
+      } else {
+        Object.assign(review, {
+          dates: plan.remainingDates,
+          days_count: leaveDoc.days_count - plan.cancelledDays,
+          breakdown: plan.remainingBreakdown
+        });
+      }
+    }
+
+    const approvalRecord = {
+      approver_email: employee.email,
+      approver_name: employee.full_name,
+      approver_role: user.role,
+      action: approved ? 'cancellation_approved' : 'cancellation_rejected',
+      comments: comments || null,
+      timestamp: now
+    };
+
+    // Claim the request so two reviewers cannot both act on it
+    const result = await db.collection('leaves').updateOne(
+      {
+        id: leaveId,
+        status: leaveDoc.status,
+        cancellations: { $elemMatch: { id: cancellation.id, status: LeaveCancellationStatus.PENDING } }
+      },
+      { $set: review, $push: { approvals: approvalRecord } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({ detail: 'Cancellation was reviewed by someone else' });
+    }
+
+    if (approved) {
+      await refundLeaveDays(db, leaveDoc, leaveDoc.status, plan.cancelledDays, `${plan.cancelledDates.length} date(s) cancelled`);
+      await clearLeaveAttendance(db, leaveDoc, plan.cancelledDates);
+    }
+
+    try {
+      const emailHtml = generateLeaveCancellationDecisionEmail(
+        leaveDoc.employee_name,
+        leaveDoc.leave_type,
+        formatDatesForDisplay(approved ? plan.cancelledDates : cancellation.dates),
+        approved ? LeaveCancellationStatus.APPROVED : LeaveCancellationStatus.REJECTED,
+        employee.full_name,
+        comments,
+        refundableDays
+      );
+
+      await sendEmailNotification(
+        leaveDoc.employee_email,
+        `Leave Cancellation ${approved ? 'Approved' : 'Rejected'} - ${leaveDoc.leave_type}`,
+        emailHtml
+      );
+    } catch (notifyError) {
+      console.error('Failed to send leave cancellation decision:', notifyError.message);
+    }
+
+    const updatedLeave = await db.collection('leaves').findOne(
+      { id: leaveId },
+      { projection: { _id: 0 } }
+    );
+
+    if (approved) {
+      await syncLeaveDelegation(db, updatedLeave, employee.email);
+    }
+
+    normalizeLeaveDates(updatedLeave);
+
+    res.json(updatedLeave);
+  } catch (error) {
+    console.error('Leave cancellation action error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
 /**
  * PUT /api/leaves/:leaveId
  * Edit leave (admin only)
  */
-router.put('/:leaveId', authenticate, requireRole([UserRole.ADMIN]), validate(schemas.leaveEdit), async (req, res) => {
+router.put('/:leaveId', authenticate, requirePermission(Permission.LEAVE_MANAGE), validate(schemas.leaveEdit), async (req, res) => {
   try {
     const db = getDB();
     const { leaveId } = req.params;
@@ -1276,17 +1889,32 @@ router.put('/:leaveId', authenticate, requireRole([UserRole.ADMIN]), validate(sc
 
     if (editData.dates) {
       updateDict.dates = datesToISOStrings(editData.dates);
-      newDays = calculateDaysFromDates(editData.dates, isHalfDay);
-      updateDict.days_count = newDays;
-    } else if (editData.is_half_day !== undefined) {
-      newDays = calculateDaysFromDates(originalLeave.dates, isHalfDay);
+    }
+
+    // The leave type decides the sandwich rule, so a type change recounts too
+    if (editData.dates || editData.is_half_day !== undefined || editData.leave_type !== undefined) {
+      const { days_count: daysCount, breakdown } = await calculateLeaveDays(db, editData.dates || originalLeave.dates, {
+        leaveType: editData.leave_type || originalLeaveType,
+        isHalfDay
+      });
+      if (daysCount === 0) {
+        return res.status(400).json({ detail: 'The selected dates are all weekly offs or holidays - no leave is needed' });
+      }
+      newDays = daysCount;
       updateDict.days_count = newDays;
+      updateDict.breakdown = breakdown;
     }
 
     const newStatus = editData.status !== undefined ? editData.status : originalLeave.status;
     if (editData.status !== undefined) {
       updateDict.status = newStatus;
 
+      // Decided by the admin - nobody needs to act on it any more
+      if (!OPEN_LEAVE_STATUSES.includes(newStatus)) {
+        updateDict.pending_approvers = [];
+        updateDict.pending_final_approval = false;
+      }
+
       const approvalRecord = {
         approver_email: user.email,
         approver_name: user.full_name,
@@ -1304,9 +1932,21 @@ router.put('/:leaveId', authenticate, requireRole([UserRole.ADMIN]), validate(sc
       updateDict.approvals = existingApprovals;
     }
 
-    updateDict.updated_at = toISOString(new Date());
-
     const newLeaveType = updateDict.leave_type || originalLeaveType;
+
+    // An open leave whose status, type or length changed waits on the approvers of the chain that now applies
+    const chainChanged = newStatus !== originalLeave.status || newLeaveType !== originalLeaveType || newDays !== originalDays;
+    if (OPEN_LEAVE_STATUSES.includes(newStatus) && chainChanged) {
+      const approvalChain = await rebuildApprovalChain(
+        db,
+        { ...originalLeave, leave_type: newLeaveType, days_count: newDays },
+        newStatus,
+        { email: user.email, name: user.full_name }
+      );
+      Object.assign(updateDict, { approval_chain: approvalChain, ...getPendingApprovers(approvalChain) });
+    }
+
+    updateDict.updated_at = toISOString(new Date());
     const employeeEmail = originalLeave.employee_email;
     const willBalanceBeDeducted = [LeaveStatus.MANAGER_APPROVED, LeaveStatus.APPROVED].includes(newStatus);
 
@@ -1408,6 +2048,10 @@ router.put('/:leaveId', authenticate, requireRole([UserRole.ADMIN]), validate(sc
       { projection: { _id: 0 } }
     );
 
+    if (editData.status !== undefined || editData.dates) {
+      await syncLeaveDelegation(db, updatedLeave, user.email);
+    }
+
     normalizeLeaveDates(updatedLeave);
 
     res.json(updatedLeave);
@@ -1421,7 +2065,7 @@ router.put('/:leaveId', authenticate, requireRole([UserRole.ADMIN]), validate(sc
  * DELETE /api/leaves/:leaveId
  * Delete leave (admin only)
  */
-router.delete('/:leaveId', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.delete('/:leaveId', authenticate, requirePermission(Permission.LEAVE_MANAGE), async (req, res) => {
   try {
     const db = getDB();
     const { leaveId } = req.params;
@@ -1447,6 +2091,7 @@ router.delete('/:leaveId', authenticate, requireRole([UserRole.ADMIN]), async (r
     }
 
     await db.collection('leaves').deleteOne({ id: leaveId });
+    await revokeLeaveDelegation(db, leaveId, req.user.email);
 
     await db.collection('leave_edit_logs').insertOne({
       leave_id: leaveId,
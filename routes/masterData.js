@@ -0,0 +1,464 @@
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission, validate } = require('../middleware/roleCheck');
+const { schemas } = require('../models/schemas');
+const { Permission } = require('../models/permissions');
+const { generateUUID } = require('../utils/helpers');
+const { ACTIVE_EMPLOYEE_FILTER } = require('../services/offboardingService');
+const {
+  normalizeName,
+  scopeFilter,
+  findDuplicate,
+  validateParentDepartment,
+  buildDepartmentTree,
+  migrateFreeTextValues
+} = require('../services/masterDataService');
+
+/**
+ * Helper: Check an organization_id given for a new record
+ * @returns {string|null} - Error message
+ */
+async function checkOrganization(db, organizationId) {
+  if (!organizationId) return null;
+  const org = await db.collection('organizations').findOne({ id: organizationId }, { projection: { _id: 1 } });
+  return org ? null : 'Invalid organization_id';
+}
+
+/**
+ * Helper: Resolve a head of department (must be an active employee)
+ * @returns {{ head: Object|null } | { error: string }}
+ */
+async function resolveHead(db, headEmail) {
+  if (!headEmail) return { head: null };
+  const head = await db.collection('employees').findOne(
+    { ...ACTIVE_EMPLOYEE_FILTER, email: headEmail },
+    { projection: { _id: 0, email: 1, full_name: 1 } }
+  );
+  return head ? { head } : { error: 'Invalid head_email' };
+}
+
+/**
+ * Helper: Active employee count per catalog record
+ * @param {string} field - department_id or designation_id
+ */
+async function countEmployees(db, field) {
+  const counts = await db.collection('employees').aggregate([
+    { $match: { ...ACTIVE_EMPLOYEE_FILTER, [field]: { $ne: null } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+  ]).toArray();
+  return new Map(counts.map(item => [item._id, item.count]));
+}
+
+/**
+ * Helper: List filter shared by departments and designations
+ * ?organization_id= returns what that organization can use (its own and shared records)
+ */
+const buildListQuery = (query) => {
+  const filter = query.organization_id ? scopeFilter(query.organization_id) : {};
+  if (query.include_inactive !== 'true') filter.is_active = true;
+  return filter;
+};
+
+// ============================================
+// DEPARTMENTS
+// ============================================
+
+/**
+ * GET /api/departments
+ * Query: ?organization_id=, ?include_inactive=true, ?tree=true (nested by parent)
+ */
+router.get('/departments', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+
+    const departments = await db.collection('departments')
+      .find(buildListQuery(req.query), { projection: { _id: 0, name_key: 0 } })
+      .sort({ name: 1 })
+      .toArray();
+
+    const counts = await countEmployees(db, 'department_id');
+    for (const dept of departments) {
+      dept.employee_count = counts.get(dept.id) || 0;
+    }
+
+    res.json(req.query.tree === 'true' ? buildDepartmentTree(departments) : departments);
+  } catch (error) {
+    console.error('Get departments error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/departments
+ * Create a department (organization-specific, or shared when organization_id is empty)
+ */
+router.post('/departments', authenticate, requirePermission(Permission.MASTER_DATA_MANAGE), validate(schemas.departmentCreate), async (req, res) => {
+  try {
+    const db = getDB();
+    const data = req.validatedBody;
+    const organizationId = data.organization_id || null;
+
+    const orgError = await checkOrganization(db, organizationId);
+    if (orgError) {
+      return res.status(400).json({ detail: orgError });
+    }
+
+    const duplicate = await findDuplicate(db, 'department', { organizationId, name: data.name, code: data.code });
+    if (duplicate) {
+      return res.status(400).json({ detail: `Department "${duplicate.name}" already exists` });
+    }
+
+    let parentName = null;
+    if (data.parent_id) {
+      const { parent, error } = await validateParentDepartment(db, { organization_id: organizationId }, data.parent_id);
+      if (error) {
+        return res.status(400).json({ detail: error });
+      }
+      parentName = parent.name;
+    }
+
+    const { head, error: headError } = await resolveHead(db, data.head_email);
+    if (headError) {
+      return res.status(400).json({ detail: headError });
+    }
+
+    const now = new Date();
+    const department = {
+      id: generateUUID(),
+      organization_id: organizationId,
+      name: data.name,
+      name_key: normalizeName(data.name),
+      code: data.code || null,
+      description: data.description || null,
+      parent_id: data.parent_id || null,
+      parent_name: parentName,
+      head_email: head ? head.email : null,
+      head_name: head ? head.full_name : null,
+      is_active: true,
+      created_at: now,
+      created_by: req.user.email,
+      updated_at: now
+    };
+
+    await db.collection('departments').insertOne(department);
+
+    delete department._id;
+    delete department.name_key;
+
+    res.status(201).json(department);
+  } catch (error) {
+    console.error('Create department error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /api/departments/:departmentId
+ * Update a department - renames are applied to its employees
+ * Inactive departments stay on existing employees but cannot be assigned
+ */
+router.put('/departments/:departmentId', authenticate, requirePermission(Permission.MASTER_DATA_MANAGE), validate(schemas.departmentUpdate), async (req, res) => {
+  try {
+    const db = getDB();
+    const data = req.validatedBody;
+
+    const department = await db.collection('departments').findOne({ id: req.params.departmentId }, { projection: { _id: 0 } });
+    if (!department) {
+      return res.status(404).json({ detail: 'Department not found' });
+    }
+
+    const updates = { updated_at: new Date(), updated_by: req.user.email };
+
+    if (data.name !== undefined || data.code) {
+      const duplicate = await findDuplicate(db, 'department', {
+        organizationId: department.organization_id,
+        name: data.name || department.name,
+        code: data.code,
+        excludeId: department.id
+      });
+      if (duplicate) {
+        return res.status(400).json({ detail: `Department "${duplicate.name}" already exists` });
+      }
+    }
+    if (data.name !== undefined) {
+      updates.name = data.name;
+      updates.name_key = normalizeName(data.name);
+    }
+    if (data.code !== undefined) updates.code = data.code || null;
+    if (data.description !== undefined) updates.description = data.description || null;
+    if (data.is_active !== undefined) updates.is_active = data.is_active;
+
+    if (data.parent_id !== undefined) {
+      updates.parent_id = data.parent_id || null;
+      updates.parent_name = null;
+      if (data.parent_id) {
+        const { parent, error } = await validateParentDepartment(db, department, data.parent_id);
+        if (error) {
+          return res.status(400).json({ detail: error });
+        }
+        updates.parent_name = parent.name;
+      }
+    }
+
+    if (data.head_email !== undefined) {
+      const { head, error } = await resolveHead(db, data.head_email);
+      if (error) {
+        return res.status(400).json({ detail: error });
+      }
+      updates.head_email = head ? head.email : null;
+      updates.head_name = head ? head.full_name : null;
+    }
+
+    await db.collection('departments').updateOne({ id: department.id }, { $set: updates });
+
+    if (updates.name && updates.name !== department.name) {
+      const emails = await db.collection('employees').distinct('email', { department_id: department.id });
+      await db.collection('employees').updateMany({ department_id: department.id }, { $set: { department: updates.name } });
+      await db.collection('users').updateMany({ email: { $in: emails } }, { $set: { department: updates.name } });
+      await db.collection('departments').updateMany({ parent_id: department.id }, { $set: { parent_name: updates.name } });
+    }
+
+    const updated = await db.collection('departments').findOne({ id: department.id }, { projection: { _id: 0, name_key: 0 } });
+    res.json(updated);
+  } catch (error) {
+    console.error('Update department error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/departments/:departmentId
+ * Only departments without employees or sub-departments can be deleted (deactivate the others)
+ */
+router.delete('/departments/:departmentId', authenticate, requirePermission(Permission.MASTER_DATA_MANAGE), async (req, res) => {
+  try {
+    const db = getDB();
+    const { departmentId } = req.params;
+
+    const employeeCount = await db.collection('employees').countDocuments({ department_id: departmentId });
+    if (employeeCount > 0) {
+      return res.status(400).json({
+        detail: `Cannot delete a department with ${employeeCount} employees (including former ones). Deactivate it instead.`
+      });
+    }
+
+    const childCount = await db.collection('departments').countDocuments({ parent_id: departmentId });
+    if (childCount > 0) {
+      return res.status(400).json({ detail: `Cannot delete a department with ${childCount} sub-departments` });
+    }
+
+    const result = await db.collection('departments').deleteOne({ id: departmentId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ detail: 'Department not found' });
+    }
+
+    res.json({ status: 'success', message: 'Department deleted' });
+  } catch (error) {
+    console.error('Delete department error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+// ============================================
+// DESIGNATIONS
+// ============================================
+
+/**
+ * GET /api/designations
+ * Query: ?organization_id=, ?include_inactive=true
+ * Sorted by level (highest first), then name
+ */
+router.get('/designations', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+
+    const designations = await db.collection('designations')
+      .find(buildListQuery(req.query), { projection: { _id: 0, name_key: 0 } })
+      .sort({ level: -1, name: 1 })
+      .toArray();
+
+    const counts = await countEmployees(db, 'designation_id');
+    for (const designation of designations) {
+      designation.employee_count = counts.get(designation.id) || 0;
+    }
+
+    res.json(designations);
+  } catch (error) {
+    console.error('Get designations error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/designations
+ * Create a designation with an optional grade (e.g. "L3") and numeric level
+ */
+router.post('/designations', authenticate, requirePermission(Permission.MASTER_DATA_MANAGE), validate(schemas.designationCreate), async (req, res) => {
+  try {
+    const db = getDB();
+    const data = req.validatedBody;
+    const organizationId = data.organization_id || null;
+
+    const orgError = await checkOrganization(db, organizationId);
+    if (orgError) {
+      return res.status(400).json({ detail: orgError });
+    }
+
+    const duplicate = await findDuplicate(db, 'designation', { organizationId, name: data.name, code: data.code });
+    if (duplicate) {
+      return res.status(400).json({ detail: `Designation "${duplicate.name}" already exists` });
+    }
+
+    const now = new Date();
+    const designation = {
+      id: generateUUID(),
+      organization_id: organizationId,
+      name: data.name,
+      name_key: normalizeName(data.name),
+      code: data.code || null,
+      grade: data.grade || null,
+      level: data.level ?? null,
+      probation_months: data.probation_months ?? null,
+      description: data.description || null,
+      is_active: true,
+      created_at: now,
+      created_by: req.user.email,
+      updated_at: now
+    };
+
+    await db.collection('designations').insertOne(designation);
+
+    delete designation._id;
+    delete designation.name_key;
+
+    res.status(201).json(designation);
+  } catch (error) {
+    console.error('Create designation error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /api/designations/:designationId
+ * Update a designation - renames are applied to its employees
+ */
+router.put('/designations/:designationId', authenticate, requirePermission(Permission.MASTER_DATA_MANAGE), validate(schemas.designationUpdate), async (req, res) => {
+  try {
+    const db = getDB();
+    const data = req.validatedBody;
+
+    const designation = await db.collection('designations').findOne({ id: req.params.designationId }, { projection: { _id: 0 } });
+    if (!designation) {
+      return res.status(404).json({ detail: 'Designation not found' });
+    }
+
+    if (data.name !== undefined || data.code) {
+      const duplicate = await findDuplicate(db, 'designation', {
+        organizationId: designation.organization_id,
+        name: data.name || designation.name,
+        code: data.code,
+        excludeId: designation.id
+      });
+      if (duplicate) {
+        return res.status(400).json({ detail: `Designation "${duplicate.name}" already exists` });
+      }
+    }
+
+    const updates = { updated_at: new Date(), updated_by: req.user.email };
+    if (data.name !== undefined) {
+      updates.name = data.name;
+      updates.name_key = normalizeName(data.name);
+    }
+    if (data.code !== undefined) updates.code = data.code || null;
+    if (data.grade !== undefined) updates.grade = data.grade || null;
+    if (data.level !== undefined) updates.level = data.level;
+    if (data.probation_months !== undefined) updates.probation_months = data.probation_months;
+    if (data.description !== undefined) updates.description = data.description || null;
+    if (data.is_active !== undefined) updates.is_active = data.is_active;
+
+    await db.collection('designations').updateOne({ id: designation.id }, { $set: updates });
+
+    if (updates.name && updates.name !== designation.name) {
+      const emails = await db.collection('employees').distinct('email', { designation_id: designation.id });
+      await db.collection('employees').updateMany({ designation_id: designation.id }, { $set: { designation: updates.name } });
+      await db.collection('users').updateMany({ email: { $in: emails } }, { $set: { designation: updates.name } });
+    }
+
+    const updated = await db.collection('designations').findOne({ id: designation.id }, { projection: { _id: 0, name_key: 0 } });
+    res.json(updated);
+  } catch (error) {
+    console.error('Update designation error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/designations/:designationId
+ * Only designations without employees can be deleted (deactivate the others)
+ */
+router.delete('/designations/:designationId', authenticate, requirePermission(Permission.MASTER_DATA_MANAGE), async (req, res) => {
+  try {
+    const db = getDB();
+    const { designationId } = req.params;
+
+    const employeeCount = await db.collection('employees').countDocuments({ designation_id: designationId });
+    if (employeeCount > 0) {
+      return res.status(400).json({
+        detail: `Cannot delete a designation with ${employeeCount} employees (including former ones). Deactivate it instead.`
+      });
+    }
+
+    const result = await db.collection('designations').deleteOne({ id: designationId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ detail: 'Designation not found' });
+    }
+
+    res.json({ status: 'success', message: 'Designation deleted' });
+  } catch (error) {
+    console.error('Delete designation error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+// ============================================
+// MIGRATION
+// ============================================
+
+/**
+ * POST /api/master-data/migrate
+ * Map the free-text department / designation values of existing employees onto catalog records
+ * Values match by name, code or id (ignoring case and punctuation); department_map / designation_map
+ * redirect spellings ("I.T." -> "Engineering"). Unmatched values get a new record unless
+ * create_missing is false. dry_run (default) only returns the plan.
+ */
+router.post('/master-data/migrate', authenticate, requirePermission(Permission.MASTER_DATA_MANAGE), validate(schemas.masterDataMigrate), async (req, res) => {
+  try {
+    const db = getDB();
+    const data = req.validatedBody;
+
+    const report = await migrateFreeTextValues(db, {
+      departmentMap: data.department_map,
+      designationMap: data.designation_map,
+      createMissing: data.create_missing,
+      dryRun: data.dry_run,
+      createdBy: req.user.email
+    });
+
+    const unresolved = [...report.department, ...report.designation].filter(item => item.action === 'unresolved').length;
+
+    res.json({
+      dry_run: data.dry_run,
+      message: data.dry_run
+        ? `Dry run: ${report.created.length} record(s) would be created, ${unresolved} value(s) left unresolved`
+        : `Created ${report.created.length} record(s), updated ${report.updated.department} department and ${report.updated.designation} designation assignment(s)`,
+      ...report
+    });
+  } catch (error) {
+    console.error('Master data migration error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+module.exports = router;
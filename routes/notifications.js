@@ -7,14 +7,14 @@ const express = require('express');
 const router = express.Router();
 const { getDB } = require('../config/database');
 const { authenticate } = require('../middleware/auth');
-const { requireRole } = require('../middleware/roleCheck');
-const { UserRole } = require('../models/schemas');
+const { requirePermission } = require('../middleware/roleCheck');
+const { Permission } = require('../models/permissions');
 
 /**
  * POST /api/notification-settings
  * Save notification settings (admin only)
  */
-router.post('/notification-settings', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.post('/notification-settings', authenticate, requirePermission(Permission.NOTIFICATION_SETTINGS_MANAGE), async (req, res) => {
   try {
     const db = getDB();
     const settings = req.body;
@@ -53,7 +53,7 @@ router.post('/notification-settings', authenticate, requireRole([UserRole.ADMIN]
  * GET /api/notification-settings
  * Get current notification settings (admin/manager)
  */
-router.get('/notification-settings', authenticate, requireRole([UserRole.ADMIN, UserRole.MANAGER]), async (req, res) => {
+router.get('/notification-settings', authenticate, requirePermission([Permission.NOTIFICATION_SETTINGS_VIEW, Permission.NOTIFICATION_SETTINGS_MANAGE]), async (req, res) => {
   try {
     const db = getDB();
     const settings = await db.collection('notification_settings').findOne(
@@ -89,7 +89,7 @@ router.get('/notification-settings', authenticate, requireRole([UserRole.ADMIN,
  * POST /api/notification-settings/test-email
  * Test email configuration
  */
-router.post('/notification-settings/test-email', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.post('/notification-settings/test-email', authenticate, requirePermission(Permission.NOTIFICATION_SETTINGS_MANAGE), async (req, res) => {
   try {
     const { to_email } = req.body;
     const { sendEmailNotification } = require('../services/emailService');
@@ -126,7 +126,7 @@ router.post('/notification-settings/test-email', authenticate, requireRole([User
  * POST /api/notification-settings/test-whatsapp
  * Test WhatsApp configuration
  */
-router.post('/notification-settings/test-whatsapp', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.post('/notification-settings/test-whatsapp', authenticate, requirePermission(Permission.NOTIFICATION_SETTINGS_MANAGE), async (req, res) => {
   try {
     const { to_phone } = req.body;
     const { sendWhatsAppNotification } = require('../services/whatsappService');
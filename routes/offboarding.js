@@ -0,0 +1,508 @@
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { hasPermission, requirePermission, validate } = require('../middleware/roleCheck');
+const { schemas, EmployeeStatus, ExitStatus } = require('../models/schemas');
+const { Permission } = require('../models/permissions');
+const { getRole, getMissingPermissions } = require('../services/roleService');
+const { checkNewPassword, formatPasswordErrors, setUserPassword } = require('../services/passwordService');
+const { SecurityEventType, recordSecurityEvent } = require('../services/securityEventService');
+const {
+  ACTIVE_EMPLOYEE_FILTER,
+  toDateString,
+  buildChecklist,
+  buildExitRecord,
+  deactivateEmployee,
+  processDueExits
+} = require('../services/offboardingService');
+const { validateManagerAssignment } = require('../services/hierarchyService');
+const { resolveDepartmentAndDesignation } = require('../services/masterDataService');
+const { createProbation } = require('../services/probationService');
+const { getLeaveBalanceFromPolicy } = require('./employees');
+
+/**
+ * Helper: Load an employee by employee ID
+ */
+async function findEmployee(db, employeeId) {
+  return db.collection('employees').findOne(
+    { employee_id: employeeId },
+    { projection: { _id: 0 } }
+  );
+}
+
+/**
+ * Helper: Add progress counters to an exit record
+ */
+function formatExit(employee) {
+  const exit = employee.exit;
+  const completedItems = exit.checklist.filter(item => item.completed).length;
+
+  return {
+    employee_id: employee.employee_id,
+    full_name: employee.full_name,
+    email: employee.email,
+    department: employee.department,
+    employee_status: employee.status || EmployeeStatus.ACTIVE,
+    ...exit,
+    checklist_progress: {
+      completed: completedItems,
+      total: exit.checklist.length
+    }
+  };
+}
+
+/**
+ * GET /api/employees/exits
+ * List exits (admin only)
+ * Query: ?status=initiated|completed|cancelled
+ */
+router.get('/exits', authenticate, requirePermission(Permission.EMPLOYEE_OFFBOARD), async (req, res) => {
+  try {
+    const db = getDB();
+    const { status } = req.query;
+
+    const query = { exit: { $exists: true } };
+    if (status) {
+      query['exit.status'] = status;
+    }
+
+    const employees = await db.collection('employees')
+      .find(query, { projection: { _id: 0 } })
+      .sort({ 'exit.last_working_day': 1 })
+      .toArray();
+
+    res.json(employees.map(formatExit));
+  } catch (error) {
+    console.error('Get exits error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/employees/exits/process
+ * Deactivate employees whose last working day has arrived (normally run by the daily cron)
+ */
+router.post('/exits/process', authenticate, requirePermission(Permission.EMPLOYEE_OFFBOARD), async (req, res) => {
+  try {
+    const db = getDB();
+    const results = await processDueExits(db);
+
+    res.json({
+      status: 'success',
+      message: `Deactivated ${results.deactivated.length} employee(s)`,
+      ...results
+    });
+  } catch (error) {
+    console.error('Process exits error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/employees/:employeeId/exit
+ * Start the exit workflow (resignation, termination...)
+ * The employee stays active until the last working day
+ */
+router.post('/:employeeId/exit', authenticate, requirePermission(Permission.EMPLOYEE_OFFBOARD), validate(schemas.exitInitiate), async (req, res) => {
+  try {
+    const db = getDB();
+    const employee = await findEmployee(db, req.params.employeeId);
+
+    if (!employee) {
+      return res.status(404).json({ detail: 'Employee not found' });
+    }
+    if (employee.email === req.user.email) {
+      return res.status(400).json({ detail: 'Cannot offboard your own account' });
+    }
+    if (employee.status === EmployeeStatus.INACTIVE) {
+      return res.status(400).json({ detail: 'Employee is already inactive' });
+    }
+    if (employee.exit && employee.exit.status === ExitStatus.INITIATED) {
+      return res.status(400).json({ detail: 'An exit is already in progress for this employee' });
+    }
+
+    const exit = buildExitRecord(req.validatedBody, req.user.email);
+
+    await db.collection('employees').updateOne(
+      { employee_id: employee.employee_id },
+      { $set: { exit, updated_at: new Date() } }
+    );
+
+    // Direct reports need a new manager before the last day
+    const directReports = await db.collection('employees').countDocuments({
+      ...ACTIVE_EMPLOYEE_FILTER,
+      manager_email: employee.email
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: `Exit initiated. Last working day: ${exit.last_working_day}`,
+      direct_reports: directReports,
+      exit: formatExit({ ...employee, exit })
+    });
+  } catch (error) {
+    console.error('Initiate exit error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/employees/:employeeId/exit
+ * Get the exit record (admin, or the employee themselves)
+ */
+router.get('/:employeeId/exit', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const employee = await findEmployee(db, req.params.employeeId);
+
+    if (!employee) {
+      return res.status(404).json({ detail: 'Employee not found' });
+    }
+    if (!hasPermission(req.user, Permission.EMPLOYEE_OFFBOARD) && employee.email !== req.user.email) {
+      return res.status(403).json({ detail: 'Not enough permissions' });
+    }
+    if (!employee.exit) {
+      return res.status(404).json({ detail: 'No exit record for this employee' });
+    }
+
+    res.json({
+      ...formatExit(employee),
+      exit_history: employee.exit_history || []
+    });
+  } catch (error) {
+    console.error('Get exit error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /api/employees/:employeeId/exit
+ * Update an exit in progress (dates, reason, type)
+ */
+router.put('/:employeeId/exit', authenticate, requirePermission(Permission.EMPLOYEE_OFFBOARD), validate(schemas.exitUpdate), async (req, res) => {
+  try {
+    const db = getDB();
+    const updates = req.validatedBody;
+    const employee = await findEmployee(db, req.params.employeeId);
+
+    if (!employee) {
+      return res.status(404).json({ detail: 'Employee not found' });
+    }
+    if (!employee.exit || employee.exit.status !== ExitStatus.INITIATED) {
+      return res.status(400).json({ detail: 'No exit in progress for this employee' });
+    }
+
+    const exit = { ...employee.exit };
+    if (updates.exit_type) exit.exit_type = updates.exit_type;
+    if (updates.reason !== undefined) exit.reason = updates.reason || null;
+    if (updates.resignation_date) exit.resignation_date = toDateString(updates.resignation_date);
+    if (updates.notice_period_days !== undefined) exit.notice_period_days = updates.notice_period_days;
+
+    // Recompute the last working day from the notice period unless it is given explicitly
+    if (updates.last_working_day) {
+      exit.last_working_day = toDateString(updates.last_working_day);
+    } else if (updates.resignation_date || updates.notice_period_days !== undefined) {
+      exit.last_working_day = buildExitRecord({ ...exit, last_working_day: null }, null).last_working_day;
+    }
+
+    if (exit.last_working_day < exit.resignation_date) {
+      return res.status(400).json({ detail: 'Last working day cannot be before the resignation date' });
+    }
+
+    exit.updated_by = req.user.email;
+    exit.updated_at = new Date();
+
+    await db.collection('employees').updateOne(
+      { employee_id: employee.employee_id },
+      { $set: { exit, updated_at: new Date() } }
+    );
+
+    res.json({
+      status: 'success',
+      message: 'Exit updated',
+      exit: formatExit({ ...employee, exit })
+    });
+  } catch (error) {
+    console.error('Update exit error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/employees/:employeeId/exit/checklist
+ * Add a checklist item to an exit in progress
+ */
+router.post('/:employeeId/exit/checklist', authenticate, requirePermission(Permission.EMPLOYEE_OFFBOARD), validate(schemas.exitChecklistItemAdd), async (req, res) => {
+  try {
+    const db = getDB();
+    const [item] = buildChecklist([req.validatedBody.item]);
+
+    const result = await db.collection('employees').updateOne(
+      { employee_id: req.params.employeeId, 'exit.status': ExitStatus.INITIATED },
+      { $push: { 'exit.checklist': item } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ detail: 'No exit in progress for this employee' });
+    }
+
+    res.status(201).json(item);
+  } catch (error) {
+    console.error('Add exit checklist item error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /api/employees/:employeeId/exit/checklist/:itemId
+ * Tick off (or reopen) a checklist item
+ */
+router.put('/:employeeId/exit/checklist/:itemId', authenticate, requirePermission(Permission.EMPLOYEE_OFFBOARD), validate(schemas.exitChecklistItemUpdate), async (req, res) => {
+  try {
+    const db = getDB();
+    const { employeeId, itemId } = req.params;
+    const { completed, notes } = req.validatedBody;
+
+    const $set = {
+      'exit.checklist.$.completed': completed,
+      'exit.checklist.$.completed_by': completed ? req.user.email : null,
+      'exit.checklist.$.completed_at': completed ? new Date() : null
+    };
+    if (notes !== undefined) {
+      $set['exit.checklist.$.notes'] = notes || null;
+    }
+
+    const result = await db.collection('employees').updateOne(
+      { employee_id: employeeId, 'exit.checklist.id': itemId },
+      { $set }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ detail: 'Checklist item not found' });
+    }
+
+    const employee = await findEmployee(db, employeeId);
+
+    res.json(formatExit(employee));
+  } catch (error) {
+    console.error('Update exit checklist item error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/employees/:employeeId/exit/complete
+ * Deactivate now instead of waiting for the last working day
+ */
+router.post('/:employeeId/exit/complete', authenticate, requirePermission(Permission.EMPLOYEE_OFFBOARD), validate(schemas.exitComplete), async (req, res) => {
+  try {
+    const db = getDB();
+    const employee = await findEmployee(db, req.params.employeeId);
+
+    if (!employee) {
+      return res.status(404).json({ detail: 'Employee not found' });
+    }
+    if (!employee.exit || employee.exit.status !== ExitStatus.INITIATED) {
+      return res.status(400).json({ detail: 'No exit in progress for this employee' });
+    }
+
+    // Leaving early moves the last working day forward
+    const today = toDateString(new Date());
+    if (employee.exit.last_working_day > today) {
+      await db.collection('employees').updateOne(
+        { employee_id: employee.employee_id },
+        { $set: { 'exit.last_working_day': today, 'exit.completion_reason': req.validatedBody.reason || null } }
+      );
+    }
+
+    await deactivateEmployee(db, employee, req.user.email);
+
+    res.json({
+      status: 'success',
+      message: 'Employee deactivated. Records are kept for compliance.'
+    });
+  } catch (error) {
+    console.error('Complete exit error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/employees/:employeeId/exit/cancel
+ * Cancel an exit in progress (e.g. resignation withdrawn)
+ */
+router.post('/:employeeId/exit/cancel', authenticate, requirePermission(Permission.EMPLOYEE_OFFBOARD), async (req, res) => {
+  try {
+    const db = getDB();
+
+    const result = await db.collection('employees').updateOne(
+      { employee_id: req.params.employeeId, 'exit.status': ExitStatus.INITIATED },
+      {
+        $set: {
+          'exit.status': ExitStatus.CANCELLED,
+          'exit.cancelled_by': req.user.email,
+          'exit.cancelled_at': new Date(),
+          updated_at: new Date()
+        }
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ detail: 'No exit in progress for this employee' });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Exit cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel exit error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/employees/:employeeId/rehire
+ * Reactivate a former employee with the same employee ID
+ * The previous exit moves to exit_history and leave balances restart from the policy
+ */
+router.post('/:employeeId/rehire', authenticate, requirePermission(Permission.EMPLOYEE_OFFBOARD), validate(schemas.employeeRehire), async (req, res) => {
+  try {
+    const db = getDB();
+    const data = req.validatedBody;
+    const employee = await findEmployee(db, req.params.employeeId);
+
+    if (!employee) {
+      return res.status(404).json({ detail: 'Employee not found' });
+    }
+    if (employee.status !== EmployeeStatus.INACTIVE) {
+      return res.status(400).json({ detail: 'Only inactive employees can be rehired' });
+    }
+
+    const userDoc = await db.collection('users').findOne({ email: employee.email }, { projection: { _id: 0 } });
+    if (!userDoc) {
+      return res.status(404).json({ detail: 'User account not found' });
+    }
+
+    const role = data.role || userDoc.role;
+    const targetRole = await getRole(db, role);
+    if (!targetRole) {
+      return res.status(400).json({ detail: 'Invalid role' });
+    }
+    if (getMissingPermissions(req.user, targetRole.permissions).length > 0) {
+      return res.status(403).json({ detail: 'Cannot assign a role with permissions you do not have' });
+    }
+
+    const employeeUpdates = {
+      status: EmployeeStatus.ACTIVE,
+      role,
+      joining_date: data.joining_date,
+      leave_balance: await getLeaveBalanceFromPolicy(db, data.joining_date),
+      rehired_at: new Date(),
+      rehired_by: req.user.email,
+      deactivated_at: null,
+      updated_at: new Date()
+    };
+
+    if (data.manager_email !== undefined) {
+      employeeUpdates.manager_email = data.manager_email || null;
+      employeeUpdates.manager_name = null;
+      if (data.manager_email) {
+        const { manager, error } = await validateManagerAssignment(db, employee.email, data.manager_email);
+        if (error) {
+          return res.status(400).json({ detail: error });
+        }
+        employeeUpdates.manager_name = manager.full_name;
+      }
+    }
+
+    if (data.organization_id !== undefined) {
+      employeeUpdates.organization_id = data.organization_id || null;
+      employeeUpdates.organization_name = null;
+      if (data.organization_id) {
+        const org = await db.collection('organizations').findOne(
+          { id: data.organization_id },
+          { projection: { name: 1 } }
+        );
+        if (!org) {
+          return res.status(400).json({ detail: 'Invalid organization_id' });
+        }
+        employeeUpdates.organization_name = org.name;
+      }
+    }
+
+    // New department / designation from the catalog of the (new) organization
+    const jobTitleInput = {};
+    if (data.department) jobTitleInput.department = data.department;
+    if (data.designation) jobTitleInput.designation = data.designation;
+    if (Object.keys(jobTitleInput).length > 0) {
+      const organizationId = data.organization_id !== undefined ? data.organization_id || null : employee.organization_id || null;
+      const jobTitle = await resolveDepartmentAndDesignation(db, organizationId, jobTitleInput);
+      if (jobTitle.error) {
+        return res.status(400).json({ detail: jobTitle.error });
+      }
+      Object.assign(employeeUpdates, jobTitle);
+    }
+
+    // A rehire starts a new probation
+    employeeUpdates.probation = await createProbation(db, {
+      probation_months: data.probation_months,
+      designation_id: employeeUpdates.designation_id || employee.designation_id
+    }, data.joining_date);
+
+    if (data.password) {
+      const passwordErrors = await checkNewPassword(db, data.password, {
+        email: employee.email,
+        full_name: employee.full_name,
+        userDoc
+      });
+      if (passwordErrors.length > 0) {
+        return res.status(422).json(formatPasswordErrors(passwordErrors));
+      }
+      await setUserPassword(db, userDoc, data.password, { mustChange: true });
+    }
+
+    const pushHistory = employee.exit ? { $push: { exit_history: { ...employee.exit, archived_at: new Date() } } } : {};
+
+    await db.collection('employees').updateOne(
+      { employee_id: employee.employee_id },
+      { $set: employeeUpdates, $unset: { exit: '' }, ...pushHistory }
+    );
+
+    await db.collection('users').updateOne(
+      { email: employee.email },
+      {
+        $set: {
+          status: EmployeeStatus.ACTIVE,
+          role,
+          // Whatever password was used before the exit must be replaced
+          must_change_password: true,
+          deactivated_at: null,
+          rehired_at: new Date()
+        }
+      }
+    );
+
+    if (role !== userDoc.role) {
+      await recordSecurityEvent(db, {
+        type: SecurityEventType.ROLE_CHANGED,
+        email: employee.email,
+        userId: userDoc.id,
+        actorEmail: req.user.email,
+        metadata: { old_role: userDoc.role, new_role: role, reason: 'rehire' }
+      }, req);
+    }
+
+    res.json({
+      status: 'success',
+      message: `${employee.full_name} rehired as ${employee.employee_id}`,
+      employee_id: employee.employee_id
+    });
+  } catch (error) {
+    console.error('Rehire employee error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+module.exports = router;
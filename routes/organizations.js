@@ -2,15 +2,16 @@ const express = require('express');
 const router = express.Router();
 const { getDB } = require('../config/database');
 const { authenticate } = require('../middleware/auth');
-const { requireRole, validate } = require('../middleware/roleCheck');
-const { schemas, UserRole } = require('../models/schemas');
+const { requirePermission, validate } = require('../middleware/roleCheck');
+const { schemas } = require('../models/schemas');
+const { Permission } = require('../models/permissions');
 const { generateUUID, toISOString } = require('../utils/helpers');
 
 /**
  * POST /api/organizations
  * Create organization (admin only)
  */
-router.post('/', authenticate, requireRole([UserRole.ADMIN]), validate(schemas.organizationCreate), async (req, res) => {
+router.post('/', authenticate, requirePermission(Permission.ORGANIZATION_MANAGE), validate(schemas.organizationCreate), async (req, res) => {
   try {
     const db = getDB();
     const orgData = req.validatedBody;
@@ -67,7 +68,7 @@ router.get('/', authenticate, async (req, res) => {
  * PUT /api/organizations/:orgId
  * Update organization (admin only)
  */
-router.put('/:orgId', authenticate, requireRole([UserRole.ADMIN]), validate(schemas.organizationUpdate), async (req, res) => {
+router.put('/:orgId', authenticate, requirePermission(Permission.ORGANIZATION_MANAGE), validate(schemas.organizationUpdate), async (req, res) => {
   try {
     const db = getDB();
     const { orgId } = req.params;
@@ -126,7 +127,7 @@ router.put('/:orgId', authenticate, requireRole([UserRole.ADMIN]), validate(sche
  * DELETE /api/organizations/:orgId
  * Delete organization (admin only)
  */
-router.delete('/:orgId', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.delete('/:orgId', authenticate, requirePermission(Permission.ORGANIZATION_MANAGE), async (req, res) => {
   try {
     const db = getDB();
     const { orgId } = req.params;
@@ -146,6 +147,11 @@ router.delete('/:orgId', authenticate, requireRole([UserRole.ADMIN]), async (req
       return res.status(404).json({ detail: 'Organization not found' });
     }
 
+    // Its departments and designations go with it (shared ones stay)
+    await db.collection('departments').deleteMany({ organization_id: orgId });
+    await db.collection('designations').deleteMany({ organization_id: orgId });
+    await db.collection('settings').updateOne({}, { $unset: { [`employee_id_org_prefixes.${orgId}`]: '' } });
+
     res.json({ status: 'success', message: 'Organization deleted' });
   } catch (error) {
     console.error('Delete organization error:', error);
@@ -2,9 +2,11 @@ const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
 const { getDB } = require('../config/database');
-const { hashPassword } = require('../utils/helpers');
 const { sendEmailNotification } = require('../services/emailService');
 const { generatePasswordResetEmail } = require('../utils/emailTemplates');
+const { revokeUserSessions } = require('../services/sessionService');
+const { checkNewPassword, formatPasswordErrors, setUserPassword } = require('../services/passwordService');
+const { SecurityEventType, recordSecurityEvent } = require('../services/securityEventService');
 
 // Token expiry time (24 hours)
 const TOKEN_EXPIRY_HOURS = 24;
@@ -161,8 +163,8 @@ router.post('/reset', async (req, res) => {
       return res.status(400).json({ detail: 'Token is required' });
     }
 
-    if (!new_password || new_password.length < 6) {
-      return res.status(400).json({ detail: 'Password must be at least 6 characters' });
+    if (!new_password) {
+      return res.status(400).json({ detail: 'New password is required' });
     }
 
     // Find and validate token
@@ -186,20 +188,35 @@ router.post('/reset', async (req, res) => {
       });
     }
 
-    // Hash new password
-    const hashedPassword = await hashPassword(new_password);
-
-    // Update user password
-    await db.collection('users').updateOne(
+    const userDoc = await db.collection('users').findOne(
       { email: tokenDoc.email },
-      {
-        $set: {
-          hashed_password: hashedPassword,
-          password_updated_at: new Date()
-        }
-      }
+      { projection: { _id: 0 } }
     );
 
+    if (!userDoc) {
+      return res.status(400).json({
+        detail: 'Invalid or expired reset link',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    // Enforce password policy and history
+    const passwordErrors = await checkNewPassword(db, new_password, {
+      email: userDoc.email,
+      full_name: userDoc.full_name,
+      userDoc
+    });
+    if (passwordErrors.length > 0) {
+      return res.status(422).json(formatPasswordErrors(passwordErrors, 'new_password'));
+    }
+
+    // Update user password (also clears any forced change)
+    await setUserPassword(db, userDoc, new_password);
+
+    // Sign out every device that used the old password
+    await revokeUserSessions(db, tokenDoc.email, 'password_reset');
+    await recordSecurityEvent(db, { type: SecurityEventType.PASSWORD_RESET, email: tokenDoc.email, userId: userDoc.id }, req);
+
     // Mark token as used
     await db.collection('password_reset_tokens').updateOne(
       { token },
@@ -2,9 +2,11 @@ const express = require('express');
 const router = express.Router();
 const { getDB } = require('../config/database');
 const { authenticate, getCurrentEmployee } = require('../middleware/auth');
-const { requireRole, validate } = require('../middleware/roleCheck');
-const { schemas, UserRole, LeaveStatus } = require('../models/schemas');
+const { hasPermission, requirePermission, validate } = require('../middleware/roleCheck');
+const { schemas, LeaveStatus } = require('../models/schemas');
+const { Permission } = require('../models/permissions');
 const { generateUUID, toISOString, getDaysInMonth, getMonthName } = require('../utils/helpers');
+const { employedSinceFilter } = require('../services/offboardingService');
 const { sendEmailNotification } = require('../services/emailService');
 const { generateSalarySlipEmail, generateDetailedSalarySlipEmail } = require('../utils/emailTemplates');
 
@@ -14,7 +16,7 @@ const { generateSalarySlipEmail, generateDetailedSalarySlipEmail } = require('..
  * POST /api/comp-off/grant
  * Grant comp-off to employee
  */
-router.post('/comp-off/grant', authenticate, requireRole([UserRole.ADMIN, UserRole.MANAGER]), validate(schemas.compOffGrant), async (req, res) => {
+router.post('/comp-off/grant', authenticate, requirePermission(Permission.COMPOFF_GRANT), validate(schemas.compOffGrant), async (req, res) => {
   try {
     const db = getDB();
     const { user_id, days, work_date, reason } = req.validatedBody;
@@ -78,7 +80,7 @@ router.post('/comp-off/grant', authenticate, requireRole([UserRole.ADMIN, UserRo
  * GET /api/comp-off/records
  * Get comp-off records
  */
-router.get('/comp-off/records', authenticate, requireRole([UserRole.ADMIN, UserRole.MANAGER]), async (req, res) => {
+router.get('/comp-off/records', authenticate, requirePermission([Permission.COMPOFF_APPROVE, Permission.COMPOFF_VIEW_ALL]), async (req, res) => {
   try {
     const db = getDB();
     const records = await db.collection('comp_off_records')
@@ -98,7 +100,7 @@ router.get('/comp-off/records', authenticate, requireRole([UserRole.ADMIN, UserR
  * POST /api/salary-template
  * Save salary template (admin only)
  */
-router.post('/salary-template', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.post('/salary-template', authenticate, requirePermission(Permission.PAYROLL_MANAGE), async (req, res) => {
   try {
     const db = getDB();
     const template = req.body;
@@ -167,7 +169,7 @@ router.get('/salary-template', authenticate, async (req, res) => {
  * POST /api/salary-structure/:employeeId
  * Save salary structure for employee (admin only)
  */
-router.post('/salary-structure/:employeeId', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.post('/salary-structure/:employeeId', authenticate, requirePermission(Permission.PAYROLL_MANAGE), async (req, res) => {
   try {
     const db = getDB();
     const { employeeId } = req.params;
@@ -245,7 +247,7 @@ router.get('/salary-structure/:employeeId', authenticate, async (req, res) => {
     const { employeeId } = req.params;
 
     // Permission check
-    if (![UserRole.ADMIN, UserRole.MANAGER].includes(req.user.role)) {
+    if (!hasPermission(req.user, Permission.PAYROLL_VIEW)) {
       const employee = await db.collection('employees').findOne(
         { employee_id: employeeId },
         { projection: { email: 1 } }
@@ -294,7 +296,7 @@ router.get('/salary-structure/:employeeId', authenticate, async (req, res) => {
  * POST /api/payroll/send-salary-slip
  * Send basic salary slip (admin only)
  */
-router.post('/payroll/send-salary-slip', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.post('/payroll/send-salary-slip', authenticate, requirePermission(Permission.PAYROLL_MANAGE), async (req, res) => {
   try {
     const db = getDB();
     const { employee_id, month } = req.body;
@@ -394,7 +396,7 @@ router.post('/payroll/send-salary-slip', authenticate, requireRole([UserRole.ADM
  * Send detailed salary slip with components (admin only)
  * Now supports manual unpaid leave deduction rates
  */
-router.post('/payroll/send-detailed-salary-slip', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.post('/payroll/send-detailed-salary-slip', authenticate, requirePermission(Permission.PAYROLL_MANAGE), async (req, res) => {
   try {
     const db = getDB();
     const {
@@ -697,7 +699,7 @@ router.get('/payroll/employee-report/:employeeId/:month', authenticate, async (r
     }
 
     // Permission check
-    if (![UserRole.ADMIN, UserRole.MANAGER].includes(req.user.role) && req.user.email !== employee.email) {
+    if (!hasPermission(req.user, Permission.PAYROLL_VIEW) && req.user.email !== employee.email) {
       return res.status(403).json({ detail: 'Not authorized' });
     }
 
@@ -768,7 +770,7 @@ router.get('/payroll/employee-report/:employeeId/:month', authenticate, async (r
  * GET /api/payroll/monthly-summary/:month
  * Get monthly payroll summary (admin only)
  */
-router.get('/payroll/monthly-summary/:month', authenticate, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.get('/payroll/monthly-summary/:month', authenticate, requirePermission(Permission.PAYROLL_MANAGE), async (req, res) => {
   try {
     const db = getDB();
     const { month } = req.params;
@@ -779,8 +781,9 @@ router.get('/payroll/monthly-summary/:month', authenticate, requireRole([UserRol
     const monthInt = parseInt(monthNum, 10);
     const totalDaysInMonth = getDaysInMonth(yearInt, monthInt);
 
+    // Leavers are paid for the months they worked in
     const employees = await db.collection('employees')
-      .find({}, { projection: { _id: 0 } })
+      .find(employedSinceFilter(`${year}-${String(monthInt).padStart(2, '0')}-01`), { projection: { _id: 0 } })
       .toArray();
 
     const payrollSummary = [];
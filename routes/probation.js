@@ -0,0 +1,319 @@
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { hasPermission, requirePermission, validate } = require('../middleware/roleCheck');
+const { schemas, ProbationAction, ExitStatus } = require('../models/schemas');
+const { Permission } = require('../models/permissions');
+const { sendEmailNotification } = require('../services/emailService');
+const { generateConfirmationLetterEmail, generateProbationExtensionEmail } = require('../utils/emailTemplates');
+const { ACTIVE_EMPLOYEE_FILTER, toDateString } = require('../services/offboardingService');
+const { canViewEmployee, isInTeam, getTeamEmails } = require('../services/hierarchyService');
+const {
+  OPEN_PROBATION_STATUSES,
+  addMonths,
+  getProbationSettings,
+  buildProbation,
+  isOnProbation,
+  reviewProbation,
+  processProbationReminders
+} = require('../services/probationService');
+
+const PROBATION_PROJECTION = {
+  _id: 0,
+  employee_id: 1,
+  full_name: 1,
+  email: 1,
+  department: 1,
+  designation: 1,
+  manager_email: 1,
+  joining_date: 1,
+  probation: 1
+};
+
+/**
+ * Helper: Load an employee by employee ID
+ */
+async function findEmployee(db, employeeId) {
+  return db.collection('employees').findOne(
+    { employee_id: employeeId },
+    { projection: { _id: 0, hashed_password: 0 } }
+  );
+}
+
+/**
+ * Helper: Employee summary with the probation record and days left until the review
+ */
+function formatProbation(employee, today = toDateString(new Date())) {
+  const probation = employee.probation;
+  const daysLeft = probation && isOnProbation(employee)
+    ? Math.round((new Date(`${probation.due_date}T00:00:00.000Z`) - new Date(`${today}T00:00:00.000Z`)) / (24 * 60 * 60 * 1000))
+    : null;
+
+  return {
+    employee_id: employee.employee_id,
+    full_name: employee.full_name,
+    email: employee.email,
+    department: employee.department,
+    designation: employee.designation,
+    manager_email: employee.manager_email || null,
+    joining_date: employee.joining_date,
+    probation: probation || null,
+    days_until_due: daysLeft,
+    is_overdue: daysLeft !== null && daysLeft < 0
+  };
+}
+
+/**
+ * GET /api/employees/probation-settings
+ * Company default probation period and reminder days
+ */
+router.get('/probation-settings', authenticate, requirePermission(Permission.SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const db = getDB();
+    res.json(await getProbationSettings(db));
+  } catch (error) {
+    console.error('Get probation settings error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /api/employees/probation-settings
+ * Update the default period (new joiners only) and the reminder days
+ */
+router.put('/probation-settings', authenticate, requirePermission(Permission.SETTINGS_MANAGE), validate(schemas.probationSettings), async (req, res) => {
+  try {
+    const db = getDB();
+    const probation = req.validatedBody;
+
+    await db.collection('settings').updateOne(
+      {},
+      { $set: { probation, updated_at: new Date(), updated_by: req.user.email } },
+      { upsert: true }
+    );
+
+    res.json({
+      message: 'Probation settings updated successfully',
+      settings: probation
+    });
+  } catch (error) {
+    console.error('Update probation settings error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/employees/probation
+ * Employees on probation, earliest review first (managers see their team)
+ * Query: ?status=open (default)|on_probation|extended|confirmed|terminated|all, ?due_within=<days>
+ */
+router.get('/probation', authenticate, requirePermission([Permission.EMPLOYEE_VIEW_ALL, Permission.EMPLOYEE_VIEW_TEAM]), async (req, res) => {
+  try {
+    const db = getDB();
+    const status = req.query.status || 'open';
+
+    const query = { ...ACTIVE_EMPLOYEE_FILTER, probation: { $ne: null } };
+    if (status === 'open') {
+      query['probation.status'] = { $in: OPEN_PROBATION_STATUSES };
+    } else if (status !== 'all') {
+      query['probation.status'] = status;
+    }
+
+    const dueWithin = parseInt(req.query.due_within, 10);
+    if (!isNaN(dueWithin)) {
+      query['probation.due_date'] = { $lte: toDateString(new Date(Date.now() + dueWithin * 24 * 60 * 60 * 1000)) };
+    }
+
+    if (!hasPermission(req.user, Permission.EMPLOYEE_VIEW_ALL)) {
+      query.email = { $in: await getTeamEmails(db, req.user.email) };
+    }
+
+    const employees = await db.collection('employees')
+      .find(query, { projection: PROBATION_PROJECTION })
+      .sort({ 'probation.due_date': 1 })
+      .toArray();
+
+    const today = toDateString(new Date());
+    res.json(employees.map(employee => formatProbation(employee, today)));
+  } catch (error) {
+    console.error('Get probation list error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/employees/probation/reminders/process
+ * Send due review reminders now (normally run by the daily cron)
+ */
+router.post('/probation/reminders/process', authenticate, requirePermission(Permission.EMPLOYEE_UPDATE), async (req, res) => {
+  try {
+    const db = getDB();
+    const results = await processProbationReminders(db);
+
+    res.json({
+      status: 'success',
+      message: `Sent reminders for ${results.reminded.length} employee(s)`,
+      ...results
+    });
+  } catch (error) {
+    console.error('Process probation reminders error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/employees/:employeeId/probation
+ * Probation record with its reviews (the employee, their managers, company-wide viewers)
+ */
+router.get('/:employeeId/probation', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const employee = await findEmployee(db, req.params.employeeId);
+
+    if (!employee) {
+      return res.status(404).json({ detail: 'Employee not found' });
+    }
+    if (!await canViewEmployee(db, req.user, employee)) {
+      return res.status(403).json({ detail: 'Not enough permissions' });
+    }
+
+    res.json(formatProbation(employee));
+  } catch (error) {
+    console.error('Get probation error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /api/employees/:employeeId/probation
+ * Set or change the probation period of an undecided probation (0 months = no probation)
+ * Extensions already granted stay on top of the new period
+ */
+router.put('/:employeeId/probation', authenticate, requirePermission(Permission.EMPLOYEE_UPDATE), validate(schemas.probationUpdate), async (req, res) => {
+  try {
+    const db = getDB();
+    const { months, start_date: startDate } = req.validatedBody;
+    const employee = await findEmployee(db, req.params.employeeId);
+
+    if (!employee) {
+      return res.status(404).json({ detail: 'Employee not found' });
+    }
+    if (employee.probation && !isOnProbation(employee)) {
+      return res.status(400).json({ detail: `Probation is already ${employee.probation.status}` });
+    }
+
+    let probation = null;
+    if (months > 0) {
+      const start = toDateString(startDate || (employee.probation && employee.probation.start_date) || employee.joining_date || new Date());
+      const extended = employee.probation ? employee.probation.extended_months || 0 : 0;
+      probation = {
+        ...(employee.probation || buildProbation(start, months)),
+        months,
+        start_date: start,
+        original_due_date: addMonths(start, months),
+        due_date: addMonths(start, months + extended)
+      };
+    }
+
+    await db.collection('employees').updateOne(
+      { employee_id: employee.employee_id },
+      { $set: { probation, updated_at: new Date() } }
+    );
+
+    res.json({
+      status: 'success',
+      message: probation ? `Probation review due on ${probation.due_date}` : 'Probation removed',
+      ...formatProbation({ ...employee, probation })
+    });
+  } catch (error) {
+    console.error('Update probation error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/employees/:employeeId/probation/review
+ * Probation review by a manager above the employee or HR: confirm, extend or terminate
+ * Confirmation emails the confirmation letter; termination (HR with employee.offboard) starts an exit
+ */
+router.post('/:employeeId/probation/review', authenticate, validate(schemas.probationReview), async (req, res) => {
+  try {
+    const db = getDB();
+    const review = req.validatedBody;
+    const employee = await findEmployee(db, req.params.employeeId);
+
+    if (!employee) {
+      return res.status(404).json({ detail: 'Employee not found' });
+    }
+    if (employee.email === req.user.email) {
+      return res.status(403).json({ detail: 'You cannot review your own probation' });
+    }
+
+    const isManager = hasPermission(req.user, Permission.EMPLOYEE_VIEW_TEAM) &&
+      await isInTeam(db, req.user.email, employee.email);
+    if (!hasPermission(req.user, Permission.EMPLOYEE_UPDATE) && !isManager) {
+      return res.status(403).json({ detail: 'Not enough permissions' });
+    }
+    if (review.action === ProbationAction.TERMINATE && !hasPermission(req.user, Permission.EMPLOYEE_OFFBOARD)) {
+      return res.status(403).json({ detail: 'Ending employment needs the employee.offboard permission - ask HR' });
+    }
+
+    if (!isOnProbation(employee)) {
+      return res.status(400).json({
+        detail: employee.probation ? `Probation is already ${employee.probation.status}` : 'Employee is not on probation'
+      });
+    }
+    if (review.action === ProbationAction.TERMINATE && employee.exit && employee.exit.status === ExitStatus.INITIATED) {
+      return res.status(400).json({ detail: 'An exit is already in progress for this employee' });
+    }
+
+    const { probation, exit, entry } = await reviewProbation(db, employee, review, req.user);
+
+    try {
+      if (review.action === ProbationAction.CONFIRM) {
+        const organization = employee.organization_id
+          ? await db.collection('organizations').findOne({ id: employee.organization_id }, { projection: { name: 1 } })
+          : null;
+        await sendEmailNotification(
+          employee.email,
+          'Confirmation of Employment',
+          generateConfirmationLetterEmail(
+            employee.full_name,
+            employee.employee_id,
+            employee.designation,
+            employee.department,
+            employee.joining_date ? toDateString(employee.joining_date) : probation.start_date,
+            probation.confirmation_date,
+            organization && organization.name
+          )
+        );
+      } else if (review.action === ProbationAction.EXTEND) {
+        await sendEmailNotification(
+          employee.email,
+          'Probation Period Extended',
+          generateProbationExtensionEmail(employee.full_name, entry.due_date, entry.new_due_date, entry.comments)
+        );
+      }
+    } catch (emailError) {
+      console.error('Failed to send probation email:', emailError.message);
+    }
+
+    let message = `Employee confirmed from ${probation.confirmation_date}`;
+    if (review.action === ProbationAction.EXTEND) message = `Probation extended until ${probation.due_date}`;
+    if (exit) message = `Probation ended. Last working day: ${exit.last_working_day}`;
+
+    res.status(201).json({
+      status: 'success',
+      message,
+      review: entry,
+      exit,
+      ...formatProbation({ ...employee, probation })
+    });
+  } catch (error) {
+    console.error('Probation review error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,313 @@
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../config/database');
+const { authenticate, getCurrentEmployee } = require('../middleware/auth');
+const { requirePermission, validate } = require('../middleware/roleCheck');
+const { schemas, ProfileChangeStatus } = require('../models/schemas');
+const { Permission } = require('../models/permissions');
+const { generateUUID } = require('../utils/helpers');
+const { sendEmailNotification } = require('../services/emailService');
+const { generateProfileChangeRequestEmail, generateProfileChangeDecisionEmail } = require('../utils/emailTemplates');
+const {
+  PROFILE_CHANGE_FIELDS,
+  buildProfileDiff,
+  findConflicts,
+  canEditPersonalDetails,
+  canViewBankDetails,
+  applyProfileChange
+} = require('../services/profileChangeService');
+
+/**
+ * Helper: Hide bank details from viewers who may not see them
+ */
+const redactRequest = (request, user) => {
+  if (canViewBankDetails(user, { email: request.employee_email })) return request;
+  return {
+    ...request,
+    changes: request.changes.map(change => change.field === 'bank_details'
+      ? { ...change, from: change.from ? '[hidden]' : null, to: '[hidden]' }
+      : change)
+  };
+};
+
+/**
+ * POST /api/employees/me/profile-changes
+ * Propose changes to phone, address, bank details or emergency contacts
+ * One pending request at a time - cancel it to submit a new one
+ */
+router.post('/me/profile-changes', authenticate, getCurrentEmployee, validate(schemas.profileChangeRequest), async (req, res) => {
+  try {
+    const db = getDB();
+    const employee = req.employee;
+    const { reason, ...proposed } = req.validatedBody;
+
+    const pending = await db.collection('profile_change_requests').findOne(
+      { employee_email: employee.email, status: ProfileChangeStatus.PENDING },
+      { projection: { _id: 0, id: 1 } }
+    );
+    if (pending) {
+      return res.status(400).json({ detail: 'You already have a pending profile change request. Cancel it before submitting a new one.' });
+    }
+
+    const changes = buildProfileDiff(employee, proposed);
+    if (changes.length === 0) {
+      return res.status(400).json({ detail: 'Nothing changes - the values match your profile' });
+    }
+
+    const request = {
+      id: generateUUID(),
+      employee_id: employee.employee_id,
+      employee_email: employee.email,
+      employee_name: employee.full_name,
+      changes,
+      reason: reason || null,
+      status: ProfileChangeStatus.PENDING,
+      requested_at: new Date(),
+      reviewed_by: null,
+      reviewed_by_name: null,
+      reviewed_at: null,
+      review_comments: null
+    };
+
+    await db.collection('profile_change_requests').insertOne(request);
+    delete request._id;
+
+    // Notify HR
+    try {
+      const admin = await db.collection('employees').findOne(
+        { role: 'admin' },
+        { projection: { email: 1 } }
+      );
+      if (admin) {
+        await sendEmailNotification(
+          admin.email,
+          `Profile Change Request from ${employee.full_name}`,
+          generateProfileChangeRequestEmail(employee.full_name, employee.employee_id, changes.map(c => c.label), request.reason)
+        );
+      }
+    } catch (emailError) {
+      console.error('Failed to send profile change notification:', emailError.message);
+    }
+
+    res.status(201).json(request);
+  } catch (error) {
+    console.error('Create profile change request error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/employees/me/profile-changes
+ * My profile change requests, newest first
+ */
+router.get('/me/profile-changes', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const requests = await db.collection('profile_change_requests')
+      .find({ employee_email: req.user.email }, { projection: { _id: 0 } })
+      .sort({ requested_at: -1 })
+      .toArray();
+
+    res.json(requests);
+  } catch (error) {
+    console.error('Get my profile change requests error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/employees/me/profile-changes/:requestId
+ * Withdraw a pending request
+ */
+router.delete('/me/profile-changes/:requestId', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const result = await db.collection('profile_change_requests').updateOne(
+      { id: req.params.requestId, employee_email: req.user.email, status: ProfileChangeStatus.PENDING },
+      { $set: { status: ProfileChangeStatus.CANCELLED, cancelled_at: new Date() } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ detail: 'No pending request found' });
+    }
+
+    res.json({ status: 'success', message: 'Profile change request cancelled' });
+  } catch (error) {
+    console.error('Cancel profile change request error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/employees/profile-changes
+ * Requests for HR review, oldest pending first
+ * Query: ?status=pending (default)|approved|rejected|cancelled|all, ?employee_id=
+ */
+router.get('/profile-changes', authenticate, requirePermission(Permission.EMPLOYEE_UPDATE), async (req, res) => {
+  try {
+    const db = getDB();
+    const status = req.query.status || ProfileChangeStatus.PENDING;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (req.query.employee_id) query.employee_id = req.query.employee_id;
+
+    const requests = await db.collection('profile_change_requests')
+      .find(query, { projection: { _id: 0 } })
+      .sort({ requested_at: status === ProfileChangeStatus.PENDING ? 1 : -1 })
+      .toArray();
+
+    res.json(requests.map(request => redactRequest(request, req.user)));
+  } catch (error) {
+    console.error('Get profile change requests error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/employees/profile-changes/:requestId
+ * Request with its diff; `conflicts` lists fields changed on the record since it was submitted
+ */
+router.get('/profile-changes/:requestId', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const request = await db.collection('profile_change_requests').findOne(
+      { id: req.params.requestId },
+      { projection: { _id: 0 } }
+    );
+
+    if (!request) {
+      return res.status(404).json({ detail: 'Profile change request not found' });
+    }
+    if (request.employee_email !== req.user.email && !canEditPersonalDetails(req.user)) {
+      return res.status(403).json({ detail: 'Not enough permissions' });
+    }
+
+    let conflicts = [];
+    if (request.status === ProfileChangeStatus.PENDING) {
+      const employee = await db.collection('employees').findOne(
+        { email: request.employee_email },
+        { projection: { _id: 0, ...Object.fromEntries(Object.keys(PROFILE_CHANGE_FIELDS).map(field => [field, 1])) } }
+      );
+      conflicts = employee ? findConflicts(employee, request) : [];
+    }
+
+    res.json({ ...redactRequest(request, req.user), conflicts });
+  } catch (error) {
+    console.error('Get profile change request error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/employees/profile-changes/:requestId/review
+ * Approve (writes the changes to the employee record) or reject a pending request
+ */
+router.post('/profile-changes/:requestId/review', authenticate, requirePermission(Permission.EMPLOYEE_UPDATE), validate(schemas.profileChangeReview), async (req, res) => {
+  try {
+    const db = getDB();
+    const { action, comments } = req.validatedBody;
+
+    const request = await db.collection('profile_change_requests').findOne(
+      { id: req.params.requestId },
+      { projection: { _id: 0 } }
+    );
+    if (!request) {
+      return res.status(404).json({ detail: 'Profile change request not found' });
+    }
+    if (request.status !== ProfileChangeStatus.PENDING) {
+      return res.status(400).json({ detail: `Request is already ${request.status}` });
+    }
+    if (request.employee_email === req.user.email) {
+      return res.status(403).json({ detail: 'You cannot review your own request' });
+    }
+
+    const status = action === 'approve' ? ProfileChangeStatus.APPROVED : ProfileChangeStatus.REJECTED;
+    const review = {
+      status,
+      reviewed_by: req.user.email,
+      reviewed_by_name: req.user.full_name,
+      reviewed_at: new Date(),
+      review_comments: comments || null
+    };
+
+    // Claim the request first so two reviewers cannot both act on it
+    const claimed = await db.collection('profile_change_requests').updateOne(
+      { id: request.id, status: ProfileChangeStatus.PENDING },
+      { $set: review }
+    );
+    if (claimed.modifiedCount === 0) {
+      return res.status(409).json({ detail: 'Request was reviewed by someone else' });
+    }
+
+    if (status === ProfileChangeStatus.APPROVED) {
+      await applyProfileChange(db, request);
+      await db.collection('profile_change_requests').updateOne(
+        { id: request.id },
+        { $set: { applied_at: new Date() } }
+      );
+    }
+
+    try {
+      await sendEmailNotification(
+        request.employee_email,
+        `Profile Change ${status === ProfileChangeStatus.APPROVED ? 'Approved' : 'Rejected'}`,
+        generateProfileChangeDecisionEmail(
+          request.employee_name,
+          status,
+          request.changes.map(c => c.label),
+          req.user.full_name,
+          review.review_comments
+        )
+      );
+    } catch (emailError) {
+      console.error('Failed to send profile change decision email:', emailError.message);
+    }
+
+    res.json({
+      status: 'success',
+      message: `Profile change request ${status}`,
+      request: redactRequest({ ...request, ...review }, req.user)
+    });
+  } catch (error) {
+    console.error('Review profile change request error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/employees/:employeeId/profile-history
+ * Approved personal detail changes of an employee, newest first (HR or the employee)
+ */
+router.get('/:employeeId/profile-history', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const employee = await db.collection('employees').findOne(
+      { employee_id: req.params.employeeId },
+      { projection: { _id: 0, email: 1, employee_id: 1, full_name: 1 } }
+    );
+
+    if (!employee) {
+      return res.status(404).json({ detail: 'Employee not found' });
+    }
+    if (employee.email !== req.user.email && !canEditPersonalDetails(req.user)) {
+      return res.status(403).json({ detail: 'Not enough permissions' });
+    }
+
+    const history = await db.collection('profile_change_requests')
+      .find({ employee_email: employee.email, status: ProfileChangeStatus.APPROVED }, { projection: { _id: 0 } })
+      .sort({ applied_at: -1 })
+      .toArray();
+
+    res.json({
+      employee_id: employee.employee_id,
+      full_name: employee.full_name,
+      history: history.map(request => redactRequest(request, req.user))
+    });
+  } catch (error) {
+    console.error('Get profile history error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+module.exports = router;
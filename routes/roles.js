@@ -0,0 +1,221 @@
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission, validate } = require('../middleware/roleCheck');
+const { schemas } = require('../models/schemas');
+const { Permission, PERMISSION_CATALOG, ALL_PERMISSIONS } = require('../models/permissions');
+const { generateUUID } = require('../utils/helpers');
+const { toRoleKey, isBuiltInRole, getRole, getMissingPermissions, listRoles } = require('../services/roleService');
+
+// Anyone who assigns roles needs to be able to see them
+const ROLE_READ_PERMISSIONS = [Permission.ROLE_MANAGE, Permission.EMPLOYEE_ASSIGN_ROLE, Permission.EMPLOYEE_INVITE];
+
+/**
+ * Helper: Check a permission list against the catalog and the caller's own permissions
+ * @param {string} action - What is done with the permissions, for the error message
+ * @returns {Object|null} error response body, or null when the list is acceptable
+ */
+function checkPermissionList(user, permissions, action = 'grant') {
+  const unknownPermissions = permissions.filter(permission => !ALL_PERMISSIONS.includes(permission));
+  if (unknownPermissions.length > 0) {
+    return { status: 400, body: { detail: `Unknown permission(s): ${unknownPermissions.join(', ')}` } };
+  }
+
+  const missingPermissions = getMissingPermissions(user, permissions);
+  if (missingPermissions.length > 0) {
+    return {
+      status: 403,
+      body: { detail: `Cannot ${action} permission(s) you do not have: ${missingPermissions.join(', ')}` }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * GET /api/roles/permissions
+ * Get the catalog of available permissions
+ */
+router.get('/permissions', authenticate, requirePermission(ROLE_READ_PERMISSIONS), async (req, res) => {
+  try {
+    res.json(Object.entries(PERMISSION_CATALOG).map(([key, description]) => ({ key, description })));
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/roles
+ * Get all roles (built-in and custom) with their permissions and user counts
+ */
+router.get('/', authenticate, requirePermission(ROLE_READ_PERMISSIONS), async (req, res) => {
+  try {
+    const db = getDB();
+    const roles = await listRoles(db);
+
+    res.json(roles);
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/roles/:roleKey
+ * Get a single role
+ */
+router.get('/:roleKey', authenticate, requirePermission(ROLE_READ_PERMISSIONS), async (req, res) => {
+  try {
+    const db = getDB();
+    const role = await getRole(db, req.params.roleKey);
+
+    if (!role) {
+      return res.status(404).json({ detail: 'Role not found' });
+    }
+
+    res.json(role);
+  } catch (error) {
+    console.error('Get role error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/roles
+ * Create a custom role
+ */
+router.post('/', authenticate, requirePermission(Permission.ROLE_MANAGE), validate(schemas.roleDefinitionCreate), async (req, res) => {
+  try {
+    const db = getDB();
+    const { name, description, permissions } = req.validatedBody;
+    const key = req.validatedBody.key || toRoleKey(name);
+
+    if (!key) {
+      return res.status(400).json({ detail: 'Role name must contain letters or numbers' });
+    }
+
+    const permissionError = checkPermissionList(req.user, permissions);
+    if (permissionError) {
+      return res.status(permissionError.status).json(permissionError.body);
+    }
+
+    if (isBuiltInRole(key) || await db.collection('roles').findOne({ key })) {
+      return res.status(409).json({ detail: `Role '${key}' already exists` });
+    }
+
+    const now = new Date().toISOString();
+    const role = {
+      id: generateUUID(),
+      key,
+      name,
+      description: description || null,
+      permissions,
+      created_by: req.user.email,
+      created_at: now,
+      updated_at: now
+    };
+
+    await db.collection('roles').insertOne(role);
+    delete role._id;
+
+    res.status(201).json({ ...role, built_in: false });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /api/roles/:roleKey
+ * Update a custom role (built-in roles are read-only)
+ * Permission changes apply to every holder on their next request
+ */
+router.put('/:roleKey', authenticate, requirePermission(Permission.ROLE_MANAGE), validate(schemas.roleDefinitionUpdate), async (req, res) => {
+  try {
+    const db = getDB();
+    const { roleKey } = req.params;
+    const updates = req.validatedBody;
+
+    if (isBuiltInRole(roleKey)) {
+      return res.status(400).json({ detail: 'Built-in roles cannot be modified' });
+    }
+
+    const existing = await db.collection('roles').findOne({ key: roleKey }, { projection: { _id: 0 } });
+    if (!existing) {
+      return res.status(404).json({ detail: 'Role not found' });
+    }
+
+    if (updates.permissions) {
+      // The caller must hold every permission they add or remove, so nobody can demote
+      // holders of a role with more permissions than their own (permissions no longer
+      // in the catalog can always be removed)
+      const addedPermissions = updates.permissions.filter(permission => !existing.permissions.includes(permission));
+      const removedPermissions = existing.permissions.filter(permission =>
+        !updates.permissions.includes(permission) && ALL_PERMISSIONS.includes(permission));
+      const permissionError = checkPermissionList(req.user, addedPermissions) ||
+        checkPermissionList(req.user, removedPermissions, 'remove');
+      if (permissionError) {
+        return res.status(permissionError.status).json(permissionError.body);
+      }
+    }
+
+    const role = await db.collection('roles').findOneAndUpdate(
+      { key: roleKey },
+      { $set: { ...updates, updated_by: req.user.email, updated_at: new Date().toISOString() } },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+
+    res.json({ ...role, built_in: false });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/roles/:roleKey
+ * Delete a custom role (only when no user holds it)
+ */
+router.delete('/:roleKey', authenticate, requirePermission(Permission.ROLE_MANAGE), async (req, res) => {
+  try {
+    const db = getDB();
+    const { roleKey } = req.params;
+
+    if (isBuiltInRole(roleKey)) {
+      return res.status(400).json({ detail: 'Built-in roles cannot be deleted' });
+    }
+
+    const existing = await db.collection('roles').findOne({ key: roleKey });
+    if (!existing) {
+      return res.status(404).json({ detail: 'Role not found' });
+    }
+
+    const userCount = await db.collection('users').countDocuments({ role: roleKey });
+    if (userCount > 0) {
+      return res.status(409).json({
+        detail: `Role is assigned to ${userCount} user(s). Reassign them before deleting the role.`
+      });
+    }
+
+    const pendingInvitations = await db.collection('invitations').countDocuments({ role: roleKey, status: 'pending' });
+    if (pendingInvitations > 0) {
+      return res.status(409).json({
+        detail: `Role is used by ${pendingInvitations} pending invitation(s). Revoke them before deleting the role.`
+      });
+    }
+
+    await db.collection('roles').deleteOne({ key: roleKey });
+
+    res.json({
+      status: 'success',
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,193 @@
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission, validate } = require('../middleware/roleCheck');
+const { schemas, EmployeeStatus } = require('../models/schemas');
+const { Permission } = require('../models/permissions');
+const {
+  getSsoSettings,
+  updateSsoSettings,
+  formatSsoSettings,
+  isPasswordLoginEnabled,
+  discoverProvider,
+  createAuthorizationRequest,
+  completeAuthorization,
+  isEmailDomainAllowed
+} = require('../services/oidcService');
+const { completeLogin } = require('./auth');
+
+/**
+ * Helper: Only allow same-site relative paths as post-login redirect targets
+ */
+const isSafeRedirectPath = (path) => typeof path === 'string' && path.startsWith('/') && !path.startsWith('//');
+
+/**
+ * GET /api/auth/sso/config
+ * Public SSO configuration for the login page
+ */
+router.get('/config', async (req, res) => {
+  try {
+    const db = getDB();
+    const settings = await getSsoSettings(db);
+
+    res.json({
+      enabled: settings.enabled,
+      provider_name: settings.provider_name,
+      password_login_enabled: isPasswordLoginEnabled(settings)
+    });
+  } catch (error) {
+    console.error('Get SSO config error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/auth/sso/authorize
+ * Start an SSO login - returns the identity provider URL to send the browser to
+ * Query: ?redirect_to=/path (returned again after the callback)
+ */
+router.get('/authorize', async (req, res) => {
+  try {
+    const db = getDB();
+    const settings = await getSsoSettings(db);
+
+    if (!settings.enabled) {
+      return res.status(400).json({ detail: 'Single sign-on is not enabled', error_code: 'SSO_DISABLED' });
+    }
+
+    const { redirect_to } = req.query;
+    const authorization = await createAuthorizationRequest(
+      db,
+      settings,
+      isSafeRedirectPath(redirect_to) ? redirect_to : null
+    );
+
+    res.json(authorization);
+  } catch (error) {
+    console.error('SSO authorize error:', error);
+    res.status(502).json({ detail: 'Identity provider is unavailable' });
+  }
+});
+
+/**
+ * POST /api/auth/sso/callback
+ * Finish an SSO login with the code and state from the identity provider redirect
+ * Maps the IdP email to an existing user and issues the usual HRMS tokens
+ */
+router.post('/callback', validate(schemas.ssoCallback), async (req, res) => {
+  try {
+    const db = getDB();
+    const { code, state } = req.validatedBody;
+    const settings = await getSsoSettings(db);
+
+    if (!settings.enabled) {
+      return res.status(400).json({ detail: 'Single sign-on is not enabled', error_code: 'SSO_DISABLED' });
+    }
+
+    const result = await completeAuthorization(db, settings, code, state);
+    if (result.error) {
+      return res.status(401).json({ detail: result.error, error_code: 'SSO_FAILED' });
+    }
+
+    const { claims, redirectTo } = result;
+    const email = String(claims.email || '').trim().toLowerCase();
+
+    if (!email) {
+      return res.status(401).json({ detail: 'Identity provider did not share an email address', error_code: 'SSO_FAILED' });
+    }
+    if (claims.email_verified === false) {
+      return res.status(403).json({ detail: 'Email address is not verified at the identity provider', error_code: 'SSO_FAILED' });
+    }
+    if (!isEmailDomainAllowed(settings, email)) {
+      return res.status(403).json({ detail: 'Email domain is not allowed for single sign-on', error_code: 'SSO_DOMAIN_NOT_ALLOWED' });
+    }
+
+    const userDoc = await db.collection('users').findOne({ email }, { projection: { _id: 0 } });
+    if (!userDoc) {
+      return res.status(403).json({ detail: 'No HRMS account exists for this email', error_code: 'SSO_NO_ACCOUNT' });
+    }
+    if (userDoc.status === EmployeeStatus.INACTIVE) {
+      return res.status(403).json({ detail: 'Account is inactive. Please contact HR.', error_code: 'ACCOUNT_INACTIVE' });
+    }
+
+    // Once linked, the account only accepts the same IdP subject (guards against reused email addresses)
+    if (userDoc.sso_subject && userDoc.sso_subject !== claims.sub) {
+      return res.status(403).json({ detail: 'This account is linked to a different SSO identity', error_code: 'SSO_SUBJECT_MISMATCH' });
+    }
+    // Linking by email needs the IdP to vouch for the address (a missing claim only when the settings trust it)
+    const emailVerified = claims.email_verified === true ||
+      (claims.email_verified === undefined && settings.trust_missing_email_verified === true);
+    if (!userDoc.sso_subject && !emailVerified) {
+      return res.status(403).json({ detail: 'Email address is not verified at the identity provider', error_code: 'SSO_FAILED' });
+    }
+
+    await db.collection('users').updateOne(
+      { email },
+      { $set: { sso_subject: claims.sub, last_sso_login_at: new Date() } }
+    );
+
+    res.json({
+      ...await completeLogin(db, userDoc, req, 'sso'),
+      redirect_to: redirectTo
+    });
+  } catch (error) {
+    console.error('SSO callback error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/auth/sso/settings
+ * Get SSO settings (client secret is never returned)
+ */
+router.get('/settings', authenticate, requirePermission(Permission.SECURITY_MANAGE), async (req, res) => {
+  try {
+    const db = getDB();
+    const settings = await getSsoSettings(db);
+
+    res.json(formatSsoSettings(settings));
+  } catch (error) {
+    console.error('Get SSO settings error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /api/auth/sso/settings
+ * Update SSO settings - enabling SSO checks that the provider can be discovered
+ */
+router.put('/settings', authenticate, requirePermission(Permission.SECURITY_MANAGE), validate(schemas.ssoSettingsUpdate), async (req, res) => {
+  try {
+    const db = getDB();
+    const updates = req.validatedBody;
+    const merged = { ...await getSsoSettings(db), ...updates };
+
+    if (merged.enabled) {
+      if (!merged.issuer || !merged.client_id || !merged.client_secret) {
+        return res.status(400).json({ detail: 'Issuer, client ID and client secret are required to enable SSO' });
+      }
+
+      try {
+        await discoverProvider(merged.issuer);
+      } catch (discoveryError) {
+        return res.status(400).json({ detail: `Could not load the provider configuration: ${discoveryError.message}` });
+      }
+    } else if (merged.password_login_enabled === false) {
+      return res.status(400).json({ detail: 'Password login can only be disabled while SSO is enabled' });
+    }
+
+    const settings = await updateSsoSettings(db, updates, req.user.email);
+
+    res.json({
+      status: 'success',
+      message: 'SSO settings updated',
+      settings: formatSsoSettings(settings)
+    });
+  } catch (error) {
+    console.error('Update SSO settings error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+module.exports = router;
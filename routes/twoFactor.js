@@ -0,0 +1,227 @@
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission, validate } = require('../middleware/roleCheck');
+const { schemas } = require('../models/schemas');
+const { Permission } = require('../models/permissions');
+const { verifyPassword } = require('../utils/helpers');
+const { revokeUserSessions } = require('../services/sessionService');
+const { getSecuritySettings } = require('../services/securitySettingsService');
+const {
+  isTwoFactorRequired,
+  getTwoFactorStatus,
+  startEnrollment,
+  completeEnrollment,
+  verifyTwoFactorCode,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../services/twoFactorService');
+const { SecurityEventType, recordSecurityEvent } = require('../services/securityEventService');
+
+/**
+ * Helper: Load the current user's account document
+ */
+async function getCurrentUserDoc(db, email) {
+  return db.collection('users').findOne({ email }, { projection: { _id: 0 } });
+}
+
+/**
+ * GET /api/auth/2fa/status
+ * Get the current user's 2FA status
+ */
+router.get('/status', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const userDoc = await getCurrentUserDoc(db, req.user.email);
+    const securitySettings = await getSecuritySettings(db);
+
+    res.json(getTwoFactorStatus(userDoc, securitySettings));
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start 2FA enrollment - returns the secret and otpauth URI for the authenticator app
+ */
+router.post('/setup', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const userDoc = await getCurrentUserDoc(db, req.user.email);
+
+    if (userDoc.two_factor && userDoc.two_factor.enabled) {
+      return res.status(400).json({ detail: 'Two-factor authentication is already enabled' });
+    }
+
+    const enrollment = await startEnrollment(db, userDoc);
+
+    res.json({
+      secret: enrollment.secret,
+      otpauth_uri: enrollment.otpauth_uri,
+      message: 'Scan the URI with an authenticator app, then confirm with a code'
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/verify
+ * Confirm enrollment with a code - enables 2FA and returns recovery codes (shown once)
+ */
+router.post('/verify', authenticate, validate(schemas.twoFactorCode), async (req, res) => {
+  try {
+    const db = getDB();
+    const userDoc = await getCurrentUserDoc(db, req.user.email);
+
+    if (userDoc.two_factor && userDoc.two_factor.enabled) {
+      return res.status(400).json({ detail: 'Two-factor authentication is already enabled' });
+    }
+    if (!userDoc.two_factor || !userDoc.two_factor.pending_secret) {
+      return res.status(400).json({ detail: 'Two-factor setup has not been started' });
+    }
+
+    const recoveryCodes = await completeEnrollment(db, userDoc, req.validatedBody.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ detail: 'Invalid two-factor code', error_code: 'INVALID_2FA_CODE' });
+    }
+
+    // Other devices logged in with the password alone must sign in again
+    await revokeUserSessions(db, req.user.email, 'two_factor_enabled', { exceptSessionId: req.user.session_id });
+    await recordSecurityEvent(db, { type: SecurityEventType.TWO_FACTOR_ENABLED, email: req.user.email, userId: req.user.id }, req);
+
+    res.json({
+      status: 'success',
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recovery_codes: recoveryCodes
+    });
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Regenerate recovery codes (invalidates the old ones) - requires a current code
+ */
+router.post('/recovery-codes', authenticate, validate(schemas.twoFactorCode), async (req, res) => {
+  try {
+    const db = getDB();
+    const userDoc = await getCurrentUserDoc(db, req.user.email);
+
+    if (!userDoc.two_factor || !userDoc.two_factor.enabled) {
+      return res.status(400).json({ detail: 'Two-factor authentication is not enabled' });
+    }
+
+    const result = await verifyTwoFactorCode(db, userDoc, { code: req.validatedBody.code });
+    if (!result.valid) {
+      return res.status(400).json({ detail: 'Invalid two-factor code', error_code: 'INVALID_2FA_CODE' });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(db, req.user.email);
+
+    res.json({
+      status: 'success',
+      message: 'Recovery codes regenerated',
+      recovery_codes: recoveryCodes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn off 2FA (password + code required; not allowed when mandatory for the role)
+ */
+router.post('/disable', authenticate, validate(schemas.twoFactorDisable), async (req, res) => {
+  try {
+    const db = getDB();
+    const { password, code, recovery_code } = req.validatedBody;
+    const userDoc = await getCurrentUserDoc(db, req.user.email);
+
+    if (!userDoc.two_factor || !userDoc.two_factor.enabled) {
+      return res.status(400).json({ detail: 'Two-factor authentication is not enabled' });
+    }
+
+    const securitySettings = await getSecuritySettings(db);
+    if (isTwoFactorRequired(securitySettings, userDoc.role)) {
+      return res.status(403).json({ detail: 'Two-factor authentication is mandatory for your role' });
+    }
+
+    const isValidPassword = await verifyPassword(password, userDoc.hashed_password);
+    if (!isValidPassword) {
+      return res.status(400).json({ detail: 'Incorrect password' });
+    }
+
+    const result = await verifyTwoFactorCode(db, userDoc, { code, recovery_code });
+    if (!result.valid) {
+      return res.status(400).json({ detail: 'Invalid two-factor code', error_code: 'INVALID_2FA_CODE' });
+    }
+
+    await disableTwoFactor(db, req.user.email, req.user.email);
+    await recordSecurityEvent(db, { type: SecurityEventType.TWO_FACTOR_DISABLED, email: req.user.email, userId: req.user.id }, req);
+
+    res.json({
+      status: 'success',
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/reset/:userId
+ * Reset another user's 2FA, e.g. after a lost device (admin only)
+ * :userId accepts the user id or the employee ID
+ */
+router.post('/reset/:userId', authenticate, requirePermission(Permission.SECURITY_MANAGE), async (req, res) => {
+  try {
+    const db = getDB();
+    const { userId } = req.params;
+
+    const userDoc = await db.collection('users').findOne(
+      { $or: [{ id: userId }, { employee_id: userId }] },
+      { projection: { _id: 0, email: 1, role: 1, two_factor: 1 } }
+    );
+
+    if (!userDoc) {
+      return res.status(404).json({ detail: 'User not found' });
+    }
+
+    await disableTwoFactor(db, userDoc.email, req.user.email);
+    await recordSecurityEvent(db, {
+      type: SecurityEventType.TWO_FACTOR_DISABLED,
+      email: userDoc.email,
+      actorEmail: req.user.email,
+      metadata: { reason: 'admin_reset' }
+    }, req);
+
+    // Sessions opened with the old authenticator must not survive the reset
+    const revokedCount = await revokeUserSessions(db, userDoc.email, 'two_factor_reset');
+
+    const securitySettings = await getSecuritySettings(db);
+
+    res.json({
+      status: 'success',
+      message: isTwoFactorRequired(securitySettings, userDoc.role)
+        ? 'Two-factor authentication reset. The user will be asked to enroll again at next login.'
+        : 'Two-factor authentication reset',
+      email: userDoc.email,
+      revoked_sessions: revokedCount
+    });
+  } catch (error) {
+    console.error('2FA reset error:', error);
+    res.status(500).json({ detail: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -3,8 +3,9 @@ const router = express.Router();
 const multer = require('multer');
 const { getDB } = require('../config/database');
 const { authenticate, getCurrentEmployee } = require('../middleware/auth');
-const { requireRole } = require('../middleware/roleCheck');
-const { UserRole } = require('../models/schemas');
+const { requirePermission } = require('../middleware/roleCheck');
+const { Permission } = require('../models/permissions');
+const { CustomFieldType } = require('../models/schemas');
 const {
   uploadFile,
   deleteFile,
@@ -14,6 +15,7 @@ const {
   getMaxFileSize,
   isS3Configured,
 } = require('../services/s3Service');
+const { resolveAccessLevel, canAccess } = require('../services/customFieldService');
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
@@ -368,7 +370,7 @@ router.delete('/government-id', authenticate, getCurrentEmployee, async (req, re
  */
 router.post('/employee/:employeeId/profile-picture',
   authenticate,
-  requireRole([UserRole.ADMIN]),
+  requirePermission(Permission.EMPLOYEE_UPDATE),
   upload.single('file'),
   async (req, res) => {
     try {
@@ -457,7 +459,7 @@ router.post('/employee/:employeeId/profile-picture',
  */
 router.post('/employee/:employeeId/government-id',
   authenticate,
-  requireRole([UserRole.ADMIN]),
+  requirePermission(Permission.EMPLOYEE_UPDATE),
   upload.single('file'),
   async (req, res) => {
     try {
@@ -545,4 +547,154 @@ router.post('/employee/:employeeId/government-id',
   }
 );
 
+/**
+ * Helper: Load the employee and file field for a custom field upload and check edit rights
+ * @returns {{ employee: Object, field: Object } | null} - null after sending the error response
+ */
+async function loadCustomFileField(db, req, res) {
+  const employee = await db.collection('employees').findOne(
+    { employee_id: req.params.employeeId },
+    { projection: { _id: 0 } }
+  );
+  if (!employee) {
+    res.status(404).json({ detail: 'Employee not found' });
+    return null;
+  }
+
+  const field = await db.collection('custom_fields').findOne(
+    { key: req.params.fieldKey, is_active: true },
+    { projection: { _id: 0 } }
+  );
+  if (!field || field.type !== CustomFieldType.FILE) {
+    res.status(404).json({ detail: 'File custom field not found' });
+    return null;
+  }
+
+  const level = await resolveAccessLevel(db, req.user, employee);
+  if (!canAccess(level, field.editable_by)) {
+    res.status(403).json({ detail: `Not enough permissions to edit: ${field.label}` });
+    return null;
+  }
+
+  return { employee, field };
+}
+
+/**
+ * POST /api/uploads/employee/:employeeId/custom-fields/:fieldKey
+ * Upload the file for a file-type custom field (images or PDF)
+ * Allowed for whoever may edit the field (the employee, their managers or HR)
+ */
+router.post('/employee/:employeeId/custom-fields/:fieldKey', authenticate, upload.single('file'), async (req, res) => {
+  try {
+    const db = getDB();
+    const loaded = await loadCustomFileField(db, req, res);
+    if (!loaded) return;
+    const { employee, field } = loaded;
+
+    if (!req.file) {
+      return res.status(400).json({ detail: 'No file provided' });
+    }
+
+    const { buffer, originalname, mimetype, size } = req.file;
+
+    if (!isValidGovernmentId(mimetype)) {
+      return res.status(400).json({
+        detail: 'Invalid file type. Allowed: JPEG, PNG, GIF, WebP, PDF'
+      });
+    }
+
+    const maxSize = getMaxFileSize('document');
+    if (size > maxSize) {
+      return res.status(400).json({
+        detail: `File too large. Maximum size: ${maxSize / (1024 * 1024)}MB`
+      });
+    }
+
+    // Replace the previous file
+    const previous = employee.custom_fields && employee.custom_fields[field.key];
+    if (previous && previous.key) {
+      try {
+        await deleteFile(previous.key);
+      } catch (err) {
+        console.error('[Upload] Failed to delete old custom field file:', err.message);
+      }
+    }
+
+    const { key, url } = await uploadFile(
+      buffer,
+      originalname,
+      mimetype,
+      'custom_fields',
+      employee.employee_id
+    );
+
+    const value = {
+      url,
+      key,
+      file_name: originalname,
+      content_type: mimetype,
+      size,
+      uploaded_at: new Date(),
+      uploaded_by: req.user.email
+    };
+
+    await db.collection('employees').updateOne(
+      { email: employee.email },
+      { $set: { [`custom_fields.${field.key}`]: value, updated_at: new Date() } }
+    );
+
+    res.json({
+      status: 'success',
+      message: `${field.label} uploaded successfully`,
+      field: field.key,
+      value
+    });
+  } catch (error) {
+    console.error('[Upload] Upload custom field file error:', error);
+    res.status(500).json({ detail: 'Failed to upload file' });
+  }
+});
+
+/**
+ * DELETE /api/uploads/employee/:employeeId/custom-fields/:fieldKey
+ * Remove the file of a file-type custom field
+ */
+router.delete('/employee/:employeeId/custom-fields/:fieldKey', authenticate, async (req, res) => {
+  try {
+    const db = getDB();
+    const loaded = await loadCustomFileField(db, req, res);
+    if (!loaded) return;
+    const { employee, field } = loaded;
+
+    const current = employee.custom_fields && employee.custom_fields[field.key];
+    if (!current) {
+      return res.status(404).json({ detail: `No ${field.label} uploaded` });
+    }
+    if (field.required) {
+      return res.status(400).json({ detail: `${field.label} is required - upload a replacement instead` });
+    }
+
+    if (current.key) {
+      try {
+        await deleteFile(current.key);
+      } catch (err) {
+        console.error('[Upload] Failed to delete custom field file:', err.message);
+      }
+    }
+
+    await db.collection('employees').updateOne(
+      { email: employee.email },
+      { $set: { [`custom_fields.${field.key}`]: null, updated_at: new Date() } }
+    );
+
+    res.json({
+      status: 'success',
+      message: `${field.label} deleted successfully`
+    });
+  } catch (error) {
+    console.error('[Upload] Delete custom field file error:', error);
+    res.status(500).json({ detail: 'Failed to delete file' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,126 @@
+/**
+ * Mock OIDC Provider for local SSO testing
+ *
+ * A minimal OpenID Connect provider: discovery, authorize (no password -
+ * you just type the email to sign in as), token endpoint with PKCE checks
+ * and a JWKS with a freshly generated RSA key.
+ *
+ * Run with: node scripts/mockOidcProvider.js
+ *
+ * Then configure SSO (PUT /api/auth/sso/settings) with:
+ *   { "enabled": true, "issuer": "http://localhost:9400",
+ *     "client_id": "hrms-local", "client_secret": "hrms-local-secret" }
+ *
+ * Environment: MOCK_OIDC_PORT (9400), MOCK_OIDC_CLIENT_ID, MOCK_OIDC_CLIENT_SECRET
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT || '9400', 10);
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'hrms-local';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'hrms-local-secret';
+const KEY_ID = 'mock-key-1';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Issued authorization codes: code -> { email, nonce, redirect_uri, code_challenge }
+const codes = new Map();
+
+const base64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Show a one-field "login" form; ?login_hint=email skips it
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query;
+
+  if (client_id !== CLIENT_ID) {
+    return res.status(400).send('Unknown client_id');
+  }
+  if (!code_challenge || code_challenge_method !== 'S256') {
+    return res.status(400).send('PKCE (S256) is required');
+  }
+
+  if (!login_hint) {
+    const hidden = Object.entries(req.query)
+      .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+      .join('');
+    return res.send(`<form method="get" action="/authorize">${hidden}
+      <p>Mock OIDC login - sign in as:</p>
+      <input name="login_hint" type="email" placeholder="email" required>
+      <button type="submit">Sign in</button></form>`);
+  }
+
+  const code = base64Url(crypto.randomBytes(24));
+  codes.set(code, { email: login_hint.toLowerCase(), nonce, redirect_uri, code_challenge });
+
+  const target = new URL(redirect_uri);
+  target.searchParams.set('code', code);
+  target.searchParams.set('state', state);
+  res.redirect(target.toString());
+});
+
+app.post('/token', (req, res) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(authHeader.slice(6), 'base64').toString().split(':');
+    clientId = decodeURIComponent(id);
+    clientSecret = decodeURIComponent(secret);
+  }
+
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  if (!grant || grant.redirect_uri !== req.body.redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const challenge = base64Url(crypto.createHash('sha256').update(req.body.code_verifier || '').digest());
+  if (challenge !== grant.code_challenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign(
+    { email: grant.email, email_verified: true, nonce: grant.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: CLIENT_ID, subject: `mock|${grant.email}`, expiresIn: '5m' }
+  );
+
+  res.json({ access_token: base64Url(crypto.randomBytes(24)), token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.listen(PORT, () => {
+  console.log(`🔑 Mock OIDC provider running at ${ISSUER}`);
+  console.log(`   client_id=${CLIENT_ID} client_secret=${CLIENT_SECRET}`);
+});
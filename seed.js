@@ -515,6 +515,7 @@ class HRMSSeeder {
     await this.db.collection('users').createIndex({ email: 1 }, { unique: true });
     await this.db.collection('users').createIndex({ organization_id: 1 });
     await this.db.collection('employees').createIndex({ email: 1 });
+    await this.db.collection('employees').createIndex({ employee_id: 1 }, { unique: true });
     await this.db.collection('employees').createIndex({ organization_id: 1 });
     await this.db.collection('employees').createIndex({ user_id: 1 });
     await this.db.collection('leave_balances').createIndex({ employee_id: 1 });
@@ -10,12 +10,29 @@ const path = require('path');
 const fs = require('fs');
 
 const { connectDB, getDB, closeDB } = require('./config/database');
+const { setupDailyJobs } = require('./cron/scheduler');
+const { ensureEmployeeIdIndex } = require('./services/employeeIdService');
 const { isSetupCompleted, markSetupCompleted, SETUP_CONFIG_FILE } = require('./config/config');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const ssoRoutes = require('./routes/sso');
+const impersonationRoutes = require('./routes/impersonation');
+const invitationRoutes = require('./routes/invitations');
+const roleRoutes = require('./routes/roles');
+const apiKeyRoutes = require('./routes/apiKeys');
 const employeeRoutes = require('./routes/employees');
+const offboardingRoutes = require('./routes/offboarding');
+const employeeImportRoutes = require('./routes/employeeImport');
+const hierarchyRoutes = require('./routes/hierarchy');
+const employmentHistoryRoutes = require('./routes/employmentHistory');
+const profileChangeRoutes = require('./routes/profileChanges');
+const probationRoutes = require('./routes/probation');
+const masterDataRoutes = require('./routes/masterData');
+const customFieldRoutes = require('./routes/customFields');
 const leaveRoutes = require('./routes/leaves');
+const leaveApprovalChainRoutes = require('./routes/leaveApprovalChains');
 const organizationRoutes = require('./routes/organizations');
 const dashboardRoutes = require('./routes/dashboard');
 const payrollRoutes = require('./routes/payroll');
@@ -27,6 +44,8 @@ const passwordResetRouter = require('./routes/passwordReset');
 const attendanceRouter = require('./routes/attendance');
 const reimbursementRoutes = require('./routes/Reimbursements');
 const compOffRoutes = require('./routes/compoffRoutes');
+const approvalDelegationRoutes = require('./routes/approvalDelegations');
+const approvalEscalationRoutes = require('./routes/approvalEscalations');
 const leaveCreditRoutes = require('./routes/leaveCredit');
 
 
@@ -41,7 +60,7 @@ const app = express();
 app.use(cors({
   origin: "*",
   methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"]
+  allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"]
 }));
 
 app.use(express.json({ limit: '50mb' }));
@@ -112,9 +131,24 @@ app.get('/', (req, res) => {
 
 // Protected routes (require database connection)
 app.use('/api/auth', authRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/sso', ssoRoutes);
+app.use('/api/auth/impersonation', impersonationRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/employees', offboardingRoutes);
+app.use('/api/employees', employeeImportRoutes);
+app.use('/api/employees', profileChangeRoutes);
+app.use('/api/employees', probationRoutes);
+app.use('/api/employees', hierarchyRoutes);
+app.use('/api/employees', employmentHistoryRoutes);
 app.use('/api/employees', employeeRoutes);
+app.use('/api/leaves/approval-chains', leaveApprovalChainRoutes);
 app.use('/api/leaves', leaveRoutes);
 app.use('/api/organizations', organizationRoutes);
+app.use('/api', masterDataRoutes); // Departments, designations and /master-data/migrate
+app.use('/api/custom-fields', customFieldRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api', payrollRoutes); // Payroll handles /comp-off, /salary-template, /salary-structure, /payroll
 app.use('/api', leaveRoutes); // Leave also handles /leave-policy
@@ -126,6 +160,8 @@ app.use('/api/password-reset', passwordResetRouter);
 app.use('/api/attendance', attendanceRouter);
 app.use('/api/reimbursements', reimbursementRoutes);
 app.use('/api/comp-off', compOffRoutes);
+app.use('/api/approval-delegations', approvalDelegationRoutes);
+app.use('/api/approval-escalation', approvalEscalationRoutes);
 app.use('/api/admin/leave-credit', leaveCreditRoutes);
 
 
@@ -164,6 +200,12 @@ async function startServer() {
     try {
       await connectDB(mongoUrl, dbName);
       console.log('\x1b[32m[DATABASE] Connected to MongoDB\x1b[0m');
+
+      // Duplicate employee IDs are rejected by the database
+      await ensureEmployeeIdIndex(getDB());
+
+      // Effective-dated job changes and last-working-day deactivation
+      setupDailyJobs(getDB());
     } catch (error) {
       console.error('\x1b[31m[DATABASE] Failed to connect to MongoDB:\x1b[0m', error.message);
     }
@@ -0,0 +1,137 @@
+/**
+ * API Key Service
+ * Admin-issued keys for service-to-service integrations (payroll vendor,
+ * dashboards...). Keys are stored hashed in the `api_keys` collection and
+ * carry their own permission scope, expiry and optional IP allowlist.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+
+// Raw keys look like hrms_<prefix>_<secret>; the prefix identifies the key in listings
+const API_KEY_PREFIX = 'hrms';
+
+/**
+ * Hash a raw API key for storage / lookup
+ */
+const hashApiKey = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Generate a new raw API key
+ * @returns {{ key: string, keyPrefix: string }}
+ */
+const generateApiKey = () => {
+  const keyPrefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(32).toString('hex');
+  return { key: `${API_KEY_PREFIX}_${keyPrefix}_${secret}`, keyPrefix };
+};
+
+/**
+ * Strip the IPv6 prefix Express reports for IPv4 clients (::ffff:10.0.0.1)
+ */
+const normalizeIp = (ip) => String(ip || '').replace(/^::ffff:/, '');
+
+/**
+ * Whether an allowlist entry is a valid IP address or IPv4 CIDR range
+ */
+function isValidAllowlistEntry(entry) {
+  const [address, bits] = entry.split('/');
+  if (bits === undefined) {
+    return net.isIP(address) !== 0;
+  }
+  const prefixLength = Number(bits);
+  return net.isIPv4(address) && Number.isInteger(prefixLength) && prefixLength >= 0 && prefixLength <= 32;
+}
+
+/**
+ * Convert an IPv4 address to an unsigned 32-bit integer
+ */
+const ipv4ToInt = (ip) => ip.split('.').reduce((acc, octet) => ((acc << 8) + parseInt(octet, 10)) >>> 0, 0);
+
+/**
+ * Whether an IP is allowed by the key's allowlist (an empty list allows any IP)
+ */
+function isIpAllowed(allowlist, ip) {
+  if (!allowlist || allowlist.length === 0) {
+    return true;
+  }
+
+  const clientIp = normalizeIp(ip);
+
+  return allowlist.some(entry => {
+    const [address, bits] = entry.split('/');
+    if (bits === undefined) {
+      return normalizeIp(address) === clientIp;
+    }
+    if (!net.isIPv4(clientIp)) {
+      return false;
+    }
+    const prefixLength = Number(bits);
+    const mask = prefixLength === 0 ? 0 : (~0 << (32 - prefixLength)) >>> 0;
+    return (ipv4ToInt(clientIp) & mask) === (ipv4ToInt(address) & mask);
+  });
+}
+
+/**
+ * Strip secrets from a key document before returning it
+ */
+function formatApiKey(apiKey) {
+  const { key_hash, ...rest } = apiKey;
+  const expired = !rest.revoked_at && rest.expires_at && new Date() > new Date(rest.expires_at);
+  return {
+    ...rest,
+    status: rest.revoked_at ? 'revoked' : (expired ? 'expired' : 'active')
+  };
+}
+
+/**
+ * Resolve a raw API key to the request principal
+ * @returns {{ user: Object }|{ error: string }}
+ */
+async function authenticateApiKey(db, rawKey, ip) {
+  const apiKey = await db.collection('api_keys').findOne(
+    { key_hash: hashApiKey(rawKey) },
+    { projection: { _id: 0 } }
+  );
+
+  if (!apiKey || apiKey.revoked_at) {
+    return { error: 'Invalid API key' };
+  }
+  if (apiKey.expires_at && new Date() > new Date(apiKey.expires_at)) {
+    return { error: 'API key has expired' };
+  }
+  if (!isIpAllowed(apiKey.ip_allowlist, ip)) {
+    return { error: 'API key is not allowed from this IP address' };
+  }
+
+  await db.collection('api_keys').updateOne(
+    { id: apiKey.id },
+    { $set: { last_used_at: new Date(), last_used_ip: normalizeIp(ip) } }
+  );
+
+  return {
+    user: {
+      id: apiKey.id,
+      employee_id: null,
+      full_name: apiKey.name,
+      // Synthetic identity - never matches a real user or employee record
+      email: `api-key:${apiKey.id}`,
+      role: null,
+      permissions: apiKey.permissions,
+      api_key_id: apiKey.id,
+      session_id: null,
+      password_change_required: false
+    }
+  };
+}
+
+module.exports = {
+  hashApiKey,
+  generateApiKey,
+  isValidAllowlistEntry,
+  isIpAllowed,
+  formatApiKey,
+  authenticateApiKey
+};
@@ -0,0 +1,210 @@
+/**
+ * Custom Field Service
+ * Admin-defined employee profile fields (blood group, T-shirt size, PAN...).
+ * Definitions live in `custom_fields`; values are stored on the employee
+ * under `custom_fields.<key>`. Each field has a visibility and an edit level
+ * (self < manager < admin) compared with the caller's access to the employee.
+ */
+
+const { CustomFieldType, CustomFieldAccess } = require('../models/schemas');
+const { Permission } = require('../models/permissions');
+const { hasPermission } = require('../middleware/roleCheck');
+const { toDateString } = require('./offboardingService');
+const { isInTeam } = require('./hierarchyService');
+
+const ACCESS_RANK = {
+  [CustomFieldAccess.SELF]: 1,
+  [CustomFieldAccess.MANAGER]: 2,
+  [CustomFieldAccess.ADMIN]: 3
+};
+
+const MAX_TEXT_LENGTH = 1000;
+
+/**
+ * Field definitions in display order
+ */
+async function getFieldDefinitions(db, { includeInactive = false } = {}) {
+  return db.collection('custom_fields')
+    .find(includeInactive ? {} : { is_active: true }, { projection: { _id: 0 } })
+    .sort({ order: 1, label: 1 })
+    .toArray();
+}
+
+/**
+ * The caller's access level to an employee record
+ * HR (employee.update) = admin, company-wide viewers and managers above the employee = manager,
+ * the employee themselves = self
+ * @param {Object} options - { inTeam } when the caller is known to be above the employee
+ * @returns {string|null}
+ */
+function getAccessLevel(user, employee, { inTeam = false } = {}) {
+  if (hasPermission(user, Permission.EMPLOYEE_UPDATE)) return CustomFieldAccess.ADMIN;
+
+  const isSelf = employee.email === user.email;
+  if (!isSelf && (inTeam || hasPermission(user, Permission.EMPLOYEE_VIEW_ALL))) return CustomFieldAccess.MANAGER;
+
+  return isSelf ? CustomFieldAccess.SELF : null;
+}
+
+/**
+ * getAccessLevel with the reporting line looked up
+ */
+async function resolveAccessLevel(db, user, employee) {
+  const inTeam = employee.email !== user.email &&
+    hasPermission(user, Permission.EMPLOYEE_VIEW_TEAM) &&
+    await isInTeam(db, user.email, employee.email);
+  return getAccessLevel(user, employee, { inTeam });
+}
+
+/**
+ * Whether an access level reaches a field's visibility / edit level
+ */
+const canAccess = (level, required) => !!level && ACCESS_RANK[level] >= ACCESS_RANK[required];
+
+/**
+ * Whether a field's edit level is at least as strict as its visibility
+ * (nobody may edit a value they cannot see)
+ */
+const isValidAccessPair = (visibility, editableBy) => ACCESS_RANK[editableBy] >= ACCESS_RANK[visibility];
+
+/**
+ * Only the custom field values the access level may see (inactive fields are hidden)
+ */
+function filterCustomFields(definitions, values, level) {
+  const visible = {};
+  for (const def of definitions) {
+    if (def.is_active && canAccess(level, def.visibility) && values && values[def.key] !== undefined) {
+      visible[def.key] = values[def.key];
+    }
+  }
+  return visible;
+}
+
+/**
+ * Employee document with custom_fields reduced to what the access level may see
+ */
+function applyCustomFieldVisibility(employee, definitions, level) {
+  return { ...employee, custom_fields: filterCustomFields(definitions, employee.custom_fields, level) };
+}
+
+/**
+ * Convert an input value to the field type
+ * @returns {{ value: * } | { error: string }}
+ */
+function coerceValue(def, raw) {
+  switch (def.type) {
+    case CustomFieldType.TEXT: {
+      const value = String(raw).trim();
+      return value.length > MAX_TEXT_LENGTH
+        ? { error: `${def.label} must be at most ${MAX_TEXT_LENGTH} characters` }
+        : { value };
+    }
+    case CustomFieldType.NUMBER: {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      return Number.isFinite(value) ? { value } : { error: `${def.label} must be a number` };
+    }
+    case CustomFieldType.DATE: {
+      const date = new Date(raw);
+      return isNaN(date) ? { error: `${def.label} must be a date (YYYY-MM-DD)` } : { value: toDateString(date) };
+    }
+    case CustomFieldType.ENUM: {
+      const option = def.options.find(opt => opt.toLowerCase() === String(raw).trim().toLowerCase());
+      return option ? { value: option } : { error: `${def.label} must be one of: ${def.options.join(', ')}` };
+    }
+    default:
+      return { error: `${def.label} cannot be set here` };
+  }
+}
+
+/**
+ * Validate custom field input for an employee
+ * @param {Object[]} definitions - Active field definitions
+ * @param {Object} input - { key: value } (null or '' clears a value)
+ * @param {Object} options - { level: caller's access level, isNew: enforce required fields }
+ * @returns {{ values: Object, errors: Object[], forbidden: string[] }}
+ *   errors use the validate() middleware shape ({ field, message })
+ */
+function validateCustomFieldValues(definitions, input = {}, { level, isNew = false }) {
+  const byKey = new Map(definitions.filter(def => def.is_active).map(def => [def.key, def]));
+  const values = {};
+  const errors = [];
+  const forbidden = [];
+
+  for (const [key, raw] of Object.entries(input)) {
+    const def = byKey.get(key);
+    const field = `custom_fields.${key}`;
+
+    if (!def) {
+      errors.push({ field, message: `Unknown custom field: ${key}` });
+      continue;
+    }
+    if (!canAccess(level, def.editable_by)) {
+      forbidden.push(def.label);
+      continue;
+    }
+    if (def.type === CustomFieldType.FILE) {
+      errors.push({ field, message: `${def.label} is a file - upload it to /api/uploads/employee/:employeeId/custom-fields/${key}` });
+      continue;
+    }
+
+    if (raw === null || raw === undefined || raw === '') {
+      if (def.required) {
+        errors.push({ field, message: `${def.label} is required` });
+      } else {
+        values[key] = null;
+      }
+      continue;
+    }
+
+    const { value, error } = coerceValue(def, raw);
+    if (error) {
+      errors.push({ field, message: error });
+    } else {
+      values[key] = value;
+    }
+  }
+
+  // Files are uploaded after the employee exists, so they are not required up front
+  if (isNew) {
+    for (const def of byKey.values()) {
+      if (def.required && def.type !== CustomFieldType.FILE && !(def.key in input)) {
+        errors.push({ field: `custom_fields.${def.key}`, message: `${def.label} is required` });
+      }
+    }
+  }
+
+  return { values, errors, forbidden };
+}
+
+/**
+ * Flatten values into a $set update (custom_fields.<key>)
+ */
+function toCustomFieldUpdate(values) {
+  const update = {};
+  for (const [key, value] of Object.entries(values)) {
+    update[`custom_fields.${key}`] = value;
+  }
+  return update;
+}
+
+/**
+ * Spreadsheet cell for a custom field value
+ */
+function formatCustomFieldValue(def, value) {
+  if (value === null || value === undefined) return '';
+  if (def.type === CustomFieldType.FILE) return value.file_name || value.url || '';
+  return value;
+}
+
+module.exports = {
+  getFieldDefinitions,
+  getAccessLevel,
+  resolveAccessLevel,
+  canAccess,
+  isValidAccessPair,
+  filterCustomFields,
+  applyCustomFieldVisibility,
+  validateCustomFieldValues,
+  toCustomFieldUpdate,
+  formatCustomFieldValue
+};
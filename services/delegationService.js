@@ -0,0 +1,285 @@
+/**
+ * Delegation Service
+ * An approver can hand their leave and comp-off approvals to a delegate for a
+ * date range (`approval_delegations`). While a delegation is active the
+ * delegate sees the delegator's queue and their decisions are recorded as made
+ * on the delegator's behalf. Delegations are not passed on: a delegate covers
+ * the delegator's own queue, not the queues delegated to the delegator, and
+ * only while the delegator's role can approve that kind of request.
+ * When a manager's own leave is approved, their queue is delegated for the
+ * leave dates to their default delegate, or else to their manager.
+ */
+
+const { UserRole, LeaveStatus, DelegationScope, DelegationSource } = require('../models/schemas');
+const { Permission } = require('../models/permissions');
+const { generateUUID } = require('../utils/helpers');
+const { sendEmailNotification } = require('./emailService');
+const { generateApprovalDelegationEmail } = require('../utils/emailTemplates');
+const { ACTIVE_EMPLOYEE_FILTER } = require('./offboardingService');
+const { toLocalDateKey } = require('./leaveDayService');
+const { getTeamEmails } = require('./hierarchyService');
+const { getRolePermissions } = require('./roleService');
+
+const SCOPE_LABELS = {
+  [DelegationScope.LEAVE]: 'leave',
+  [DelegationScope.COMP_OFF]: 'comp-off'
+};
+
+// Permission the delegator must hold for a delegation of the scope to count
+const SCOPE_PERMISSIONS = {
+  [DelegationScope.LEAVE]: Permission.LEAVE_APPROVE,
+  [DelegationScope.COMP_OFF]: Permission.COMPOFF_APPROVE
+};
+
+/**
+ * Delegations in force on a YYYY-MM-DD date
+ */
+const activeOn = (dateKey) => ({
+  revoked_at: null,
+  start_date: { $lte: dateKey },
+  end_date: { $gte: dateKey }
+});
+
+/**
+ * e.g. "leave and comp-off approvals"
+ */
+const describeScopes = (scopes) => `${scopes.map(scope => SCOPE_LABELS[scope]).join(' and ')} approvals`;
+
+/**
+ * Line recorded with a decision, e.g. "Approved by Asha on behalf of Ravi"
+ * @param {Object|null} onBehalfOf - { email, name } of the delegator, or null
+ */
+function describeDecision(action, actorName, onBehalfOf = null) {
+  const verb = action === 'approve' ? 'Approved' : 'Rejected';
+  return onBehalfOf
+    ? `${verb} by ${actorName} on behalf of ${onBehalfOf.name || onBehalfOf.email}`
+    : `${verb} by ${actorName}`;
+}
+
+/**
+ * Scopes an employee may delegate - those their role can approve
+ * @param {Object} employee - Needs `role`
+ */
+async function getDelegableScopes(db, employee) {
+  const permissions = await getRolePermissions(db, employee.role);
+  return Object.values(DelegationScope).filter(scope => permissions.includes(SCOPE_PERMISSIONS[scope]));
+}
+
+/**
+ * People a user is currently standing in for
+ * Delegators who are no longer active, or whose role can no longer approve the scope, are left out
+ * @returns {Object[]} - [{ email, name, delegation_id }]
+ */
+async function getDelegators(db, delegateEmail, scope, date = new Date()) {
+  const delegations = await db.collection('approval_delegations')
+    .find(
+      { ...activeOn(toLocalDateKey(date)), delegate_email: delegateEmail, scopes: scope },
+      { projection: { _id: 0, id: 1, delegator_email: 1, delegator_name: 1 } }
+    )
+    .toArray();
+  if (delegations.length === 0) return [];
+
+  const employees = await db.collection('employees')
+    .find(
+      { ...ACTIVE_EMPLOYEE_FILTER, email: { $in: delegations.map(delegation => delegation.delegator_email) } },
+      { projection: { _id: 0, email: 1, role: 1 } }
+    )
+    .toArray();
+
+  const rolePermissions = new Map();
+  const delegators = new Map();
+  for (const delegation of delegations) {
+    if (delegation.delegator_email === delegateEmail || delegators.has(delegation.delegator_email)) continue;
+
+    const employee = employees.find(e => e.email === delegation.delegator_email);
+    if (!employee) continue;
+    if (!rolePermissions.has(employee.role)) {
+      rolePermissions.set(employee.role, await getRolePermissions(db, employee.role));
+    }
+    if (!rolePermissions.get(employee.role).includes(SCOPE_PERMISSIONS[scope])) continue;
+
+    delegators.set(delegation.delegator_email, {
+      email: delegation.delegator_email,
+      name: delegation.delegator_name,
+      delegation_id: delegation.id
+    });
+  }
+  return [...delegators.values()];
+}
+
+/**
+ * The delegator (if any) whose team an employee is in, for a delegate acting on team requests
+ * @returns {Object|null} - { email, name, delegation_id }
+ */
+async function findDelegatorForTeamMember(db, delegateEmail, employeeEmail, scope) {
+  for (const delegator of await getDelegators(db, delegateEmail, scope)) {
+    if ((await getTeamEmails(db, delegator.email)).includes(employeeEmail)) {
+      return delegator;
+    }
+  }
+  return null;
+}
+
+/**
+ * An unrevoked delegation of the delegator overlapping the dates and any of the scopes
+ */
+async function findOverlappingDelegation(db, delegatorEmail, startDate, endDate, scopes, excludeId = null) {
+  const query = {
+    delegator_email: delegatorEmail,
+    revoked_at: null,
+    start_date: { $lte: endDate },
+    end_date: { $gte: startDate },
+    scopes: { $in: scopes }
+  };
+  if (excludeId) query.id = { $ne: excludeId };
+
+  return db.collection('approval_delegations').findOne(query, { projection: { _id: 0 } });
+}
+
+/**
+ * Save a delegation and tell the delegate
+ * @param {Object} delegation - { delegator, delegate (employees), start_date, end_date (YYYY-MM-DD), scopes, reason, source, leave_id }
+ */
+async function createDelegation(db, { delegator, delegate, start_date: startDate, end_date: endDate, scopes, reason, source, leave_id: leaveId }, createdBy) {
+  const delegation = {
+    id: generateUUID(),
+    delegator_email: delegator.email,
+    delegator_name: delegator.full_name,
+    delegate_email: delegate.email,
+    delegate_name: delegate.full_name,
+    start_date: startDate,
+    end_date: endDate,
+    scopes,
+    reason: reason || null,
+    source,
+    leave_id: leaveId || null,
+    created_by: createdBy,
+    created_at: new Date(),
+    revoked_at: null,
+    revoked_by: null
+  };
+
+  await db.collection('approval_delegations').insertOne(delegation);
+  delete delegation._id;
+
+  try {
+    await sendEmailNotification(
+      delegate.email,
+      `Approvals delegated to you by ${delegator.full_name}`,
+      generateApprovalDelegationEmail(delegate.full_name, delegator.full_name, startDate, endDate, describeScopes(scopes), reason)
+    );
+  } catch (emailError) {
+    console.error('Failed to send delegation email:', emailError.message);
+  }
+
+  return delegation;
+}
+
+/**
+ * Revoke the delegation created for a leave
+ */
+async function revokeLeaveDelegation(db, leaveId, revokedBy) {
+  await db.collection('approval_delegations').updateMany(
+    { leave_id: leaveId, source: DelegationSource.LEAVE, revoked_at: null },
+    { $set: { revoked_at: new Date(), revoked_by: revokedBy } }
+  );
+}
+
+/**
+ * Keep the automatic delegation of a leave in line with it: created when a
+ * manager's leave is approved, moved with its dates, revoked once it is no
+ * longer approved. It covers the scopes the manager's role can approve. Nothing
+ * is created when the manager already delegated those dates themselves, has no
+ * direct reports, approves nothing, or has nobody to delegate to, nor
+ * once the leave's delegation has been revoked.
+ * @returns {Object|null} - The delegation in force for the leave
+ */
+async function syncLeaveDelegation(db, leave, actorEmail) {
+  const keys = (leave.dates || []).map(toLocalDateKey).sort();
+  if (leave.status !== LeaveStatus.APPROVED || keys.length === 0) {
+    await revokeLeaveDelegation(db, leave.id, actorEmail);
+    return null;
+  }
+
+  const range = { start_date: keys[0], end_date: keys[keys.length - 1] };
+  const existing = await db.collection('approval_delegations').findOne(
+    { leave_id: leave.id, source: DelegationSource.LEAVE },
+    { projection: { _id: 0 }, sort: { created_at: -1 } }
+  );
+  if (existing && existing.revoked_at) return null;  // Revoked by hand - not recreated
+  if (existing) {
+    if (existing.start_date !== range.start_date || existing.end_date !== range.end_date) {
+      await db.collection('approval_delegations').updateOne({ id: existing.id }, { $set: { ...range, updated_at: new Date() } });
+    }
+    return { ...existing, ...range };
+  }
+
+  const hasReports = await db.collection('employees').countDocuments(
+    { ...ACTIVE_EMPLOYEE_FILTER, manager_email: leave.employee_email },
+    { limit: 1 }
+  );
+  if (!hasReports) return null;
+
+  const delegator = await db.collection('employees').findOne(
+    { email: leave.employee_email },
+    { projection: { _id: 0, email: 1, full_name: 1, role: 1, manager_email: 1, approval_delegate_email: 1 } }
+  );
+  const delegateEmail = delegator && (delegator.approval_delegate_email || delegator.manager_email);
+  if (!delegateEmail || delegateEmail === delegator.email) return null;
+
+  const scopes = await getDelegableScopes(db, delegator);
+  if (scopes.length === 0) return null;
+  if (await findOverlappingDelegation(db, leave.employee_email, range.start_date, range.end_date, scopes)) {
+    return null;
+  }
+
+  const delegate = await db.collection('employees').findOne(
+    { ...ACTIVE_EMPLOYEE_FILTER, email: delegateEmail },
+    { projection: { _id: 0, email: 1, full_name: 1 } }
+  );
+  if (!delegate) return null;
+
+  return createDelegation(db, {
+    delegator,
+    delegate,
+    ...range,
+    scopes,
+    reason: `On ${leave.leave_type}`,
+    source: DelegationSource.LEAVE,
+    leave_id: leave.id
+  }, actorEmail);
+}
+
+/**
+ * Move pending comp-off requests waiting on one approver to another
+ * Requests from the approver's team (employees), or already assigned to them, are assigned to the new approver
+ * @returns {number} - Requests moved
+ */
+async function reassignCompOffRequests(db, fromEmail, toEmail) {
+  const team = await getTeamEmails(db, fromEmail);
+  const result = await db.collection('comp_off_requests').updateMany(
+    {
+      status: 'pending',
+      employee_email: { $ne: toEmail },
+      $or: [
+        { assigned_approver_email: fromEmail },
+        { assigned_approver_email: null, employee_role: UserRole.EMPLOYEE, employee_email: { $in: team } }
+      ]
+    },
+    { $set: { assigned_approver_email: toEmail, reassigned_from: fromEmail, updated_at: new Date() } }
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  describeScopes,
+  describeDecision,
+  getDelegableScopes,
+  getDelegators,
+  findDelegatorForTeamMember,
+  findOverlappingDelegation,
+  createDelegation,
+  revokeLeaveDelegation,
+  syncLeaveDelegation,
+  reassignCompOffRequests
+};
@@ -0,0 +1,201 @@
+/**
+ * Employee Directory Service
+ * Filtered, sorted and paginated employee listing shared by
+ * GET /api/employees and the XLSX / CSV directory export
+ */
+
+const ExcelJS = require('exceljs');
+const { EmployeeStatus } = require('../models/schemas');
+const { ACTIVE_EMPLOYEE_FILTER } = require('./offboardingService');
+const { formatCustomFieldValue } = require('./customFieldService');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_EXPORT_ROWS = 10000;
+
+// ?sort= accepts these (prefix with - for descending)
+const SORT_FIELDS = ['full_name', 'employee_id', 'email', 'department', 'designation', 'joining_date', 'created_at'];
+
+const EXPORT_COLUMNS = [
+  { header: 'Employee ID', key: 'employee_id', width: 14 },
+  { header: 'Full Name', key: 'full_name', width: 25 },
+  { header: 'Email', key: 'email', width: 30 },
+  { header: 'Phone', key: 'phone', width: 16 },
+  { header: 'Department', key: 'department', width: 18 },
+  { header: 'Designation', key: 'designation', width: 22 },
+  { header: 'Role', key: 'role', width: 14 },
+  { header: 'Organization', key: 'organization_name', width: 22 },
+  { header: 'Manager', key: 'manager_name', width: 22 },
+  { header: 'Manager Email', key: 'manager_email', width: 30 },
+  { header: 'Joining Date', key: 'joining_date', width: 14 },
+  { header: 'Status', key: 'status', width: 10 }
+];
+
+/**
+ * Escape user input for use inside a regular expression
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Comma-separated query value -> exact match or $in
+ */
+const toMatch = (value) => {
+  const values = String(value).split(',').map(v => v.trim()).filter(Boolean);
+  return values.length === 1 ? values[0] : { $in: values };
+};
+
+/**
+ * Build the employees query from request params
+ * Supports search (name, email, employee ID), department, designation,
+ * organization_id, manager_email, role, status and joined_from / joined_to
+ * @param {Object} teamScope - Extra filter for users limited to their team (or null)
+ */
+function buildDirectoryQuery(params, teamScope = null) {
+  const conditions = [];
+
+  if (teamScope) {
+    conditions.push(teamScope);
+  }
+
+  // Former employees are kept but hidden unless asked for
+  const status = params.status || EmployeeStatus.ACTIVE;
+  if (status === EmployeeStatus.INACTIVE) {
+    conditions.push({ status: EmployeeStatus.INACTIVE });
+  } else if (status !== 'all') {
+    conditions.push(ACTIVE_EMPLOYEE_FILTER);
+  }
+
+  if (params.search && String(params.search).trim()) {
+    const pattern = new RegExp(escapeRegex(String(params.search).trim()), 'i');
+    conditions.push({
+      $or: [
+        { full_name: pattern },
+        { email: pattern },
+        { employee_id: pattern }
+      ]
+    });
+  }
+
+  if (params.department) conditions.push({ department: toMatch(params.department) });
+  if (params.designation) conditions.push({ designation: toMatch(params.designation) });
+  if (params.organization_id) conditions.push({ organization_id: toMatch(params.organization_id) });
+  if (params.manager_email) conditions.push({ manager_email: toMatch(String(params.manager_email).toLowerCase()) });
+  if (params.role) conditions.push({ role: toMatch(params.role) });
+
+  // Invalid dates are ignored
+  const joinedFrom = params.joined_from ? new Date(params.joined_from) : null;
+  const joinedTo = params.joined_to ? new Date(params.joined_to) : null;
+  const joiningDate = {};
+  if (joinedFrom && !isNaN(joinedFrom)) joiningDate.$gte = joinedFrom;
+  if (joinedTo && !isNaN(joinedTo)) joiningDate.$lte = joinedTo;
+  if (Object.keys(joiningDate).length > 0) {
+    conditions.push({ joining_date: joiningDate });
+  }
+
+  if (conditions.length === 0) return {};
+  if (conditions.length === 1) return conditions[0];
+  return { $and: conditions };
+}
+
+/**
+ * ?sort=-joining_date -> { joining_date: -1, employee_id: 1 }
+ * employee_id is always the tie-breaker so pages are stable
+ */
+function buildDirectorySort(sortParam) {
+  const sortValue = String(sortParam || 'employee_id');
+  const direction = sortValue.startsWith('-') ? -1 : 1;
+  const field = sortValue.replace(/^-/, '');
+
+  if (!SORT_FIELDS.includes(field)) {
+    return { employee_id: 1 };
+  }
+
+  return field === 'employee_id' ? { employee_id: direction } : { [field]: direction, employee_id: 1 };
+}
+
+/**
+ * Page / limit from query params (limit capped at MAX_PAGE_SIZE)
+ */
+function getPagination({ page, limit }) {
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page: pageNumber, limit: pageSize, skip: (pageNumber - 1) * pageSize };
+}
+
+/**
+ * Normalize dates, set id to employee_id for the frontend and make sure comp_off exists
+ */
+function normalizeEmployee(emp) {
+  if (typeof emp.joining_date === 'string') {
+    emp.joining_date = new Date(emp.joining_date);
+  }
+  if (typeof emp.created_at === 'string') {
+    emp.created_at = new Date(emp.created_at);
+  }
+  emp.id = emp.employee_id;
+
+  if (emp.leave_balance && !('comp_off' in emp.leave_balance)) {
+    emp.leave_balance.comp_off = 0;
+  }
+
+  return emp;
+}
+
+/**
+ * Stop spreadsheet apps from running cell text as a formula (phone numbers stay as they are)
+ */
+const sanitizeCell = (value) => {
+  if (typeof value !== 'string') return value;
+  return /^[=@]|^[+-](?![\d\s()-]+$)/.test(value) ? `'${value}` : value;
+};
+
+/**
+ * Build the directory export workbook
+ * @param {Object[]} customFields - Custom field definitions to add as columns (after the standard ones)
+ */
+function buildDirectoryWorkbook(employees, customFields = []) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'HRMS System';
+  workbook.created = new Date();
+
+  const worksheet = workbook.addWorksheet('Employees', {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+  worksheet.columns = [
+    ...EXPORT_COLUMNS,
+    ...customFields.map(def => ({ header: def.label, key: `custom_${def.key}`, width: 18 }))
+  ];
+
+  for (const emp of employees) {
+    const joiningDate = emp.joining_date ? new Date(emp.joining_date) : null;
+    const row = {};
+    for (const { key } of EXPORT_COLUMNS) {
+      row[key] = sanitizeCell(emp[key]);
+    }
+    for (const def of customFields) {
+      row[`custom_${def.key}`] = sanitizeCell(formatCustomFieldValue(def, (emp.custom_fields || {})[def.key]));
+    }
+    worksheet.addRow({
+      ...row,
+      joining_date: joiningDate && !isNaN(joiningDate) ? joiningDate.toISOString().slice(0, 10) : '',
+      status: emp.status || EmployeeStatus.ACTIVE
+    });
+  }
+
+  const headerRow = worksheet.getRow(1);
+  headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1E293B' } };
+  headerRow.alignment = { horizontal: 'center', vertical: 'middle' };
+
+  return workbook;
+}
+
+module.exports = {
+  MAX_EXPORT_ROWS,
+  SORT_FIELDS,
+  buildDirectoryQuery,
+  buildDirectorySort,
+  getPagination,
+  normalizeEmployee,
+  buildDirectoryWorkbook
+};
@@ -0,0 +1,241 @@
+/**
+ * Employee ID Service
+ * Employee IDs come from atomic counter documents (`counters`, keyed by
+ * _id) and a configurable format, e.g. `{PREFIX}{SEQ:4}` (EMP1001) or
+ * `{ORG}-{YYYY}-{SEQ:5}` (ACME-2026-00001). Each combination of organization
+ * prefix / year used by the format has its own sequence. A unique index on
+ * employees.employee_id is the last line of defence against duplicates.
+ */
+
+const DEFAULT_PREFIX = 'EMP';
+const DEFAULT_FORMAT = '{PREFIX}{SEQ:4}';
+const DEFAULT_COUNTER = 1000;          // Last issued number of the company-wide sequence
+const COUNTER_PREFIX = 'employee_id';  // counters._id = employee_id[:<org prefix>][:<year>]
+const MAX_ATTEMPTS = 10;
+
+const TOKEN_PATTERN = /\{(PREFIX|ORG|YYYY|YY|SEQ(?::(\d+))?)\}/g;
+
+/**
+ * Check an ID format
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateIdFormat(format) {
+  const sequences = format.match(/\{SEQ(?::\d+)?\}/g) || [];
+  if (sequences.length !== 1) {
+    return 'Format must contain exactly one {SEQ} or {SEQ:n} token';
+  }
+
+  const literal = format.replace(TOKEN_PATTERN, '');
+  if (/[{}]/.test(literal)) {
+    return 'Unknown token - use {PREFIX}, {ORG}, {YYYY}, {YY} and {SEQ:n}';
+  }
+  if (!/^[A-Za-z0-9\-_/.]*$/.test(literal)) {
+    return 'Only letters, digits, "-", "_", "/" and "." are allowed between tokens';
+  }
+
+  const width = format.match(/\{SEQ:(\d+)\}/);
+  if (width && (Number(width[1]) < 1 || Number(width[1]) > 10)) {
+    return '{SEQ:n} width must be between 1 and 10';
+  }
+  return null;
+}
+
+/**
+ * Prefix, format and per-organization prefixes from the settings document
+ */
+async function getEmployeeIdConfig(db) {
+  const settings = await db.collection('settings').findOne(
+    {},
+    { projection: { _id: 0, employee_id_prefix: 1, employee_id_format: 1, employee_id_counter: 1, employee_id_org_prefixes: 1 } }
+  );
+
+  return {
+    prefix: (settings && settings.employee_id_prefix) || DEFAULT_PREFIX,
+    format: (settings && settings.employee_id_format) || DEFAULT_FORMAT,
+    organization_prefixes: (settings && settings.employee_id_org_prefixes) || {},
+    legacy_counter: settings && settings.employee_id_counter
+  };
+}
+
+/**
+ * Token values for an organization and date
+ * {ORG} is the organization's prefix, falling back to the company prefix
+ */
+function resolveTokens(config, organizationId, date = new Date()) {
+  return {
+    PREFIX: config.prefix,
+    ORG: (organizationId && config.organization_prefixes[organizationId]) || config.prefix,
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2)
+  };
+}
+
+/**
+ * Counter the format draws from - only the tokens it uses split the sequence
+ */
+function getCounterKey(format, tokens) {
+  const parts = [COUNTER_PREFIX];
+  if (format.includes('{ORG}')) parts.push(tokens.ORG);
+  if (format.includes('{YYYY}') || format.includes('{YY}')) parts.push(tokens.YYYY);
+  return parts.join(':');
+}
+
+/**
+ * Render an ID from the format
+ */
+function formatEmployeeId(format, tokens, seq) {
+  return format.replace(TOKEN_PATTERN, (match, token, width) => {
+    if (token.startsWith('SEQ')) return String(seq).padStart(width ? Number(width) : 4, '0');
+    return tokens[token];
+  });
+}
+
+/**
+ * Starting point of a new counter
+ * The company-wide sequence continues from the old settings counter, or the
+ * highest number already issued with the prefix; scoped sequences start at 0
+ */
+async function getCounterBase(db, key, config) {
+  if (key !== COUNTER_PREFIX) return 0;
+
+  let base = config.legacy_counter || DEFAULT_COUNTER;
+  const pattern = new RegExp(`^${config.prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(\\d+)$`);
+  const employees = await db.collection('employees')
+    .find({ employee_id: pattern }, { projection: { _id: 0, employee_id: 1 } })
+    .toArray();
+
+  for (const { employee_id: employeeId } of employees) {
+    base = Math.max(base, parseInt(employeeId.match(pattern)[1], 10));
+  }
+  return base;
+}
+
+/**
+ * Last issued number of a counter, without changing it
+ */
+async function peekCounter(db, key, config) {
+  const counter = await db.collection('counters').findOne({ _id: key });
+  return counter ? counter.seq : getCounterBase(db, key, config);
+}
+
+/**
+ * Atomically take `count` numbers from a counter
+ * @returns {number} - The last number taken
+ */
+async function incrementCounter(db, key, count, config) {
+  const existing = await db.collection('counters').findOne({ _id: key }, { projection: { _id: 1 } });
+  if (!existing) {
+    const base = await getCounterBase(db, key, config);
+    try {
+      await db.collection('counters').insertOne({ _id: key, seq: base, created_at: new Date() });
+    } catch (error) {
+      if (error.code !== 11000) throw error;  // Created by a concurrent request
+    }
+  }
+
+  const counter = await db.collection('counters').findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: count }, $set: { updated_at: new Date() } },
+    { returnDocument: 'after' }
+  );
+  return counter.seq;
+}
+
+/**
+ * Reserve a block of employee IDs for one organization
+ * Numbers whose ID is already taken (IDs issued before the counter existed) are skipped
+ * @param {Object} options - { organizationId, date }
+ * @returns {string[]}
+ */
+async function reserveEmployeeIds(db, count, { organizationId = null, date = new Date() } = {}) {
+  const config = await getEmployeeIdConfig(db);
+  const tokens = resolveTokens(config, organizationId, date);
+  const key = getCounterKey(config.format, tokens);
+  const ids = [];
+
+  for (let attempt = 0; ids.length < count; attempt++) {
+    if (attempt === MAX_ATTEMPTS) {
+      throw new Error('Could not reserve unused employee IDs - check the employee ID counter');
+    }
+
+    const needed = count - ids.length;
+    const last = await incrementCounter(db, key, needed, config);
+    const candidates = Array.from({ length: needed }, (_, index) => formatEmployeeId(config.format, tokens, last - needed + 1 + index));
+
+    const taken = await db.collection('employees')
+      .find({ employee_id: { $in: candidates } }, { projection: { _id: 0, employee_id: 1 } })
+      .toArray();
+    const takenIds = new Set(taken.map(employee => employee.employee_id));
+    ids.push(...candidates.filter(id => !takenIds.has(id)));
+  }
+
+  return ids;
+}
+
+/**
+ * Reserve one employee ID
+ */
+async function generateEmployeeId(db, options = {}) {
+  const [employeeId] = await reserveEmployeeIds(db, 1, options);
+  return employeeId;
+}
+
+/**
+ * The ID the next employee would get (nothing is reserved)
+ * @param {Object} options - { organizationId, format (preview an unsaved format) }
+ */
+async function previewEmployeeId(db, { organizationId = null, format } = {}) {
+  const config = await getEmployeeIdConfig(db);
+  if (format) config.format = format;
+
+  const tokens = resolveTokens(config, organizationId);
+  const key = getCounterKey(config.format, tokens);
+  const last = await peekCounter(db, key, config);
+
+  return {
+    next_id: formatEmployeeId(config.format, tokens, last + 1),
+    format: config.format,
+    counter_key: key,
+    last_issued: last
+  };
+}
+
+/**
+ * Set the last issued number of the company-wide sequence
+ */
+async function setCompanyCounter(db, value) {
+  await db.collection('counters').updateOne(
+    { _id: COUNTER_PREFIX },
+    { $set: { seq: value, updated_at: new Date() } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Unique index on employees.employee_id (fails while duplicates exist -
+ * resolve them with /check-duplicates and /fix-duplicate, then restart)
+ */
+async function ensureEmployeeIdIndex(db) {
+  try {
+    await db.collection('employees').createIndex({ employee_id: 1 }, { unique: true, name: 'employee_id_unique' });
+    return true;
+  } catch (error) {
+    console.error('[EmployeeID] Could not create unique index on employee_id:', error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  DEFAULT_PREFIX,
+  DEFAULT_FORMAT,
+  COUNTER_PREFIX,
+  validateIdFormat,
+  getEmployeeIdConfig,
+  formatEmployeeId,
+  reserveEmployeeIds,
+  generateEmployeeId,
+  previewEmployeeId,
+  peekCounter,
+  setCompanyCounter,
+  ensureEmployeeIdIndex
+};
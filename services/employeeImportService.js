@@ -0,0 +1,345 @@
+/**
+ * Employee Import Service
+ * Bulk onboarding from XLSX / CSV: column definitions (shared with the
+ * downloadable template), file parsing and per-row validation against
+ * schemas.employeeCreate
+ */
+
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { schemas } = require('../models/schemas');
+const { getRole, getMissingPermissions } = require('./roleService');
+const { checkNewPassword } = require('./passwordService');
+const { ACTIVE_EMPLOYEE_FILTER } = require('./offboardingService');
+const { loadCatalog, resolveDepartmentAndDesignation } = require('./masterDataService');
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Single source for the template, header matching and the row report
+const IMPORT_COLUMNS = [
+  { key: 'full_name', header: 'Full Name', required: true, width: 25, example: 'Priya Sharma' },
+  { key: 'email', header: 'Email', required: true, width: 30, example: 'priya.sharma@example.com' },
+  { key: 'password', header: 'Temporary Password', required: true, width: 22, example: 'Welcome@2026', note: 'Must satisfy the password policy - changed on first login' },
+  { key: 'role', header: 'Role', required: true, width: 14, example: 'employee', note: 'Built-in or custom role key' },
+  { key: 'department', header: 'Department', required: true, width: 18, example: 'Engineering' },
+  { key: 'designation', header: 'Designation', required: true, width: 22, example: 'Software Engineer' },
+  { key: 'phone', header: 'Phone', required: false, width: 16, example: '+919876543210' },
+  { key: 'joining_date', header: 'Joining Date', required: false, width: 14, example: '2026-01-15', note: 'YYYY-MM-DD, defaults to today' },
+  { key: 'manager_email', header: 'Manager Email', required: false, width: 30, example: 'manager@example.com', note: 'Existing employee or another row in the file' },
+  { key: 'organization', header: 'Organization', required: false, width: 22, example: '', note: 'Organization name or ID' }
+];
+
+const RowStatus = {
+  VALID: 'valid',
+  INVALID: 'invalid'
+};
+
+/**
+ * Normalize a header cell so "Joining Date", "joining_date" and "JOINING DATE" all match
+ */
+const normalizeHeader = (value) => String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+const COLUMN_BY_HEADER = IMPORT_COLUMNS.reduce((map, column) => {
+  map[normalizeHeader(column.key)] = column.key;
+  map[normalizeHeader(column.header)] = column.key;
+  return map;
+}, {});
+
+/**
+ * Plain value of an ExcelJS cell (hyperlinks, rich text and formulas included)
+ */
+function getCellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.text !== undefined) return getCellValue(value.text);
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.result !== undefined) return getCellValue(value.result);
+    return '';
+  }
+  return String(value).trim();
+}
+
+/**
+ * Read the uploaded file into a workbook
+ * @param {Object} file - multer file (buffer, originalname)
+ */
+async function loadWorkbook(file) {
+  const workbook = new ExcelJS.Workbook();
+  const name = (file.originalname || '').toLowerCase();
+
+  if (name.endsWith('.csv')) {
+    // Keep raw text - the default mapper turns phone numbers and IDs into numbers
+    await workbook.csv.read(Readable.from(file.buffer), { map: value => value, parserOptions: { trim: true } });
+  } else if (name.endsWith('.xlsx')) {
+    await workbook.xlsx.load(file.buffer);
+  } else {
+    const error = new Error('Only .xlsx and .csv files are supported');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return workbook;
+}
+
+/**
+ * Parse an import file into row objects keyed by column key
+ * @returns {{ rows: Object[], unknownHeaders: string[], missingHeaders: string[] }}
+ */
+async function parseImportFile(file) {
+  const workbook = await loadWorkbook(file);
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet || worksheet.rowCount === 0) {
+    return { rows: [], unknownHeaders: [], missingHeaders: IMPORT_COLUMNS.filter(c => c.required).map(c => c.header) };
+  }
+
+  const headerMap = {};
+  const unknownHeaders = [];
+  worksheet.getRow(1).eachCell((cell, colNumber) => {
+    const header = getCellValue(cell.value);
+    const key = COLUMN_BY_HEADER[normalizeHeader(header)];
+    if (key) {
+      headerMap[colNumber] = key;
+    } else if (header) {
+      unknownHeaders.push(header);
+    }
+  });
+
+  const presentKeys = Object.values(headerMap);
+  const missingHeaders = IMPORT_COLUMNS
+    .filter(column => column.required && !presentKeys.includes(column.key))
+    .map(column => column.header);
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const data = {};
+    for (const [colNumber, key] of Object.entries(headerMap)) {
+      const value = getCellValue(row.getCell(Number(colNumber)).value);
+      if (value !== '') data[key] = value;
+    }
+
+    // Skip blank lines
+    if (Object.keys(data).length > 0) {
+      rows.push({ row: rowNumber, data });
+    }
+  });
+
+  return { rows, unknownHeaders, missingHeaders };
+}
+
+/**
+ * Validate parsed rows the same way POST /api/employees would, plus
+ * duplicate emails within the file and against existing accounts
+ * @param {Object} user - req.user (role assignment is limited to their own permissions)
+ * @returns {Object[]} - [{ row, status, errors, employee }]
+ */
+async function validateImportRows(db, rows, user) {
+  const emails = rows.map(({ data }) => String(data.email || '').toLowerCase()).filter(Boolean);
+
+  // Same grouping as /check-duplicates, on emails inside the file
+  const emailCounts = emails.reduce((counts, email) => {
+    counts[email] = (counts[email] || 0) + 1;
+    return counts;
+  }, {});
+
+  const [existingUsers, organizations, catalog] = await Promise.all([
+    db.collection('users').find({ email: { $in: emails } }, { projection: { _id: 0, email: 1 } }).toArray(),
+    db.collection('organizations').find({}, { projection: { _id: 0, id: 1, name: 1 } }).toArray(),
+    loadCatalog(db)
+  ]);
+  const existingEmails = new Set(existingUsers.map(u => u.email));
+
+  const managerEmails = [...new Set(rows.map(({ data }) => String(data.manager_email || '').toLowerCase()).filter(Boolean))];
+  const managers = await db.collection('employees')
+    .find({ ...ACTIVE_EMPLOYEE_FILTER, email: { $in: managerEmails } }, { projection: { _id: 0, email: 1, full_name: 1 } })
+    .toArray();
+  const managerNames = new Map(managers.map(m => [m.email, m.full_name]));
+
+  // Managers can also be new hires in the same file
+  for (const { data } of rows) {
+    const email = String(data.email || '').toLowerCase();
+    if (email && emailCounts[email] === 1 && !managerNames.has(email)) {
+      managerNames.set(email, data.full_name || null);
+    }
+  }
+
+  const roleCache = new Map();
+  const report = [];
+
+  for (const { row, data } of rows) {
+    const errors = [];
+    const input = { ...data };
+
+    if (input.email) input.email = input.email.toLowerCase();
+    if (input.manager_email) input.manager_email = input.manager_email.toLowerCase();
+
+    // Organization column takes a name or an ID
+    let organization = null;
+    if (input.organization) {
+      const value = input.organization.toLowerCase();
+      organization = organizations.find(org => org.id === input.organization || String(org.name).toLowerCase() === value);
+      if (!organization) {
+        errors.push(`Organization not found: ${input.organization}`);
+      }
+    }
+    delete input.organization;
+    input.organization_id = organization ? organization.id : null;
+
+    const { error, value: employee } = schemas.employeeCreate.validate(input, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      errors.push(...error.details.map(detail => detail.message));
+    }
+
+    if (employee && employee.email) {
+      if (emailCounts[employee.email] > 1) {
+        errors.push(`Email appears ${emailCounts[employee.email]} times in the file`);
+      }
+      if (existingEmails.has(employee.email)) {
+        errors.push('User with this email already exists');
+      }
+    }
+
+    // Department and designation from the organization's catalog (stored by canonical name)
+    if (employee && employee.department && employee.designation) {
+      const jobTitle = await resolveDepartmentAndDesignation(db, employee.organization_id || null, employee, catalog);
+      if (jobTitle.error) {
+        errors.push(jobTitle.error);
+      } else {
+        Object.assign(employee, jobTitle);
+      }
+    }
+
+    if (employee && employee.role) {
+      if (!roleCache.has(employee.role)) {
+        roleCache.set(employee.role, await getRole(db, employee.role));
+      }
+      const role = roleCache.get(employee.role);
+      if (!role) {
+        errors.push(`Invalid role: ${employee.role}`);
+      } else if (getMissingPermissions(user, role.permissions).length > 0) {
+        errors.push(`Cannot assign role ${employee.role}: it has permissions you do not have`);
+      }
+    }
+
+    if (employee && employee.manager_email) {
+      if (employee.manager_email === employee.email) {
+        errors.push('Employee cannot be their own manager');
+      } else if (!managerNames.has(employee.manager_email)) {
+        errors.push(`Manager not found: ${employee.manager_email}`);
+      }
+    }
+
+    if (!error && employee.password) {
+      errors.push(...await checkNewPassword(db, employee.password, {
+        email: employee.email,
+        full_name: employee.full_name
+      }));
+    }
+
+    report.push({
+      row,
+      email: input.email || null,
+      full_name: input.full_name || null,
+      status: errors.length === 0 ? RowStatus.VALID : RowStatus.INVALID,
+      errors,
+      employee: errors.length === 0
+        ? {
+          ...employee,
+          organization_name: organization ? organization.name : null,
+          manager_name: employee.manager_email ? managerNames.get(employee.manager_email) : null
+        }
+        : null
+    });
+  }
+
+  // New hires managing each other in a loop (A -> B -> A) would break the hierarchy
+  const fileManagers = new Map(report.filter(r => r.employee).map(r => [r.email, r.employee.manager_email]));
+  for (const entry of report) {
+    if (!entry.employee) continue;
+    const visited = new Set([entry.email]);
+    let next = fileManagers.get(entry.email);
+    while (next && fileManagers.has(next)) {
+      if (visited.has(next)) {
+        entry.status = RowStatus.INVALID;
+        entry.errors.push('Reporting cycle between rows in this file');
+        break;
+      }
+      visited.add(next);
+      next = fileManagers.get(next);
+    }
+  }
+  for (const entry of report) {
+    if (entry.status === RowStatus.INVALID) entry.employee = null;
+  }
+
+  // A manager row that will not be created cannot be referenced (repeat for reporting chains)
+  const fileEmails = new Set(rows.map(({ data }) => String(data.email || '').toLowerCase()));
+  let changed = true;
+  while (changed) {
+    changed = false;
+    const invalidEmails = new Set(report.filter(r => r.status === RowStatus.INVALID).map(r => r.email));
+    for (const entry of report) {
+      const managerEmail = entry.employee && entry.employee.manager_email;
+      if (managerEmail && invalidEmails.has(managerEmail) && fileEmails.has(managerEmail) && !managers.some(m => m.email === managerEmail)) {
+        entry.status = RowStatus.INVALID;
+        entry.errors.push(`Manager ${managerEmail} is an invalid row in this file`);
+        entry.employee = null;
+        changed = true;
+      }
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Build the downloadable import template from IMPORT_COLUMNS
+ * @param {string[]} roleKeys - Roles to list on the instructions sheet
+ */
+function buildImportTemplate(roleKeys = []) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'HRMS System';
+  workbook.created = new Date();
+
+  const worksheet = workbook.addWorksheet('Employees', {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+  worksheet.columns = IMPORT_COLUMNS.map(({ key, header, width }) => ({ key, header, width }));
+
+  const headerRow = worksheet.getRow(1);
+  headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1E293B' } };
+  headerRow.alignment = { horizontal: 'center', vertical: 'middle' };
+
+  const instructions = workbook.addWorksheet('Instructions');
+  instructions.columns = [
+    { header: 'Column', key: 'header', width: 22 },
+    { header: 'Required', key: 'required', width: 10 },
+    { header: 'Example', key: 'example', width: 28 },
+    { header: 'Notes', key: 'note', width: 60 }
+  ];
+  // The example lives here, not on the Employees sheet, so an unedited template imports nobody
+  IMPORT_COLUMNS.forEach(column => instructions.addRow({
+    header: column.header,
+    required: column.required ? 'Yes' : 'No',
+    example: column.example || '',
+    note: column.note || ''
+  }));
+  instructions.addRow({});
+  instructions.addRow({ header: 'Valid roles', note: roleKeys.join(', ') });
+  instructions.addRow({ header: 'Maximum rows', note: String(MAX_IMPORT_ROWS) });
+  instructions.getRow(1).font = { bold: true };
+
+  return workbook;
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_COLUMNS,
+  RowStatus,
+  parseImportFile,
+  validateImportRows,
+  buildImportTemplate
+};
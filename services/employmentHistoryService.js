@@ -0,0 +1,301 @@
+/**
+ * Employment History Service
+ * Effective-dated job and compensation changes (promotions, transfers, pay
+ * revisions, manager changes) in `employment_history`. Changes effective
+ * today or earlier apply immediately; future-dated ones are applied by the
+ * daily job. The timeline is also used to rebuild an employee "as of" a date.
+ */
+
+const { JobChangeStatus } = require('../models/schemas');
+const { generateUUID } = require('../utils/helpers');
+const { toDateString } = require('./offboardingService');
+const { validateManagerAssignment } = require('./hierarchyService');
+const { resolveDepartmentAndDesignation } = require('./masterDataService');
+
+// Fields that are history-tracked (name fields follow their reference)
+const TRACKED_FIELDS = ['department', 'designation', 'manager_email', 'organization_id', 'monthly_salary'];
+
+// Mirrored on the users document
+const USER_SYNC_FIELDS = ['department', 'designation', 'organization_id', 'monthly_salary'];
+
+// Only HR / payroll and the employee themselves see pay changes
+const COMPENSATION_FIELDS = ['monthly_salary'];
+
+const normalizeValue = (value) => (value === '' || value === undefined ? null : value);
+
+/**
+ * Work out which tracked fields actually change and resolve manager / organization names
+ * @param {Object} employee - Current employees document
+ * @param {Object} input - Requested values (only tracked fields are read)
+ *   Department and designation are checked against the catalog and stored by canonical name
+ * @returns {{ changes: Object } | { error: string }} - changes: { field: { from, to } }
+ */
+async function resolveJobChanges(db, employee, input) {
+  const changes = {};
+  const requested = { ...input };
+
+  // New department / designation values come from the catalog of the (new) organization;
+  // a transfer re-checks the current ones against the new organization
+  const organizationChanges = 'organization_id' in input &&
+    normalizeValue(input.organization_id) !== normalizeValue(employee.organization_id);
+  const jobTitleInput = {};
+  for (const field of ['department', 'designation']) {
+    if (organizationChanges) {
+      jobTitleInput[field] = field in input ? input[field] : employee[field];
+    } else if (field in input && normalizeValue(input[field]) !== normalizeValue(employee[field])) {
+      jobTitleInput[field] = input[field];
+    }
+  }
+  if (Object.keys(jobTitleInput).length > 0) {
+    const organizationId = 'organization_id' in input ? normalizeValue(input.organization_id) : normalizeValue(employee.organization_id);
+    const jobTitle = await resolveDepartmentAndDesignation(db, organizationId, jobTitleInput);
+    if (jobTitle.error) return { error: jobTitle.error };
+    Object.assign(requested, jobTitle);
+  }
+
+  for (const field of TRACKED_FIELDS) {
+    if (!(field in requested)) continue;
+
+    const to = normalizeValue(requested[field]);
+    const from = normalizeValue(employee[field]);
+
+    // Catalog links follow the name (also when only the link is new)
+    const idField = `${field}_id`;
+    if (idField in requested) {
+      const toId = normalizeValue(requested[idField]);
+      if (toId !== normalizeValue(employee[idField])) {
+        changes[idField] = { from: normalizeValue(employee[idField]), to: toId };
+      }
+    }
+
+    if (to === from) continue;
+
+    changes[field] = { from, to };
+
+    if (field === 'manager_email') {
+      let managerName = null;
+      if (to) {
+        const { manager, error } = await validateManagerAssignment(db, employee.email, to);
+        if (error) return { error };
+        managerName = manager.full_name;
+      }
+      changes.manager_name = { from: normalizeValue(employee.manager_name), to: managerName };
+    }
+
+    if (field === 'organization_id') {
+      let organizationName = null;
+      if (to) {
+        const org = await db.collection('organizations').findOne({ id: to }, { projection: { name: 1 } });
+        if (!org) return { error: 'Invalid organization_id' };
+        organizationName = org.name;
+      }
+      changes.organization_name = { from: normalizeValue(employee.organization_name), to: organizationName };
+    }
+  }
+
+  return { changes };
+}
+
+/**
+ * Write the changed values to the employee and user documents
+ */
+async function writeJobChanges(db, employeeEmail, changes) {
+  const employeeSet = {};
+  const userSet = {};
+
+  for (const [field, { to }] of Object.entries(changes)) {
+    employeeSet[field] = to;
+    if (USER_SYNC_FIELDS.includes(field)) userSet[field] = to;
+  }
+
+  employeeSet.updated_at = new Date();
+  await db.collection('employees').updateOne({ email: employeeEmail }, { $set: employeeSet });
+
+  if (Object.keys(userSet).length > 0) {
+    await db.collection('users').updateOne({ email: employeeEmail }, { $set: userSet });
+  }
+}
+
+/**
+ * A backdated change must not overwrite fields a later applied change already set
+ * (the later change's `from` values would no longer match the timeline)
+ * @returns {string|null} - Error message, or null when the change can be recorded
+ */
+async function checkBackdatedJobChange(db, employeeEmail, changes, effectiveDate) {
+  const effective = toDateString(effectiveDate || new Date());
+  const fields = Object.keys(changes);
+
+  const later = await db.collection('employment_history')
+    .find(
+      {
+        employee_email: employeeEmail,
+        status: JobChangeStatus.APPLIED,
+        effective_date: { $gt: effective },
+        $or: fields.map(field => ({ [`changes.${field}`]: { $exists: true } }))
+      },
+      { projection: { _id: 0, effective_date: 1, changes: 1 } }
+    )
+    .sort({ effective_date: 1 })
+    .toArray();
+  if (later.length === 0) return null;
+
+  const overlapping = fields.filter(field => later.some(entry => entry.changes[field]));
+  return `${overlapping.join(', ')} changed again on ${later[0].effective_date} - a change effective before that cannot be recorded`;
+}
+
+/**
+ * Record a job change; applies it now when the effective date is today or earlier
+ * Backdated changes are checked with checkBackdatedJobChange first
+ * @param {Object} details - { changeType, effectiveDate, reason, approvedBy, createdBy }
+ * @returns {Object} - The employment_history entry
+ */
+async function recordJobChange(db, employee, changes, { changeType, effectiveDate, reason, approvedBy, createdBy }) {
+  const effective = toDateString(effectiveDate || new Date());
+  const applyNow = effective <= toDateString(new Date());
+
+  const entry = {
+    id: generateUUID(),
+    employee_id: employee.employee_id,
+    employee_email: employee.email,
+    employee_name: employee.full_name,
+    change_type: changeType,
+    effective_date: effective,
+    changes,
+    reason: reason || null,
+    approved_by: approvedBy,
+    status: applyNow ? JobChangeStatus.APPLIED : JobChangeStatus.SCHEDULED,
+    created_by: createdBy,
+    created_at: new Date(),
+    applied_at: applyNow ? new Date() : null,
+    error: null
+  };
+
+  if (applyNow) {
+    await writeJobChanges(db, employee.email, changes);
+  }
+
+  await db.collection('employment_history').insertOne(entry);
+  delete entry._id;
+
+  return entry;
+}
+
+/**
+ * Apply a scheduled change on its effective date
+ * The change is re-resolved against the current record (the manager may have left since)
+ * @returns {Object} - Updated entry
+ */
+async function applyScheduledJobChange(db, entry) {
+  const employee = await db.collection('employees').findOne({ email: entry.employee_email }, { projection: { _id: 0 } });
+
+  const requested = {};
+  for (const field of TRACKED_FIELDS) {
+    if (entry.changes[field]) requested[field] = entry.changes[field].to;
+  }
+
+  const resolved = employee
+    ? await resolveJobChanges(db, employee, requested)
+    : { error: 'Employee not found' };
+
+  const update = resolved.error
+    ? { status: JobChangeStatus.FAILED, error: resolved.error }
+    : { status: JobChangeStatus.APPLIED, applied_at: new Date(), changes: resolved.changes };
+
+  if (!resolved.error) {
+    await writeJobChanges(db, entry.employee_email, resolved.changes);
+  }
+
+  await db.collection('employment_history').updateOne({ id: entry.id }, { $set: update });
+
+  return { ...entry, ...update };
+}
+
+/**
+ * Apply every scheduled change whose effective date has arrived (oldest first)
+ * @returns {{ processed: number, applied: string[], failed: Object[] }}
+ */
+async function processDueJobChanges(db, asOf = new Date()) {
+  const dueChanges = await db.collection('employment_history')
+    .find({ status: JobChangeStatus.SCHEDULED, effective_date: { $lte: toDateString(asOf) } }, { projection: { _id: 0 } })
+    .sort({ effective_date: 1, created_at: 1 })
+    .toArray();
+
+  const results = { processed: dueChanges.length, applied: [], failed: [] };
+
+  for (const entry of dueChanges) {
+    try {
+      const updated = await applyScheduledJobChange(db, entry);
+      if (updated.status === JobChangeStatus.APPLIED) {
+        results.applied.push(entry.id);
+      } else {
+        results.failed.push({ id: entry.id, employee_id: entry.employee_id, error: updated.error });
+      }
+    } catch (error) {
+      results.failed.push({ id: entry.id, employee_id: entry.employee_id, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Employment history of an employee, newest effective date first
+ */
+async function getTimeline(db, employeeEmail) {
+  return db.collection('employment_history')
+    .find({ employee_email: employeeEmail }, { projection: { _id: 0 } })
+    .sort({ effective_date: -1, created_at: -1 })
+    .toArray();
+}
+
+/**
+ * Rebuild the tracked fields of an employee as they were (or will be) on a date
+ * Applied changes after the date are rolled back; scheduled ones up to the date are rolled forward
+ * @param {Object} employee - Current employees document
+ * @param {Object[]} timeline - Entries from getTimeline
+ * @param {string} dateString - YYYY-MM-DD
+ */
+function getEmployeeAsOf(employee, timeline, dateString) {
+  const record = { ...employee };
+
+  const applied = timeline
+    .filter(entry => entry.status === JobChangeStatus.APPLIED && entry.effective_date > dateString)
+    .sort((a, b) => b.effective_date.localeCompare(a.effective_date) || new Date(b.created_at) - new Date(a.created_at));
+  for (const entry of applied) {
+    for (const [field, { from }] of Object.entries(entry.changes)) {
+      record[field] = from;
+    }
+  }
+
+  const scheduled = timeline
+    .filter(entry => entry.status === JobChangeStatus.SCHEDULED && entry.effective_date <= dateString)
+    .sort((a, b) => a.effective_date.localeCompare(b.effective_date) || new Date(a.created_at) - new Date(b.created_at));
+  for (const entry of scheduled) {
+    for (const [field, { to }] of Object.entries(entry.changes)) {
+      record[field] = to;
+    }
+  }
+
+  return record;
+}
+
+/**
+ * Remove pay figures from entries for viewers who may not see them
+ */
+function redactCompensation(entry) {
+  const changes = { ...entry.changes };
+  COMPENSATION_FIELDS.forEach(field => delete changes[field]);
+  return { ...entry, changes };
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  COMPENSATION_FIELDS,
+  resolveJobChanges,
+  checkBackdatedJobChange,
+  recordJobChange,
+  processDueJobChanges,
+  getTimeline,
+  getEmployeeAsOf,
+  redactCompensation
+};
@@ -0,0 +1,395 @@
+/**
+ * Escalation Service
+ * Keeps pending leaves, comp-off requests and reimbursements from waiting
+ * forever. The daily job reminds whoever a request is waiting on once it has
+ * sat with them for `reminder_days`, and after `escalation_days` hands it up a
+ * level: to the approver's manager, or past the top of the hierarchy to
+ * `escalate_to_email`. Leave types in `auto_approve_leave_types` are approved
+ * once `auto_approve_days` have passed since applying. Thresholds are set per
+ * request type in settings.approval_escalation; every reminder, escalation
+ * and auto-approval is added to the request's `escalation_history`.
+ */
+
+const { UserRole, LeaveStatus, LeaveType, LeaveApproverType, ApprovalMode } = require('../models/schemas');
+const { normalizeLeaveType, toISOString } = require('../utils/helpers');
+const { sendEmailNotification } = require('./emailService');
+const { generateApprovalReminderEmail, generateLeaveApprovalEmail } = require('../utils/emailTemplates');
+const { getReportingManager } = require('./hierarchyService');
+const { toLocalDateKey } = require('./leaveDayService');
+const {
+  OPEN_LEAVE_STATUSES,
+  legacyApprovalChain,
+  getPendingApprovers,
+  recordStepDecision
+} = require('./leaveApprovalService');
+const { syncLeaveDelegation } = require('./delegationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Off until an admin turns a request type on
+const DEFAULT_ESCALATION_SETTINGS = {
+  leave: {
+    enabled: false,
+    reminder_days: 2,
+    escalation_days: 5,
+    escalate_to_email: null,        // null = the admin
+    auto_approve_days: null,        // null = never
+    auto_approve_leave_types: []
+  },
+  comp_off: { enabled: false, reminder_days: 3, escalation_days: 7, escalate_to_email: null },
+  reimbursement: { enabled: false, reminder_days: 5, escalation_days: 10, escalate_to_email: null }
+};
+
+/**
+ * Escalation rules for every request type, defaults filled in
+ */
+async function getEscalationSettings(db) {
+  const settings = await db.collection('settings').findOne({}, { projection: { _id: 0, approval_escalation: 1 } });
+  const saved = (settings && settings.approval_escalation) || {};
+
+  const result = {};
+  for (const [type, defaults] of Object.entries(DEFAULT_ESCALATION_SETTINGS)) {
+    result[type] = { ...defaults, ...saved[type] };
+  }
+  return result;
+}
+
+/**
+ * Check the thresholds of each request type
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateEscalationSettings(settings) {
+  for (const [type, rule] of Object.entries(settings)) {
+    if (rule.reminder_days && rule.escalation_days && rule.escalation_days < rule.reminder_days) {
+      return `${type}: escalation_days cannot be less than reminder_days`;
+    }
+  }
+  return null;
+}
+
+const historyEntry = (action, fields) => ({ action, ...fields, timestamp: toISOString(new Date()) });
+
+const latest = (times) => new Date(Math.max(...times.filter(Boolean).map(time => new Date(time).getTime())));
+
+/**
+ * When the current stage of a request began: when it was made or, for leaves,
+ * when the last step was approved
+ */
+const getStageStart = (request) => latest([
+  request.created_at,
+  ...(request.approvals || []).map(approval => approval.timestamp)
+]);
+
+/**
+ * Escalations of the current stage, oldest first
+ */
+const getStageEscalations = (request, stageStart) => (request.escalation_history || [])
+  .filter(entry => entry.action === 'escalated' && new Date(entry.timestamp) >= stageStart);
+
+/**
+ * How long the request has waited on its current approvers, and what is due
+ * @returns {{ since: string, days_pending: number, escalate: boolean, remind: boolean }}
+ */
+function getDueAction(request, rule, asOf) {
+  const stageStart = getStageStart(request);
+  const since = latest([stageStart, ...getStageEscalations(request, stageStart).map(entry => entry.timestamp)]);
+  const sinceKey = toISOString(since);
+  const daysPending = Math.floor((asOf - since) / DAY_MS);
+
+  return {
+    since: sinceKey,
+    days_pending: daysPending,
+    escalate: !!rule.escalation_days && daysPending >= rule.escalation_days,
+    remind: !!rule.reminder_days && daysPending >= rule.reminder_days &&
+      !(request.escalation_history || []).some(entry => entry.action === 'reminder' && entry.since === sinceKey)
+  };
+}
+
+/**
+ * Who a request goes to above an approver: their manager, else the top of the line
+ * @param {string} topEmail - escalate_to_email or the admin
+ * @returns {Object|null} - { email, name }
+ */
+async function getNextLevel(db, approverEmail, topEmail) {
+  const approver = await db.collection('employees').findOne(
+    { email: approverEmail },
+    { projection: { _id: 0, email: 1, manager_email: 1 } }
+  );
+  const manager = await getReportingManager(db, approver);
+  if (manager) return { email: manager.email, name: manager.full_name };
+
+  if (!topEmail || topEmail === approverEmail) return null;
+  const top = await db.collection('employees').findOne({ email: topEmail }, { projection: { _id: 0, email: 1, full_name: 1 } });
+  return { email: topEmail, name: top ? top.full_name : null };
+}
+
+/**
+ * Email a reminder (or an escalation notice when escalatedFrom is set) to each approver
+ */
+async function notifyApprovers(db, emails, item, daysPending, escalatedFrom = null) {
+  const people = await db.collection('employees')
+    .find({ email: { $in: emails } }, { projection: { _id: 0, email: 1, full_name: 1 } })
+    .toArray();
+  const employeeName = item.request.employee_name || item.request.employee_email;
+  const subject = escalatedFrom
+    ? `Escalated: ${item.label} from ${employeeName}`
+    : `Reminder: ${item.label} from ${employeeName} awaiting approval`;
+
+  for (const email of emails) {
+    const person = people.find(p => p.email === email);
+    await sendEmailNotification(
+      email,
+      subject,
+      generateApprovalReminderEmail((person && person.full_name) || email, item.label, employeeName, item.details, daysPending, escalatedFrom)
+    );
+  }
+}
+
+/**
+ * Remind or escalate one request
+ * @param {Object} item - { type, collection, label, details, request, approvers (emails), topEmail, escalate }
+ *   escalate(levels) applies [{ from, to: { email, name } }] to the request and returns the fields to save
+ */
+async function handleStaleRequest(db, item, rule, asOf, results) {
+  const { request, approvers } = item;
+  if (approvers.length === 0) return;
+
+  const due = getDueAction(request, rule, asOf);
+
+  if (due.escalate) {
+    const levels = [];
+    for (const from of approvers) {
+      const to = await getNextLevel(db, from, item.topEmail);
+      if (to && to.email !== request.employee_email && !approvers.includes(to.email)) levels.push({ from, to });
+    }
+    const targets = [...new Set(levels.map(level => level.to.email))];
+
+    if (targets.length > 0) {
+      const entry = historyEntry('escalated', { from: approvers, to: targets, days_pending: due.days_pending });
+      const result = await db.collection(item.collection).updateOne(
+        { id: request.id, status: request.status, updated_at: request.updated_at },
+        { $set: { ...item.escalate(levels), updated_at: entry.timestamp }, $push: { escalation_history: entry } }
+      );
+      if (result.modifiedCount > 0) {
+        await notifyApprovers(db, targets, item, due.days_pending, approvers.join(', '));
+        results.escalated.push({ type: item.type, id: request.id, from: approvers, to: targets });
+      }
+      return;
+    }
+  }
+
+  if (due.remind) {
+    const entry = historyEntry('reminder', { to: approvers, since: due.since, days_pending: due.days_pending });
+    const result = await db.collection(item.collection).updateOne(
+      { id: request.id, status: request.status },
+      { $push: { escalation_history: entry } }
+    );
+    if (result.modifiedCount > 0) {
+      await notifyApprovers(db, approvers, item, due.days_pending);
+      results.reminded.push({ type: item.type, id: request.id, to: approvers });
+    }
+  }
+}
+
+/**
+ * Approve a leave for every remaining step once its deadline has passed
+ * Balance is deducted as for a manual approval
+ */
+async function autoApproveLeave(db, leave, approvalChain, daysPending) {
+  const step = approvalChain.steps[approvalChain.current_step];
+  const now = toISOString(new Date());
+  const approvalRecord = {
+    approver_email: null,
+    approver_name: 'System',
+    approver_role: 'system',
+    action: 'approve',
+    comments: `Approved automatically after ${daysPending} day(s) pending`,
+    step: approvalChain.current_step,
+    step_name: step.name,
+    override: true,
+    on_behalf_of_email: null,
+    on_behalf_of_name: null,
+    summary: 'Approved automatically by the system',
+    timestamp: now
+  };
+  recordStepDecision(approvalChain, { email: null, name: 'System' }, 'approve', { override: true });
+
+  const result = await db.collection('leaves').updateOne(
+    { id: leave.id, status: leave.status, updated_at: leave.updated_at },
+    {
+      $set: { status: LeaveStatus.APPROVED, approval_chain: approvalChain, ...getPendingApprovers(approvalChain), updated_at: now },
+      $push: { approvals: approvalRecord, escalation_history: historyEntry('auto_approved', { days_pending: daysPending }) }
+    }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  if (leave.status === LeaveStatus.PENDING && leave.leave_type !== LeaveType.UNPAID_LEAVE) {
+    await db.collection('employees').updateOne(
+      { email: leave.employee_email },
+      { $inc: { [`leave_balance.${normalizeLeaveType(leave.leave_type)}`]: -leave.days_count } }
+    );
+  }
+
+  await syncLeaveDelegation(db, { ...leave, status: LeaveStatus.APPROVED }, null);
+
+  try {
+    await sendEmailNotification(
+      leave.employee_email,
+      `Leave Approved - ${leave.leave_type}`,
+      generateLeaveApprovalEmail(leave.employee_name, leave.leave_type, leave.dates.map(toLocalDateKey).join(', '), null, 'approved')
+    );
+  } catch (emailError) {
+    console.error('Failed to send auto-approval email:', emailError.message);
+  }
+  return true;
+}
+
+/**
+ * Open leaves: auto-approve, escalate the current step or remind its approvers
+ * HR steps are not handed to people - they are reminded and escalated by email only
+ */
+async function processLeaves(db, rule, hrEmail, asOf, results) {
+  const leaves = await db.collection('leaves')
+    .find({ status: { $in: OPEN_LEAVE_STATUSES } }, { projection: { _id: 0 } })
+    .toArray();
+  results.processed += leaves.length;
+
+  const autoApproveTypes = (rule.auto_approve_leave_types || []).map(type => type.toLowerCase());
+  const topEmail = rule.escalate_to_email || hrEmail;
+
+  for (const leave of leaves) {
+    try {
+      const approvalChain = leave.approval_chain || legacyApprovalChain(leave);
+      const step = approvalChain.steps[approvalChain.current_step];
+      if (!step) continue;
+
+      const daysSinceApplied = Math.floor((asOf - new Date(leave.created_at)) / DAY_MS);
+      if (rule.auto_approve_days && daysSinceApplied >= rule.auto_approve_days &&
+          autoApproveTypes.includes(String(leave.leave_type).toLowerCase())) {
+        if (await autoApproveLeave(db, leave, approvalChain, daysSinceApplied)) {
+          results.auto_approved.push({ type: 'leave', id: leave.id });
+        }
+        continue;
+      }
+
+      const isFinalStep = step.approver_type === LeaveApproverType.FINAL_APPROVER;
+      let approvers = getPendingApprovers(approvalChain).pending_approvers;
+      if (isFinalStep) {
+        const escalations = getStageEscalations(leave, getStageStart(leave));
+        approvers = escalations.length > 0 ? escalations[escalations.length - 1].to : [hrEmail].filter(Boolean);
+      }
+
+      await handleStaleRequest(db, {
+        type: 'leave',
+        collection: 'leaves',
+        label: 'Leave Request',
+        details: `${leave.leave_type}: ${leave.dates.map(toLocalDateKey).join(', ')} (${leave.days_count} day(s)), waiting on ${step.name} approval.`,
+        request: leave,
+        approvers,
+        topEmail,
+        escalate: (levels) => {
+          if (isFinalStep) return {};
+
+          for (const { from, to } of levels) {
+            if (step.mode === ApprovalMode.ALL) {
+              step.approvers = step.approvers.filter(approver => approver.email !== from);
+            }
+            if (!step.approvers.some(approver => approver.email === to.email)) {
+              step.approvers.push({ email: to.email, name: to.name, escalated_from: from });
+            }
+          }
+          return { approval_chain: approvalChain, ...getPendingApprovers(approvalChain) };
+        }
+      }, rule, asOf, results);
+    } catch (error) {
+      results.errors.push({ type: 'leave', id: leave.id, error: error.message });
+    }
+  }
+}
+
+/**
+ * Pending comp-off requests: waiting on the assigned approver, the employee's
+ * manager or (for managers' own requests) the admin; escalation reassigns them
+ */
+async function processCompOffRequests(db, rule, hrEmail, asOf, results) {
+  const requests = await db.collection('comp_off_requests')
+    .find({ status: 'pending' }, { projection: { _id: 0 } })
+    .toArray();
+  results.processed += requests.length;
+
+  for (const request of requests) {
+    try {
+      const approver = request.assigned_approver_email ||
+        (request.employee_role === UserRole.EMPLOYEE && request.manager_email) ||
+        hrEmail;
+
+      await handleStaleRequest(db, {
+        type: 'comp_off',
+        collection: 'comp_off_requests',
+        label: 'Comp-Off Request',
+        details: `Worked on ${toLocalDateKey(request.work_date)} - ${request.days} day(s) requested.`,
+        request,
+        approvers: approver ? [approver] : [],
+        topEmail: rule.escalate_to_email || hrEmail,
+        escalate: ([level]) => ({ assigned_approver_email: level.to.email })
+      }, rule, asOf, results);
+    } catch (error) {
+      results.errors.push({ type: 'comp_off', id: request.id, error: error.message });
+    }
+  }
+}
+
+/**
+ * Pending reimbursements: waiting on the admin, escalated by email only
+ */
+async function processReimbursements(db, rule, hrEmail, asOf, results) {
+  const reimbursements = await db.collection('reimbursements')
+    .find({ status: 'pending' }, { projection: { _id: 0 } })
+    .toArray();
+  results.processed += reimbursements.length;
+
+  for (const reimbursement of reimbursements) {
+    try {
+      const escalations = getStageEscalations(reimbursement, getStageStart(reimbursement));
+      const approvers = escalations.length > 0 ? escalations[escalations.length - 1].to : [hrEmail].filter(Boolean);
+
+      await handleStaleRequest(db, {
+        type: 'reimbursement',
+        collection: 'reimbursements',
+        label: 'Reimbursement Request',
+        details: `${reimbursement.title} (${reimbursement.category}) - amount ${reimbursement.amount}.`,
+        request: reimbursement,
+        approvers,
+        topEmail: rule.escalate_to_email || hrEmail,
+        escalate: () => ({})
+      }, rule, asOf, results);
+    } catch (error) {
+      results.errors.push({ type: 'reimbursement', id: reimbursement.id, error: error.message });
+    }
+  }
+}
+
+/**
+ * Send due reminders, escalations and auto-approvals (run daily)
+ * @returns {{ processed: number, reminded: Object[], escalated: Object[], auto_approved: Object[], errors: Object[] }}
+ */
+async function processApprovalEscalations(db, asOf = new Date()) {
+  const settings = await getEscalationSettings(db);
+  const hr = await db.collection('employees').findOne({ role: 'admin' }, { projection: { email: 1 } });
+  const hrEmail = hr ? hr.email : null;
+
+  const results = { processed: 0, reminded: [], escalated: [], auto_approved: [], errors: [] };
+
+  if (settings.leave.enabled) await processLeaves(db, settings.leave, hrEmail, asOf, results);
+  if (settings.comp_off.enabled) await processCompOffRequests(db, settings.comp_off, hrEmail, asOf, results);
+  if (settings.reimbursement.enabled) await processReimbursements(db, settings.reimbursement, hrEmail, asOf, results);
+
+  return results;
+}
+
+module.exports = {
+  DEFAULT_ESCALATION_SETTINGS,
+  getEscalationSettings,
+  validateEscalationSettings,
+  processApprovalEscalations
+};
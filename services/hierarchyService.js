@@ -0,0 +1,230 @@
+/**
+ * Hierarchy Service
+ * Reporting lines built on employees.manager_email: manager validation
+ * (existing, active, no cycles), direct reports, full subtree, chain of
+ * command and org-chart trees. Team-scoped queries use getTeamEmails.
+ */
+
+const { Permission } = require('../models/permissions');
+const { hasPermission } = require('../middleware/roleCheck');
+const { ACTIVE_EMPLOYEE_FILTER } = require('./offboardingService');
+
+// Guard for walking broken legacy data
+const MAX_HIERARCHY_DEPTH = 50;
+
+const HIERARCHY_PROJECTION = {
+  _id: 0,
+  employee_id: 1,
+  full_name: 1,
+  email: 1,
+  department: 1,
+  designation: 1,
+  role: 1,
+  organization_id: 1,
+  organization_name: 1,
+  manager_email: 1,
+  profile_picture: 1
+};
+
+/**
+ * Chain of command for an employee: direct manager first, top of the tree last
+ * Stops at a missing or inactive manager and at any loop in existing data
+ */
+async function getChainOfCommand(db, email) {
+  const chain = [];
+  const visited = new Set([email]);
+
+  let current = await db.collection('employees').findOne({ email }, { projection: HIERARCHY_PROJECTION });
+
+  while (current && current.manager_email && chain.length < MAX_HIERARCHY_DEPTH) {
+    if (visited.has(current.manager_email)) break;
+    visited.add(current.manager_email);
+
+    const manager = await db.collection('employees').findOne(
+      { ...ACTIVE_EMPLOYEE_FILTER, email: current.manager_email },
+      { projection: HIERARCHY_PROJECTION }
+    );
+    if (!manager) break;
+
+    chain.push(manager);
+    current = manager;
+  }
+
+  return chain;
+}
+
+/**
+ * Check a manager assignment before saving it
+ * @param {string|null} employeeEmail - Employee being updated (null for a new employee)
+ * @returns {{ manager: Object } | { error: string }}
+ */
+async function validateManagerAssignment(db, employeeEmail, managerEmail) {
+  if (employeeEmail && managerEmail === employeeEmail) {
+    return { error: 'An employee cannot be their own manager' };
+  }
+
+  const manager = await db.collection('employees').findOne(
+    { ...ACTIVE_EMPLOYEE_FILTER, email: managerEmail },
+    { projection: HIERARCHY_PROJECTION }
+  );
+  if (!manager) {
+    return { error: 'Invalid manager_email' };
+  }
+
+  // The new manager must not report (directly or indirectly) to this employee
+  if (employeeEmail) {
+    const chain = await getChainOfCommand(db, managerEmail);
+    if (chain.some(person => person.email === employeeEmail)) {
+      return { error: `Reporting cycle: ${manager.full_name} already reports to this employee` };
+    }
+  }
+
+  return { manager };
+}
+
+/**
+ * Active employees reporting directly to a manager
+ */
+async function getDirectReports(db, managerEmail) {
+  return db.collection('employees')
+    .find({ ...ACTIVE_EMPLOYEE_FILTER, manager_email: managerEmail }, { projection: HIERARCHY_PROJECTION })
+    .sort({ full_name: 1 })
+    .toArray();
+}
+
+/**
+ * Everyone below a manager, at any depth (depth 0 = direct report)
+ * @param {number} maxDepth - Optional limit (0 = direct reports only)
+ */
+async function getSubtree(db, managerEmail, maxDepth = MAX_HIERARCHY_DEPTH) {
+  const [result] = await db.collection('employees').aggregate([
+    { $match: { email: managerEmail } },
+    {
+      $graphLookup: {
+        from: 'employees',
+        startWith: '$email',
+        connectFromField: 'email',
+        connectToField: 'manager_email',
+        as: 'reports',
+        maxDepth: Math.min(maxDepth, MAX_HIERARCHY_DEPTH),
+        depthField: 'depth',
+        restrictSearchWithMatch: ACTIVE_EMPLOYEE_FILTER
+      }
+    },
+    { $project: { _id: 0, reports: 1 } }
+  ]).toArray();
+
+  if (!result) return [];
+
+  return result.reports
+    .filter(report => report.email !== managerEmail)
+    .map(report => {
+      const entry = { depth: report.depth };
+      for (const field of Object.keys(HIERARCHY_PROJECTION)) {
+        if (field !== '_id' && report[field] !== undefined) entry[field] = report[field];
+      }
+      return entry;
+    })
+    .sort((a, b) => a.depth - b.depth || String(a.full_name).localeCompare(String(b.full_name)));
+}
+
+/**
+ * Emails of everyone in a manager's team (all levels below them)
+ */
+async function getTeamEmails(db, managerEmail) {
+  const reports = await getSubtree(db, managerEmail);
+  return reports.map(report => report.email);
+}
+
+/**
+ * Whether `employeeEmail` sits anywhere below `managerEmail`
+ */
+async function isInTeam(db, managerEmail, employeeEmail) {
+  if (!managerEmail || !employeeEmail || managerEmail === employeeEmail) return false;
+  const chain = await getChainOfCommand(db, employeeEmail);
+  return chain.some(person => person.email === managerEmail);
+}
+
+/**
+ * Whether a user may see an employee's reporting lines and history:
+ * company-wide viewers, the employee themselves, or anyone above them with team access
+ * @param {Object} user - req.user
+ */
+async function canViewEmployee(db, user, employee) {
+  if (hasPermission(user, Permission.EMPLOYEE_VIEW_ALL) || employee.email === user.email) {
+    return true;
+  }
+  return hasPermission(user, Permission.EMPLOYEE_VIEW_TEAM) && await isInTeam(db, user.email, employee.email);
+}
+
+/**
+ * The employee's reporting manager (active), or null
+ */
+async function getReportingManager(db, employee) {
+  if (!employee || !employee.manager_email) return null;
+  return db.collection('employees').findOne(
+    { ...ACTIVE_EMPLOYEE_FILTER, email: employee.manager_email },
+    { projection: { ...HIERARCHY_PROJECTION, phone: 1 } }
+  );
+}
+
+/**
+ * Nest a flat employee list into org-chart trees
+ * Anyone whose manager is not in the list becomes a root
+ */
+function buildOrgTree(employees) {
+  const nodes = new Map(employees.map(emp => [emp.email, { ...emp, reports: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.manager_email && node.manager_email !== node.email ? nodes.get(node.manager_email) : null;
+    if (parent) {
+      parent.reports.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  // Members of a reporting loop never reach a root - surface them at the top instead of dropping them
+  const reachable = new Set();
+  const markReachable = (start) => {
+    const stack = [start];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      reachable.add(node.email);
+      stack.push(...node.reports.filter(child => !reachable.has(child.email)));
+    }
+  };
+  roots.forEach(markReachable);
+
+  for (const node of nodes.values()) {
+    if (!reachable.has(node.email)) {
+      const parent = nodes.get(node.manager_email);
+      parent.reports = parent.reports.filter(child => child !== node);
+      roots.push(node);
+      markReachable(node);
+    }
+  }
+
+  const countReports = (node) => {
+    node.reports.sort((a, b) => String(a.full_name).localeCompare(String(b.full_name)));
+    node.total_reports = node.reports.reduce((total, child) => total + 1 + countReports(child), 0);
+    return node.total_reports;
+  };
+  roots.forEach(countReports);
+
+  return roots.sort((a, b) => b.total_reports - a.total_reports);
+}
+
+module.exports = {
+  HIERARCHY_PROJECTION,
+  getChainOfCommand,
+  validateManagerAssignment,
+  getDirectReports,
+  getSubtree,
+  getTeamEmails,
+  isInTeam,
+  canViewEmployee,
+  getReportingManager,
+  buildOrgTree
+};
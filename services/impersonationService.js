@@ -0,0 +1,123 @@
+/**
+ * Impersonation Service
+ * "View as employee" for support staff: short-lived impersonation tokens
+ * (read-only by default) backed by `impersonation_sessions`, with every
+ * impersonated request recorded in `impersonation_logs`
+ */
+
+const jwt = require('jsonwebtoken');
+const { config } = require('../config/config');
+const { generateUUID } = require('../utils/helpers');
+const { EmployeeStatus } = require('../models/schemas');
+
+const IMPERSONATION_TOKEN_TYPE = 'impersonation';
+
+/**
+ * Start an impersonation session and mint its token
+ * @param {Object} impersonator - req.user of the admin
+ * @param {Object} targetUser - users document of the person to view as
+ * @param {Object} options - { reason, durationMinutes, readOnly }
+ * @returns {{ impersonation: Object, token: string }}
+ */
+async function createImpersonation(db, impersonator, targetUser, { reason, durationMinutes, readOnly }) {
+  const now = new Date();
+
+  const impersonation = {
+    id: generateUUID(),
+    impersonator_id: impersonator.id,
+    impersonator_email: impersonator.email,
+    impersonator_name: impersonator.full_name,
+    target_user_id: targetUser.id,
+    target_email: targetUser.email,
+    target_name: targetUser.full_name || targetUser.name,
+    reason,
+    read_only: readOnly,
+    created_at: now,
+    expires_at: new Date(now.getTime() + durationMinutes * 60 * 1000),
+    ended_at: null,
+    ended_by: null,
+    request_count: 0
+  };
+
+  await db.collection('impersonation_sessions').insertOne(impersonation);
+  delete impersonation._id;
+
+  const token = jwt.sign(
+    { sub: targetUser.email, type: IMPERSONATION_TOKEN_TYPE, imp: impersonation.id, act: impersonator.email },
+    config.jwtSecret,
+    { expiresIn: durationMinutes * 60 }
+  );
+
+  return { impersonation, token };
+}
+
+/**
+ * Resolve a verified impersonation token payload
+ * @returns {{ impersonation: Object, userDoc: Object, impersonatorDoc: Object } | { error: string }}
+ */
+async function resolveImpersonation(db, payload) {
+  const impersonation = await db.collection('impersonation_sessions').findOne(
+    { id: payload.imp },
+    { projection: { _id: 0 } }
+  );
+
+  if (!impersonation || impersonation.ended_at || impersonation.target_email !== payload.sub) {
+    return { error: 'Impersonation session has ended' };
+  }
+  if (new Date() > new Date(impersonation.expires_at)) {
+    return { error: 'Impersonation session has expired' };
+  }
+
+  const [userDoc, impersonatorDoc] = await Promise.all([
+    db.collection('users').findOne({ email: impersonation.target_email }, { projection: { _id: 0 } }),
+    db.collection('users').findOne({ email: impersonation.impersonator_email }, { projection: { _id: 0 } })
+  ]);
+
+  if (!userDoc || !impersonatorDoc || userDoc.status === EmployeeStatus.INACTIVE || impersonatorDoc.status === EmployeeStatus.INACTIVE) {
+    return { error: 'Impersonation session is no longer valid' };
+  }
+
+  return { impersonation, userDoc, impersonatorDoc };
+}
+
+/**
+ * End an impersonation session
+ * @returns {boolean} false when it was not active
+ */
+async function endImpersonation(db, impersonationId, endedBy) {
+  const result = await db.collection('impersonation_sessions').updateOne(
+    { id: impersonationId, ended_at: null },
+    { $set: { ended_at: new Date(), ended_by: endedBy } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Record one request made with an impersonation token
+ */
+async function logImpersonatedRequest(db, impersonation, { method, path, statusCode, ip }) {
+  await db.collection('impersonation_logs').insertOne({
+    id: generateUUID(),
+    impersonation_id: impersonation.id,
+    impersonator_email: impersonation.impersonator_email,
+    target_email: impersonation.target_email,
+    method,
+    path,
+    status_code: statusCode,
+    ip_address: ip,
+    timestamp: new Date()
+  });
+
+  await db.collection('impersonation_sessions').updateOne(
+    { id: impersonation.id },
+    { $inc: { request_count: 1 }, $set: { last_request_at: new Date() } }
+  );
+}
+
+module.exports = {
+  IMPERSONATION_TOKEN_TYPE,
+  createImpersonation,
+  resolveImpersonation,
+  endImpersonation,
+  logImpersonatedRequest
+};
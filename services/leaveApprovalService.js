@@ -0,0 +1,404 @@
+/**
+ * Leave Approval Service
+ * Admin-defined approval chains (`leave_approval_chains`) decide who approves
+ * a leave, by leave type, organization and number of days. When a leave is
+ * applied for, the first matching chain is resolved to people and stored on
+ * the leave as `approval_chain`; `pending_approvers` lists who it is waiting
+ * on. Without a matching chain the default applies: reporting manager, then HR.
+ * Delegates of an approver (see delegationService) act on the approver's steps.
+ */
+
+const {
+  LeaveStatus,
+  LeaveApproverType,
+  ApprovalMode,
+  ApprovalStepStatus,
+  DelegationScope
+} = require('../models/schemas');
+const { Permission } = require('../models/permissions');
+const { hasPermission } = require('../middleware/roleCheck');
+const { toISOString } = require('../utils/helpers');
+const { ACTIVE_EMPLOYEE_FILTER } = require('./offboardingService');
+const { getReportingManager, getTeamEmails, isInTeam } = require('./hierarchyService');
+const { getDelegators } = require('./delegationService');
+
+const DEFAULT_STEP_NAMES = {
+  [LeaveApproverType.REPORTING_MANAGER]: 'Reporting Manager',
+  [LeaveApproverType.DEPARTMENT_HEAD]: 'Department Head',
+  [LeaveApproverType.USERS]: 'Approvers',
+  [LeaveApproverType.FINAL_APPROVER]: 'HR'
+};
+
+// Used when no chain matches - the original manager → HR workflow
+const DEFAULT_APPROVAL_CHAIN = {
+  id: null,
+  name: 'Default',
+  steps: [
+    { approver_type: LeaveApproverType.REPORTING_MANAGER, mode: ApprovalMode.ANY },
+    { approver_type: LeaveApproverType.FINAL_APPROVER, mode: ApprovalMode.ANY }
+  ]
+};
+
+// Leaves still waiting on someone
+const OPEN_LEAVE_STATUSES = [LeaveStatus.PENDING, LeaveStatus.MANAGER_APPROVED];
+
+const getStepName = (step) => step.name || DEFAULT_STEP_NAMES[step.approver_type] || step.role;
+
+/**
+ * Whether a chain's conditions cover a leave
+ * @param {Object} leave - { leaveType, organizationId, daysCount }
+ */
+function matchesApprovalChain(chain, { leaveType, organizationId, daysCount }) {
+  const leaveTypes = chain.leave_types || [];
+  if (leaveTypes.length > 0 && !leaveTypes.some(t => t.toLowerCase() === String(leaveType).toLowerCase())) {
+    return false;
+  }
+
+  const organizationIds = chain.organization_ids || [];
+  if (organizationIds.length > 0 && !organizationIds.includes(organizationId)) return false;
+
+  if (chain.min_days !== null && chain.min_days !== undefined && daysCount < chain.min_days) return false;
+  if (chain.max_days !== null && chain.max_days !== undefined && daysCount > chain.max_days) return false;
+  return true;
+}
+
+/**
+ * The chain for a leave: the first active match by priority, else the default
+ */
+async function findApprovalChain(db, leave) {
+  const chains = await db.collection('leave_approval_chains')
+    .find({ is_active: true }, { projection: { _id: 0 } })
+    .sort({ priority: 1, created_at: 1 })
+    .toArray();
+
+  return chains.find(chain => matchesApprovalChain(chain, leave)) || DEFAULT_APPROVAL_CHAIN;
+}
+
+/**
+ * Active employees who approve a step for an employee (never the employee themselves)
+ * Final-approver steps are open to anyone with leave.final_approve, so they resolve to nobody
+ * @returns {Object[]} - [{ email, name }]
+ */
+async function resolveStepApprovers(db, employee, step) {
+  const projection = { _id: 0, email: 1, full_name: 1 };
+  let approvers = [];
+
+  if (step.approver_type === LeaveApproverType.REPORTING_MANAGER) {
+    const manager = await getReportingManager(db, employee);
+    approvers = manager ? [manager] : [];
+  } else if (step.approver_type === LeaveApproverType.DEPARTMENT_HEAD) {
+    const department = await db.collection('departments').findOne(
+      employee.department_id
+        ? { id: employee.department_id }
+        : { name: employee.department, organization_id: employee.organization_id || null },
+      { projection: { _id: 0, head_email: 1 } }
+    );
+    if (department && department.head_email) {
+      approvers = await db.collection('employees')
+        .find({ ...ACTIVE_EMPLOYEE_FILTER, email: department.head_email }, { projection })
+        .toArray();
+    }
+  } else if (step.approver_type === LeaveApproverType.ROLE) {
+    approvers = await db.collection('employees')
+      .find({ ...ACTIVE_EMPLOYEE_FILTER, role: step.role }, { projection })
+      .toArray();
+  } else if (step.approver_type === LeaveApproverType.USERS) {
+    approvers = await db.collection('employees')
+      .find({ ...ACTIVE_EMPLOYEE_FILTER, email: { $in: step.emails } }, { projection })
+      .toArray();
+  }
+
+  return approvers
+    .filter(approver => approver.email !== employee.email)
+    .map(approver => ({ email: approver.email, name: approver.full_name }));
+}
+
+/**
+ * Build a step of a leave's approval chain
+ */
+const buildStep = (step, approvers) => ({
+  name: getStepName(step),
+  approver_type: step.approver_type,
+  mode: step.mode || ApprovalMode.ANY,
+  approvers,
+  approved_by: [],
+  status: step.approver_type !== LeaveApproverType.FINAL_APPROVER && approvers.length === 0
+    ? ApprovalStepStatus.SKIPPED
+    : ApprovalStepStatus.PENDING,
+  completed_at: null
+});
+
+/**
+ * First step still waiting, or null when none is left
+ */
+const findNextStep = (steps, from = 0) => {
+  const index = steps.findIndex((step, i) => i >= from && step.status === ApprovalStepStatus.PENDING);
+  return index === -1 ? null : index;
+};
+
+/**
+ * Resolve the chain for a new leave into the approvers of each step
+ * Steps with nobody to ask are skipped; if every step is skipped HR decides
+ * @param {Object} leave - { leaveType, daysCount }
+ */
+async function buildApprovalChain(db, employee, { leaveType, daysCount }) {
+  const chain = await findApprovalChain(db, {
+    leaveType,
+    organizationId: employee.organization_id || null,
+    daysCount
+  });
+
+  const steps = [];
+  for (const step of chain.steps) {
+    const approvers = step.approver_type === LeaveApproverType.FINAL_APPROVER
+      ? []
+      : await resolveStepApprovers(db, employee, step);
+    steps.push(buildStep(step, approvers));
+  }
+
+  if (findNextStep(steps) === null) {
+    steps.push(buildStep({ approver_type: LeaveApproverType.FINAL_APPROVER }, []));
+  }
+
+  return {
+    chain_id: chain.id,
+    name: chain.name,
+    current_step: findNextStep(steps),
+    steps
+  };
+}
+
+/**
+ * Build the chain again for a leave an admin moved back to, or edited in, an
+ * open status. A manager-approved leave has its first step approved, as the
+ * manager's approval would, unless that step is the last one.
+ * @param {Object} approver - { email, name } recorded on the approved step
+ */
+async function rebuildApprovalChain(db, leave, status, approver) {
+  const employee = await db.collection('employees').findOne({ email: leave.employee_email }, { projection: { _id: 0 } });
+  const approvalChain = await buildApprovalChain(
+    db,
+    employee || { email: leave.employee_email, manager_email: leave.manager_email },
+    { leaveType: leave.leave_type, daysCount: leave.days_count }
+  );
+
+  const nextStep = findNextStep(approvalChain.steps, approvalChain.current_step + 1);
+  if (status === LeaveStatus.MANAGER_APPROVED && nextStep !== null) {
+    Object.assign(approvalChain.steps[approvalChain.current_step], {
+      status: ApprovalStepStatus.APPROVED,
+      completed_at: toISOString(new Date()),
+      overridden_by: approver
+    });
+    approvalChain.current_step = nextStep;
+  }
+
+  return approvalChain;
+}
+
+/**
+ * Chain for a leave applied before approval chains existed, from its status
+ */
+function legacyApprovalChain(leave) {
+  const steps = [
+    buildStep(
+      { approver_type: LeaveApproverType.REPORTING_MANAGER },
+      leave.manager_email ? [{ email: leave.manager_email, name: null }] : []
+    ),
+    buildStep({ approver_type: LeaveApproverType.FINAL_APPROVER }, [])
+  ];
+
+  if (leave.status !== LeaveStatus.PENDING) {
+    steps[0].status = ApprovalStepStatus.APPROVED;
+  }
+
+  return {
+    chain_id: null,
+    name: DEFAULT_APPROVAL_CHAIN.name,
+    current_step: OPEN_LEAVE_STATUSES.includes(leave.status) ? findNextStep(steps) : null,
+    steps
+  };
+}
+
+/**
+ * Who the leave is waiting on, stored on the leave for the pending lists
+ * @returns {{ pending_approvers: string[], pending_final_approval: boolean }}
+ */
+function getPendingApprovers(approvalChain) {
+  const step = approvalChain.current_step === null ? null : approvalChain.steps[approvalChain.current_step];
+  if (!step) {
+    return { pending_approvers: [], pending_final_approval: false };
+  }
+
+  return {
+    pending_approvers: step.approvers
+      .map(approver => approver.email)
+      .filter(email => !step.approved_by.some(approval => approval.email === email)),
+    pending_final_approval: step.approver_type === LeaveApproverType.FINAL_APPROVER
+  };
+}
+
+/**
+ * Whether the current step of a leave waits on this user
+ */
+function isCurrentApprover(approvalChain, user) {
+  const step = approvalChain.current_step === null ? null : approvalChain.steps[approvalChain.current_step];
+  if (!step) return false;
+
+  if (step.approver_type === LeaveApproverType.FINAL_APPROVER) {
+    return hasPermission(user, Permission.LEAVE_FINAL_APPROVE);
+  }
+  return getPendingApprovers(approvalChain).pending_approvers.includes(user.email);
+}
+
+/**
+ * Apply an approve / reject to the current step (changes the chain in place)
+ * Rejection at any step rejects the leave. An override (HR acting on a step
+ * that is not theirs) approves every remaining step.
+ * @param {Object} approver - { email, name }
+ * @returns {string} - 'rejected' | 'approved' (chain complete) | 'advanced' (next step) | 'recorded' (all-of step still waiting)
+ */
+function recordStepDecision(approvalChain, approver, action, { override = false } = {}) {
+  const now = toISOString(new Date());
+  const step = approvalChain.steps[approvalChain.current_step];
+
+  if (action === 'reject') {
+    Object.assign(step, { status: ApprovalStepStatus.REJECTED, completed_at: now, rejected_by: approver });
+    approvalChain.current_step = null;
+    return 'rejected';
+  }
+
+  if (override) {
+    for (const remaining of approvalChain.steps.slice(approvalChain.current_step)) {
+      if (remaining.status !== ApprovalStepStatus.PENDING) continue;
+      Object.assign(remaining, { status: ApprovalStepStatus.APPROVED, completed_at: now, overridden_by: approver });
+    }
+    approvalChain.current_step = null;
+    return 'approved';
+  }
+
+  step.approved_by.push({ ...approver, timestamp: now });
+
+  const waitingOn = getPendingApprovers(approvalChain).pending_approvers;
+  if (step.mode === ApprovalMode.ALL && waitingOn.length > 0) {
+    return 'recorded';
+  }
+
+  Object.assign(step, { status: ApprovalStepStatus.APPROVED, completed_at: now });
+  approvalChain.current_step = findNextStep(approvalChain.steps, approvalChain.current_step + 1);
+  return approvalChain.current_step === null ? 'approved' : 'advanced';
+}
+
+/**
+ * The approver a user is standing in for on a leave's current step, or null
+ * Leaves from before approval chains wait on the employee's managers, so a
+ * delegate of any of them may act. Final-approver steps cannot be delegated.
+ * @returns {Object|null} - { email, name, delegation_id }
+ */
+async function findLeaveDelegator(db, leave, approvalChain, user) {
+  const step = approvalChain.current_step === null ? null : approvalChain.steps[approvalChain.current_step];
+  if (!step || step.approver_type === LeaveApproverType.FINAL_APPROVER) return null;
+
+  const delegators = (await getDelegators(db, user.email, DelegationScope.LEAVE))
+    .filter(delegator => delegator.email !== leave.employee_email);
+
+  if (!leave.approval_chain) {
+    for (const delegator of delegators) {
+      if (await isInTeam(db, delegator.email, leave.employee_email)) return delegator;
+    }
+    return null;
+  }
+
+  const waitingOn = getPendingApprovers(approvalChain).pending_approvers;
+  return delegators.find(delegator => waitingOn.includes(delegator.email)) || null;
+}
+
+/**
+ * Query for the open leaves waiting on a user
+ * Leaves applied before approval chains follow the old rules: team managers
+ * act on pending ones, HR on manager approved ones and those without a manager.
+ * Includes the leaves waiting on the people the user is a delegate for.
+ */
+async function getAwaitingApprovalQuery(db, user) {
+  const delegators = await getDelegators(db, user.email, DelegationScope.LEAVE);
+  const conditions = [{ pending_approvers: { $in: [user.email, ...delegators.map(delegator => delegator.email)] } }];
+  const noChain = { approval_chain: { $exists: false } };
+
+  if (hasPermission(user, Permission.LEAVE_FINAL_APPROVE)) {
+    conditions.push(
+      { pending_final_approval: true },
+      { ...noChain, status: LeaveStatus.MANAGER_APPROVED },
+      { ...noChain, status: LeaveStatus.PENDING, manager_email: null }
+    );
+  }
+
+  const managers = delegators.map(delegator => delegator.email);
+  if (hasPermission(user, Permission.LEAVE_APPROVE)) managers.push(user.email);
+  for (const manager of managers) {
+    conditions.push({ ...noChain, status: LeaveStatus.PENDING, employee_email: { $in: await getTeamEmails(db, manager) } });
+  }
+
+  return {
+    status: { $in: OPEN_LEAVE_STATUSES },
+    employee_email: { $ne: user.email },
+    $or: conditions
+  };
+}
+
+/**
+ * Hand every open leave step waiting on one approver to another, e.g. when a
+ * manager leaves. Legacy leaves waiting on the manager get a chain first.
+ * @param {Object} to - { email, name }
+ * @returns {number} - Leaves moved
+ */
+async function reassignLeaveApprovals(db, fromEmail, to) {
+  const leaves = await db.collection('leaves')
+    .find({
+      status: { $in: OPEN_LEAVE_STATUSES },
+      employee_email: { $ne: to.email },
+      $or: [
+        { 'approval_chain.steps': { $elemMatch: { status: ApprovalStepStatus.PENDING, 'approvers.email': fromEmail } } },
+        { approval_chain: { $exists: false }, status: LeaveStatus.PENDING, manager_email: fromEmail }
+      ]
+    }, { projection: { _id: 0 } })
+    .toArray();
+
+  let moved = 0;
+  for (const leave of leaves) {
+    const approvalChain = leave.approval_chain || legacyApprovalChain(leave);
+
+    for (const step of approvalChain.steps) {
+      if (step.status !== ApprovalStepStatus.PENDING || !step.approvers.some(a => a.email === fromEmail)) continue;
+
+      step.approvers = step.approvers.filter(approver => approver.email !== fromEmail);
+      if (!step.approvers.some(approver => approver.email === to.email)) {
+        step.approvers.push({ email: to.email, name: to.name, reassigned_from: fromEmail });
+      }
+    }
+
+    const result = await db.collection('leaves').updateOne(
+      { id: leave.id, status: leave.status, updated_at: leave.updated_at },
+      { $set: { approval_chain: approvalChain, ...getPendingApprovers(approvalChain), updated_at: toISOString(new Date()) } }
+    );
+    moved += result.modifiedCount;
+  }
+
+  return moved;
+}
+
+module.exports = {
+  DEFAULT_APPROVAL_CHAIN,
+  OPEN_LEAVE_STATUSES,
+  getStepName,
+  matchesApprovalChain,
+  findApprovalChain,
+  resolveStepApprovers,
+  buildApprovalChain,
+  rebuildApprovalChain,
+  legacyApprovalChain,
+  getPendingApprovers,
+  isCurrentApprover,
+  recordStepDecision,
+  findLeaveDelegator,
+  getAwaitingApprovalQuery,
+  reassignLeaveApprovals
+};
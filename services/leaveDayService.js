@@ -0,0 +1,168 @@
+/**
+ * Leave Day Service
+ * Works out how many days of balance a leave costs. Weekly offs (set on the
+ * leave policy as `weekly_offs`, 0 = Sunday) and public holidays from the
+ * `holidays` collection are free. Leave types with `sandwich_rule` also charge
+ * the offs and holidays that fall between two of the leave's working days.
+ */
+
+const { defaultLeavePolicy } = require('../models/schemas');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Local YYYY-MM-DD of a date, the format holidays are stored in
+ */
+const toLocalDateKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * The date after a YYYY-MM-DD date (noon avoids DST edges)
+ */
+const nextDateKey = (key) => toLocalDateKey(new Date(new Date(`${key}T12:00:00`).getTime() + DAY_MS));
+
+/**
+ * Weekly offs and the leave type's sandwich rule from the leave policy
+ * @returns {{ weeklyOffs: number[], sandwichRule: boolean }}
+ */
+async function getLeaveDayRules(db, leaveType) {
+  const policy = await db.collection('leave_policies').findOne({}, { projection: { _id: 0 } })
+    || defaultLeavePolicy;
+
+  const policyItem = leaveType && (policy.policies || []).find(
+    p => p.leave_type.toLowerCase() === leaveType.toLowerCase()
+  );
+
+  return {
+    weeklyOffs: policy.weekly_offs || defaultLeavePolicy.weekly_offs,
+    sandwichRule: !!(policyItem && policyItem.sandwich_rule)
+  };
+}
+
+/**
+ * Public holidays between two YYYY-MM-DD dates (optional and restricted holidays are working days)
+ * @returns {Map<string, string>} - date => holiday name
+ */
+async function getPublicHolidays(db, fromKey, toKey) {
+  const holidays = await db.collection('holidays')
+    .find(
+      { date: { $gte: fromKey, $lte: toKey }, type: { $nin: ['optional', 'restricted'] } },
+      { projection: { _id: 0, date: 1, name: 1 } }
+    )
+    .toArray();
+
+  return new Map(holidays.map(h => [h.date, h.name]));
+}
+
+/**
+ * Days a leave costs, with the charge for each date
+ * A half day only applies to a single-date leave
+ * @param {Array<Date|string>} dates - Dates applied for
+ * @param {Object} options - { leaveType, isHalfDay }
+ * @returns {{ days_count: number, breakdown: Object[] }}
+ *   breakdown: [{ date, weekday, day_type: working|weekly_off|holiday, holiday_name, applied, sandwiched, charged }]
+ */
+async function calculateLeaveDays(db, dates, { leaveType, isHalfDay = false } = {}) {
+  const keys = [...new Set((dates || []).filter(d => !isNaN(new Date(d))).map(toLocalDateKey))].sort();
+  if (keys.length === 0) return { days_count: 0, breakdown: [] };
+
+  const { weeklyOffs, sandwichRule } = await getLeaveDayRules(db, leaveType);
+  const holidays = await getPublicHolidays(db, keys[0], keys[keys.length - 1]);
+  const applied = new Set(keys);
+
+  const describe = (key) => {
+    const weekday = new Date(`${key}T12:00:00`).getDay();
+    let dayType = 'working';
+    if (holidays.has(key)) dayType = 'holiday';
+    else if (weeklyOffs.includes(weekday)) dayType = 'weekly_off';
+
+    return {
+      date: key,
+      weekday: DAY_NAMES[weekday],
+      day_type: dayType,
+      holiday_name: holidays.get(key) || null,
+      applied: applied.has(key),
+      sandwiched: false,
+      charged: 0
+    };
+  };
+
+  const days = new Map(keys.map(key => [key, describe(key)]));
+
+  // Offs between two working leave days are charged as leave
+  const workingKeys = keys.filter(key => days.get(key).day_type === 'working');
+  if (sandwichRule && workingKeys.length > 1) {
+    let run = [];
+    let previousApplied = false;
+    for (let key = workingKeys[0]; key <= workingKeys[workingKeys.length - 1]; key = nextDateKey(key)) {
+      const day = days.get(key) || describe(key);
+      if (day.day_type !== 'working') {
+        run.push(day);
+        continue;
+      }
+      if (previousApplied && applied.has(key)) {
+        for (const off of run) {
+          off.sandwiched = true;
+          days.set(off.date, off);
+        }
+      }
+      previousApplied = applied.has(key);
+      run = [];
+    }
+  }
+
+  const halfDay = isHalfDay && keys.length === 1;
+  for (const day of days.values()) {
+    if (day.day_type === 'working') day.charged = halfDay ? 0.5 : 1;
+    else if (day.sandwiched) day.charged = 1;
+  }
+
+  const breakdown = [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+  return {
+    days_count: breakdown.reduce((sum, day) => sum + day.charged, 0),
+    breakdown
+  };
+}
+
+/**
+ * Charges left on a leave once some of its dates are dropped, from the breakdown
+ * recorded when it was counted (so later policy or holiday changes do not apply)
+ * An off day stays sandwiched only while the leave days on both sides of it remain
+ * @param {Object[]} breakdown - As returned by calculateLeaveDays
+ * @param {Set<string>} remainingKeys - YYYY-MM-DD dates still on the leave
+ * @returns {{ days_count: number, breakdown: Object[] }}
+ */
+function getRemainingCharges(breakdown, remainingKeys) {
+  const workingKeys = breakdown.filter(day => day.day_type === 'working').map(day => day.date);
+
+  const stillSandwiched = (key) => {
+    const before = workingKeys.filter(k => k < key).pop();
+    const after = workingKeys.find(k => k > key);
+    return !!before && !!after && remainingKeys.has(before) && remainingKeys.has(after);
+  };
+
+  const remaining = [];
+  for (const day of breakdown) {
+    if (day.applied && !remainingKeys.has(day.date)) continue;
+    if (!day.sandwiched || stillSandwiched(day.date)) {
+      remaining.push(day);
+    } else if (day.applied) {
+      remaining.push({ ...day, sandwiched: false, charged: 0 });
+    }
+  }
+
+  return {
+    days_count: remaining.reduce((sum, day) => sum + day.charged, 0),
+    breakdown: remaining
+  };
+}
+
+module.exports = {
+  toLocalDateKey,
+  getLeaveDayRules,
+  calculateLeaveDays,
+  getRemainingCharges
+};
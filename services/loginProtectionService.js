@@ -0,0 +1,195 @@
+/**
+ * Login Protection Service
+ * Failed-attempt tracking per account and per IP, progressive delays
+ * and temporary lockouts for POST /api/auth/login
+ */
+
+const { config } = require('../config/config');
+const { generateUUID } = require('../utils/helpers');
+
+const ATTEMPT_TYPES = {
+  ACCOUNT: 'account',
+  IP: 'ip'
+};
+
+/**
+ * Sleep helper for progressive delays
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Build the lookup key stored in `login_attempts`
+ */
+const attemptKey = (type, identifier) => `${type}:${identifier}`;
+
+/**
+ * Progressive delay for the given number of consecutive failures
+ * 0 below the threshold, then baseDelay * 2^n capped at maxDelay
+ */
+function getProgressiveDelay(failures) {
+  const { delayAfterFailures, baseDelayMs, maxDelayMs } = config.loginProtection;
+
+  if (failures <= delayAfterFailures) {
+    return 0;
+  }
+
+  return Math.min(baseDelayMs * Math.pow(2, failures - delayAfterFailures - 1), maxDelayMs);
+}
+
+/**
+ * Check whether the account or the IP is currently locked out
+ * @returns {{ locked: boolean, scope?: string, locked_until?: Date, retry_after_seconds?: number }}
+ */
+async function checkLoginLock(db, email, ipAddress) {
+  const now = new Date();
+
+  const activeLock = await db.collection('login_attempts').findOne(
+    {
+      key: { $in: [attemptKey(ATTEMPT_TYPES.ACCOUNT, email), attemptKey(ATTEMPT_TYPES.IP, ipAddress)] },
+      locked_until: { $gt: now }
+    },
+    { projection: { _id: 0 }, sort: { locked_until: -1 } }
+  );
+
+  if (!activeLock) {
+    return { locked: false };
+  }
+
+  return {
+    locked: true,
+    scope: activeLock.type,
+    locked_until: activeLock.locked_until,
+    retry_after_seconds: Math.ceil((new Date(activeLock.locked_until) - now) / 1000)
+  };
+}
+
+/**
+ * Increment the failure counter for one key, starting a new window if the old one expired
+ */
+async function incrementFailures(db, type, identifier) {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - config.loginProtection.failureWindowMinutes * 60 * 1000);
+  const key = attemptKey(type, identifier);
+
+  // Start a fresh window when the previous failures are stale
+  await db.collection('login_attempts').updateOne(
+    { key, last_failure_at: { $lt: windowStart }, $or: [{ locked_until: null }, { locked_until: { $lte: now } }] },
+    { $set: { failures: 0, first_failure_at: now, locked_until: null } }
+  );
+
+  return db.collection('login_attempts').findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { type, identifier, last_failure_at: now },
+      $setOnInsert: { first_failure_at: now, locked_until: null }
+    },
+    { upsert: true, returnDocument: 'after', projection: { _id: 0 } }
+  );
+}
+
+/**
+ * Lock a key and record the lockout event for admin review
+ */
+async function lockKey(db, attempt, context) {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + config.loginProtection.lockoutMinutes * 60 * 1000);
+
+  await db.collection('login_attempts').updateOne(
+    { key: attempt.key },
+    { $set: { locked_until: lockedUntil } }
+  );
+
+  await db.collection('login_lockouts').insertOne({
+    id: generateUUID(),
+    scope: attempt.type,
+    identifier: attempt.identifier,
+    email: context.email,
+    ip_address: context.ipAddress,
+    user_agent: context.userAgent || null,
+    failures: attempt.failures,
+    locked_at: now,
+    locked_until: lockedUntil,
+    unlocked_at: null,
+    unlocked_by: null
+  });
+
+  console.warn(`Login lockout: ${attempt.type} ${attempt.identifier} locked until ${lockedUntil.toISOString()}`);
+
+  return lockedUntil;
+}
+
+/**
+ * Record a failed login for both the account and the IP
+ * @returns {{ delay_ms: number, locked: boolean }}
+ */
+async function recordLoginFailure(db, email, req) {
+  const ipAddress = req.ip;
+  const context = { email, ipAddress, userAgent: req.get('User-Agent') };
+  const { maxAccountFailures, maxIpFailures } = config.loginProtection;
+
+  const accountAttempt = await incrementFailures(db, ATTEMPT_TYPES.ACCOUNT, email);
+  const ipAttempt = await incrementFailures(db, ATTEMPT_TYPES.IP, ipAddress);
+
+  let locked = false;
+
+  if (accountAttempt.failures >= maxAccountFailures) {
+    await lockKey(db, accountAttempt, context);
+    locked = true;
+  }
+
+  if (ipAttempt.failures >= maxIpFailures) {
+    await lockKey(db, ipAttempt, context);
+    locked = true;
+  }
+
+  return {
+    delay_ms: getProgressiveDelay(Math.max(accountAttempt.failures, ipAttempt.failures)),
+    locked
+  };
+}
+
+/**
+ * Clear the account's failure counter after a successful login
+ */
+async function recordLoginSuccess(db, email) {
+  await db.collection('login_attempts').deleteOne({ key: attemptKey(ATTEMPT_TYPES.ACCOUNT, email) });
+}
+
+/**
+ * Lift a lockout (admin action)
+ * @param {Object} target - { email, ip_address }
+ * @returns {number} - Number of lockouts lifted
+ */
+async function unlockLogin(db, target, unlockedBy) {
+  const keys = [];
+  const lockoutQuery = [];
+
+  if (target.email) {
+    keys.push(attemptKey(ATTEMPT_TYPES.ACCOUNT, target.email));
+    lockoutQuery.push({ scope: ATTEMPT_TYPES.ACCOUNT, identifier: target.email });
+  }
+  if (target.ip_address) {
+    keys.push(attemptKey(ATTEMPT_TYPES.IP, target.ip_address));
+    lockoutQuery.push({ scope: ATTEMPT_TYPES.IP, identifier: target.ip_address });
+  }
+
+  await db.collection('login_attempts').deleteMany({ key: { $in: keys } });
+
+  const result = await db.collection('login_lockouts').updateMany(
+    { $or: lockoutQuery, unlocked_at: null, locked_until: { $gt: new Date() } },
+    { $set: { unlocked_at: new Date(), unlocked_by: unlockedBy } }
+  );
+
+  return result.modifiedCount;
+}
+
+module.exports = {
+  ATTEMPT_TYPES,
+  sleep,
+  getProgressiveDelay,
+  checkLoginLock,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockLogin
+};
@@ -0,0 +1,286 @@
+/**
+ * Master Data Service
+ * Department and designation catalog. Records belong to one organization,
+ * or are shared by all when organization_id is null. Employee department and
+ * designation values are matched against the catalog (by id, name or code,
+ * ignoring case and punctuation) and stored as the canonical name plus id.
+ * While an organization has no records yet, free text is still accepted so
+ * existing data keeps working until it is migrated.
+ */
+
+const { generateUUID } = require('../utils/helpers');
+
+const CATALOG = {
+  department: { collection: 'departments', label: 'department' },
+  designation: { collection: 'designations', label: 'designation' }
+};
+
+// Names listed in validation errors
+const MAX_SUGGESTIONS = 10;
+
+/**
+ * Comparison key: "I.T.", "it" and " IT " are the same department
+ */
+const normalizeName = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Query for records usable by employees of an organization (its own plus shared ones)
+ */
+const scopeFilter = (organizationId) => ({
+  organization_id: { $in: organizationId ? [organizationId, null] : [null] }
+});
+
+/**
+ * Load the active catalog once (bulk operations match many values against it)
+ * @returns {{ department: Object[], designation: Object[] }}
+ */
+async function loadCatalog(db) {
+  const [departments, designations] = await Promise.all([
+    db.collection('departments').find({ is_active: true }, { projection: { _id: 0 } }).toArray(),
+    db.collection('designations').find({ is_active: true }, { projection: { _id: 0 } }).toArray()
+  ]);
+  return { department: departments, designation: designations };
+}
+
+/**
+ * Find the record a free-text value refers to (organization records win over shared ones)
+ * @param {Object[]} entries - Catalog records of one kind
+ */
+function matchCatalogEntry(entries, organizationId, value) {
+  const key = normalizeName(value);
+  const inScope = entries.filter(entry => !entry.organization_id || entry.organization_id === organizationId);
+
+  const matches = inScope.filter(entry =>
+    entry.id === value || entry.name_key === key || (entry.code && normalizeName(entry.code) === key)
+  );
+
+  return matches.find(entry => entry.organization_id) || matches[0] || null;
+}
+
+/**
+ * Resolve the department and/or designation of an employee against the catalog
+ * Only the keys present in `values` are resolved
+ * @param {string|null} organizationId - The employee's organization
+ * @param {Object} values - { department?, designation? }
+ * @param {Object} catalog - Optional result of loadCatalog
+ * @returns {Object} - { department, department_id, designation, designation_id } or { error }
+ */
+async function resolveDepartmentAndDesignation(db, organizationId, values, catalog = null) {
+  const activeCatalog = catalog || await loadCatalog(db);
+  const resolved = {};
+
+  for (const [kind, { label }] of Object.entries(CATALOG)) {
+    if (!(kind in values)) continue;
+
+    const value = values[kind];
+    if (!value) {
+      resolved[kind] = null;
+      resolved[`${kind}_id`] = null;
+      continue;
+    }
+
+    const inScope = activeCatalog[kind].filter(entry => !entry.organization_id || entry.organization_id === organizationId);
+
+    // No catalog for this organization yet - keep the free text
+    if (inScope.length === 0) {
+      resolved[kind] = value;
+      resolved[`${kind}_id`] = null;
+      continue;
+    }
+
+    const entry = matchCatalogEntry(inScope, organizationId, value);
+    if (!entry) {
+      const names = inScope.map(item => item.name).sort().slice(0, MAX_SUGGESTIONS);
+      return { error: `Unknown ${label} "${value}". Valid values: ${names.join(', ')}${inScope.length > MAX_SUGGESTIONS ? ', ...' : ''}` };
+    }
+
+    resolved[kind] = entry.name;
+    resolved[`${kind}_id`] = entry.id;
+  }
+
+  return resolved;
+}
+
+/**
+ * Another record with the same name (or code) that employees of this scope could confuse it with
+ * Shared records clash with any organization's records and vice versa
+ */
+async function findDuplicate(db, kind, { organizationId, name, code, excludeId = null }) {
+  const keyConditions = [{ name_key: normalizeName(name) }];
+  if (code) keyConditions.push({ code });
+
+  const query = { $or: keyConditions };
+  if (organizationId) query.organization_id = { $in: [organizationId, null] };
+  if (excludeId) query.id = { $ne: excludeId };
+
+  return db.collection(CATALOG[kind].collection).findOne(query, { projection: { _id: 0, id: 1, name: 1, code: 1 } });
+}
+
+/**
+ * Check a parent department assignment: same scope and no loops
+ * @returns {{ parent: Object } | { error: string }}
+ */
+async function validateParentDepartment(db, department, parentId) {
+  if (department.id && parentId === department.id) {
+    return { error: 'A department cannot be its own parent' };
+  }
+
+  const parent = await db.collection('departments').findOne({ id: parentId }, { projection: { _id: 0 } });
+  if (!parent) {
+    return { error: 'Invalid parent_id' };
+  }
+  if (parent.organization_id && parent.organization_id !== department.organization_id) {
+    return { error: 'The parent department belongs to another organization' };
+  }
+
+  // Walk up from the new parent - reaching this department means a loop
+  if (department.id) {
+    const visited = new Set();
+    let current = parent;
+    while (current && current.parent_id && !visited.has(current.id)) {
+      if (current.parent_id === department.id) {
+        return { error: `Department loop: ${parent.name} already sits under this department` };
+      }
+      visited.add(current.id);
+      current = await db.collection('departments').findOne({ id: current.parent_id }, { projection: { _id: 0, id: 1, parent_id: 1 } });
+    }
+  }
+
+  return { parent };
+}
+
+/**
+ * Nest departments under their parents (anything whose parent is missing becomes a root)
+ */
+function buildDepartmentTree(departments) {
+  const nodes = new Map(departments.map(dept => [dept.id, { ...dept, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+    if (parent && parent !== node) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+}
+
+/**
+ * Plan (and optionally apply) the mapping of existing free-text values onto catalog records
+ * @param {Object} options - { departmentMap, designationMap, createMissing, dryRun, createdBy }
+ *   Maps are { "free text": "record id, name or code" }
+ * @returns {{ department: Object[], designation: Object[], created: Object[], updated: Object }}
+ */
+async function migrateFreeTextValues(db, { departmentMap = {}, designationMap = {}, createMissing = true, dryRun = true, createdBy }) {
+  const catalog = await loadCatalog(db);
+  const maps = { department: departmentMap, designation: designationMap };
+  const report = { department: [], designation: [], created: [], updated: { department: 0, designation: 0 } };
+
+  const employees = await db.collection('employees')
+    .find({}, { projection: { _id: 0, organization_id: 1, department: 1, designation: 1, department_id: 1, designation_id: 1 } })
+    .toArray();
+
+  const updates = [];
+
+  for (const kind of Object.keys(CATALOG)) {
+    // Distinct free-text values per organization
+    const groups = new Map();
+    for (const employee of employees) {
+      const value = employee[kind];
+      if (!value) continue;
+
+      const organizationId = employee.organization_id || null;
+      const groupKey = `${organizationId}|${value}`;
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { organizationId, value, employees: 0, linked: 0 });
+      }
+      const group = groups.get(groupKey);
+      group.employees += 1;
+      if (employee[`${kind}_id`]) group.linked += 1;
+    }
+
+    // Most common spelling first, so it becomes the record name when several spellings are created
+    const orderedGroups = [...groups.values()].sort((a, b) => b.employees - a.employees);
+
+    for (const group of orderedGroups) {
+      const mappedTo = maps[kind][group.value];
+      let entry = matchCatalogEntry(catalog[kind], group.organizationId, mappedTo || group.value);
+      let action = mappedTo ? 'mapped' : 'matched';
+
+      if (!entry && mappedTo) {
+        report[kind].push({ organization_id: group.organizationId, from: group.value, action: 'unresolved', error: `No ${kind} matches "${mappedTo}"`, employees: group.employees });
+        continue;
+      }
+
+      if (!entry && createMissing) {
+        const now = new Date();
+        entry = {
+          id: generateUUID(),
+          organization_id: group.organizationId,
+          name: group.value.trim(),
+          name_key: normalizeName(group.value),
+          code: null,
+          description: null,
+          is_active: true,
+          created_at: now,
+          created_by: createdBy,
+          updated_at: now,
+          ...(kind === 'department'
+            ? { parent_id: null, head_email: null, head_name: null }
+            : { grade: null, level: null })
+        };
+        catalog[kind].push(entry);
+        report.created.push({ kind, ...entry });
+        action = 'created';
+      }
+
+      if (!entry) {
+        report[kind].push({ organization_id: group.organizationId, from: group.value, action: 'unresolved', employees: group.employees });
+        continue;
+      }
+
+      report[kind].push({ organization_id: group.organizationId, from: group.value, to: entry.name, to_id: entry.id, action, employees: group.employees });
+
+      if (group.value !== entry.name || group.linked < group.employees) {
+        updates.push({ kind, organizationId: group.organizationId, value: group.value, entry });
+      }
+    }
+  }
+
+  if (dryRun) {
+    return report;
+  }
+
+  for (const created of report.created) {
+    const { kind, ...record } = created;
+    await db.collection(CATALOG[kind].collection).insertOne(record);
+    delete record._id;
+  }
+
+  for (const { kind, organizationId, value, entry } of updates) {
+    const filter = { organization_id: organizationId || { $in: [null, ''] }, [kind]: value };
+
+    const result = await db.collection('employees').updateMany(filter, {
+      $set: { [kind]: entry.name, [`${kind}_id`]: entry.id, updated_at: new Date() }
+    });
+    await db.collection('users').updateMany(filter, { $set: { [kind]: entry.name } });
+
+    report.updated[kind] += result.modifiedCount;
+  }
+
+  return report;
+}
+
+module.exports = {
+  normalizeName,
+  scopeFilter,
+  loadCatalog,
+  resolveDepartmentAndDesignation,
+  findDuplicate,
+  validateParentDepartment,
+  buildDepartmentTree,
+  migrateFreeTextValues
+};
@@ -0,0 +1,159 @@
+/**
+ * Offboarding Service
+ * Employee exit lifecycle: exit records (resignation, notice period, last
+ * working day, checklist), deactivation instead of deletion, and the daily
+ * job that deactivates employees whose last working day has arrived
+ */
+
+const { EmployeeStatus, ExitStatus } = require('../models/schemas');
+const { generateUUID } = require('../utils/helpers');
+const { revokeUserSessions } = require('./sessionService');
+
+// Used when an exit is started without its own checklist
+const DEFAULT_EXIT_CHECKLIST = [
+  'Knowledge transfer / handover completed',
+  'Laptop and company equipment returned',
+  'ID card and access cards returned',
+  'System and email access revoked',
+  'Exit interview conducted',
+  'Full and final settlement processed',
+  'Relieving and experience letters issued'
+];
+
+// Query filter for employees that are still employed (documents without a status are active)
+const ACTIVE_EMPLOYEE_FILTER = { status: { $ne: EmployeeStatus.INACTIVE } };
+
+/**
+ * Format a date as YYYY-MM-DD
+ */
+const toDateString = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+};
+
+/**
+ * Employees who were employed on or after the given date
+ * (active ones plus those whose last working day falls on / after it) - for month-based reports
+ */
+const employedSinceFilter = (dateString) => ({
+  $or: [
+    ACTIVE_EMPLOYEE_FILTER,
+    { 'exit.last_working_day': { $gte: dateString } }
+  ]
+});
+
+/**
+ * Build checklist entries from item texts
+ */
+const buildChecklist = (items) => items.map(item => ({
+  id: generateUUID(),
+  item,
+  completed: false,
+  completed_by: null,
+  completed_at: null,
+  notes: null
+}));
+
+/**
+ * Build a new exit record
+ * The last working day defaults to resignation date + notice period
+ */
+function buildExitRecord(data, initiatedBy) {
+  const resignationDate = toDateString(data.resignation_date);
+  const noticePeriodDays = data.notice_period_days || 0;
+
+  return {
+    id: generateUUID(),
+    status: ExitStatus.INITIATED,
+    exit_type: data.exit_type,
+    resignation_date: resignationDate,
+    notice_period_days: noticePeriodDays,
+    last_working_day: data.last_working_day
+      ? toDateString(data.last_working_day)
+      : addDays(resignationDate, noticePeriodDays),
+    reason: data.reason || null,
+    checklist: buildChecklist(data.checklist || DEFAULT_EXIT_CHECKLIST),
+    initiated_by: initiatedBy,
+    initiated_at: new Date(),
+    completed_by: null,
+    completed_at: null,
+    cancelled_by: null,
+    cancelled_at: null
+  };
+}
+
+/**
+ * Deactivate an employee and their login: records are kept, sessions are revoked
+ * @param {Object} employee - employees document (needs email)
+ * @param {string} deactivatedBy - Email of the admin, or 'system' for the daily job
+ */
+async function deactivateEmployee(db, employee, deactivatedBy) {
+  const now = new Date();
+
+  await db.collection('employees').updateOne(
+    { email: employee.email },
+    {
+      $set: {
+        status: EmployeeStatus.INACTIVE,
+        'exit.status': ExitStatus.COMPLETED,
+        'exit.completed_by': deactivatedBy,
+        'exit.completed_at': now,
+        deactivated_at: now,
+        updated_at: now
+      }
+    }
+  );
+
+  await db.collection('users').updateOne(
+    { email: employee.email },
+    { $set: { status: EmployeeStatus.INACTIVE, deactivated_at: now } }
+  );
+
+  await revokeUserSessions(db, employee.email, 'account_deactivated');
+}
+
+/**
+ * Deactivate every employee whose last working day is today or earlier
+ * @returns {{ processed: number, deactivated: string[], errors: Object[] }}
+ */
+async function processDueExits(db, asOf = new Date()) {
+  const today = toDateString(asOf);
+
+  const dueEmployees = await db.collection('employees')
+    .find({
+      ...ACTIVE_EMPLOYEE_FILTER,
+      'exit.status': ExitStatus.INITIATED,
+      'exit.last_working_day': { $lte: today }
+    }, { projection: { _id: 0, email: 1, employee_id: 1 } })
+    .toArray();
+
+  const results = { processed: dueEmployees.length, deactivated: [], errors: [] };
+
+  for (const employee of dueEmployees) {
+    try {
+      await deactivateEmployee(db, employee, 'system');
+      results.deactivated.push(employee.employee_id);
+    } catch (error) {
+      results.errors.push({ employee_id: employee.employee_id, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  DEFAULT_EXIT_CHECKLIST,
+  ACTIVE_EMPLOYEE_FILTER,
+  toDateString,
+  employedSinceFilter,
+  buildChecklist,
+  buildExitRecord,
+  deactivateEmployee,
+  processDueExits
+};
@@ -0,0 +1,298 @@
+/**
+ * OIDC Service
+ * OpenID Connect single sign-on: provider discovery, authorization-code flow
+ * with PKCE and ID token validation against the provider's JWKS.
+ * SSO settings live in the `sso_settings` collection (single document).
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { config } = require('../config/config');
+
+const SSO_SETTINGS_ID = 'sso_settings';
+
+// How long a started login (state / nonce / PKCE verifier) stays valid
+const AUTH_REQUEST_EXPIRY_MINUTES = 10;
+
+// Discovery documents and JWKS are cached per process
+const METADATA_CACHE_TTL_MS = 60 * 60 * 1000;
+
+// Asymmetric algorithms accepted for ID tokens (never "none" or HMAC)
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Defaults used until an admin saves settings
+const DEFAULT_SSO_SETTINGS = {
+  enabled: false,
+  provider_name: 'Single Sign-On',    // Button label shown on the login page
+  issuer: '',
+  client_id: '',
+  client_secret: '',
+  redirect_uri: '',                   // Empty = FRONTEND_URL/sso/callback
+  scopes: 'openid email profile',
+  allowed_domains: [],                // Empty = any email domain
+  trust_missing_email_verified: false, // Link accounts by email when the IdP sends no email_verified claim
+  password_login_enabled: true        // Keep local email/password login alongside SSO
+};
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Base64url encoding (RFC 7636)
+ */
+const base64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * Random URL-safe value for state, nonce and PKCE verifier
+ */
+const randomToken = () => base64Url(crypto.randomBytes(32));
+
+/**
+ * Get SSO settings merged over defaults
+ */
+async function getSsoSettings(db) {
+  const settings = await db.collection('sso_settings').findOne(
+    { id: SSO_SETTINGS_ID },
+    { projection: { _id: 0 } }
+  );
+
+  const merged = { ...DEFAULT_SSO_SETTINGS, ...(settings || {}), id: SSO_SETTINGS_ID };
+  merged.redirect_uri = merged.redirect_uri || `${config.frontendUrl}/sso/callback`;
+
+  return merged;
+}
+
+/**
+ * Save (partial) SSO settings
+ */
+async function updateSsoSettings(db, updates, updatedBy) {
+  await db.collection('sso_settings').updateOne(
+    { id: SSO_SETTINGS_ID },
+    { $set: { ...updates, updated_at: new Date(), updated_by: updatedBy } },
+    { upsert: true }
+  );
+
+  // Issuer or keys may have changed
+  discoveryCache.clear();
+  jwksCache.clear();
+
+  return getSsoSettings(db);
+}
+
+/**
+ * SSO settings without the client secret
+ */
+function formatSsoSettings(settings) {
+  const { client_secret, ...rest } = settings;
+  return { ...rest, client_secret_set: Boolean(client_secret) };
+}
+
+/**
+ * Whether local password login is currently allowed
+ */
+function isPasswordLoginEnabled(settings) {
+  return !settings.enabled || settings.password_login_enabled !== false;
+}
+
+/**
+ * Fetch a JSON document, throwing on HTTP errors
+ */
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const reason = body && (body.error_description || body.error);
+    throw new Error(`${url} responded with ${response.status}${reason ? `: ${reason}` : ''}`);
+  }
+
+  return body;
+}
+
+/**
+ * Get (cached) provider metadata from /.well-known/openid-configuration
+ */
+async function discoverProvider(issuer) {
+  const cached = discoveryCache.get(issuer);
+  if (cached && Date.now() - cached.fetchedAt < METADATA_CACHE_TTL_MS) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+
+  if (metadata.issuer !== issuer) {
+    throw new Error(`Discovery issuer mismatch: expected ${issuer}, got ${metadata.issuer}`);
+  }
+  for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+    if (!metadata[field]) {
+      throw new Error(`Discovery document is missing ${field}`);
+    }
+  }
+
+  discoveryCache.set(issuer, { metadata, fetchedAt: Date.now() });
+  return metadata;
+}
+
+/**
+ * Find the signing key for a kid, refetching the JWKS once when the key is unknown (rotation)
+ */
+async function getSigningKey(jwksUri, kid) {
+  const findKey = (keys) => keys.find(key => (kid ? key.kid === kid : true) && (!key.use || key.use === 'sig'));
+
+  const cached = jwksCache.get(jwksUri);
+  if (cached && Date.now() - cached.fetchedAt < METADATA_CACHE_TTL_MS) {
+    const key = findKey(cached.keys);
+    if (key) return key;
+  }
+
+  const { keys = [] } = await fetchJson(jwksUri);
+  jwksCache.set(jwksUri, { keys, fetchedAt: Date.now() });
+
+  return findKey(keys) || null;
+}
+
+/**
+ * Start an authorization-code + PKCE login
+ * Stores state / nonce / verifier in `sso_auth_requests` and returns the IdP URL
+ */
+async function createAuthorizationRequest(db, settings, redirectTo) {
+  const metadata = await discoverProvider(settings.issuer);
+
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  const now = new Date();
+  await db.collection('sso_auth_requests').insertOne({
+    state,
+    nonce,
+    code_verifier: codeVerifier,
+    redirect_to: redirectTo || null,
+    created_at: now,
+    expires_at: new Date(now.getTime() + AUTH_REQUEST_EXPIRY_MINUTES * 60 * 1000)
+  });
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', settings.client_id);
+  url.searchParams.set('redirect_uri', settings.redirect_uri);
+  url.searchParams.set('scope', settings.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return { authorization_url: url.toString(), state };
+}
+
+/**
+ * Exchange an authorization code for tokens at the token endpoint
+ */
+async function exchangeCode(settings, metadata, code, codeVerifier) {
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: settings.redirect_uri,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  // client_secret_basic is the spec default; fall back to client_secret_post when that is all the IdP supports
+  const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (!authMethods.includes('client_secret_basic') && authMethods.includes('client_secret_post')) {
+    params.set('client_id', settings.client_id);
+    params.set('client_secret', settings.client_secret);
+  } else {
+    const credentials = `${encodeURIComponent(settings.client_id)}:${encodeURIComponent(settings.client_secret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  return fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: params.toString() });
+}
+
+/**
+ * Validate an ID token: signature (JWKS), issuer, audience, expiry and nonce
+ * @returns {Object} verified claims
+ */
+async function verifyIdToken(settings, metadata, idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw new Error('ID token is malformed');
+  }
+  if (!ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new Error(`ID token algorithm ${decoded.header.alg} is not allowed`);
+  }
+
+  const jwk = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+  if (!jwk) {
+    throw new Error('ID token signing key not found in JWKS');
+  }
+
+  const claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: metadata.issuer,
+    audience: settings.client_id,
+    clockTolerance: 60
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== settings.client_id) {
+    throw new Error('ID token authorized party mismatch');
+  }
+
+  return claims;
+}
+
+/**
+ * Finish an SSO login: consume the state, exchange the code and validate the ID token
+ * @returns {{ claims: Object, redirectTo: string|null } | { error: string }}
+ */
+async function completeAuthorization(db, settings, code, state) {
+  // Each state can be used once
+  const authRequest = await db.collection('sso_auth_requests').findOneAndDelete({ state });
+
+  if (!authRequest || new Date() > new Date(authRequest.expires_at)) {
+    return { error: 'SSO login expired or is invalid. Please start again.' };
+  }
+
+  try {
+    const metadata = await discoverProvider(settings.issuer);
+    const tokens = await exchangeCode(settings, metadata, code, authRequest.code_verifier);
+
+    if (!tokens || !tokens.id_token) {
+      return { error: 'Identity provider did not return an ID token' };
+    }
+
+    const claims = await verifyIdToken(settings, metadata, tokens.id_token, authRequest.nonce);
+    return { claims, redirectTo: authRequest.redirect_to };
+  } catch (error) {
+    console.error('SSO token validation error:', error.message);
+    return { error: 'SSO login failed: the identity provider response could not be verified' };
+  }
+}
+
+/**
+ * Whether an email is in one of the allowed domains (an empty list allows all)
+ */
+function isEmailDomainAllowed(settings, email) {
+  if (!settings.allowed_domains || settings.allowed_domains.length === 0) {
+    return true;
+  }
+  const domain = email.split('@').pop().toLowerCase();
+  return settings.allowed_domains.includes(domain);
+}
+
+module.exports = {
+  DEFAULT_SSO_SETTINGS,
+  getSsoSettings,
+  updateSsoSettings,
+  formatSsoSettings,
+  isPasswordLoginEnabled,
+  discoverProvider,
+  createAuthorizationRequest,
+  completeAuthorization,
+  isEmailDomainAllowed
+};
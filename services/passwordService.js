@@ -0,0 +1,108 @@
+/**
+ * Password Service
+ * Applies the admin-configured password policy, password history
+ * (no reuse of the last N passwords) and forced rotation
+ */
+
+const { hashPassword, verifyPassword } = require('../utils/helpers');
+const { validatePasswordPolicy } = require('../utils/passwordPolicy');
+const { getSecuritySettings } = require('./securitySettingsService');
+
+// Hard cap on stored previous hashes, independent of the configured history_count
+const PASSWORD_HISTORY_LIMIT = 24;
+
+const PASSWORD_CHANGE_REASONS = {
+  MUST_CHANGE: 'must_change',   // Admin-chosen password, change on first login
+  EXPIRED: 'expired'            // Older than password_policy.max_age_days
+};
+
+/**
+ * Check a new password against the policy and the user's password history
+ * @param {Object} db - Database connection
+ * @param {string} password - Candidate password
+ * @param {Object} context - { email, full_name, userDoc } (userDoc only for existing accounts)
+ * @returns {string[]} - Violations (empty when the password is acceptable)
+ */
+async function checkNewPassword(db, password, context = {}) {
+  const { password_policy: policy } = await getSecuritySettings(db);
+  const errors = validatePasswordPolicy(password, policy, context);
+
+  const userDoc = context.userDoc;
+  if (userDoc && policy.history_count > 0) {
+    const recentHashes = [userDoc.hashed_password, ...(userDoc.password_history || [])]
+      .filter(Boolean)
+      .slice(0, policy.history_count);
+
+    for (const hash of recentHashes) {
+      if (await verifyPassword(password, hash)) {
+        errors.push(`Password must not match any of your last ${policy.history_count} passwords`);
+        break;
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Format policy violations like the validate() middleware does
+ */
+function formatPasswordErrors(errors, field = 'password') {
+  return {
+    detail: 'Password does not meet the password policy',
+    error_code: 'PASSWORD_POLICY_VIOLATION',
+    errors: errors.map(message => ({ field, message }))
+  };
+}
+
+/**
+ * Set a new password for an existing user, keeping the previous hash in the history
+ * @param {Object} options - { mustChange } flags the password as temporary
+ */
+async function setUserPassword(db, userDoc, password, options = {}) {
+  const hashedPassword = await hashPassword(password);
+  const history = [userDoc.hashed_password, ...(userDoc.password_history || [])]
+    .filter(Boolean)
+    .slice(0, PASSWORD_HISTORY_LIMIT);
+
+  await db.collection('users').updateOne(
+    { email: userDoc.email },
+    {
+      $set: {
+        hashed_password: hashedPassword,
+        password_history: history,
+        password_updated_at: new Date(),
+        must_change_password: options.mustChange === true
+      }
+    }
+  );
+}
+
+/**
+ * Whether the user has to change their password before using the API
+ * @returns {string|null} - One of PASSWORD_CHANGE_REASONS, or null
+ */
+function getPasswordChangeReason(userDoc, policy) {
+  if (userDoc.must_change_password) {
+    return PASSWORD_CHANGE_REASONS.MUST_CHANGE;
+  }
+
+  if (policy.max_age_days > 0) {
+    const changedAt = new Date(userDoc.password_updated_at || userDoc.created_at);
+    const ageDays = (Date.now() - changedAt.getTime()) / (24 * 60 * 60 * 1000);
+
+    if (!isNaN(ageDays) && ageDays > policy.max_age_days) {
+      return PASSWORD_CHANGE_REASONS.EXPIRED;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  PASSWORD_CHANGE_REASONS,
+  checkNewPassword,
+  formatPasswordErrors,
+  setUserPassword,
+  getPasswordChangeReason
+};
@@ -0,0 +1,260 @@
+/**
+ * Probation Service
+ * Probation after joining: the period comes from the employee, their
+ * designation or the company default (settings.probation). The employee
+ * stores `probation` { status, months, start_date, due_date, ... }; a review
+ * confirms, extends or ends it, and the daily job reminds managers and HR
+ * ahead of the due date.
+ */
+
+const { ProbationStatus, ProbationAction, ExitType } = require('../models/schemas');
+const { generateUUID } = require('../utils/helpers');
+const { ACTIVE_EMPLOYEE_FILTER, toDateString, buildExitRecord } = require('./offboardingService');
+const { getReportingManager } = require('./hierarchyService');
+const { sendEmailNotification } = require('./emailService');
+const { generateProbationReminderEmail } = require('../utils/emailTemplates');
+
+const DEFAULT_PROBATION_SETTINGS = {
+  default_months: 6,
+  reminder_days: [14, 7, 1]   // Days before the due date; one more reminder goes out once it is overdue
+};
+
+// Probation not yet decided
+const OPEN_PROBATION_STATUSES = [ProbationStatus.ON_PROBATION, ProbationStatus.EXTENDED];
+
+/**
+ * Add months to a YYYY-MM-DD date (31 Jan + 1 month = 28/29 Feb)
+ */
+const addMonths = (dateString, months) => {
+  const date = new Date(`${toDateString(dateString)}T00:00:00.000Z`);
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+  return toDateString(date);
+};
+
+/**
+ * Whole days from one YYYY-MM-DD date to another
+ */
+const daysBetween = (from, to) =>
+  Math.round((new Date(`${to}T00:00:00.000Z`) - new Date(`${from}T00:00:00.000Z`)) / (24 * 60 * 60 * 1000));
+
+/**
+ * Company probation settings (defaults when not configured)
+ */
+async function getProbationSettings(db) {
+  const settings = await db.collection('settings').findOne({}, { projection: { _id: 0, probation: 1 } });
+  return { ...DEFAULT_PROBATION_SETTINGS, ...(settings && settings.probation) };
+}
+
+/**
+ * Probation months for a new employee: their own value, else the designation's, else the company default
+ * @param {Object} data - { probation_months, designation_id }
+ */
+async function resolveProbationMonths(db, data, settings) {
+  if (data.probation_months !== undefined && data.probation_months !== null) {
+    return data.probation_months;
+  }
+
+  if (data.designation_id) {
+    const designation = await db.collection('designations').findOne(
+      { id: data.designation_id },
+      { projection: { _id: 0, probation_months: 1 } }
+    );
+    if (designation && designation.probation_months !== undefined && designation.probation_months !== null) {
+      return designation.probation_months;
+    }
+  }
+
+  return (settings || await getProbationSettings(db)).default_months;
+}
+
+/**
+ * Build a probation record (null when the period is 0 months)
+ */
+function buildProbation(startDate, months) {
+  if (!months) return null;
+
+  const start = toDateString(startDate);
+  return {
+    status: ProbationStatus.ON_PROBATION,
+    months,
+    start_date: start,
+    due_date: addMonths(start, months),
+    original_due_date: addMonths(start, months),
+    extended_months: 0,
+    reminders_sent: [],
+    reviews: [],
+    decided_by: null,
+    decided_at: null,
+    confirmation_date: null
+  };
+}
+
+/**
+ * Probation record for a new employee
+ * @param {Object} data - { probation_months, designation_id }
+ */
+async function createProbation(db, data, joiningDate, settings) {
+  return buildProbation(joiningDate, await resolveProbationMonths(db, data, settings));
+}
+
+/**
+ * Whether the employee's probation is still undecided
+ */
+const isOnProbation = (employee) =>
+  !!(employee && employee.probation && OPEN_PROBATION_STATUSES.includes(employee.probation.status));
+
+/**
+ * Whether a leave type may be taken by the employee
+ * Policies with allowed_during_probation: false are blocked until confirmation
+ * @returns {{ valid: boolean, message?: string }}
+ */
+function checkProbationLeave(employee, policyItem) {
+  if (!policyItem || policyItem.allowed_during_probation !== false || !isOnProbation(employee)) {
+    return { valid: true };
+  }
+  return {
+    valid: false,
+    message: `${policyItem.leave_type} is not available during probation (review due ${employee.probation.due_date})`
+  };
+}
+
+/**
+ * Apply a review to an open probation
+ * Confirm ends it, extend moves the due date, terminate ends it and starts an exit
+ * @param {Object} review - Validated probationReview body
+ * @param {Object} reviewer - req.user
+ * @returns {{ probation: Object, exit: Object|null, entry: Object }}
+ */
+async function reviewProbation(db, employee, review, reviewer) {
+  const now = new Date();
+  const today = toDateString(now);
+  const probation = { ...employee.probation };
+
+  const entry = {
+    id: generateUUID(),
+    action: review.action,
+    rating: review.rating,
+    strengths: review.strengths || null,
+    improvement_areas: review.improvement_areas || null,
+    comments: review.comments,
+    due_date: probation.due_date,
+    reviewed_by: reviewer.email,
+    reviewed_by_name: reviewer.full_name,
+    reviewed_at: now
+  };
+
+  let exit = null;
+  if (review.action === ProbationAction.CONFIRM) {
+    Object.assign(probation, {
+      status: ProbationStatus.CONFIRMED,
+      confirmation_date: today,
+      decided_by: reviewer.email,
+      decided_at: now
+    });
+  } else if (review.action === ProbationAction.EXTEND) {
+    entry.extension_months = review.extension_months;
+    entry.new_due_date = addMonths(probation.due_date, review.extension_months);
+    Object.assign(probation, {
+      status: ProbationStatus.EXTENDED,
+      due_date: entry.new_due_date,
+      extended_months: (probation.extended_months || 0) + review.extension_months
+    });
+  } else {
+    Object.assign(probation, {
+      status: ProbationStatus.TERMINATED,
+      decided_by: reviewer.email,
+      decided_at: now
+    });
+    exit = buildExitRecord({
+      exit_type: ExitType.TERMINATION,
+      resignation_date: today,
+      notice_period_days: 0,
+      last_working_day: review.last_working_day || today,
+      reason: `Probation not confirmed: ${review.comments}`
+    }, reviewer.email);
+  }
+
+  probation.reviews = [...(probation.reviews || []), entry];
+
+  const update = { probation, updated_at: now };
+  if (exit) update.exit = exit;
+
+  await db.collection('employees').updateOne({ email: employee.email }, { $set: update });
+
+  return { probation, exit, entry };
+}
+
+/**
+ * Email managers and HR about probation reviews coming up (or overdue)
+ * Each reminder day is sent once per due date, so an extension starts a new round
+ * @returns {{ processed: number, reminded: string[], errors: Object[] }}
+ */
+async function processProbationReminders(db, asOf = new Date()) {
+  const today = toDateString(asOf);
+  const settings = await getProbationSettings(db);
+  const reminderDays = [...settings.reminder_days].sort((a, b) => a - b);
+  const horizon = toDateString(new Date(asOf.getTime() + Math.max(0, ...reminderDays) * 24 * 60 * 60 * 1000));
+
+  const employees = await db.collection('employees')
+    .find({
+      ...ACTIVE_EMPLOYEE_FILTER,
+      'probation.status': { $in: OPEN_PROBATION_STATUSES },
+      'probation.due_date': { $lte: horizon }
+    }, { projection: { _id: 0 } })
+    .toArray();
+
+  const results = { processed: employees.length, reminded: [], errors: [] };
+  if (employees.length === 0) return results;
+
+  const hr = await db.collection('employees').findOne({ role: 'admin' }, { projection: { email: 1 } });
+
+  for (const employee of employees) {
+    const { due_date: dueDate, reminders_sent: sent = [] } = employee.probation;
+    const daysLeft = daysBetween(today, dueDate);
+
+    // Reminder days reached so far - any that were missed go out as a single email
+    const reached = daysLeft < 0 ? ['overdue'] : reminderDays.filter(days => daysLeft <= days).map(String);
+    const keys = reached.map(key => `${dueDate}:${key}`).filter(key => !sent.includes(key));
+    if (keys.length === 0) continue;
+
+    try {
+      const manager = await getReportingManager(db, employee);
+      const recipients = [...new Set([manager && manager.email, hr && hr.email].filter(Boolean))];
+      const html = generateProbationReminderEmail(
+        employee.full_name, employee.employee_id, employee.designation, dueDate, daysLeft
+      );
+
+      for (const email of recipients) {
+        await sendEmailNotification(email, `Probation Review ${daysLeft < 0 ? 'Overdue' : 'Due'}: ${employee.full_name}`, html);
+      }
+
+      await db.collection('employees').updateOne(
+        { email: employee.email },
+        { $addToSet: { 'probation.reminders_sent': { $each: keys } } }
+      );
+      results.reminded.push(employee.employee_id);
+    } catch (error) {
+      results.errors.push({ employee_id: employee.employee_id, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  DEFAULT_PROBATION_SETTINGS,
+  OPEN_PROBATION_STATUSES,
+  addMonths,
+  getProbationSettings,
+  resolveProbationMonths,
+  buildProbation,
+  createProbation,
+  isOnProbation,
+  checkProbationLeave,
+  reviewProbation,
+  processProbationReminders
+};
@@ -0,0 +1,107 @@
+/**
+ * Profile Change Service
+ * Self-service changes to personal details (phone, address, bank details,
+ * emergency contacts). Employees propose a change, HR reviews the diff and
+ * only approved requests are written to the employee record. Requests are
+ * kept in `profile_change_requests`; the approved ones form the history.
+ */
+
+const { Permission } = require('../models/permissions');
+const { hasPermission } = require('../middleware/roleCheck');
+
+// Fields that need HR approval when employees change them
+const PROFILE_CHANGE_FIELDS = {
+  phone: 'Phone',
+  address: 'Address',
+  bank_details: 'Bank Details',
+  emergency_contacts: 'Emergency Contacts'
+};
+
+// Mirrored on the users document
+const USER_SYNC_FIELDS = ['phone'];
+
+const normalizeValue = (value) => (value === '' || value === undefined ? null : value);
+
+/**
+ * Stable comparison (object key order does not matter)
+ */
+const isSameValue = (a, b) => {
+  const sortKeys = (value) => {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return Object.keys(value).sort().reduce((sorted, key) => {
+        if (normalizeValue(value[key]) !== null) sorted[key] = sortKeys(value[key]);
+        return sorted;
+      }, {});
+    }
+    return normalizeValue(value);
+  };
+  return JSON.stringify(sortKeys(a)) === JSON.stringify(sortKeys(b));
+};
+
+/**
+ * Fields of a proposal that differ from the employee record
+ * @returns {Object[]} - [{ field, label, from, to }]
+ */
+function buildProfileDiff(employee, proposed) {
+  const diff = [];
+  for (const [field, label] of Object.entries(PROFILE_CHANGE_FIELDS)) {
+    if (!(field in proposed)) continue;
+
+    const from = normalizeValue(employee[field]);
+    const to = normalizeValue(proposed[field]);
+    if (!isSameValue(from, to)) {
+      diff.push({ field, label, from, to });
+    }
+  }
+  return diff;
+}
+
+/**
+ * Fields whose current value no longer matches what the request was based on
+ * (changed by HR in the meantime) - shown to the reviewer
+ */
+function findConflicts(employee, request) {
+  return request.changes
+    .filter(change => !isSameValue(normalizeValue(employee[change.field]), change.from))
+    .map(change => change.field);
+}
+
+/**
+ * Whether a caller may edit these fields directly (HR) instead of through a request
+ */
+const canEditPersonalDetails = (user) => hasPermission(user, Permission.EMPLOYEE_UPDATE);
+
+/**
+ * Whether a caller may see someone's bank details
+ */
+const canViewBankDetails = (user, employee) =>
+  employee.email === user.email || hasPermission(user, [Permission.EMPLOYEE_UPDATE, Permission.PAYROLL_MANAGE]);
+
+/**
+ * Write an approved request to the employee (and user) record
+ */
+async function applyProfileChange(db, request) {
+  const employeeSet = { updated_at: new Date() };
+  const userSet = {};
+
+  for (const { field, to } of request.changes) {
+    employeeSet[field] = to;
+    if (USER_SYNC_FIELDS.includes(field)) userSet[field] = to;
+  }
+
+  await db.collection('employees').updateOne({ email: request.employee_email }, { $set: employeeSet });
+
+  if (Object.keys(userSet).length > 0) {
+    await db.collection('users').updateOne({ email: request.employee_email }, { $set: userSet });
+  }
+}
+
+module.exports = {
+  PROFILE_CHANGE_FIELDS,
+  buildProfileDiff,
+  findConflicts,
+  canEditPersonalDetails,
+  canViewBankDetails,
+  applyProfileChange
+};
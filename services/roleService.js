@@ -0,0 +1,127 @@
+/**
+ * Role Service
+ * Resolves built-in roles (admin, manager, employee) and admin-defined
+ * custom roles stored in the `roles` collection to their permission sets
+ */
+
+const { BUILT_IN_ROLES } = require('../models/permissions');
+const { UserRole } = require('../models/schemas');
+
+/**
+ * Turn a role name into a role key, e.g. "HR Executive" -> "hr_executive"
+ */
+const toRoleKey = (name) => {
+  return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+};
+
+/**
+ * Whether a key belongs to a built-in role
+ */
+const isBuiltInRole = (roleKey) => Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, roleKey);
+
+/**
+ * Get a role definition (built-in or custom)
+ * @returns {Object|null}
+ */
+async function getRole(db, roleKey) {
+  if (isBuiltInRole(roleKey)) {
+    return { ...BUILT_IN_ROLES[roleKey], built_in: true };
+  }
+
+  const role = await db.collection('roles').findOne(
+    { key: roleKey },
+    { projection: { _id: 0 } }
+  );
+
+  return role ? { ...role, built_in: false } : null;
+}
+
+/**
+ * Permissions granted by a role (empty for unknown roles)
+ */
+async function getRolePermissions(db, roleKey) {
+  const role = await getRole(db, roleKey);
+  return role ? role.permissions : [];
+}
+
+/**
+ * Whether a role key exists
+ */
+async function roleExists(db, roleKey) {
+  return (await getRole(db, roleKey)) !== null;
+}
+
+/**
+ * Return the keys from the list that are not existing roles
+ */
+async function findUnknownRoles(db, roleKeys) {
+  const unknown = [];
+  for (const roleKey of roleKeys) {
+    if (!(await roleExists(db, roleKey))) {
+      unknown.push(roleKey);
+    }
+  }
+  return unknown;
+}
+
+/**
+ * Permissions from the list that the user does not hold
+ * (used to stop users from granting more than they have)
+ */
+function getMissingPermissions(user, permissions) {
+  const granted = (user && user.permissions) || [];
+  return permissions.filter(permission => !granted.includes(permission));
+}
+
+/**
+ * Keys of the roles that grant everything the built-in admin role does
+ */
+async function getAdminRoleKeys(db) {
+  const adminPermissions = BUILT_IN_ROLES[UserRole.ADMIN].permissions;
+  const customRoles = await db.collection('roles')
+    .find({ permissions: { $all: adminPermissions } }, { projection: { _id: 0, key: 1 } })
+    .toArray();
+
+  return [
+    ...Object.values(BUILT_IN_ROLES)
+      .filter(role => adminPermissions.every(permission => role.permissions.includes(permission)))
+      .map(role => role.key),
+    ...customRoles.map(role => role.key)
+  ];
+}
+
+/**
+ * List all roles (built-in first) with the number of users holding each
+ */
+async function listRoles(db) {
+  const customRoles = await db.collection('roles')
+    .find({}, { projection: { _id: 0 } })
+    .sort({ name: 1 })
+    .toArray();
+
+  const counts = await db.collection('users').aggregate([
+    { $group: { _id: '$role', count: { $sum: 1 } } }
+  ]).toArray();
+
+  const countByRole = {};
+  for (const entry of counts) {
+    countByRole[entry._id] = entry.count;
+  }
+
+  return [
+    ...Object.values(BUILT_IN_ROLES).map(role => ({ ...role, built_in: true })),
+    ...customRoles.map(role => ({ ...role, built_in: false }))
+  ].map(role => ({ ...role, user_count: countByRole[role.key] || 0 }));
+}
+
+module.exports = {
+  toRoleKey,
+  isBuiltInRole,
+  getRole,
+  getRolePermissions,
+  roleExists,
+  findUnknownRoles,
+  getMissingPermissions,
+  getAdminRoleKeys,
+  listRoles
+};
@@ -0,0 +1,153 @@
+/**
+ * Security Event Service
+ * Per-user history of authentication and account events (logins, failures,
+ * password and role changes, token refreshes...) in `security_events`,
+ * plus the optional "new device" sign-in alert
+ */
+
+const crypto = require('crypto');
+const { generateUUID } = require('../utils/helpers');
+const { getSecuritySettings } = require('./securitySettingsService');
+const { sendEmailNotification } = require('./emailService');
+const { generateNewDeviceLoginEmail } = require('../utils/emailTemplates');
+
+const SecurityEventType = {
+  LOGIN_SUCCESS: 'login_success',
+  LOGIN_FAILED: 'login_failed',
+  LOGIN_BLOCKED: 'login_blocked',
+  TWO_FACTOR_FAILED: 'two_factor_failed',
+  LOGOUT: 'logout',
+  TOKEN_REFRESHED: 'token_refreshed',
+  REFRESH_TOKEN_REUSED: 'refresh_token_reused',
+  PASSWORD_CHANGED: 'password_changed',
+  PASSWORD_RESET: 'password_reset',
+  ROLE_CHANGED: 'role_changed',
+  TWO_FACTOR_ENABLED: 'two_factor_enabled',
+  TWO_FACTOR_DISABLED: 'two_factor_disabled',
+  IMPERSONATION_STARTED: 'impersonation_started'
+};
+
+/**
+ * Identify a device by its user agent
+ */
+const getDeviceHash = (userAgent) => {
+  return crypto.createHash('sha256').update(String(userAgent || 'unknown')).digest('hex').slice(0, 32);
+};
+
+/**
+ * Record a security event - never throws, a logging failure must not break the request
+ * @param {Object} event - { type, email, userId, actorEmail, metadata }
+ * @param {Object} req - Express request (IP / user agent), optional
+ */
+async function recordSecurityEvent(db, { type, email, userId = null, actorEmail = null, metadata = {} }, req = null) {
+  try {
+    const userAgent = req ? (req.get('User-Agent') || null) : null;
+
+    await db.collection('security_events').insertOne({
+      id: generateUUID(),
+      type,
+      user_email: email ? String(email).toLowerCase() : null,
+      user_id: userId,
+      actor_email: actorEmail,
+      ip_address: req ? req.ip : null,
+      user_agent: userAgent,
+      device_hash: req ? getDeviceHash(userAgent) : null,
+      metadata,
+      created_at: new Date()
+    });
+  } catch (error) {
+    console.error('Record security event error:', error);
+  }
+}
+
+/**
+ * Record a successful login and, if enabled, alert the user about a new device
+ * The very first login of an account never triggers an alert
+ */
+async function recordLoginEvent(db, userDoc, req, metadata = {}) {
+  try {
+    const deviceHash = getDeviceHash(req.get('User-Agent'));
+
+    const [previousLogin, knownDevice] = await Promise.all([
+      db.collection('security_events').findOne({ user_email: userDoc.email, type: SecurityEventType.LOGIN_SUCCESS }),
+      db.collection('security_events').findOne({ user_email: userDoc.email, type: SecurityEventType.LOGIN_SUCCESS, device_hash: deviceHash })
+    ]);
+    const isNewDevice = Boolean(previousLogin) && !knownDevice;
+
+    await recordSecurityEvent(db, {
+      type: SecurityEventType.LOGIN_SUCCESS,
+      email: userDoc.email,
+      userId: userDoc.id,
+      metadata: { ...metadata, new_device: isNewDevice }
+    }, req);
+
+    if (isNewDevice) {
+      const { new_device_login_alerts: alertsEnabled } = await getSecuritySettings(db);
+      if (alertsEnabled) {
+        const html = generateNewDeviceLoginEmail(
+          userDoc.full_name || userDoc.name || userDoc.email,
+          req.ip,
+          req.get('User-Agent') || 'Unknown device',
+          new Date().toUTCString()
+        );
+        sendEmailNotification(userDoc.email, 'New sign-in to your HRMS account', html)
+          .catch(error => console.error('New device alert email error:', error));
+      }
+    }
+  } catch (error) {
+    console.error('Record login event error:', error);
+  }
+}
+
+/**
+ * Build a security_events query from request query params
+ * Supports type (comma separated), from, to and ip
+ */
+function buildSecurityEventQuery({ type, from, to, ip }) {
+  const query = {};
+
+  if (type) {
+    query.type = { $in: String(type).split(',').map(t => t.trim()) };
+  }
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && !isNaN(fromDate)) || (toDate && !isNaN(toDate))) {
+    query.created_at = {};
+    if (fromDate && !isNaN(fromDate)) query.created_at.$gte = fromDate;
+    if (toDate && !isNaN(toDate)) query.created_at.$lte = toDate;
+  }
+  if (ip) {
+    query.ip_address = ip;
+  }
+
+  return query;
+}
+
+/**
+ * Paginated security event listing
+ * @returns {{ events: Object[], total: number, page: number, limit: number }}
+ */
+async function listSecurityEvents(db, query, { page = 1, limit = 50 } = {}) {
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+  const [events, total] = await Promise.all([
+    db.collection('security_events')
+      .find(query, { projection: { _id: 0, device_hash: 0 } })
+      .sort({ created_at: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .toArray(),
+    db.collection('security_events').countDocuments(query)
+  ]);
+
+  return { events, total, page: pageNumber, limit: pageSize };
+}
+
+module.exports = {
+  SecurityEventType,
+  recordSecurityEvent,
+  recordLoginEvent,
+  buildSecurityEventQuery,
+  listSecurityEvents
+};
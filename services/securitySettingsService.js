@@ -0,0 +1,87 @@
+/**
+ * Security Settings Service
+ * Admin-configurable authentication settings stored in `security_settings`
+ */
+
+const SECURITY_SETTINGS_ID = 'security_settings';
+
+// Defaults used until an admin saves settings
+const DEFAULT_SECURITY_SETTINGS = {
+  self_registration_enabled: false,   // Open POST /api/auth/register (accounts are invite-only otherwise)
+  two_factor_required_roles: [],
+  new_device_login_alerts: false,     // Email users when they sign in from a device not seen before
+  password_policy: {
+    min_length: 8,
+    require_uppercase: true,
+    require_lowercase: true,
+    require_number: true,
+    require_symbol: false,
+    disallow_personal_info: true,
+    banned_passwords: [],
+    history_count: 5,      // Last N passwords that cannot be reused (0 = off)
+    max_age_days: 0        // Forced rotation after N days (0 = never)
+  }
+};
+
+/**
+ * Is the value a plain (non-array, non-date) object
+ */
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+};
+
+/**
+ * Get current security settings merged over defaults
+ */
+async function getSecuritySettings(db) {
+  const settings = await db.collection('security_settings').findOne(
+    { id: SECURITY_SETTINGS_ID },
+    { projection: { _id: 0 } }
+  );
+
+  const merged = { ...DEFAULT_SECURITY_SETTINGS, ...(settings || {}), id: SECURITY_SETTINGS_ID };
+
+  // Nested groups (e.g. password_policy) fall back to defaults key by key
+  for (const [key, defaults] of Object.entries(DEFAULT_SECURITY_SETTINGS)) {
+    if (isPlainObject(defaults)) {
+      merged[key] = { ...defaults, ...((settings && settings[key]) || {}) };
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Save (partial) security settings
+ */
+async function updateSecuritySettings(db, updates, updatedBy) {
+  const $set = {
+    updated_at: new Date(),
+    updated_by: updatedBy
+  };
+
+  // Set nested groups field by field so a partial update keeps the other fields
+  for (const [key, value] of Object.entries(updates)) {
+    if (isPlainObject(value)) {
+      for (const [subKey, subValue] of Object.entries(value)) {
+        $set[`${key}.${subKey}`] = subValue;
+      }
+    } else {
+      $set[key] = value;
+    }
+  }
+
+  await db.collection('security_settings').updateOne(
+    { id: SECURITY_SETTINGS_ID },
+    { $set },
+    { upsert: true }
+  );
+
+  return getSecuritySettings(db);
+}
+
+module.exports = {
+  DEFAULT_SECURITY_SETTINGS,
+  getSecuritySettings,
+  updateSecuritySettings
+};
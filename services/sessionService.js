@@ -0,0 +1,197 @@
+/**
+ * Session Service
+ * Server-side login sessions backing short-lived access tokens
+ * and rotating refresh tokens (stored hashed in the `sessions` collection)
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { config } = require('../config/config');
+const { createAccessToken } = require('../middleware/auth');
+const { generateUUID } = require('../utils/helpers');
+
+// How many previous refresh token hashes to remember for reuse detection
+const PREVIOUS_TOKEN_HISTORY = 5;
+
+/**
+ * Hash a refresh token for storage / lookup
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Generate a secure random refresh token
+ */
+const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+/**
+ * Create a new session for a user
+ * @param {Object} db - Database connection
+ * @param {Object} user - User document (needs id and email)
+ * @param {Object} req - Express request (for IP / user agent)
+ * @param {Object} options - { authMethod: 'password' | 'sso' }
+ * @returns {{ session: Object, refreshToken: string }}
+ */
+async function createSession(db, user, req, { authMethod = 'password' } = {}) {
+  const refreshToken = generateRefreshToken();
+  const now = new Date();
+
+  const session = {
+    id: generateUUID(),
+    user_id: user.id,
+    user_email: user.email,
+    auth_method: authMethod,
+    refresh_token_hash: hashToken(refreshToken),
+    previous_token_hashes: [],
+    ip_address: req.ip,
+    user_agent: req.get('User-Agent') || null,
+    created_at: now,
+    last_used_at: now,
+    expires_at: new Date(now.getTime() + config.refreshTokenExpiresDays * 24 * 60 * 60 * 1000),
+    revoked_at: null,
+    revoked_reason: null
+  };
+
+  await db.collection('sessions').insertOne(session);
+  delete session._id;
+
+  return { session, refreshToken };
+}
+
+/**
+ * Build the token response for a session
+ */
+function buildTokenResponse(email, sessionId, refreshToken) {
+  const accessToken = createAccessToken(email, sessionId);
+  const decoded = jwt.decode(accessToken);
+
+  return {
+    access_token: accessToken,
+    refresh_token: refreshToken,
+    token_type: 'bearer',
+    expires_in: decoded.exp - decoded.iat,
+    session_id: sessionId
+  };
+}
+
+/**
+ * Create a session and issue an access + refresh token pair
+ * @param {Object} db - Database connection
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @param {Object} options - Passed through to createSession
+ */
+async function issueAuthTokens(db, user, req, options = {}) {
+  const { session, refreshToken } = await createSession(db, user, req, options);
+  return buildTokenResponse(user.email, session.id, refreshToken);
+}
+
+/**
+ * Helper: Resolve a refresh token that matches no session
+ * A token that was already rotated revokes the session it belonged to
+ * @returns {{ error: string }}
+ */
+async function checkTokenReuse(db, tokenHash) {
+  const reused = await db.collection('sessions').findOne(
+    { previous_token_hashes: tokenHash },
+    { projection: { _id: 0, id: 1, user_email: 1, revoked_at: 1 } }
+  );
+
+  if (reused && !reused.revoked_at) {
+    await revokeSession(db, reused.id, 'refresh_token_reuse');
+    console.warn(`Refresh token reuse detected - session ${reused.id} revoked`);
+    return { error: 'reused', sessionId: reused.id, email: reused.user_email };
+  }
+
+  return { error: 'invalid' };
+}
+
+/**
+ * Rotate a refresh token
+ * Presenting an already-rotated token revokes the whole session (token theft)
+ * @returns {{ session: Object, refreshToken: string } | { error: string }}
+ */
+async function rotateSession(db, refreshToken, req) {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await db.collection('sessions').findOne(
+    { refresh_token_hash: tokenHash },
+    { projection: { _id: 0 } }
+  );
+
+  if (!session) {
+    return checkTokenReuse(db, tokenHash);
+  }
+
+  if (session.revoked_at) {
+    return { error: 'revoked' };
+  }
+
+  if (new Date() > new Date(session.expires_at)) {
+    return { error: 'expired' };
+  }
+
+  const newRefreshToken = generateRefreshToken();
+  const previousHashes = [tokenHash, ...(session.previous_token_hashes || [])].slice(0, PREVIOUS_TOKEN_HISTORY);
+
+  const result = await db.collection('sessions').updateOne(
+    { id: session.id, refresh_token_hash: tokenHash, revoked_at: null },
+    {
+      $set: {
+        refresh_token_hash: hashToken(newRefreshToken),
+        previous_token_hashes: previousHashes,
+        last_used_at: new Date(),
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent') || session.user_agent
+      }
+    }
+  );
+
+  // Rotated or revoked by a concurrent request since it was read
+  if (result.modifiedCount === 0) {
+    return checkTokenReuse(db, tokenHash);
+  }
+
+  return { session, refreshToken: newRefreshToken };
+}
+
+/**
+ * Revoke a single session
+ */
+async function revokeSession(db, sessionId, reason = 'logout') {
+  const result = await db.collection('sessions').updateOne(
+    { id: sessionId, revoked_at: null },
+    { $set: { revoked_at: new Date(), revoked_reason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke all active sessions of a user
+ * @param {Object} options - { exceptSessionId } keeps the caller's own session alive
+ */
+async function revokeUserSessions(db, email, reason, options = {}) {
+  const query = { user_email: email, revoked_at: null };
+  if (options.exceptSessionId) {
+    query.id = { $ne: options.exceptSessionId };
+  }
+
+  const result = await db.collection('sessions').updateMany(
+    query,
+    { $set: { revoked_at: new Date(), revoked_reason: reason } }
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  hashToken,
+  createSession,
+  buildTokenResponse,
+  issueAuthTokens,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions
+};
@@ -0,0 +1,240 @@
+/**
+ * Two-Factor Service
+ * TOTP enrollment, code / recovery code verification and the short-lived
+ * challenge token that bridges the password step and the code step of login
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { config } = require('../config/config');
+const { generateTotpSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+
+const CHALLENGE_TOKEN_TYPE = '2fa_challenge';
+
+const CHALLENGE_MODES = {
+  VERIFY: 'verify',   // 2FA enabled - prove possession of the authenticator
+  ENROLL: 'enroll'    // 2FA mandatory for the role but not set up yet
+};
+
+/**
+ * Hash a recovery code for storage / lookup
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Generate a fresh set of single-use recovery codes
+ * @returns {{ codes: string[], stored: Object[] }} - Plain codes (shown once) and hashed entries
+ */
+function generateRecoveryCodes() {
+  const codes = [];
+
+  for (let i = 0; i < config.twoFactor.recoveryCodeCount; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return {
+    codes,
+    stored: codes.map(code => ({ hash: hashRecoveryCode(code), used_at: null }))
+  };
+}
+
+/**
+ * Whether 2FA is mandatory for a role
+ */
+function isTwoFactorRequired(securitySettings, role) {
+  return (securitySettings.two_factor_required_roles || []).includes(role);
+}
+
+/**
+ * Public 2FA status for a user document
+ */
+function getTwoFactorStatus(userDoc, securitySettings) {
+  const twoFactor = userDoc.two_factor || {};
+  const recoveryCodes = twoFactor.recovery_codes || [];
+
+  return {
+    enabled: twoFactor.enabled === true,
+    required: isTwoFactorRequired(securitySettings, userDoc.role),
+    enabled_at: twoFactor.enabled_at || null,
+    recovery_codes_remaining: recoveryCodes.filter(entry => !entry.used_at).length
+  };
+}
+
+/**
+ * Create the challenge token returned by the password step of login
+ */
+function createTwoFactorChallenge(email, mode) {
+  return jwt.sign(
+    { sub: email, type: CHALLENGE_TOKEN_TYPE, mode },
+    config.jwtSecret,
+    { expiresIn: config.twoFactor.challengeExpiresIn }
+  );
+}
+
+/**
+ * Verify a challenge token
+ * @returns {Object|null} - Payload ({ sub, mode }) or null if invalid / expired
+ */
+function verifyTwoFactorChallenge(token) {
+  try {
+    const payload = jwt.verify(token, config.jwtSecret);
+    if (payload.type !== CHALLENGE_TOKEN_TYPE || !payload.sub) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Start (or restart) enrollment: store a pending secret until the first code is confirmed
+ * @returns {{ secret: string, otpauth_uri: string }}
+ */
+async function startEnrollment(db, userDoc) {
+  const secret = generateTotpSecret();
+
+  await db.collection('users').updateOne(
+    { email: userDoc.email },
+    {
+      $set: {
+        'two_factor.pending_secret': secret,
+        'two_factor.pending_created_at': new Date()
+      }
+    }
+  );
+
+  return {
+    secret,
+    otpauth_uri: buildOtpauthUri(secret, userDoc.email, config.twoFactor.issuer)
+  };
+}
+
+/**
+ * Finish enrollment by confirming a code from the pending secret
+ * @returns {string[]|null} - Recovery codes, or null if the code is wrong / no enrollment pending
+ */
+async function completeEnrollment(db, userDoc, code) {
+  const pendingSecret = userDoc.two_factor && userDoc.two_factor.pending_secret;
+  if (!pendingSecret) {
+    return null;
+  }
+
+  const counter = verifyTotp(pendingSecret, code);
+  if (counter === null) {
+    return null;
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  await db.collection('users').updateOne(
+    { email: userDoc.email },
+    {
+      $set: {
+        two_factor: {
+          enabled: true,
+          secret: pendingSecret,
+          enabled_at: new Date(),
+          last_used_counter: counter,
+          recovery_codes: recoveryCodes.stored
+        }
+      }
+    }
+  );
+
+  return recoveryCodes.codes;
+}
+
+/**
+ * Verify a TOTP code or consume a recovery code for a user with 2FA enabled
+ * TOTP codes cannot be replayed: each time step is accepted only once
+ * @returns {{ valid: boolean, method?: string }}
+ */
+async function verifyTwoFactorCode(db, userDoc, { code, recovery_code }) {
+  const twoFactor = userDoc.two_factor || {};
+  if (!twoFactor.enabled || !twoFactor.secret) {
+    return { valid: false };
+  }
+
+  if (recovery_code) {
+    const result = await db.collection('users').updateOne(
+      {
+        email: userDoc.email,
+        'two_factor.recovery_codes': { $elemMatch: { hash: hashRecoveryCode(recovery_code), used_at: null } }
+      },
+      { $set: { 'two_factor.recovery_codes.$.used_at': new Date() } }
+    );
+
+    return result.modifiedCount > 0 ? { valid: true, method: 'recovery_code' } : { valid: false };
+  }
+
+  const counter = verifyTotp(twoFactor.secret, code);
+  if (counter === null) {
+    return { valid: false };
+  }
+
+  // Claim the time step atomically so the same code cannot be used twice
+  const result = await db.collection('users').updateOne(
+    {
+      email: userDoc.email,
+      $or: [
+        { 'two_factor.last_used_counter': null },
+        { 'two_factor.last_used_counter': { $lt: counter } }
+      ]
+    },
+    { $set: { 'two_factor.last_used_counter': counter } }
+  );
+
+  return result.modifiedCount > 0 ? { valid: true, method: 'totp' } : { valid: false };
+}
+
+/**
+ * Replace the recovery codes of a user
+ * @returns {string[]} - New plain recovery codes
+ */
+async function regenerateRecoveryCodes(db, email) {
+  const recoveryCodes = generateRecoveryCodes();
+
+  await db.collection('users').updateOne(
+    { email },
+    { $set: { 'two_factor.recovery_codes': recoveryCodes.stored } }
+  );
+
+  return recoveryCodes.codes;
+}
+
+/**
+ * Turn 2FA off and drop the secret and recovery codes
+ * @param {string} disabledBy - Email of whoever disabled it (the user or an admin)
+ */
+async function disableTwoFactor(db, email, disabledBy) {
+  await db.collection('users').updateOne(
+    { email },
+    {
+      $set: {
+        two_factor: {
+          enabled: false,
+          disabled_at: new Date(),
+          disabled_by: disabledBy
+        }
+      }
+    }
+  );
+}
+
+module.exports = {
+  CHALLENGE_MODES,
+  isTwoFactorRequired,
+  getTwoFactorStatus,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  startEnrollment,
+  completeEnrollment,
+  verifyTwoFactorCode,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+};
@@ -626,14 +626,394 @@ const generateBulkPasswordResetEmail = (fullName, resetUrl, expiryHours = 24) =>
 
 
 
+/**
+ * Generate invitation email HTML (invite-based onboarding)
+ */
+const generateInvitationEmail = (fullName, inviteUrl, role, department, invitedByName, expiryHours = 72) => {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>You're Invited to HRMS</title>
+    </head>
+    <body style="margin: 0; padding: 0; background-color: #f1f5f9; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">
+      <div style="max-width: 600px; margin: 0 auto; padding: 40px 20px;">
+        <!-- Header -->
+        <div style="background: linear-gradient(135deg, #1e293b 0%, #334155 100%); padding: 40px 30px; border-radius: 16px 16px 0 0; text-align: center;">
+          <h1 style="color: #020202; margin: 0; font-size: 28px; font-weight: 700;">HRMS</h1>
+          <p style="color: #94a3b8; margin: 10px 0 0; font-size: 14px;">Account Invitation</p>
+        </div>
+
+        <!-- Content -->
+        <div style="background: #ffffff; padding: 40px 30px; border: 1px solid #e2e8f0; border-top: none;">
+          <p style="color: #334155; font-size: 18px; line-height: 1.6; margin: 0 0 20px;">
+            Hi <strong>${fullName}</strong>,
+          </p>
+
+          <p style="color: #475569; font-size: 16px; line-height: 1.6; margin: 0 0 25px;">
+            <strong>${invitedByName}</strong> has invited you to join HRMS as
+            <strong style="text-transform: capitalize;">${role}</strong> in <strong>${department}</strong>.
+            Click the button below to set your password and activate your account:
+          </p>
+
+          <!-- Button -->
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${inviteUrl}"
+               style="display: inline-block; background: linear-gradient(135deg, #1e293b 0%, #334155 100%);
+                      color: #020202; text-decoration: none; padding: 16px 40px; border-radius: 50px;
+                      font-size: 16px; font-weight: 600; box-shadow: 0 4px 14px rgba(30, 41, 59, 0.3);">
+              Accept Invitation
+            </a>
+          </div>
+
+          <!-- Warning Box -->
+          <div style="background: #fef3c7; border: 1px solid #fcd34d; border-radius: 8px; padding: 16px; margin: 25px 0;">
+            <p style="color: #92400e; font-size: 14px; margin: 0; line-height: 1.5;">
+              <strong>⚠️ Important:</strong> This is a <strong>one-time use link</strong> and will expire in <strong>${expiryHours} hours</strong>.
+            </p>
+          </div>
+
+          <!-- Link fallback -->
+          <p style="color: #64748b; font-size: 14px; line-height: 1.6; margin: 20px 0 0;">
+            If the button doesn't work, copy and paste this link into your browser:
+          </p>
+          <p style="background: #f8fafc; padding: 12px; border-radius: 6px; word-break: break-all;
+                    font-size: 12px; color: #475569; margin: 10px 0;">
+            ${inviteUrl}
+          </p>
+        </div>
+
+        <!-- Footer -->
+        <div style="background: #f8fafc; padding: 25px 30px; border: 1px solid #e2e8f0; border-top: none; border-radius: 0 0 16px 16px; text-align: center;">
+          <p style="color: #94a3b8; font-size: 12px; margin: 0;">
+            If you were not expecting this invitation, you can safely ignore this email.
+          </p>
+          <p style="color: #cbd5e1; font-size: 11px; margin: 10px 0 0;">
+            © ${new Date().getFullYear()} HRMS. All rights reserved.
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+/**
+ * Generate new device sign-in alert email
+ */
+const generateNewDeviceLoginEmail = (fullName, ipAddress, userAgent, loginTime) => {
+  return `
+    <html>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px;">
+            <h2 style="color: #f59e0b; border-bottom: 3px solid #f59e0b; padding-bottom: 10px;">New Sign-in to Your Account</h2>
+            <p>Hello <strong>${fullName}</strong>,</p>
+            <p>Your HRMS account was just signed in to from a device we have not seen before.</p>
+            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+                <tr style="background-color: #f8fafc;">
+                    <td style="padding: 10px; border: 1px solid #e2e8f0;"><strong>Time:</strong></td>
+                    <td style="padding: 10px; border: 1px solid #e2e8f0;">${loginTime}</td>
+                </tr>
+                <tr>
+                    <td style="padding: 10px; border: 1px solid #e2e8f0;"><strong>IP Address:</strong></td>
+                    <td style="padding: 10px; border: 1px solid #e2e8f0;">${ipAddress}</td>
+                </tr>
+                <tr style="background-color: #f8fafc;">
+                    <td style="padding: 10px; border: 1px solid #e2e8f0;"><strong>Device:</strong></td>
+                    <td style="padding: 10px; border: 1px solid #e2e8f0;">${userAgent}</td>
+                </tr>
+            </table>
+            <p>If this was you, no action is needed. If not, change your password right away and sign out of all sessions.</p>
+            <p style="color: #64748b; font-size: 12px; margin-top: 30px; border-top: 1px solid #e2e8f0; padding-top: 15px;">
+                This is an automated security notification from HRMS.
+            </p>
+        </div>
+    </body>
+    </html>
+  `;
+};
+
+/**
+ * Generate leave cancellation request email (to the manager and HR)
+ */
+const generateLeaveCancellationRequestEmail = (employeeName, leaveType, datesDisplay, daysCount, isWholeLeave, reason) => {
+  return `
+    <html>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px;">
+            <h2 style="color: #f59e0b; border-bottom: 3px solid #f59e0b; padding-bottom: 10px;">Leave Cancellation Request</h2>
+            <p><strong>${employeeName}</strong> has asked to cancel ${isWholeLeave ? 'an approved leave' : 'part of an approved leave'}.</p>
+            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+                <tr style="background-color: #f8fafc;">
+                    <td style="padding: 10px; border: 1px solid #e2e8f0;"><strong>Leave Type:</strong></td>
+                    <td style="padding: 10px; border: 1px solid #e2e8f0;">${leaveType}</td>
+                </tr>
+                <tr>
+                    <td style="padding: 10px; border: 1px solid #e2e8f0;"><strong>Dates to Cancel:</strong></td>
+                    <td style="padding: 10px; border: 1px solid #e2e8f0;">${datesDisplay} (${daysCount} day(s))</td>
+                </tr>
+                <tr style="background-color: #f8fafc;">
+                    <td style="padding: 10px; border: 1px solid #e2e8f0;"><strong>Reason:</strong></td>
+                    <td style="padding: 10px; border: 1px solid #e2e8f0;">${reason}</td>
+                </tr>
+            </table>
+            <p>Please approve or reject the cancellation in HRMS.</p>
+            <p style="color: #64748b; font-size: 12px; margin-top: 30px; border-top: 1px solid #e2e8f0; padding-top: 15px;">
+                This is an automated notification from HRMS Leave Management System.
+            </p>
+        </div>
+    </body>
+    </html>
+  `;
+};
+
+/**
+ * Generate leave cancellation decision email (to the employee)
+ */
+const generateLeaveCancellationDecisionEmail = (employeeName, leaveType, datesDisplay, status, reviewerName, comments, refundedDays) => {
+  const approved = status === 'approved';
+  const color = approved ? '#10b981' : '#ef4444';
+
+  return `
+    <html>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px;">
+            <h2 style="color: ${color}; border-bottom: 3px solid ${color}; padding-bottom: 10px;">Leave Cancellation ${approved ? 'Approved' : 'Rejected'}</h2>
+            <p>Hello <strong>${employeeName}</strong>,</p>
+            <p>Your request to cancel <strong>${leaveType}</strong> on <strong>${datesDisplay}</strong> was <strong style="color: ${color};">${status}</strong> by ${reviewerName}.</p>
+            ${comments ? `<p><strong>Comments:</strong> ${comments}</p>` : ''}
+            <p>${approved
+              ? (refundedDays > 0 ? `${refundedDays} day(s) have been returned to your leave balance.` : 'The dates have been removed from your leave.')
+              : 'Your leave stays as approved.'}</p>
+            <p style="color: #64748b; font-size: 12px; margin-top: 30px; border-top: 1px solid #e2e8f0; padding-top: 15px;">
+                This is an automated notification from HRMS Leave Management System.
+            </p>
+        </div>
+    </body>
+    </html>
+  `;
+};
+
+/**
+ * Generate profile change request email (to HR)
+ * Only field names are included - the values stay in HRMS
+ */
+const generateProfileChangeRequestEmail = (employeeName, employeeId, fieldLabels, reason) => {
+  return `
+    <html>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px;">
+            <h2 style="color: #3b82f6; border-bottom: 3px solid #3b82f6; padding-bottom: 10px;">Profile Change Request</h2>
+            <p><strong>${employeeName}</strong> (${employeeId}) has asked to update their profile.</p>
+            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+                <tr style="background-color: #f8fafc;">
+                    <td style="padding: 10px; border: 1px solid #e2e8f0;"><strong>Fields:</strong></td>
+                    <td style="padding: 10px; border: 1px solid #e2e8f0;">${fieldLabels.join(', ')}</td>
+                </tr>
+                <tr>
+                    <td style="padding: 10px; border: 1px solid #e2e8f0;"><strong>Reason:</strong></td>
+                    <td style="padding: 10px; border: 1px solid #e2e8f0;">${reason || 'N/A'}</td>
+                </tr>
+            </table>
+            <p>Please review the changes in HRMS.</p>
+            <p style="color: #64748b; font-size: 12px; margin-top: 30px; border-top: 1px solid #e2e8f0; padding-top: 15px;">
+                This is an automated notification from HRMS.
+            </p>
+        </div>
+    </body>
+    </html>
+  `;
+};
+
+/**
+ * Generate profile change decision email (to the employee)
+ */
+const generateProfileChangeDecisionEmail = (employeeName, status, fieldLabels, reviewerName, comments) => {
+  const approved = status === 'approved';
+  const color = approved ? '#10b981' : '#ef4444';
+
+  return `
+    <html>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px;">
+            <h2 style="color: ${color}; border-bottom: 3px solid ${color}; padding-bottom: 10px;">Profile Change ${approved ? 'Approved' : 'Rejected'}</h2>
+            <p>Hello <strong>${employeeName}</strong>,</p>
+            <p>Your request to update <strong>${fieldLabels.join(', ')}</strong> was <strong style="color: ${color};">${status}</strong> by ${reviewerName}.</p>
+            ${comments ? `<p><strong>Comments:</strong> ${comments}</p>` : ''}
+            <p>${approved ? 'Your profile has been updated.' : 'Your profile was not changed. You can submit a new request if needed.'}</p>
+            <p style="color: #64748b; font-size: 12px; margin-top: 30px; border-top: 1px solid #e2e8f0; padding-top: 15px;">
+                This is an automated notification from HRMS.
+            </p>
+        </div>
+    </body>
+    </html>
+  `;
+};
+
+/**
+ * Generate probation review reminder for the manager / HR
+ */
+const generateProbationReminderEmail = (employeeName, employeeId, designation, dueDate, daysLeft) => {
+  const overdue = daysLeft < 0;
+  const color = overdue ? '#ef4444' : '#f59e0b';
+  const timing = overdue
+    ? `was due on <strong>${dueDate}</strong> (${-daysLeft} day(s) ago)`
+    : daysLeft === 0
+      ? `is due <strong>today</strong> (${dueDate})`
+      : `is due on <strong>${dueDate}</strong> (in ${daysLeft} day(s))`;
+
+  return `
+    <html>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px;">
+            <h2 style="color: ${color}; border-bottom: 3px solid ${color}; padding-bottom: 10px;">Probation Review ${overdue ? 'Overdue' : 'Due'}</h2>
+            <p>The probation review of <strong>${employeeName}</strong> (${employeeId}${designation ? `, ${designation}` : ''}) ${timing}.</p>
+            <p>Please submit the review to confirm the employee, extend the probation or end the employment.</p>
+            <p style="color: #64748b; font-size: 12px; margin-top: 30px; border-top: 1px solid #e2e8f0; padding-top: 15px;">
+                This is an automated notification from HRMS.
+            </p>
+        </div>
+    </body>
+    </html>
+  `;
+};
+
+/**
+ * Generate confirmation letter sent when probation is completed
+ */
+const generateConfirmationLetterEmail = (employeeName, employeeId, designation, department, joiningDate, confirmationDate, companyName) => {
+  return `
+    <html>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px;">
+            <h2 style="color: #10b981; border-bottom: 3px solid #10b981; padding-bottom: 10px;">Letter of Confirmation</h2>
+            <p>Date: ${confirmationDate}</p>
+            <p>Dear <strong>${employeeName}</strong>,</p>
+            <p>We are pleased to inform you that you have successfully completed your probation period and your employment with ${companyName || 'the company'} is confirmed with effect from <strong>${confirmationDate}</strong>.</p>
+
+            <div style="background-color: #f0fdf4; border-left: 4px solid #10b981; padding: 15px; margin: 20px 0; border-radius: 4px;">
+                <table style="width: 100%;">
+                    <tr>
+                        <td style="padding: 5px 0;"><strong>Employee ID:</strong></td>
+                        <td style="padding: 5px 0;">${employeeId}</td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 5px 0;"><strong>Designation:</strong></td>
+                        <td style="padding: 5px 0;">${designation}</td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 5px 0;"><strong>Department:</strong></td>
+                        <td style="padding: 5px 0;">${department}</td>
+                    </tr>
+                    <tr>
+                        <td style="padding: 5px 0;"><strong>Date of Joining:</strong></td>
+                        <td style="padding: 5px 0;">${joiningDate}</td>
+                    </tr>
+                </table>
+            </div>
+
+            <p>All other terms and conditions of your employment remain unchanged. We appreciate your contribution and look forward to your continued growth with us.</p>
+            <p>Best regards,<br>Human Resources</p>
+            <p style="color: #64748b; font-size: 12px; margin-top: 30px; border-top: 1px solid #e2e8f0; padding-top: 15px;">
+                This is an automated notification from HRMS.
+            </p>
+        </div>
+    </body>
+    </html>
+  `;
+};
+
+/**
+ * Generate probation extension notice for the employee
+ */
+const generateProbationExtensionEmail = (employeeName, previousDueDate, newDueDate, comments) => {
+  return `
+    <html>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px;">
+            <h2 style="color: #f59e0b; border-bottom: 3px solid #f59e0b; padding-bottom: 10px;">Probation Period Extended</h2>
+            <p>Dear <strong>${employeeName}</strong>,</p>
+            <p>Following your probation review, your probation period, which was due to end on ${previousDueDate}, has been extended until <strong>${newDueDate}</strong>.</p>
+            ${comments ? `<p><strong>Review comments:</strong> ${comments}</p>` : ''}
+            <p>Please speak to your manager about the areas to focus on before the next review.</p>
+            <p style="color: #64748b; font-size: 12px; margin-top: 30px; border-top: 1px solid #e2e8f0; padding-top: 15px;">
+                This is an automated notification from HRMS.
+            </p>
+        </div>
+    </body>
+    </html>
+  `;
+};
+
+/**
+ * Tell a delegate they are covering someone's approvals
+ * @param {string} scopesDisplay - e.g. "leave and comp-off requests"
+ */
+const generateApprovalDelegationEmail = (delegateName, delegatorName, startDate, endDate, scopesDisplay, reason) => {
+  return `
+    <html>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px;">
+            <h2 style="color: #3b82f6; border-bottom: 3px solid #3b82f6; padding-bottom: 10px;">Approvals Delegated to You</h2>
+            <p>Hello <strong>${delegateName}</strong>,</p>
+            <p><strong>${delegatorName}</strong> has delegated their ${scopesDisplay} to you from <strong>${startDate}</strong> to <strong>${endDate}</strong>.</p>
+            ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ''}
+            <p>Requests waiting on ${delegatorName} will appear in your pending approvals. Your decisions are recorded as made on their behalf.</p>
+            <p style="color: #64748b; font-size: 12px; margin-top: 30px; border-top: 1px solid #e2e8f0; padding-top: 15px;">
+                This is an automated notification from HRMS.
+            </p>
+        </div>
+    </body>
+    </html>
+  `;
+};
+
+/**
+ * Remind an approver of a request waiting on them, or hand it up after escalation
+ * @param {string|null} escalatedFrom - Who it was waiting on before escalation (null for a reminder)
+ */
+const generateApprovalReminderEmail = (approverName, requestLabel, employeeName, details, daysPending, escalatedFrom) => {
+  const color = escalatedFrom ? '#ef4444' : '#f59e0b';
+
+  return `
+    <html>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px;">
+            <h2 style="color: ${color}; border-bottom: 3px solid ${color}; padding-bottom: 10px;">${escalatedFrom ? `Escalated: ${requestLabel}` : `Reminder: ${requestLabel} Awaiting Approval`}</h2>
+            <p>Hello <strong>${approverName}</strong>,</p>
+            <p>A ${requestLabel.toLowerCase()} from <strong>${employeeName}</strong> has been waiting for <strong>${daysPending} day(s)</strong>${escalatedFrom ? ` on ${escalatedFrom} and has been escalated to you` : ' on your approval'}.</p>
+            <p>${details}</p>
+            <p>Please review it in the HRMS portal.</p>
+            <p style="color: #64748b; font-size: 12px; margin-top: 30px; border-top: 1px solid #e2e8f0; padding-top: 15px;">
+                This is an automated notification from HRMS.
+            </p>
+        </div>
+    </body>
+    </html>
+  `;
+};
+
 module.exports = {
   generateLeaveApplicationEmail,
   generateLeaveApprovalEmail,
   generateWelcomeEmail,
   generateNewEmployeeNotificationEmail,
   generateLeaveEditEmail,
+  generateLeaveCancellationRequestEmail,
+  generateLeaveCancellationDecisionEmail,
   generateSalarySlipEmail,
   generateDetailedSalarySlipEmail,
   generatePasswordResetEmail,
-  generateBulkPasswordResetEmail
+  generateBulkPasswordResetEmail,
+  generateInvitationEmail,
+  generateNewDeviceLoginEmail,
+  generateProfileChangeRequestEmail,
+  generateProfileChangeDecisionEmail,
+  generateProbationReminderEmail,
+  generateConfirmationLetterEmail,
+  generateProbationExtensionEmail,
+  generateApprovalDelegationEmail,
+  generateApprovalReminderEmail
 };
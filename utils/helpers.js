@@ -1,6 +1,5 @@
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
-const { getDB } = require('../config/database');
 
 /**
  * Hash password using bcrypt
@@ -39,42 +38,6 @@ const calculateDays = (startDate, endDate, isHalfDay = false) => {
   return diffDays;
 };
 
-/**
- * Generate unique employee ID
- */
-const generateEmployeeId = async () => {
-  const db = getDB();
-  
-  // Get settings
-  const settings = await db.collection('settings').findOne({});
-  const prefix = settings?.employee_id_prefix || 'EMP';
-  const startCounter = settings?.employee_id_counter || 1000;
-  
-  // Find highest counter
-  const employees = await db.collection('employees')
-    .find({}, { projection: { employee_id: 1 } })
-    .toArray();
-  
-  let maxCounter = startCounter;
-  
-  for (const emp of employees) {
-    const empId = emp.employee_id || '';
-    if (empId.startsWith(prefix)) {
-      try {
-        const num = parseInt(empId.replace(prefix, ''), 10);
-        if (!isNaN(num) && num > maxCounter) {
-          maxCounter = num;
-        }
-      } catch (e) {
-        // Ignore parsing errors
-      }
-    }
-  }
-  
-  const newCounter = maxCounter + 1;
-  return `${prefix}${String(newCounter).padStart(4, '0')}`;
-};
-
 /**
  * Normalize leave type to database key format
  */
@@ -139,7 +102,6 @@ module.exports = {
   verifyPassword,
   generateUUID,
   calculateDays,
-  generateEmployeeId,
   normalizeLeaveType,
   getDaysInMonth,
   toISOString,
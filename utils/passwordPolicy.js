@@ -0,0 +1,63 @@
+/**
+ * Password policy checks (pure functions, no database access)
+ */
+
+// Always rejected, on top of the admin-configured banned list
+const COMMON_PASSWORDS = [
+  '123456', '1234567', '12345678', '123456789', '1234567890', '111111', '000000',
+  'password', 'password1', 'password123', 'passw0rd', 'p@ssw0rd', 'qwerty', 'qwerty123',
+  'qwertyuiop', 'abc123', 'abcd1234', 'letmein', 'welcome', 'welcome1', 'welcome123',
+  'admin', 'admin123', 'administrator', 'iloveyou', 'monkey', 'dragon', 'football',
+  'baseball', 'sunshine', 'princess', 'trustno1', 'changeme', 'secret', 'hrms', 'hrms123'
+];
+
+/**
+ * Check a password against the policy
+ * @param {string} password - Candidate password
+ * @param {Object} policy - password_policy from security settings
+ * @param {Object} context - { email, full_name } used to reject personal passwords
+ * @returns {string[]} - Human readable violations (empty when the password is acceptable)
+ */
+const validatePasswordPolicy = (password, policy, context = {}) => {
+  const errors = [];
+  const value = String(password || '');
+  const lowered = value.toLowerCase();
+
+  if (value.length < policy.min_length) {
+    errors.push(`Password must be at least ${policy.min_length} characters`);
+  }
+  if (policy.require_uppercase && !/[A-Z]/.test(value)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (policy.require_lowercase && !/[a-z]/.test(value)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (policy.require_number && !/[0-9]/.test(value)) {
+    errors.push('Password must contain a number');
+  }
+  if (policy.require_symbol && !/[^A-Za-z0-9]/.test(value)) {
+    errors.push('Password must contain a symbol');
+  }
+
+  const banned = [...COMMON_PASSWORDS, ...(policy.banned_passwords || [])].map(entry => entry.toLowerCase());
+  if (banned.includes(lowered)) {
+    errors.push('This password is too common. Please choose another one.');
+  }
+
+  if (policy.disallow_personal_info) {
+    const emailName = context.email ? context.email.split('@')[0].toLowerCase() : null;
+    const nameParts = (context.full_name || '').toLowerCase().split(/\s+/).filter(part => part.length >= 3);
+
+    if ((emailName && emailName.length >= 3 && lowered.includes(emailName)) ||
+        nameParts.some(part => lowered.includes(part))) {
+      errors.push('Password must not contain your name or email');
+    }
+  }
+
+  return errors;
+};
+
+module.exports = {
+  COMMON_PASSWORDS,
+  validatePasswordPolicy
+};